@@ -0,0 +1,366 @@
+/**
+ * Echo Chamber - Request Validation
+ *
+ * Checks requests against the OpenAPI document (see openapi.js) before
+ * they reach a route, so handlers can trust the shape of what they get:
+ *
+ *   const validate = createValidator(buildOpenApiDocument());
+ *   app.post('/api/predict', validate('predict'), (req, res) => { ... });
+ *
+ * Path and query parameters and JSON request bodies are checked; the first
+ * problem is answered with the usual failure body, naming the offending
+ * `field` (e.g. 'sequence[2]' or 'limit'). The error code is the schema's
+ * x-error-code, or INVALID_REQUEST.
+ *
+ * Only the schema keywords the document uses are supported: type, nullable,
+ * enum, minimum, maximum, pattern, items, maxItems, properties, required,
+ * allOf, oneOf and $ref. Others, such as format, are documentation only.
+ *
+ * With validateResponses, every JSON response is also checked against the
+ * document, and mismatches are reported (they are still sent). This is
+ * meant for development, as it costs a copy of every response.
+ */
+
+const { ERROR_CODES, httpStatus } = require('./errors.js');
+const { bigintReplacer } = require('./number-systems.js');
+const { DEFAULT_LOCALE, translator } = require('./i18n.js');
+
+const METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+const TYPE_CHECKS = {
+  array: Array.isArray,
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: Number.isInteger,
+  boolean: value => typeof value === 'boolean'
+};
+
+/**
+ * Follows a $ref to the schema it names
+ *
+ * @param {Object} document - The OpenAPI document
+ * @param {Object} schema - A schema, possibly { $ref: '#/components/schemas/Name' }
+ * @returns {Object} The referenced schema, or the schema itself
+ * @throws {Error} If the reference does not resolve
+ */
+function resolveRef(document, schema) {
+  if (!schema.$ref) {
+    return schema;
+  }
+  const target = schema.$ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, part) => (node ? node[part] : undefined), document);
+
+  if (!target) {
+    throw new Error(`Unresolved schema reference ${schema.$ref}`);
+  }
+  return target;
+}
+
+/**
+ * Names a field inside another one
+ *
+ * @param {string} path - The outer field, '' for the whole body
+ * @param {string|number} key - A property name or an array position
+ * @returns {string} e.g. 'sequences[2]' or 'nthTerm.value'
+ */
+function fieldPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Picks the error code of a failure from the x-error-code extensions around it
+ * The innermost extension wins; a per-keyword one only covers its own field
+ *
+ * @param {Object[]} scope - The { path, code } of each enclosing extension, outermost first
+ * @param {string} field - The failing field
+ * @param {string} keyword - The failing schema keyword
+ * @returns {string} The error code
+ */
+function pickErrorCode(scope, field, keyword) {
+  for (let i = scope.length - 1; i >= 0; i--) {
+    const { path, code } = scope[i];
+    if (typeof code === 'string') {
+      return code;
+    }
+    if (path === field && code[keyword]) {
+      return code[keyword];
+    }
+  }
+  return ERROR_CODES.INVALID_REQUEST;
+}
+
+/**
+ * Checks a value against a schema
+ *
+ * @param {*} value - The value
+ * @param {Object} schema - The schema
+ * @param {Object} document - The OpenAPI document, for $refs
+ * @param {string} [path=''] - Name of the value, for the failure
+ * @param {Object[]} [scope=[]] - The enclosing x-error-code extensions (see pickErrorCode)
+ * @returns {Object|null} The first problem, { keyword, field, params, code }, or null if the value matches
+ */
+function validateValue(value, schema, document, path = '', scope = []) {
+  if (schema['x-error-code']) {
+    scope = scope.concat({ path, code: schema['x-error-code'] });
+  }
+  if (schema.$ref) {
+    return validateValue(value, resolveRef(document, schema), document, path, scope);
+  }
+
+  const fail = (keyword, params = {}) => ({ keyword, field: path, params, code: pickErrorCode(scope, path, keyword) });
+
+  if (value === null && schema.nullable) {
+    return null;
+  }
+
+  for (const part of schema.allOf || []) {
+    const failure = validateValue(value, part, document, path, scope);
+    if (failure) {
+      return failure;
+    }
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => !validateValue(value, option, document, path, scope));
+    if (matches.length !== 1) {
+      return fail('oneOf');
+    }
+  }
+
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    return fail('type', { expected: schema.type });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail('enum', { values: schema.enum.join(', ') });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return fail('minimum', { limit: schema.minimum });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return fail('maximum', { limit: schema.maximum });
+    }
+  }
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    return fail('pattern');
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail('maxItems', { limit: schema.maxItems });
+    }
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++) {
+        const failure = validateValue(value[i], schema.items, document, fieldPath(path, i), scope);
+        if (failure) {
+          return failure;
+        }
+      }
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        // The property's own extension names the code, though its schema is never entered
+        const field = fieldPath(path, name);
+        const own = properties[name] && properties[name]['x-error-code'];
+        const required = own ? scope.concat({ path: field, code: own }) : scope;
+        return { keyword: 'required', field, params: {}, code: pickErrorCode(required, field, 'required') };
+      }
+    }
+    for (const name of Object.keys(properties)) {
+      if (value[name] !== undefined) {
+        const failure = validateValue(value[name], properties[name], document, fieldPath(path, name), scope);
+        if (failure) {
+          return failure;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Converts a query or path parameter from text to the type of its schema
+ *
+ * @param {*} value - The parameter as Express parsed it
+ * @param {Object} schema - The parameter's schema
+ * @returns {*} A number for numeric schemas if the text is one, otherwise the value as is
+ */
+function coerceParameter(value, schema) {
+  const numeric = schema.type === 'integer' || schema.type === 'number';
+  if (numeric && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Lists the operations of a document by operationId
+ *
+ * @param {Object} document - The OpenAPI document
+ * @returns {Object} { [operationId]: { operation, parameters } }, parameters including the path's own
+ */
+function indexOperations(document) {
+  const operations = {};
+
+  Object.keys(document.paths).forEach(route => {
+    const item = document.paths[route];
+    METHODS.filter(method => item[method]).forEach(method => {
+      const operation = item[method];
+      operations[operation.operationId] = {
+        operation,
+        parameters: (item.parameters || []).concat(operation.parameters || [])
+      };
+    });
+  });
+
+  return operations;
+}
+
+/**
+ * Checks a request against its operation
+ *
+ * @param {Object} document - The OpenAPI document
+ * @param {Object} entry - The operation and its parameters (see indexOperations)
+ * @param {Object} req - The Express request
+ * @returns {Object|null} The first problem (see validateValue), or null if the request matches
+ */
+function checkRequest(document, entry, req) {
+  for (const parameter of entry.parameters) {
+    const source = { path: req.params, query: req.query }[parameter.in];
+    if (!source) {
+      // Header parameters, such as Accept-Language, are informational
+      continue;
+    }
+
+    const scope = parameter['x-error-code'] ? [{ path: parameter.name, code: parameter['x-error-code'] }] : [];
+    const value = source[parameter.name];
+
+    if (value === undefined) {
+      if (parameter.required) {
+        return { keyword: 'required', field: parameter.name, params: {}, code: pickErrorCode(scope, parameter.name, 'required') };
+      }
+      continue;
+    }
+
+    const failure = validateValue(coerceParameter(value, parameter.schema), parameter.schema, document, parameter.name, scope);
+    if (failure) {
+      return failure;
+    }
+  }
+
+  const requestBody = entry.operation.requestBody;
+  if (requestBody) {
+    // Bodies without a media type the operation knows are read as JSON, as express.json() leaves them
+    const mediaType = req.is(Object.keys(requestBody.content)) || 'application/json';
+    const media = requestBody.content[mediaType];
+    if (mediaType === 'application/json' && media) {
+      return validateValue(req.body === undefined ? {} : req.body, media.schema, document);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Explains a problem found by validateValue()
+ *
+ * @param {Function} t - Translate function (see i18n.js)
+ * @param {Object} failure - The problem
+ * @returns {string} e.g. 'limit must be at most 500'
+ */
+function describeFailure(t, failure) {
+  const params = { ...failure.params, field: failure.field || 'body' };
+  if (params.expected) {
+    params.expected = t(`schema.types.${params.expected}`);
+  }
+  return t(`schema.${failure.keyword}`, params);
+}
+
+/**
+ * Reports responses that do not match their operation
+ *
+ * @param {Object} document - The OpenAPI document
+ * @param {string} operationId - The operation
+ * @param {Object} entry - The operation and its parameters
+ * @param {Object} res - The Express response
+ * @param {Function} report - Called with a description of each mismatch
+ */
+function watchResponse(document, operationId, entry, res, report) {
+  const send = res.json.bind(res);
+
+  res.json = body => {
+    const status = res.statusCode;
+    const response = entry.operation.responses[status];
+    const media = response && response.content && response.content['application/json'];
+    let problem = null;
+
+    if (media) {
+      // Compare what clients will receive, with BigInts as strings
+      const failure = validateValue(JSON.parse(JSON.stringify(body, bigintReplacer)), media.schema, document);
+      problem = failure && describeFailure(translator(DEFAULT_LOCALE), failure);
+    } else if (status < 500) {
+      problem = 'the status is not documented';
+    }
+
+    if (problem) {
+      report(`⚠️ Response of ${operationId} (${status}) does not match the OpenAPI document: ${problem}`);
+    }
+    return send(body);
+  };
+}
+
+/**
+ * Creates the validation middleware factory for a document
+ *
+ * @param {Object} document - The OpenAPI document (see openapi.js)
+ * @param {Object} [options] - Configuration
+ * @param {boolean} [options.validateResponses=false] - Also check JSON responses
+ * @param {Function} [options.report=console.warn] - Receives response mismatches
+ * @returns {Function} (operationId, failureFields?) => Express middleware; failureFields are the
+ *                     other fields of a failure body, { success: false } by default
+ * @throws {Error} From the factory, if the document has no such operation
+ */
+function createValidator(document, options = {}) {
+  const operations = indexOperations(document);
+  const report = options.report || console.warn;
+
+  return (operationId, failureFields = { success: false }) => {
+    const entry = operations[operationId];
+    if (!entry) {
+      throw new Error(`The OpenAPI document has no operation "${operationId}"`);
+    }
+
+    return (req, res, next) => {
+      const failure = checkRequest(document, entry, req);
+      if (failure) {
+        return res.status(httpStatus(failure.code)).json({
+          ...failureFields,
+          message: describeFailure(req.t || translator(req.locale), failure),
+          error: { code: failure.code, field: failure.field || 'body' }
+        });
+      }
+
+      if (options.validateResponses) {
+        watchResponse(document, operationId, entry, res, report);
+      }
+      next();
+    };
+  };
+}
+
+module.exports = {
+  validateValue,
+  createValidator
+};
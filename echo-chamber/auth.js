@@ -0,0 +1,265 @@
+/**
+ * Echo Chamber - API Keys
+ *
+ * Optional authentication for the web server. Without configured keys
+ * every request is allowed, as before. Once keys are configured, /api
+ * requests need one, sent in any of:
+ *
+ *   X-API-Key: <key>
+ *   Authorization: Bearer <key>
+ *   ?api_key=<key>            (for EventSource and downloads, which cannot send headers)
+ *
+ * Each key has a role:
+ * - read: GET requests only, such as listing and exporting echoes
+ * - write: also predictions, imports, quiz answers and every other request that
+ *   changes something, except deleting echoes and the admin routes
+ * - admin: everything
+ *
+ * Requests without a known key get 401 Unauthorized; requests whose key
+ * lacks the role a route needs get 403 Forbidden.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { ERROR_CODES, httpStatus } = require('./errors.js');
+const { translator } = require('./i18n.js');
+
+// Roles, from least to most allowed
+const ROLES = ['read', 'write', 'admin'];
+
+// Methods that only read, so the read role may use them
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const API_KEY_HEADER = 'X-API-Key';
+const API_KEY_QUERY = 'api_key';
+
+/**
+ * Hashes a key, so keys are looked up without comparing their text
+ *
+ * @param {string} key - The key
+ * @returns {string} Its SHA-256 digest, in hex
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Checks whether a role includes another one
+ *
+ * @param {string} role - The role a request has
+ * @param {string} required - The role a route needs
+ * @returns {boolean} True if role is required or a more allowed one
+ */
+function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * The API keys a server accepts
+ */
+class ApiKeys {
+  /**
+   * @param {Object[]} [entries] - { key, role, name? } of each key
+   * @throws {Error} If a key is empty or a role unknown
+   */
+  constructor(entries = []) {
+    // Key digest → { role, name }
+    this.keys = new Map();
+    entries.forEach(entry => this.add(entry));
+  }
+
+  /**
+   * Accepts one more key
+   *
+   * @param {Object} entry - { key, role = 'read', name? }
+   * @throws {Error} If the key is empty or the role unknown
+   */
+  add({ key, role = 'read', name }) {
+    if (typeof key !== 'string' || key.trim() === '') {
+      throw new Error('API keys must be non-empty strings');
+    }
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown API key role "${role}"; use one of ${ROLES.join(', ')}`);
+    }
+    this.keys.set(hashKey(key.trim()), { role, name: name || role });
+  }
+
+  /**
+   * Whether keys are required at all
+   *
+   * @returns {boolean} True once a key is configured
+   */
+  get enabled() {
+    return this.keys.size > 0;
+  }
+
+  /**
+   * Looks up a key
+   *
+   * @param {string} [key] - The key a request sent
+   * @returns {Object|null} { role, name } of the key, or null if it is unknown
+   */
+  find(key) {
+    return typeof key === 'string' && key !== '' ? this.keys.get(hashKey(key.trim())) || null : null;
+  }
+
+  /**
+   * Counts the keys of each role
+   *
+   * @returns {Object} e.g. { read: 2, write: 0, admin: 1 }
+   */
+  countByRole() {
+    const counts = ROLES.reduce((all, role) => ({ ...all, [role]: 0 }), {});
+    this.keys.forEach(({ role }) => counts[role]++);
+    return counts;
+  }
+}
+
+/**
+ * Reads 'key:role' pairs, separated by commas
+ *
+ * @param {string} [text] - e.g. 'k3y:admin,an0ther:write'; a key without a role is read-only
+ * @returns {Object[]} { key, role } of each pair
+ */
+function parseApiKeyList(text) {
+  return String(text || '')
+    .split(',')
+    .map(pair => pair.trim())
+    .filter(pair => pair !== '')
+    .map(pair => {
+      const separator = pair.lastIndexOf(':');
+      return separator > 0
+        ? { key: pair.slice(0, separator), role: pair.slice(separator + 1).trim() }
+        : { key: pair, role: 'read' };
+    });
+}
+
+/**
+ * Reads the API keys from environment variables
+ * ECHO_API_KEYS holds 'key:role' pairs (see parseApiKeyList); ECHO_API_KEYS_FILE names a
+ * JSON file with a list of { key, role, name? }; ECHO_ADMIN_TOKEN is one more admin key.
+ * The sessions view used to be the only route ECHO_ADMIN_TOKEN protected; now that it is
+ * a key like the others, setting it alone makes every /api request need a key
+ *
+ * @param {Object} [env=process.env] - The environment
+ * @returns {ApiKeys} The keys; none if no variable is set
+ * @throws {Error} If the file cannot be read or holds an invalid key
+ */
+function apiKeysFromEnv(env = process.env) {
+  const entries = parseApiKeyList(env.ECHO_API_KEYS);
+
+  if (env.ECHO_API_KEYS_FILE) {
+    const listed = JSON.parse(fs.readFileSync(env.ECHO_API_KEYS_FILE, 'utf8'));
+    if (!Array.isArray(listed)) {
+      throw new Error(`${env.ECHO_API_KEYS_FILE} must hold a JSON list of { key, role, name }`);
+    }
+    entries.push(...listed);
+  }
+  if (env.ECHO_ADMIN_TOKEN) {
+    entries.push({ key: env.ECHO_ADMIN_TOKEN, role: 'admin', name: 'ECHO_ADMIN_TOKEN' });
+  }
+
+  return new ApiKeys(entries);
+}
+
+/**
+ * Finds the key a request sent
+ *
+ * @param {Object} req - The Express request
+ * @returns {string|undefined} The key, from the X-API-Key or Authorization header or the api_key query parameter
+ */
+function readApiKey(req) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  return req.get(API_KEY_HEADER) || (bearer ? bearer[1] : undefined) ||
+    (typeof req.query[API_KEY_QUERY] === 'string' ? req.query[API_KEY_QUERY] : undefined);
+}
+
+/**
+ * Answers a request that is not allowed
+ *
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {string} code - UNAUTHORIZED or FORBIDDEN
+ * @param {Object} [params] - Message parameters
+ */
+function refuse(req, res, code, params = {}) {
+  const t = req.t || translator(req.locale);
+  res.status(httpStatus(code)).json({
+    success: false,
+    message: t(`errors.${code}`, params),
+    error: { code }
+  });
+}
+
+/**
+ * Creates Express middleware that sets req.role from the request's API key
+ * Without configured keys every request gets the admin role
+ *
+ * @param {ApiKeys} apiKeys - The accepted keys
+ * @param {Object} [options]
+ * @param {string[]} [options.except=[]] - Paths anyone may request, relative to where the middleware is mounted
+ * @returns {Function} The middleware; it answers 401 to requests without a known key
+ */
+function authenticate(apiKeys, options = {}) {
+  const except = options.except || [];
+
+  return (req, res, next) => {
+    if (!apiKeys.enabled) {
+      req.role = 'admin';
+      return next();
+    }
+
+    const found = apiKeys.find(readApiKey(req));
+    if (found) {
+      req.role = found.role;
+      return next();
+    }
+    if (except.includes(req.path)) {
+      return next();
+    }
+
+    res.set('WWW-Authenticate', 'Bearer');
+    refuse(req, res, ERROR_CODES.UNAUTHORIZED);
+  };
+}
+
+/**
+ * Creates Express middleware that only lets requests with a role through
+ *
+ * @param {string} role - The role the route needs
+ * @returns {Function} The middleware; it answers 403 to requests whose key lacks the role
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.role, role)) {
+      return refuse(req, res, ERROR_CODES.FORBIDDEN, { role });
+    }
+    next();
+  };
+}
+
+/**
+ * Creates Express middleware that keeps read-only keys to reading
+ * GET, HEAD and OPTIONS requests pass; any other request needs the write role.
+ * Routes that need more, such as deletes, add requireRole('admin') as well
+ *
+ * @returns {Function} The middleware; it answers 403 to other requests whose key lacks the write role
+ */
+function requireWriteToChange() {
+  const write = requireRole('write');
+  return (req, res, next) => (READ_METHODS.includes(req.method) ? next() : write(req, res, next));
+}
+
+module.exports = {
+  ROLES,
+  READ_METHODS,
+  API_KEY_HEADER,
+  API_KEY_QUERY,
+  ApiKeys,
+  hasRole,
+  parseApiKeyList,
+  apiKeysFromEnv,
+  authenticate,
+  requireRole,
+  requireWriteToChange
+};
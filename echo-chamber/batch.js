@@ -0,0 +1,225 @@
+/**
+ * Echo Chamber - Batch Prediction
+ *
+ * Predicts many sequences in one go, for pipelines that would otherwise
+ * send thousands of requests. Every item is predicted on its own with
+ * EchoChamber.predictNext() (or predictMany() when it asks for a count),
+ * so one bad sequence only fails its own result, never the whole batch.
+ *
+ * An item is either a plain sequence or an object that can override the
+ * batch-wide options:
+ *
+ *   [3, 6, 9]
+ *   { "sequence": ["1/3", "2/3", "1"], "mode": "exact", "count": 2 }
+ */
+
+const { decodeBigInt } = require('./number-systems.js');
+const { ERROR_CODES } = require('./errors.js');
+const { errorMessage, translate } = require('./i18n.js');
+
+// Largest number of items accepted in one JSON batch (streams are limited by their size in bytes)
+const MAX_BATCH_SIZE = 1000;
+
+/**
+ * Predicts a single batch item
+ *
+ * @param {EchoChamber} chamber - The chamber to predict with (and record echoes in)
+ * @param {Array|Object} item - A sequence, or { sequence, count?, mode?, tolerance? }
+ * @param {number} index - Position of the item in the batch, copied into the result
+ * @param {Object} [defaults] - { count, mode, tolerance } for items that do not set them, and
+ *                              the locale of the messages (items cannot change it); unexpected
+ *                              errors are logged to defaults.log, and their results carry
+ *                              defaults.requestId
+ * @returns {Object} { index, ...the result of predictNext() or predictMany() }
+ */
+function predictBatchItem(chamber, item, index, defaults = {}) {
+  const failure = (code, params) => ({
+    index,
+    success: false,
+    nextNumber: null,
+    message: errorMessage(defaults.locale, code, params),
+    error: { code }
+  });
+
+  const isObject = item !== null && typeof item === 'object' && !Array.isArray(item);
+  if (!Array.isArray(item) && !(isObject && Array.isArray(item.sequence))) {
+    return failure(ERROR_CODES.INVALID_ITEM);
+  }
+
+  const settings = isObject ? { ...defaults, ...item, locale: defaults.locale } : defaults;
+  const sequence = (isObject ? item.sequence : item).map(decodeBigInt);
+  const options = { mode: settings.mode, tolerance: settings.tolerance, locale: settings.locale };
+
+  try {
+    const result = settings.count === undefined
+      ? chamber.predictNext(sequence, options)
+      : chamber.predictMany(sequence, settings.count, options);
+    return { index, ...result };
+  } catch (error) {
+    // The error's message is for the server log only, as it can reveal the server's internals
+    if (defaults.log) {
+      defaults.log.error('internal error', { error, index });
+    }
+    const result = failure(ERROR_CODES.INTERNAL_ERROR);
+    if (defaults.requestId !== undefined) {
+      result.error.requestId = defaults.requestId;
+    }
+    return result;
+  }
+}
+
+/**
+ * Predicts one line of an NDJSON stream
+ *
+ * @param {EchoChamber} chamber - The chamber to predict with
+ * @param {string} line - The line, holding one JSON item
+ * @param {number} index - Position of the item in the stream
+ * @param {Object} [defaults] - As for predictBatchItem()
+ * @returns {Object} The item's result, or an error result if the line is not valid JSON
+ */
+function predictNdjsonLine(chamber, line, index, defaults = {}) {
+  let item;
+  try {
+    item = JSON.parse(line);
+  } catch (error) {
+    return {
+      index,
+      success: false,
+      nextNumber: null,
+      message: errorMessage(defaults.locale, ERROR_CODES.INVALID_JSON, { detail: error.message }),
+      error: { code: ERROR_CODES.INVALID_JSON }
+    };
+  }
+  return predictBatchItem(chamber, item, index, defaults);
+}
+
+/**
+ * Predicts every item of a batch
+ *
+ * @param {EchoChamber} chamber - The chamber to predict with
+ * @param {Array} items - The batch items
+ * @param {Object} [defaults] - As for predictBatchItem()
+ * @returns {Object} { success: boolean, results: Object[], succeeded: number, failed: number, message: string, error?: Object }
+ *                   success is false only if the batch itself is unusable, not when items fail
+ */
+function predictBatch(chamber, items, defaults = {}) {
+  if (!Array.isArray(items)) {
+    return {
+      success: false,
+      results: [],
+      succeeded: 0,
+      failed: 0,
+      message: errorMessage(defaults.locale, ERROR_CODES.INVALID_BATCH),
+      error: { code: ERROR_CODES.INVALID_BATCH }
+    };
+  }
+  if (items.length > MAX_BATCH_SIZE) {
+    return {
+      success: false,
+      results: [],
+      succeeded: 0,
+      failed: 0,
+      message: errorMessage(defaults.locale, ERROR_CODES.BATCH_TOO_LARGE, { max: MAX_BATCH_SIZE }),
+      error: { code: ERROR_CODES.BATCH_TOO_LARGE, value: items.length }
+    };
+  }
+
+  const results = items.map((item, index) => predictBatchItem(chamber, item, index, defaults));
+  const succeeded = results.filter(result => result.success).length;
+
+  return {
+    success: true,
+    results,
+    succeeded,
+    failed: results.length - succeeded,
+    message: translate(defaults.locale, 'batch.predicted', { succeeded, total: results.length })
+  };
+}
+
+/**
+ * Splits an NDJSON body into lines as its chunks arrive
+ * Only the unfinished line is kept between chunks, and it may not grow past
+ * maxLineBytes, so a client cannot fill the memory with a line that never ends
+ */
+class NdjsonLines {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxLineBytes=Infinity] - Longest line allowed, in bytes
+   * @param {number} [options.maxBytes=Infinity] - Largest body allowed, in bytes
+   * @throws {RangeError} If a limit is given but is not a positive number
+   */
+  constructor(options = {}) {
+    this.maxLineBytes = options.maxLineBytes !== undefined ? options.maxLineBytes : Infinity;
+    this.maxBytes = options.maxBytes !== undefined ? options.maxBytes : Infinity;
+    if (!(this.maxLineBytes > 0) || !(this.maxBytes > 0)) {
+      throw new RangeError('NDJSON size limits must be positive numbers of bytes');
+    }
+    this.bytes = 0;
+    // Pieces of the line that has not ended yet, and their size
+    this.pending = [];
+    this.pendingBytes = 0;
+  }
+
+  /**
+   * Takes the next chunk of the body
+   *
+   * @param {Buffer} chunk - The chunk
+   * @returns {string[]|null} The lines it completes, without their line breaks, or null once the
+   *                          body or a line is over its limit
+   */
+  push(chunk) {
+    this.bytes += chunk.length;
+    if (this.bytes > this.maxBytes) {
+      return null;
+    }
+
+    const lines = [];
+    let start = 0;
+    let end = chunk.indexOf(0x0a);
+    while (end !== -1) {
+      if (this.pendingBytes + end - start > this.maxLineBytes) {
+        return null;
+      }
+      this.pending.push(chunk.slice(start, end));
+      lines.push(this.takeLine());
+      start = end + 1;
+      end = chunk.indexOf(0x0a, start);
+    }
+
+    this.pendingBytes += chunk.length - start;
+    if (this.pendingBytes > this.maxLineBytes) {
+      return null;
+    }
+    this.pending.push(chunk.slice(start));
+    return lines;
+  }
+
+  /**
+   * Takes the end of the body
+   *
+   * @returns {string[]} The last line, if the body does not end with a line break
+   */
+  end() {
+    return this.pendingBytes > 0 ? [this.takeLine()] : [];
+  }
+
+  /**
+   * Joins the pieces of the pending line and starts a new one
+   *
+   * @returns {string} The line, without a trailing carriage return
+   */
+  takeLine() {
+    const line = Buffer.concat(this.pending).toString('utf8').replace(/\r$/, '');
+    this.pending = [];
+    this.pendingBytes = 0;
+    return line;
+  }
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  NdjsonLines,
+  predictBatch,
+  predictBatchItem,
+  predictNdjsonLine
+};
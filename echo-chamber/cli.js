@@ -0,0 +1,292 @@
+/**
+ * Echo Chamber - Command Line
+ *
+ * Runs the chamber without the interactive menu, so it can be scripted:
+ *
+ *   echo-chamber predict 3,6,9                → 12
+ *   echo-chamber predict --count 3 1,1,2,3,5  → 8,13,21
+ *   echo-chamber validate --file seqs.txt
+ *   cat seqs.txt | echo-chamber predict --json
+ *   echo-chamber memories --json              → the JSON export (see memory-export.js)
+ *
+ * - Sequences come from the arguments, one per argument, or else from --file
+ *   or standard input, one per line. Numbers are separated by commas or spaces
+ * - Results go to standard output, one line per sequence; sequences that fail
+ *   go to standard error with their message, so only answers are piped on.
+ *   --json writes every result, failed or not, as one JSON object per line
+ * - The exit code tells how it went (see EXIT_CODES)
+ *
+ * index.js runs this instead of the menu when it is given a command.
+ */
+
+const fs = require('fs');
+const { MAX_PREDICTION_COUNT, EchoChamber } = require('./index.js');
+const { DEFAULT_MODE, createNumberSystem, parseSequenceInput, bigintReplacer } = require('./number-systems.js');
+const { createStorage, storageConfigFromEnv } = require('./storage.js');
+const { ERROR_CODES } = require('./errors.js');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, resolveLocale, translator, errorMessage, parseLangOption } = require('./i18n.js');
+
+// Exit codes of runCli()
+const EXIT_CODES = Object.freeze({
+  OK: 0,
+  // A sequence has no known pattern, or is not a sequence of numbers
+  FAILED: 1,
+  // Wrong usage: unknown command or option, no input, or an unreadable file
+  USAGE: 2
+});
+
+// Options of each command; --lang and --help are accepted by all of them
+const COMMANDS = {
+  predict: ['mode', 'count', 'file', 'json'],
+  validate: ['mode', 'file', 'json'],
+  memories: ['json', 'csv'],
+  help: []
+};
+
+// Options followed by a value; the others are flags
+const VALUE_OPTIONS = ['mode', 'count', 'file', 'lang'];
+
+/**
+ * Tells whether command-line arguments ask for a command rather than the interactive menu
+ * Only --lang (and its value) leaves the menu in charge
+ *
+ * @param {string[]} args - The arguments, e.g. process.argv.slice(2)
+ * @returns {boolean} True if runCli() should handle them
+ */
+function hasCommand(args) {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--lang') {
+      i++;
+    } else if (!args[i].startsWith('--lang=')) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Reads command-line arguments
+ * Arguments starting with "--" are options, as is -h; "-" stands for standard input,
+ * and anything else is a sequence, negative numbers such as -3,-6 included
+ *
+ * @param {string[]} args - The arguments, e.g. process.argv.slice(2)
+ * @returns {Object} { command, options, sequences, error }, error being { key, params } of a cli.commands message, or null
+ */
+function parseCliArgs(args) {
+  const parsed = { command: null, options: {}, sequences: [], error: null };
+  const fail = (key, params = {}) => {
+    parsed.error = parsed.error || { key, params };
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--help' || arg === '-h') {
+      parsed.options.help = true;
+    } else if (arg.startsWith('--') && arg.length > 2) {
+      const equals = arg.indexOf('=');
+      const name = arg.slice(2, equals === -1 ? undefined : equals);
+      if (!VALUE_OPTIONS.includes(name)) {
+        parsed.options[name] = true;
+      } else if (equals !== -1) {
+        parsed.options[name] = arg.slice(equals + 1);
+      } else if (i + 1 < args.length) {
+        parsed.options[name] = args[++i];
+      } else {
+        fail('missingValue', { option: arg });
+      }
+    } else if (parsed.command === null) {
+      parsed.command = arg;
+    } else {
+      parsed.sequences.push(arg);
+    }
+  }
+
+  if (parsed.options.help || parsed.command === null) {
+    parsed.command = 'help';
+  }
+  if (!Object.prototype.hasOwnProperty.call(COMMANDS, parsed.command)) {
+    fail('unknownCommand', { command: parsed.command });
+    return parsed;
+  }
+
+  const unknown = Object.keys(parsed.options)
+    .find(name => name !== 'lang' && name !== 'help' && !COMMANDS[parsed.command].includes(name));
+  if (unknown) {
+    fail('unknownOption', { option: `--${unknown}`, command: parsed.command });
+  }
+  if (parsed.command === 'memories' && parsed.sequences.length > 0) {
+    fail('unexpectedArgument', { argument: parsed.sequences[0], command: parsed.command });
+  }
+  if (parsed.options.json && parsed.options.csv) {
+    fail('conflictingFormats');
+  }
+  return parsed;
+}
+
+/**
+ * Splits text into the sequences it holds, one per line
+ * Blank lines and lines starting with "#" are skipped
+ *
+ * @param {string} text - The text of a file or of standard input
+ * @param {string} name - Where the text comes from, e.g. 'seqs.txt' or 'stdin'
+ * @returns {Object[]} { source, text } of each sequence, source being e.g. 'seqs.txt:3'
+ */
+function sequenceLines(text, name) {
+  const lines = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed !== '' && !trimmed.startsWith('#')) {
+      lines.push({ source: `${name}:${index + 1}`, text: trimmed });
+    }
+  });
+  return lines;
+}
+
+/**
+ * Reads a sequence typed as text
+ * Numbers are separated by commas or, if there are none, by spaces; brackets around them are ignored.
+ * Fractions switch to the exact mode and very large whole numbers to the bigint mode, unless a mode was given.
+ * Text that is not all numbers is passed on as it is, for the chamber to say which element is wrong
+ *
+ * @param {string} text - e.g. '3, 6, 9', '3 6 9' or '[1/3, 2/3, 1]'
+ * @param {string} [mode] - The mode asked for with --mode
+ * @returns {Object} { sequence, mode } to hand to the chamber
+ */
+function readSequence(text, mode) {
+  const inner = text.trim().replace(/^\[/, '').replace(/\]$/, '').trim();
+  const commaSeparated = inner.includes(',') ? inner : inner.split(/\s+/).join(',');
+
+  try {
+    const parsed = parseSequenceInput(commaSeparated, mode || DEFAULT_MODE);
+    if (mode) {
+      return { sequence: parsed.sequence, mode };
+    }
+    return {
+      sequence: parsed.sequence,
+      mode: parsed.hasFractions ? 'exact' : parsed.hasLargeIntegers ? 'bigint' : undefined
+    };
+  } catch (error) {
+    return { sequence: commaSeparated.split(',').map(part => part.trim()), mode };
+  }
+}
+
+/**
+ * Runs a command
+ *
+ * @param {string[]} args - The arguments, e.g. process.argv.slice(2)
+ * @param {Object} [io] - Where input comes from and output goes; the process's own by default
+ * @param {Object} [io.stdout] - Has write(text)
+ * @param {Object} [io.stderr] - Has write(text)
+ * @param {Function} [io.readStdin] - Returns all of standard input as text
+ * @param {boolean} [io.stdinIsTTY] - Whether standard input is a terminal, which is not read unless asked with "-"
+ * @param {Function} [io.readFile] - Returns the text of a file
+ * @param {Object} [io.env] - Environment variables: ECHO_LANG, and the storage ones of storage.js
+ * @param {Object} [io.storage] - Where the chamber keeps its echoes; picked from io.env by default
+ * @returns {number} The exit code (see EXIT_CODES)
+ */
+function runCli(args, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const env = io.env || process.env;
+  const print = text => stdout.write(`${text}\n`);
+  const printError = text => stderr.write(`${text}\n`);
+
+  const lang = parseLangOption(args) || env.ECHO_LANG;
+  const locale = resolveLocale(lang) || DEFAULT_LOCALE;
+  const t = translator(locale);
+  if (lang && !resolveLocale(lang)) {
+    printError(translator(DEFAULT_LOCALE)('cli.unknownLanguage', { lang, locales: SUPPORTED_LOCALES.join(', ') }));
+  }
+
+  const parsed = parseCliArgs(args);
+  const { command, options } = parsed;
+  if (parsed.error) {
+    printError(t(`cli.commands.${parsed.error.key}`, parsed.error.params));
+    return EXIT_CODES.USAGE;
+  }
+  if (command === 'help') {
+    print(t('cli.commands.usage'));
+    return EXIT_CODES.OK;
+  }
+
+  if (options.mode !== undefined && !createNumberSystem(options.mode)) {
+    printError(errorMessage(locale, ERROR_CODES.UNKNOWN_MODE, { value: options.mode }));
+    return EXIT_CODES.USAGE;
+  }
+  const count = options.count === undefined ? 1 : Number(options.count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_PREDICTION_COUNT) {
+    printError(errorMessage(locale, ERROR_CODES.INVALID_COUNT, { max: MAX_PREDICTION_COUNT }));
+    return EXIT_CODES.USAGE;
+  }
+
+  const chamber = new EchoChamber({ storage: io.storage || createStorage(storageConfigFromEnv(env)), locale });
+
+  if (command === 'memories') {
+    const memories = chamber.getMemories();
+    if (options.json || options.csv) {
+      stdout.write(chamber.exportMemories(options.json ? 'json' : 'csv'));
+    } else {
+      memories.forEach(memory => print([
+        memory.predictionIndex,
+        memory.sequence.join(','),
+        memory.nextNumber,
+        memory.pattern
+      ].join('\t')));
+    }
+    return EXIT_CODES.OK;
+  }
+
+  // predict and validate: gather the sequences
+  let inputs = parsed.sequences.filter(text => text !== '-').map(text => ({ source: text, text }));
+  const readStdin = parsed.sequences.includes('-') || options.file === '-' ||
+    (inputs.length === 0 && options.file === undefined && !(io.stdinIsTTY !== undefined ? io.stdinIsTTY : process.stdin.isTTY));
+  try {
+    if (options.file !== undefined && options.file !== '-') {
+      const readFile = io.readFile || (file => fs.readFileSync(file, 'utf8'));
+      inputs = inputs.concat(sequenceLines(readFile(options.file), options.file));
+    }
+    if (readStdin) {
+      inputs = inputs.concat(sequenceLines((io.readStdin || (() => fs.readFileSync(0, 'utf8')))(), 'stdin'));
+    }
+  } catch (error) {
+    printError(t('cli.commands.readError', { file: options.file || 'stdin', message: error.message }));
+    return EXIT_CODES.USAGE;
+  }
+  if (inputs.length === 0) {
+    printError(t('cli.commands.noInput'));
+    return EXIT_CODES.USAGE;
+  }
+
+  let failed = 0;
+  inputs.forEach(input => {
+    const { sequence, mode } = readSequence(input.text, options.mode);
+    const result = command === 'predict'
+      ? (count === 1 ? chamber.predictNext(sequence, { mode }) : chamber.predictMany(sequence, count, { mode }))
+      : chamber.validateSequence(sequence, { mode });
+    const success = command === 'predict' ? result.success : result.isValid;
+
+    if (!success) {
+      failed++;
+    }
+    if (options.json) {
+      print(JSON.stringify({ input: input.text, ...result }, bigintReplacer));
+    } else if (!success) {
+      printError(`${input.source}: ${result.message}`);
+    } else if (command === 'predict') {
+      print(count === 1 ? String(result.nextNumber) : result.nextNumbers.join(','));
+    } else {
+      print(`${input.source}: ${result.message}`);
+    }
+  });
+
+  return failed > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+}
+
+module.exports = {
+  EXIT_CODES,
+  hasCommand,
+  parseCliArgs,
+  readSequence,
+  runCli
+};
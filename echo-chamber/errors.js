@@ -0,0 +1,103 @@
+/**
+ * Echo Chamber - Error Codes
+ *
+ * Failed results carry an `error` object next to their human-readable
+ * `message`, so clients can tell failures apart without matching text:
+ *
+ *   {
+ *     success: false,
+ *     message: '❌ Error: All elements must be valid numbers',
+ *     error: { code: 'NON_NUMERIC', index: 2, value: 'abc' }
+ *   }
+ *
+ * `code` is always present and never changes for a given kind of failure.
+ * Depending on the code, the error also names the offending `index` (a
+ * position in the sequence), `value` or query or request `field`.
+ */
+
+const ERROR_CODES = Object.freeze({
+  // Sequence input (analyseSequence and everything built on it)
+  NOT_ARRAY: 'NOT_ARRAY',
+  TOO_SHORT: 'TOO_SHORT',
+  TOO_LONG: 'TOO_LONG',
+  INVALID_TOLERANCE: 'INVALID_TOLERANCE',
+  UNKNOWN_MODE: 'UNKNOWN_MODE',
+  NON_NUMERIC: 'NON_NUMERIC',
+  NOT_WHOLE_NUMBER: 'NOT_WHOLE_NUMBER',
+  UNSAFE_INTEGER: 'UNSAFE_INTEGER',
+  NO_PATTERN: 'NO_PATTERN',
+
+  // Prediction options
+  INVALID_COUNT: 'INVALID_COUNT',
+  INVALID_TERM_INDEX: 'INVALID_TERM_INDEX',
+  TERM_OUT_OF_RANGE: 'TERM_OUT_OF_RANGE',
+
+  // Memories
+  INVALID_QUERY: 'INVALID_QUERY',
+  INVALID_ECHO_INDEX: 'INVALID_ECHO_INDEX',
+  ECHO_NOT_FOUND: 'ECHO_NOT_FOUND',
+  NOTHING_TO_RESTORE: 'NOTHING_TO_RESTORE',
+  UNKNOWN_FORMAT: 'UNKNOWN_FORMAT',
+  INVALID_IMPORT: 'INVALID_IMPORT',
+  NOT_A_RECORD: 'NOT_A_RECORD',
+  MISSING_NEXT_NUMBER: 'MISSING_NEXT_NUMBER',
+  NEXT_NUMBER_MISMATCH: 'NEXT_NUMBER_MISMATCH',
+  PATTERN_MISMATCH: 'PATTERN_MISMATCH',
+  INVALID_QUIZ: 'INVALID_QUIZ',
+
+  // Batches
+  INVALID_BATCH: 'INVALID_BATCH',
+  BATCH_TOO_LARGE: 'BATCH_TOO_LARGE',
+  INVALID_ITEM: 'INVALID_ITEM',
+  INVALID_JSON: 'INVALID_JSON',
+
+  // Quiz
+  UNKNOWN_DIFFICULTY: 'UNKNOWN_DIFFICULTY',
+  INVALID_GUESS: 'INVALID_GUESS',
+  QUESTION_NOT_FOUND: 'QUESTION_NOT_FOUND',
+
+  // HTTP
+  SEQUENCE_REQUIRED: 'SEQUENCE_REQUIRED',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  RATE_LIMITED: 'RATE_LIMITED',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+});
+
+// HTTP status for each code that is not a plain 400 Bad Request
+const HTTP_STATUS = {
+  // The request was well-formed, but the sequence cannot be predicted
+  NO_PATTERN: 422,
+  TERM_OUT_OF_RANGE: 422,
+  NEXT_NUMBER_MISMATCH: 422,
+  PATTERN_MISMATCH: 422,
+  TOO_LONG: 413,
+  BATCH_TOO_LARGE: 413,
+  PAYLOAD_TOO_LARGE: 413,
+  RATE_LIMITED: 429,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  ECHO_NOT_FOUND: 404,
+  NOTHING_TO_RESTORE: 404,
+  QUESTION_NOT_FOUND: 404,
+  NOT_FOUND: 404,
+  INTERNAL_ERROR: 500
+};
+
+/**
+ * Maps an error code to the HTTP status the server answers with
+ *
+ * @param {string} code - One of ERROR_CODES
+ * @returns {number} The HTTP status, 400 unless the code has its own
+ */
+function httpStatus(code) {
+  return HTTP_STATUS[code] || 400;
+}
+
+module.exports = {
+  ERROR_CODES,
+  httpStatus
+};
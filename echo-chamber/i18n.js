@@ -0,0 +1,207 @@
+/**
+ * Echo Chamber - Translations
+ *
+ * User-facing text lives in message catalogs, one JSON file per locale in
+ * locales/ (locales/en.json has every key). Messages are looked up by a
+ * dotted key and may contain {placeholders}:
+ *
+ *   translate('it-IT', 'chamber.next', { value: 15 })
+ *   // '✓ Il prossimo numero della sequenza è: 15'
+ *
+ * A message can also come in a singular and a plural form,
+ * { "one": "...", "other": "..." }, picked by the `count` parameter.
+ *
+ * Messages missing from a catalog fall back to English, so a partial
+ * translation never shows a bare key. Error codes, pattern names and
+ * other identifiers in results are never translated (see errors.js).
+ */
+
+const DEFAULT_LOCALE = 'en';
+
+const CATALOGS = {
+  en: require('./locales/en.json'),
+  'it-IT': require('./locales/it-IT.json')
+};
+
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+/**
+ * Finds the supported locale for a language tag
+ * Tags are matched case-insensitively, first exactly and then by language,
+ * so 'it', 'it_IT' and 'it-CH' all select 'it-IT'
+ *
+ * @param {string} tag - A language tag such as 'it-IT' or 'en-GB'
+ * @returns {string|null} The supported locale, or null if there is none for the tag
+ */
+function resolveLocale(tag) {
+  if (typeof tag !== 'string' || tag.trim() === '') {
+    return null;
+  }
+  const wanted = tag.trim().replace(/_/g, '-').toLowerCase();
+  const language = wanted.split('-')[0];
+
+  return SUPPORTED_LOCALES.find(locale => locale.toLowerCase() === wanted) ||
+    SUPPORTED_LOCALES.find(locale => locale.toLowerCase().split('-')[0] === language) ||
+    null;
+}
+
+/**
+ * Picks the locale for an HTTP Accept-Language header
+ * Example: 'it-CH, fr;q=0.9, en;q=0.8' → 'it-IT'
+ *
+ * @param {string} [header] - The header value
+ * @returns {string} The best supported locale, DEFAULT_LOCALE if none is acceptable
+ */
+function negotiateLocale(header) {
+  const ranges = String(header || '')
+    .split(',')
+    .map((part, position) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params
+        .map(param => param.trim().match(/^q=([\d.]+)$/))
+        .filter(Boolean)
+        .map(match => Number(match[1]))[0];
+      return { tag, quality: quality === undefined ? 1 : quality, position };
+    })
+    .filter(range => range.tag && range.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.position - b.position);
+
+  for (const range of ranges) {
+    const locale = resolveLocale(range.tag);
+    if (locale) {
+      return locale;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Looks up a dotted key in a catalog
+ *
+ * @param {Object} catalog - The catalog
+ * @param {string} key - e.g. 'errors.TOO_SHORT'
+ * @returns {*} The message, or undefined if the catalog lacks it
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce(
+    (node, part) => (node !== null && typeof node === 'object' ? node[part] : undefined),
+    catalog
+  );
+}
+
+/**
+ * Translates a message
+ *
+ * @param {string} [locale] - A locale or language tag; unsupported ones get English
+ * @param {string} key - The message key, e.g. 'errors.TOO_SHORT'
+ * @param {Object} [params] - Values for the message's {placeholders}; `count` also picks the plural form
+ * @returns {string} The message, or the key itself if no catalog has it
+ */
+function translate(locale, key, params = {}) {
+  const catalog = CATALOGS[resolveLocale(locale) || DEFAULT_LOCALE];
+  let message = lookup(catalog, key);
+  if (message === undefined) {
+    message = lookup(CATALOGS[DEFAULT_LOCALE], key);
+  }
+
+  if (message !== null && typeof message === 'object' && message.other !== undefined) {
+    message = params.count === 1 && message.one !== undefined ? message.one : message.other;
+  }
+  if (typeof message !== 'string') {
+    return key;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] === undefined ? placeholder : String(params[name])
+  );
+}
+
+/**
+ * Creates a translate function bound to a locale
+ *
+ * @param {string} [locale] - A locale or language tag
+ * @returns {Function} (key, params) => string
+ */
+function translator(locale) {
+  return (key, params) => translate(locale, key, params);
+}
+
+/**
+ * Translates an error code into the message of a failed result
+ * Example: ('en', 'TOO_SHORT') → '❌ Error: Sequence must contain at least 2 numbers'
+ *
+ * @param {string} [locale] - A locale or language tag
+ * @param {string} code - One of ERROR_CODES (see errors.js)
+ * @param {Object} [params] - Values for the message's placeholders
+ * @returns {string} The message
+ */
+function errorMessage(locale, code, params) {
+  return translate(locale, 'common.error', { message: translate(locale, `errors.${code}`, params) });
+}
+
+/**
+ * Collects the web interface messages of a locale, with English for any it lacks
+ *
+ * @param {string} [locale] - A locale or language tag
+ * @returns {{ locale: string, messages: Object }} The supported locale and its messages
+ */
+function webMessages(locale) {
+  const resolved = resolveLocale(locale) || DEFAULT_LOCALE;
+  const merge = (fallback, messages) => Object.keys(fallback).reduce((merged, key) => {
+    const value = messages ? messages[key] : undefined;
+    merged[key] = typeof fallback[key] === 'object'
+      ? merge(fallback[key], value)
+      : (typeof value === 'string' ? value : fallback[key]);
+    return merged;
+  }, {});
+
+  return {
+    locale: resolved,
+    messages: merge(CATALOGS[DEFAULT_LOCALE].web, CATALOGS[resolved].web)
+  };
+}
+
+/**
+ * Reads the --lang option from command-line arguments
+ * Both "--lang it-IT" and "--lang=it-IT" are accepted
+ *
+ * @param {string[]} args - The arguments, e.g. process.argv.slice(2)
+ * @returns {string|undefined} The requested language tag, if any
+ */
+function parseLangOption(args) {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--lang') {
+      return args[i + 1];
+    }
+    if (args[i].startsWith('--lang=')) {
+      return args[i].slice('--lang='.length);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Centres a line between the borders of a console box
+ * Translations differ in length, so banner titles cannot be padded by hand
+ *
+ * @param {string} text - The line
+ * @param {number} [width=60] - Inner width of the box
+ * @returns {string} The line with its borders, e.g. '║   text   ║'
+ */
+function boxLine(text, width = 60) {
+  const left = Math.max(0, Math.floor((width - text.length) / 2));
+  return `║${' '.repeat(left)}${text}${' '.repeat(Math.max(0, width - left - text.length))}║`;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  negotiateLocale,
+  translate,
+  translator,
+  errorMessage,
+  webMessages,
+  parseLangOption,
+  boxLine
+};
@@ -7,121 +7,563 @@
  * must understand and predict arithmetic progression patterns in magical sequences.
  * 
  * Features:
- * - Sequence predictor for arithmetic progressions
+ * - Sequence predictor for arithmetic, geometric, polynomial and linear recurrence patterns
+ * - Pluggable pattern detection (see patterns.js)
  * - Input validation for valid sequences
  * - Memory tracking of previous predictions (echoes)
+ * - A quiz that asks the player for the next number (see quiz.js)
  * - Comprehensive error handling
  * - Interactive console interface with story context
+ * - Commands for scripts and shell pipelines, e.g. echo-chamber predict 3,6,9 (see cli.js)
+ * - Messages in English and Italian (see i18n.js)
+ * - Events announcing every change to the memories (see live-events.js)
  */
 
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { defaultPatterns, differenceTable } = require('./patterns.js');
+const {
+  DEFAULT_MODE,
+  DEFAULT_TOLERANCE,
+  Rational,
+  createNumberSystem,
+  toOutput,
+  parseSequenceInput
+} = require('./number-systems.js');
+const {
+  SCHEMA_VERSION,
+  MemoryStore,
+  createStorage,
+  storageConfigFromEnv
+} = require('./storage.js');
+const { queryMemories } = require('./memory-query.js');
+const { EXPORT_FORMATS, exportMemories } = require('./memory-export.js');
+const { DIFFICULTIES, DEFAULT_DIFFICULTY, Quiz, quizPoints, quizStats, readQuizAnswer } = require('./quiz.js');
+const { ERROR_CODES } = require('./errors.js');
+const { DEFAULT_LIMITS } = require('./limits.js');
+const {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  translator,
+  errorMessage,
+  parseLangOption,
+  boxLine
+} = require('./i18n.js');
+
+// Upper bound for predictMany(), so a single request cannot build a huge array
+const MAX_PREDICTION_COUNT = 100;
+
+// Highest order of differences an explanation shows; deeper rows teach little and grow large on long sequences
+const MAX_EXPLAINED_ORDER = 10;
+
+// Console menu entries, in the order of their numbers (message keys cli.menu.*)
+const MENU_ITEMS = ['predict', 'memories', 'tests', 'clear', 'export', 'quiz', 'exit'];
+
+/**
+ * Formats pattern parameters for console output
+ * Example: { ratio: 2 } → "ratio = 2"
+ *
+ * @param {Object} parameters - Parameters returned by a pattern detector
+ * @returns {string} Formatted parameters
+ */
+function formatParameters(parameters) {
+  return Object.entries(parameters || {})
+    .map(([key, value]) => `${key} = ${Array.isArray(value) ? `[${value.join(', ')}]` : value}`)
+    .join(', ');
+}
+
+/**
+ * Builds the difference table shown by explanations
+ * Rows stop at the first constant row of differences, or at MAX_EXPLAINED_ORDER
+ *
+ * @param {Array} values - The parsed sequence
+ * @param {Object} num - Its number system
+ * @returns {Array[]} The sequence, then its differences of each order, as output values
+ */
+function explainedDifferences(values, num) {
+  const table = differenceTable(values, num, MAX_EXPLAINED_ORDER);
+  const constant = table.findIndex((row, order) => order > 0 && row.every(value => num.equals(value, row[0])));
+  return table
+    .slice(0, constant === -1 ? table.length : constant + 1)
+    .map(row => row.map(value => num.toOutput(value)));
+}
+
+/**
+ * Explains why a pattern fits a sequence or not, as one step of an explanation
+ * Patterns without an explain() method (see patterns.js) get a generic sentence
+ *
+ * @param {Object} pattern - The pattern
+ * @param {Array} values - The parsed sequence
+ * @param {Object|null} parameters - What the pattern detected, or null if it does not fit
+ * @param {Object} num - The number system of the sequence
+ * @param {Function} t - Translate function
+ * @returns {Object} { pattern, matched, message, index? }
+ */
+function explainPattern(pattern, values, parameters, num, t) {
+  let reason;
+  if (pattern.explain) {
+    reason = pattern.explain(values, parameters, num, t);
+  } else if (parameters) {
+    const description = pattern.describe ? pattern.describe(parameters, num, t) : pattern.name;
+    reason = { message: t('explain.matched', { description }) };
+  } else {
+    reason = { message: t('explain.rejected', { name: pattern.name }) };
+  }
+  return { pattern: pattern.name, matched: Boolean(parameters), ...reason };
+}
+
+/**
+ * Copies the explanation of a validation, if it has one, into a prediction result
+ *
+ * @param {Object} result - The prediction result
+ * @param {Object} validation - The validation it was made from
+ * @returns {Object} The result
+ */
+function withExplanation(result, validation) {
+  if (validation.explanation) {
+    result.explanation = validation.explanation;
+  }
+  return result;
+}
+
+/**
+ * Picks the number mode for re-predicting an imported sequence
+ * Text values ("1/3", or whole numbers written by the exact mode) are
+ * predicted exactly; otherwise the chamber's own mode applies
+ *
+ * @param {*} sequence - The imported sequence
+ * @returns {string|undefined} 'exact', or undefined for the chamber default
+ */
+function importMode(sequence) {
+  return Array.isArray(sequence) && sequence.some(value => typeof value === 'string') ? 'exact' : undefined;
+}
+
 /**
  * EchoChamber Class - Encapsulates all sequence prediction logic
+ *
+ * Changes to the memories are announced as events:
+ * - 'echo' (echo): a prediction or an imported echo was recorded
+ * - 'echoDeleted' ({ predictionIndex }): a single echo was deleted
+ * - 'memoriesCleared' ({}): all echoes were cleared
+ * - 'memoriesRestored' ({ count }): the echoes of the last clear were restored
+ *
+ * Every outcome of predictNext() and predictMany() is announced too:
+ * - 'prediction' ({ success, pattern, code }): pattern on success, the error code on failure
+ *
+ * chamber.quiz asks questions about made-up sequences and records the answers as echoes (see quiz.js).
  */
-class EchoChamber {
-  constructor() {
+class EchoChamber extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Object[]} [options.patterns] - Pattern detectors to use instead of the defaults (see patterns.js)
+   * @param {string} [options.mode='tolerant'] - Default number mode: 'strict', 'tolerant', 'exact' or 'bigint' (see number-systems.js)
+   * @param {number} [options.tolerance=1e-9] - Default relative tolerance for the tolerant mode
+   * @param {Object} [options.storage] - Where echoes are kept, a MemoryStore by default (see storage.js)
+   * @param {string} [options.locale='en'] - Language of result messages, e.g. 'it-IT' (see i18n.js)
+   * @param {number} [options.maxSequenceLength=1000] - Longest sequence accepted; Infinity for no limit
+   * @param {Function} [options.random=Math.random] - Source of the quiz's random sequences, for tests
+   * @throws {RangeError} If maxSequenceLength is not a whole number of at least 1 or Infinity
+   */
+  constructor(options = {}) {
+    super();
+    // Every open web page of a session listens, so there is no sensible listener limit
+    this.setMaxListeners(0);
     // Store memories of all echoes (previous predictions)
-    this.echoMemories = [];
-    // Track the number of predictions made
-    this.predictionCount = 0;
+    this.storage = options.storage || new MemoryStore();
+    // Track the number of predictions made, continuing from any stored echoes
+    this.predictionCount = this.storage.getAll()
+      .reduce((highest, memory) => Math.max(highest, memory.predictionIndex || 0), 0);
+    // Pattern detectors, tried in order until one matches
+    this.patterns = options.patterns ? [...options.patterns] : defaultPatterns();
+    // How numbers are compared and computed unless a call says otherwise
+    this.mode = options.mode || DEFAULT_MODE;
+    this.tolerance = options.tolerance !== undefined ? options.tolerance : DEFAULT_TOLERANCE;
+    // Language of messages unless a call says otherwise
+    this.locale = options.locale || DEFAULT_LOCALE;
+    // Longer sequences are refused before any work is done on them
+    this.maxSequenceLength = options.maxSequenceLength !== undefined
+      ? options.maxSequenceLength
+      : DEFAULT_LIMITS.maxSequenceLength;
+    if (this.maxSequenceLength !== Infinity &&
+        !(Number.isInteger(this.maxSequenceLength) && this.maxSequenceLength >= 1)) {
+      throw new RangeError(`The longest sequence must be a whole number of at least 1 or Infinity, not ${this.maxSequenceLength}`);
+    }
+    // Questions for the player, whose answers become echoes too
+    this.quiz = new Quiz(this, { random: options.random });
+  }
+
+  /**
+   * Picks the language of a call's messages
+   *
+   * @param {Object} [options] - Call options; their locale overrides the chamber default
+   * @returns {string} The locale
+   */
+  localeFor(options = {}) {
+    return options.locale || this.locale;
   }
 
   /**
-   * Validates if a sequence is a valid arithmetic progression
-   * An arithmetic progression has a constant difference between consecutive elements
+   * Adds a custom pattern detector
+   * Detectors are tried in registration order, after the built-in ones.
+   * Pattern names must be unique within a chamber.
+   *
+   * @param {Object} pattern - Object with name, detect, next and describe (see patterns.js)
+   * @returns {EchoChamber} This chamber, for chaining
+   */
+  registerPattern(pattern) {
+    if (!pattern || typeof pattern.detect !== 'function' || typeof pattern.next !== 'function') {
+      throw new TypeError('A pattern must provide detect() and next() functions');
+    }
+    if (this.patterns.some(p => p.name === pattern.name)) {
+      throw new Error(`A pattern named "${pattern.name}" is already registered`);
+    }
+    this.patterns.push(pattern);
+    return this;
+  }
+
+  /**
+   * Validates a sequence and finds the pattern that explains it
+   * Shared by validateSequence() and the prediction methods, which also need
+   * the parsed values and the matching pattern object
    * 
-   * @param {number[]} sequence - The sequence to validate
-   * @returns {Object} { isValid: boolean, difference: number, message: string }
+   * With options.explain, a validation that got as far as trying the patterns also holds an
+   * explanation: { differences, steps: [{ pattern, matched, message, index? }] }, one step per
+   * pattern tried, index being the first term that broke a pattern
+   *
+   * @param {Array} sequence - The sequence to analyse
+   * @param {Object} [options] - { mode, tolerance, locale, explain }, overriding the chamber defaults
+   * @returns {Object} { validation: Object, num?: Object, values?: Array, pattern?: Object, parameters?: Object }
    */
-  validateSequence(sequence) {
+  analyseSequence(sequence, options = {}) {
+    const locale = this.localeFor(options);
+    const t = translator(locale);
+    const invalid = (code, details = {}) => ({
+      validation: { isValid: false, difference: null, message: errorMessage(locale, code, details), error: { code, ...details } }
+    });
+
     // Input validation
     if (!Array.isArray(sequence)) {
-      return {
-        isValid: false,
-        difference: null,
-        message: '❌ Error: Input must be an array'
-      };
+      return invalid(ERROR_CODES.NOT_ARRAY);
     }
 
     if (sequence.length < 2) {
-      return {
-        isValid: false,
-        difference: null,
-        message: '❌ Error: Sequence must contain at least 2 numbers'
-      };
+      return invalid(ERROR_CODES.TOO_SHORT);
+    }
+
+    if (sequence.length > this.maxSequenceLength) {
+      return invalid(ERROR_CODES.TOO_LONG, { value: sequence.length, max: this.maxSequenceLength });
+    }
+
+    // BigInt values can only be handled by the bigint mode (or the exact mode, if asked for)
+    const hasBigInts = sequence.some(value => typeof value === 'bigint');
+    const mode = options.mode || (hasBigInts ? 'bigint' : this.mode);
+    const tolerance = options.tolerance !== undefined ? options.tolerance : this.tolerance;
+
+    if (typeof tolerance !== 'number' || !(tolerance >= 0) || !Number.isFinite(tolerance)) {
+      return invalid(ERROR_CODES.INVALID_TOLERANCE, { value: tolerance });
+    }
+
+    let num = createNumberSystem(mode, tolerance);
+
+    if (!num) {
+      return invalid(ERROR_CODES.UNKNOWN_MODE, { value: mode });
     }
 
     // Check if all elements are numbers
-    if (!sequence.every(num => typeof num === 'number' && !isNaN(num))) {
-      return {
-        isValid: false,
-        difference: null,
-        message: '❌ Error: All elements must be valid numbers'
-      };
+    const values = sequence.map(value => num.parse(value));
+    const badIndex = values.indexOf(null);
+    if (badIndex !== -1) {
+      const details = { index: badIndex, value: sequence[badIndex] };
+      return mode === 'bigint'
+        ? invalid(ERROR_CODES.NOT_WHOLE_NUMBER, details)
+        : invalid(ERROR_CODES.NON_NUMERIC, details);
     }
 
-    // Calculate the common difference
-    const differences = [];
-    for (let i = 1; i < sequence.length; i++) {
-      differences.push(sequence[i] - sequence[i - 1]);
+    const unsafeIndex = values.findIndex(value => !num.isExact(value));
+    if (unsafeIndex !== -1) {
+      return invalid(ERROR_CODES.UNSAFE_INTEGER, { index: unsafeIndex, value: values[unsafeIndex] });
     }
 
-    // Check if all differences are the same (arithmetic progression)
-    const firstDifference = differences[0];
-    const isArithmetic = differences.every(d => d === firstDifference);
+    // Whole numbers are exact in floating point, so the tolerance is only
+    // needed when a sequence has fractional values. Applying it to large
+    // integers would blur ratios such as 1000000002/1000000001.
+    if (mode === 'tolerant' && values.every(value => Number.isInteger(value))) {
+      num = createNumberSystem('strict');
+    }
 
-    if (!isArithmetic) {
-      return {
-        isValid: false,
-        difference: null,
-        message: '❌ Error: This is not an arithmetic progression. The differences between consecutive numbers are not constant.'
+    const explanation = options.explain ? { differences: explainedDifferences(values, num), steps: [] } : null;
+
+    // Find the first pattern that explains the sequence
+    for (const pattern of this.patterns) {
+      const parameters = pattern.detect(values, num);
+      if (explanation) {
+        explanation.steps.push(explainPattern(pattern, values, parameters, num, t));
+      }
+      if (!parameters) {
+        continue;
+      }
+
+      const description = pattern.describe ? pattern.describe(parameters, num, t) : pattern.name;
+      const output = toOutput(num, parameters);
+      const validation = {
+        isValid: true,
+        // Only arithmetic progressions have a common difference
+        difference: pattern.name === 'arithmetic' ? output.difference : null,
+        pattern: pattern.name,
+        parameters: output,
+        mode,
+        message: t('chamber.valid', { description })
       };
+      if (explanation) {
+        validation.explanation = explanation;
+      }
+      return { validation, num, values, pattern, parameters };
     }
 
-    return {
-      isValid: true,
-      difference: firstDifference,
-      message: '✓ Valid arithmetic progression detected!'
-    };
+    const rejected = invalid(ERROR_CODES.NO_PATTERN);
+    if (explanation) {
+      rejected.validation.explanation = explanation;
+    }
+    return rejected;
+  }
+
+  /**
+   * Validates if a sequence matches one of the known patterns
+   * The simplest match wins: arithmetic, then geometric, then polynomial, then linear recurrence
+   * 
+   * @param {Array<number|bigint|string>} sequence - The sequence to validate (strings such as "1/3" in exact mode)
+   * @param {Object} [options] - { mode, tolerance, locale, explain }, overriding the chamber defaults
+   * @returns {Object} { isValid: boolean, difference: number, pattern: string, parameters: Object, mode: string, message: string,
+   *                    error?: { code: string, index?: number, value?: * }, explanation?: Object }
+   *                    (error only when invalid, see errors.js; explanation only with options.explain, see analyseSequence())
+   */
+  validateSequence(sequence, options = {}) {
+    return this.analyseSequence(sequence, options).validation;
   }
 
   /**
-   * Predicts the next number in an arithmetic sequence
+   * Announces the outcome of a prediction as a 'prediction' event
+   *
+   * @param {Object} result - The result of predictNext() or predictMany()
+   * @returns {Object} The result
+   */
+  announcePrediction(result) {
+    this.emit('prediction', {
+      success: result.success,
+      pattern: result.pattern || null,
+      code: result.error ? result.error.code : null
+    });
+    return result;
+  }
+
+  /**
+   * Predicts the next number in a sequence using the detected pattern
    * 
-   * @param {number[]} sequence - The sequence to predict from
-   * @returns {Object} { success: boolean, nextNumber: number | null, message: string }
+   * @param {Array<number|bigint|string>} sequence - The sequence to predict from
+   * @param {Object} [options] - { mode, tolerance, locale, explain }, overriding the chamber defaults;
+   *                             explain adds the steps that led to the result (see analyseSequence())
+   * @returns {Object} { success: boolean, nextNumber: number | bigint | string | null, commonDifference: number, pattern: string, parameters: Object, formula: string | null, mode: string, message: string, error?: Object, explanation?: Object }
    */
-  predictNext(sequence) {
+  predictNext(sequence, options = {}) {
     // Validate the sequence first
-    const validation = this.validateSequence(sequence);
+    const analysis = this.analyseSequence(sequence, options);
+    const { validation, num, values, pattern, parameters } = analysis;
 
     if (!validation.isValid) {
-      return {
+      return this.announcePrediction(withExplanation({
         success: false,
         nextNumber: null,
-        message: validation.message
-      };
+        message: validation.message,
+        error: validation.error
+      }, validation));
     }
 
-    // If valid, the next number is the last number plus the common difference
-    const nextNumber = sequence[sequence.length - 1] + validation.difference;
+    // If valid, let the matching pattern extend the sequence
+    const nextNumber = num.toOutput(pattern.next(values, parameters, num));
 
-    // Record this prediction in memory
-    this.echoMemories.push({
-      sequence: [...sequence],
+    this.recordEcho(sequence, nextNumber, validation);
+
+    return this.announcePrediction(withExplanation({
+      success: true,
       nextNumber: nextNumber,
       commonDifference: validation.difference,
-      timestamp: new Date().toLocaleTimeString(),
-      predictionIndex: this.predictionCount + 1
-    });
+      pattern: validation.pattern,
+      parameters: validation.parameters,
+      formula: pattern.formula ? pattern.formula(values, parameters, num) : null,
+      mode: validation.mode,
+      message: translator(this.localeFor(options))('chamber.next', { value: nextNumber })
+    }, validation));
+  }
 
-    this.predictionCount++;
+  /**
+   * Predicts the next several numbers in a sequence
+   * Only the first predicted number is recorded as an echo
+   * 
+   * @param {Array<number|bigint|string>} sequence - The sequence to predict from
+   * @param {number} count - How many terms to predict (1 to MAX_PREDICTION_COUNT)
+   * @param {Object} [options] - { mode, tolerance, locale, explain }, overriding the chamber defaults
+   * @returns {Object} { success: boolean, nextNumbers: Array | null, nextNumber: number | string | null, formula: string | null, message: string, error?: Object, ... }
+   */
+  predictMany(sequence, count, options = {}) {
+    const locale = this.localeFor(options);
+
+    if (!Number.isInteger(count) || count < 1 || count > MAX_PREDICTION_COUNT) {
+      return this.announcePrediction({
+        success: false,
+        nextNumber: null,
+        nextNumbers: null,
+        message: errorMessage(locale, ERROR_CODES.INVALID_COUNT, { max: MAX_PREDICTION_COUNT }),
+        error: { code: ERROR_CODES.INVALID_COUNT, value: count }
+      });
+    }
+
+    const { validation, num, values, pattern, parameters } = this.analyseSequence(sequence, options);
+
+    if (!validation.isValid) {
+      return this.announcePrediction(withExplanation({
+        success: false,
+        nextNumber: null,
+        nextNumbers: null,
+        message: validation.message,
+        error: validation.error
+      }, validation));
+    }
+
+    // Terms can grow fast in the exact modes, e.g. by a factor of 10²⁰⁰ each: stop before they take up too much
+    const extended = [...values];
+    let bits = 0;
+    for (let i = 0; i < count; i++) {
+      const value = pattern.next(extended, parameters, num);
+      bits += num.bitLength(value);
+      if (bits > num.maxBits) {
+        const n = extended.length + 1;
+        return this.announcePrediction({
+          success: false,
+          nextNumber: null,
+          nextNumbers: null,
+          message: errorMessage(locale, ERROR_CODES.TERM_OUT_OF_RANGE, { n, system: num.name }),
+          error: { code: ERROR_CODES.TERM_OUT_OF_RANGE, value: n }
+        });
+      }
+      extended.push(value);
+    }
+    const nextNumbers = extended.slice(values.length).map(value => num.toOutput(value));
+
+    this.recordEcho(sequence, nextNumbers[0], validation);
+
+    return this.announcePrediction(withExplanation({
+      success: true,
+      nextNumber: nextNumbers[0],
+      nextNumbers: nextNumbers,
+      commonDifference: validation.difference,
+      pattern: validation.pattern,
+      parameters: validation.parameters,
+      formula: pattern.formula ? pattern.formula(values, parameters, num) : null,
+      mode: validation.mode,
+      message: translator(locale)('chamber.nextMany', { count, values: nextNumbers.join(', ') })
+    }, validation));
+  }
+
+  /**
+   * Computes the n-th term (1-based) of a sequence directly from its pattern
+   * Patterns without an nthTerm() fall back to extending the sequence term by term
+   * 
+   * @param {Array<number|bigint|string>} sequence - The known terms
+   * @param {number} n - Position of the term to compute
+   * @param {Object} [options] - { mode, tolerance, locale }, overriding the chamber defaults
+   * @returns {Object} { success: boolean, n: number, value: number | string | null, formula: string | null, pattern: string, message: string, error?: Object }
+   */
+  nthTerm(sequence, n, options = {}) {
+    const locale = this.localeFor(options);
+
+    if (!Number.isSafeInteger(n) || n < 1) {
+      return {
+        success: false,
+        value: null,
+        message: errorMessage(locale, ERROR_CODES.INVALID_TERM_INDEX),
+        error: { code: ERROR_CODES.INVALID_TERM_INDEX, value: n }
+      };
+    }
+
+    const { validation, num, values, pattern, parameters } = this.analyseSequence(sequence, options);
+
+    if (!validation.isValid) {
+      return {
+        success: false,
+        value: null,
+        message: validation.message,
+        error: validation.error
+      };
+    }
+
+    let value;
+
+    try {
+      if (pattern.nthTerm) {
+        value = pattern.nthTerm(values, parameters, n, num);
+      } else {
+        const extended = [...values];
+        while (extended.length < n) {
+          extended.push(pattern.next(extended, parameters, num));
+        }
+        value = extended[n - 1];
+      }
+    } catch (error) {
+      if (!(error instanceof RangeError)) {
+        throw error;
+      }
+      return {
+        success: false,
+        value: null,
+        message: errorMessage(locale, ERROR_CODES.TERM_OUT_OF_RANGE, { n, system: num.name }),
+        error: { code: ERROR_CODES.TERM_OUT_OF_RANGE, value: n }
+      };
+    }
+
+    value = num.toOutput(value);
 
     return {
       success: true,
+      n: n,
+      value: value,
+      pattern: validation.pattern,
+      parameters: validation.parameters,
+      formula: pattern.formula ? pattern.formula(values, parameters, num) : null,
+      mode: validation.mode,
+      message: translator(locale)('chamber.term', { n, value })
+    };
+  }
+
+  /**
+   * Records a successful prediction in the chamber's memory
+   * 
+   * @param {Array<number|bigint|string>} sequence - The input sequence
+   * @param {number|bigint|string} nextNumber - The predicted number
+   * @param {Object} validation - The result of validateSequence()
+   * @param {Date} [now] - When the prediction was made (imported echoes keep their original date)
+   * @param {Object} [quiz] - { guess, correct, difficulty, points } when the echo is a quiz answer (see quiz.js)
+   */
+  recordEcho(sequence, nextNumber, validation, now = new Date(), quiz) {
+    const echo = {
+      sequence: [...sequence],
       nextNumber: nextNumber,
       commonDifference: validation.difference,
-      message: `✓ The next number in the sequence is: ${nextNumber}`
+      pattern: validation.pattern,
+      parameters: validation.parameters,
+      timestamp: now.toLocaleTimeString(),
+      createdAt: now.toISOString(),
+      predictionIndex: this.predictionCount + 1,
+      schemaVersion: SCHEMA_VERSION
     };
+    if (quiz) {
+      echo.quiz = quiz;
+    }
+
+    this.storage.append(echo);
+    this.predictionCount++;
+    this.emit('echo', echo);
   }
 
   /**
@@ -130,33 +572,242 @@ class EchoChamber {
    * @returns {Array} Array of all previous predictions
    */
   getMemories() {
-    return this.echoMemories;
+    return this.storage.getAll();
+  }
+
+  /**
+   * Filters, sorts and paginates the memories (see memory-query.js for the query fields)
+   *
+   * @param {Object} [query] - e.g. { limit: 10, difference: 3, sort: 'length', order: 'desc' }
+   * @param {Object} [options] - { locale }, overriding the chamber default
+   * @returns {Object} { success, memories, count, total, nextCursor, message? }
+   */
+  queryMemories(query = {}, options = {}) {
+    return queryMemories(this.getMemories(), query, this.localeFor(options));
+  }
+
+  /**
+   * Finds a single memory
+   *
+   * @param {number|string} index - The memory's predictionIndex
+   * @returns {Object|null} The memory, or null if there is none with that index
+   */
+  getMemory(index) {
+    const predictionIndex = Number(index);
+    return this.getMemories().find(memory => memory.predictionIndex === predictionIndex) || null;
+  }
+
+  /**
+   * Removes a single memory
+   * Later echoes keep their predictionIndex
+   *
+   * @param {number|string} index - The memory's predictionIndex
+   * @returns {boolean} True if the memory existed and was removed
+   */
+  deleteMemory(index) {
+    const memory = this.getMemory(index);
+    if (!memory || !this.storage.remove(memory)) {
+      return false;
+    }
+
+    this.emit('echoDeleted', { predictionIndex: memory.predictionIndex });
+    return true;
+  }
+
+  /**
+   * Writes all memories as CSV or JSON (see memory-export.js)
+   *
+   * @param {string} [format='json'] - 'json' or 'csv'
+   * @returns {string} The export
+   * @throws {Error} If the format is unknown
+   */
+  exportMemories(format = 'json') {
+    return exportMemories(this.getMemories(), format);
+  }
+
+  /**
+   * Imports memories, e.g. read by parseMemoryImport() from an export
+   * Every record is checked by predicting its sequence again: records whose
+   * sequence has no known pattern, or whose stored next number or pattern
+   * differs from the prediction, are rejected. The others are stored as new
+   * echoes with their original creation date.
+   *
+   * @param {Object[]} records - Records with at least sequence and nextNumber
+   * @param {Object} [options] - { locale }, overriding the chamber default
+   * @returns {Object} { success: boolean, imported: number, rejected: [{ record: number, code: string, message: string }], message: string }
+   */
+  importMemories(records, options = {}) {
+    const locale = this.localeFor(options);
+
+    if (!Array.isArray(records)) {
+      return {
+        success: false,
+        imported: 0,
+        rejected: [],
+        message: errorMessage(locale, ERROR_CODES.INVALID_IMPORT),
+        error: { code: ERROR_CODES.INVALID_IMPORT }
+      };
+    }
+
+    const rejected = [];
+    let imported = 0;
+
+    records.forEach((record, position) => {
+      const check = this.verifyImportedEcho(record, { locale });
+      if (check.error) {
+        rejected.push({ record: position + 1, code: check.error.code, message: check.message });
+        return;
+      }
+
+      const createdAt = record.createdAt && !Number.isNaN(Date.parse(record.createdAt))
+        ? new Date(record.createdAt)
+        : new Date();
+      // Quiz answers stay quiz answers, so the score survives an export and import;
+      // they are marked again against the verified next number and their points
+      // scored again, as if they were answered now
+      let quiz;
+      if (record.quiz !== undefined && record.quiz !== null) {
+        const answer = readQuizAnswer(record.quiz, check.nextNumber);
+        if (!answer) {
+          rejected.push({
+            record: position + 1,
+            code: ERROR_CODES.INVALID_QUIZ,
+            message: translator(locale)('errors.INVALID_QUIZ', { difficulties: Object.keys(DIFFICULTIES).join(', ') })
+          });
+          return;
+        }
+        const streakBefore = quizStats(this.getMemories()).streak;
+        quiz = { ...answer, points: quizPoints(answer.difficulty, answer.correct, streakBefore) };
+      }
+      this.recordEcho(record.sequence, check.nextNumber, check.validation, createdAt, quiz);
+      imported++;
+    });
+
+    const t = translator(locale);
+    return {
+      success: rejected.length === 0,
+      imported,
+      rejected,
+      message: rejected.length === 0
+        ? t('chamber.imported', { count: imported })
+        : t('chamber.importedWithRejections', { count: imported, rejected: rejected.length })
+    };
+  }
+
+  /**
+   * Checks one imported record against a fresh prediction
+   *
+   * @param {Object} record - The record
+   * @param {Object} [options] - { locale }, overriding the chamber default
+   * @returns {Object} { error: Object, message: string } if the record is rejected, otherwise { nextNumber, validation }
+   */
+  verifyImportedEcho(record, options = {}) {
+    const t = translator(this.localeFor(options));
+    // Rejections are listed under the import's own message, so they go without the "❌ Error:" prefix
+    const reject = (error, params = error) => ({ error, message: t(`errors.${error.code}`, params) });
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return reject({ code: ERROR_CODES.NOT_A_RECORD });
+    }
+    if (record.nextNumber === undefined || record.nextNumber === null) {
+      return reject({ code: ERROR_CODES.MISSING_NEXT_NUMBER });
+    }
+
+    const { validation, num, values, pattern, parameters } = this.analyseSequence(record.sequence, {
+      mode: importMode(record.sequence)
+    });
+    if (!validation.isValid) {
+      return reject(validation.error);
+    }
+
+    const nextNumber = num.toOutput(pattern.next(values, parameters, num));
+    const stored = Rational.parse(record.nextNumber);
+    if (!stored || !stored.equals(Rational.parse(nextNumber))) {
+      return reject(
+        { code: ERROR_CODES.NEXT_NUMBER_MISMATCH, value: record.nextNumber },
+        { stored: record.nextNumber, predicted: nextNumber }
+      );
+    }
+    if (record.pattern && record.pattern !== validation.pattern) {
+      return reject(
+        { code: ERROR_CODES.PATTERN_MISMATCH, value: record.pattern },
+        { stored: record.pattern, detected: validation.pattern }
+      );
+    }
+
+    return { nextNumber, validation };
   }
 
   /**
    * Clears all memories from the Echo Chamber
+   * The store keeps them aside until the next clear, so restoreMemories() can undo it
    */
   clearMemories() {
-    this.echoMemories = [];
+    this.storage.clear();
     this.predictionCount = 0;
+    this.emit('memoriesCleared', {});
+  }
+
+  /**
+   * Undoes the last clear, putting its echoes back with their predictionIndex
+   * Echoes made since the clear were numbered from 1 again; they are renumbered to follow the restored ones
+   *
+   * @param {Object} [options] - { locale }, overriding the chamber default
+   * @returns {Object} { success: boolean, restored: number, message: string, error?: Object }
+   */
+  restoreMemories(options = {}) {
+    const locale = this.localeFor(options);
+    const cleared = typeof this.storage.getCleared === 'function' ? this.storage.getCleared() : [];
+
+    if (cleared.length === 0) {
+      return {
+        success: false,
+        restored: 0,
+        message: errorMessage(locale, ERROR_CODES.NOTHING_TO_RESTORE),
+        error: { code: ERROR_CODES.NOTHING_TO_RESTORE }
+      };
+    }
+
+    let last = cleared.reduce((highest, memory) => Math.max(highest, memory.predictionIndex || 0), 0);
+    this.storage.getAll().forEach(memory => {
+      memory.predictionIndex = ++last;
+    });
+    const restored = this.storage.restore();
+    this.predictionCount = last;
+
+    this.emit('memoriesRestored', { count: restored.length });
+    return {
+      success: true,
+      restored: restored.length,
+      message: translator(locale)('chamber.restored', { count: restored.length })
+    };
   }
 
   /**
    * Displays all stored memories in a formatted way
+   *
+   * @param {Object} [options] - { locale }, overriding the chamber default
    */
-  displayMemories() {
-    if (this.echoMemories.length === 0) {
-      console.log('📜 No echoes stored in the chamber yet.');
+  displayMemories(options = {}) {
+    const t = translator(this.localeFor(options));
+    const memories = this.getMemories();
+
+    if (memories.length === 0) {
+      console.log(t('memories.empty'));
       return;
     }
 
-    console.log('\n📜 ===== ECHO CHAMBER MEMORIES =====');
-    this.echoMemories.forEach((memory, index) => {
-      console.log(`\n🔮 Echo ${memory.predictionIndex}:`);
-      console.log(`   Sequence: [${memory.sequence.join(', ')}]`);
-      console.log(`   Common Difference: ${memory.commonDifference}`);
-      console.log(`   Next Number: ${memory.nextNumber}`);
-      console.log(`   Time: ${memory.timestamp}`);
+    console.log(`\n${t('memories.title')}`);
+    memories.forEach((memory, index) => {
+      console.log(`\n${t('memories.echo', { index: memory.predictionIndex })}`);
+      console.log(`   ${t('labels.sequence', { sequence: memory.sequence.join(', ') })}`);
+      console.log(`   ${t('labels.pattern', { pattern: memory.pattern, parameters: formatParameters(memory.parameters) })}`);
+      console.log(`   ${t('labels.difference', { value: memory.commonDifference })}`);
+      console.log(`   ${t('labels.next', { value: memory.nextNumber })}`);
+      if (memory.quiz) {
+        console.log(`   ${t(memory.quiz.correct ? 'labels.quizCorrect' : 'labels.quizWrong', { ...memory.quiz, count: memory.quiz.points })}`);
+      }
+      console.log(`   ${t('labels.time', { time: memory.timestamp })}`);
     });
     console.log('\n===================================\n');
   }
@@ -167,32 +818,39 @@ class EchoChamber {
  * Provides a user-friendly experience for testing sequence predictions
  */
 class EchoChamberUI {
-  constructor() {
-    this.chamber = new EchoChamber();
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.mode='tolerant'] - Number mode used in prediction mode: 'strict', 'tolerant' or 'exact'
+   * @param {Object} [options.storage] - Where the chamber keeps its echoes (see storage.js)
+   * @param {string} [options.locale='en'] - Language of the menus and messages, e.g. 'it-IT' (see i18n.js)
+   */
+  constructor(options = {}) {
+    this.locale = resolveLocale(options.locale) || DEFAULT_LOCALE;
+    this.t = translator(this.locale);
+    this.chamber = new EchoChamber({ storage: options.storage, locale: this.locale });
+    this.mode = options.mode || DEFAULT_MODE;
   }
 
   /**
    * Displays the welcome message and story context
    */
   showWelcome() {
+    const t = this.t;
+
     console.clear();
     console.log('╔════════════════════════════════════════════════════════════╗');
     console.log('║                                                            ║');
-    console.log('║            🏰 WELCOME TO THE CHAMBER OF ECHOES 🏰          ║');
+    console.log(boxLine(t('cli.welcomeTitle')));
     console.log('║                                                            ║');
-    console.log('║     A mystical chamber where magical numbers echo...      ║');
+    console.log(boxLine(t('cli.welcomeSubtitle')));
     console.log('║                                                            ║');
     console.log('╚════════════════════════════════════════════════════════════╝\n');
 
-    console.log('📖 THE STORY:');
-    console.log('You have entered a magical chamber where numbers form patterns.');
-    console.log('These patterns echo endlessly, and your task is to predict');
-    console.log('the next number in each sequence. The chamber remembers every');
-    console.log('echo, storing them in its mystical memory.\n');
+    console.log(t('cli.storyTitle'));
+    console.log(`${t('cli.story')}\n`);
 
-    console.log('🔮 YOUR QUEST:');
-    console.log('Understand arithmetic progressions and predict the next');
-    console.log('number in magical sequences. Test your pattern recognition!');
+    console.log(t('cli.questTitle'));
+    console.log(t('cli.quest'));
     console.log('═══════════════════════════════════════════════════════════\n');
   }
 
@@ -200,49 +858,64 @@ class EchoChamberUI {
    * Shows the menu options
    */
   showMenu() {
-    console.log('📋 CHOOSE YOUR ACTION:');
-    console.log('1. Predict the next number in a sequence');
-    console.log('2. View all stored echoes (memories)');
-    console.log('3. Run automated tests');
-    console.log('4. Clear all memories');
-    console.log('5. Exit the chamber\n');
+    console.log(this.t('cli.menuTitle'));
+    MENU_ITEMS.forEach((item, index) => {
+      console.log(`${index + 1}. ${this.t(`cli.menu.${item}`)}`);
+    });
+    console.log('');
   }
 
   /**
    * Runs a series of predefined test cases
    */
   runTests() {
-    console.log('\n🧪 Running Automated Tests...\n');
+    const t = this.t;
+    console.log(`\n${t('cli.tests.running')}\n`);
 
     const testCases = [
       {
-        name: 'Simple Arithmetic Progression',
+        name: 'arithmetic',
         sequence: [3, 6, 9, 12],
         expected: 15
       },
       {
-        name: 'Negative Differences',
+        name: 'negativeDifferences',
         sequence: [10, 7, 4, 1],
         expected: -2
       },
       {
-        name: 'Large Numbers',
+        name: 'largeNumbers',
         sequence: [100, 200, 300, 400],
         expected: 500
       },
       {
-        name: 'Negative Numbers',
+        name: 'negativeNumbers',
         sequence: [-5, -3, -1, 1],
         expected: 3
       },
       {
-        name: 'Single Difference',
+        name: 'singleDifference',
         sequence: [1, 2],
         expected: 3
       },
       {
-        name: 'Not an Arithmetic Progression',
+        name: 'geometric',
         sequence: [1, 2, 4, 8],
+        expected: 16
+      },
+      {
+        name: 'quadratic',
+        sequence: [1, 4, 9, 16],
+        expected: 25
+      },
+      {
+        name: 'fibonacci',
+        sequence: [1, 1, 2, 3, 5, 8],
+        expected: 13
+      },
+      {
+        name: 'noPattern',
+        sequence: [1, 3, 4, 10],
         expected: null // This should fail
       }
     ];
@@ -253,44 +926,45 @@ class EchoChamberUI {
     testCases.forEach(testCase => {
       const result = this.chamber.predictNext(testCase.sequence);
 
-      console.log(`Test: ${testCase.name}`);
-      console.log(`Input: [${testCase.sequence.join(', ')}]`);
+      console.log(t('cli.tests.test', { name: t(`cli.tests.${testCase.name}`) }));
+      console.log(t('cli.tests.input', { sequence: testCase.sequence.join(', ') }));
 
       if (testCase.expected === null) {
         // Expecting validation to fail
         if (!result.success) {
-          console.log('✓ PASSED (correctly rejected invalid sequence)');
+          console.log(t('cli.tests.rejected'));
           passedTests++;
         } else {
-          console.log('✗ FAILED (should have rejected invalid sequence)');
+          console.log(t('cli.tests.notRejected'));
           failedTests++;
         }
       } else {
         // Expecting successful prediction
         if (result.success && result.nextNumber === testCase.expected) {
-          console.log(`Output: ${result.nextNumber}`);
-          console.log('✓ PASSED');
+          console.log(t('cli.tests.output', { value: result.nextNumber }));
+          console.log(t('cli.tests.passed'));
           passedTests++;
         } else {
-          console.log(`Expected: ${testCase.expected}, Got: ${result.nextNumber}`);
-          console.log('✗ FAILED');
+          console.log(t('cli.tests.expected', { expected: testCase.expected, actual: result.nextNumber }));
+          console.log(t('cli.tests.failed'));
           failedTests++;
         }
       }
       console.log('');
     });
 
-    console.log(`\n📊 TEST RESULTS: ${passedTests} passed, ${failedTests} failed`);
+    console.log(`\n${t('cli.tests.results', { passed: passedTests, failed: failedTests })}`);
     console.log('═══════════════════════════════════════════════════════════\n');
   }
 
   /**
    * Interactive prediction mode - allows user to input a sequence
+   * A sequence ending in "?" is predicted with its explanation (see displayExplanation())
    */
   async predictMode() {
-    console.log('\n🔮 PREDICTION MODE');
-    console.log('Enter a sequence of numbers separated by commas (e.g., 3,6,9,12)');
-    console.log('Or type "demo" to use the sample sequence [3, 6, 9, 12]:\n');
+    const t = this.t;
+    console.log(`\n${t('cli.predict.title')}`);
+    console.log(`${t('cli.predict.help')}\n`);
 
     const readline = require('readline');
     const rl = readline.createInterface({
@@ -299,35 +973,52 @@ class EchoChamberUI {
     });
 
     return new Promise((resolve) => {
-      rl.question('Enter sequence: ', (input) => {
+      rl.question(t('cli.predict.prompt'), (input) => {
         rl.close();
 
         let sequence;
+        let mode = this.mode;
+        const explain = input.trim().endsWith('?');
+        if (explain) {
+          input = input.trim().slice(0, -1);
+        }
 
         if (input.toLowerCase() === 'demo') {
           sequence = [3, 6, 9, 12];
-          console.log(`\nUsing sample sequence: [${sequence.join(', ')}]`);
+          console.log(`\n${t('cli.predict.usingDemo', { sequence: sequence.join(', ') })}`);
         } else {
           try {
-            sequence = input.split(',').map(num => {
-              const parsed = parseFloat(num.trim());
-              if (isNaN(parsed)) {
-                throw new Error(`Invalid number: ${num.trim()}`);
-              }
-              return parsed;
-            });
+            const parsed = parseSequenceInput(input, mode);
+            sequence = parsed.sequence;
+            // Fractions and very large whole numbers can only be represented exactly
+            if (parsed.hasFractions) {
+              mode = 'exact';
+            } else if (parsed.hasLargeIntegers) {
+              mode = 'bigint';
+            }
           } catch (error) {
-            console.log(`\n❌ Error parsing input: ${error.message}`);
+            console.log(`\n${t('cli.predict.parseError', { message: error.message })}`);
             resolve();
             return;
           }
         }
 
-        const result = this.chamber.predictNext(sequence);
+        const result = this.chamber.predictNext(sequence, { mode, explain });
         console.log(`\n${result.message}`);
 
         if (result.success) {
-          console.log(`Common Difference: ${result.commonDifference}`);
+          console.log(t('labels.pattern', { pattern: result.pattern, parameters: formatParameters(result.parameters) }));
+          if (result.commonDifference !== null) {
+            console.log(t('labels.difference', { value: result.commonDifference }));
+          }
+          if (result.formula) {
+            console.log(t('labels.formula', { formula: result.formula }));
+          }
+          console.log(t('labels.mode', { mode: result.mode }));
+        }
+
+        if (result.explanation) {
+          this.displayExplanation(result.explanation);
         }
 
         console.log('═══════════════════════════════════════════════════════════\n');
@@ -336,10 +1027,111 @@ class EchoChamberUI {
     });
   }
 
+  /**
+   * Prints the explanation of a prediction: the difference table, then one line per pattern tried
+   *
+   * @param {Object} explanation - { differences, steps } (see EchoChamber#analyseSequence)
+   */
+  displayExplanation(explanation) {
+    const t = this.t;
+    console.log(`\n${t('explain.title')}`);
+    explanation.differences.forEach((row, order) => {
+      const values = row.join(', ');
+      console.log(`   ${order === 0 ? t('explain.sequence', { values }) : t('explain.differences', { order, values })}`);
+    });
+    console.log(`   ${t('explain.steps')}`);
+    explanation.steps.forEach((step, i) => {
+      console.log(`     ${i + 1}. ${step.matched ? '✓' : '✗'} ${step.message}`);
+    });
+  }
+
+  /**
+   * Export mode - writes the stored echoes to a JSON or CSV file
+   *
+   * @param {Function} askQuestion - Asks a question on the console and resolves with the answer
+   */
+  async exportMode(askQuestion) {
+    const t = this.t;
+    console.log(`\n${t('cli.export.title')}`);
+
+    const count = this.chamber.getMemories().length;
+    if (count === 0) {
+      console.log(`${t('memories.empty')}\n`);
+      return;
+    }
+
+    const formatAnswer = (await askQuestion(t('cli.export.formatPrompt'))).trim().toLowerCase();
+    const format = formatAnswer || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+      console.log(`\n${errorMessage(this.locale, ERROR_CODES.UNKNOWN_FORMAT, { format })}\n`);
+      return;
+    }
+
+    const defaultFile = `echo-memories.${format}`;
+    const file = (await askQuestion(t('cli.export.filePrompt', { file: defaultFile }))).trim() || defaultFile;
+
+    try {
+      fs.writeFileSync(file, this.chamber.exportMemories(format));
+      console.log(`\n${t('cli.export.done', { count, file: path.resolve(file) })}\n`);
+    } catch (error) {
+      console.log(`\n${t('cli.export.writeError', { file, message: error.message })}\n`);
+    }
+  }
+
+  /**
+   * Quiz mode - asks for the next number of made-up sequences until the player stops
+   * Every answer is recorded as an echo (see quiz.js)
+   *
+   * @param {Function} askQuestion - Asks a question on the console and resolves with the answer
+   */
+  async quizMode(askQuestion) {
+    const t = this.t;
+    const quiz = this.chamber.quiz;
+    console.log(`\n${t('cli.quiz.title')}`);
+    console.log(t('cli.quiz.help'));
+
+    const difficulty = (await askQuestion(t('cli.quiz.difficultyPrompt', {
+      difficulties: Object.keys(DIFFICULTIES).join('/'),
+      difficulty: DEFAULT_DIFFICULTY
+    }))).trim().toLowerCase() || DEFAULT_DIFFICULTY;
+
+    let playing = true;
+    while (playing) {
+      const asked = quiz.ask({ difficulty });
+      console.log(`\n${asked.message}`);
+      if (!asked.success) {
+        break;
+      }
+
+      let result = null;
+      while (!result && playing) {
+        const guess = (await askQuestion(t('cli.quiz.guessPrompt'))).trim();
+        if (guess === '' || guess.toLowerCase() === 'q') {
+          playing = false;
+        } else {
+          const attempt = quiz.answer(asked.question.id, guess);
+          if (attempt.success) {
+            result = attempt;
+          } else {
+            console.log(attempt.message);
+          }
+        }
+      }
+
+      if (result) {
+        console.log(result.message);
+      }
+    }
+
+    console.log(`\n${t('quiz.stats', quiz.stats())}`);
+    console.log('═══════════════════════════════════════════════════════════\n');
+  }
+
   /**
    * Main interactive loop
    */
   async start() {
+    const t = this.t;
     this.showWelcome();
 
     const readline = require('readline');
@@ -358,7 +1150,7 @@ class EchoChamberUI {
 
     while (running) {
       this.showMenu();
-      const choice = await askQuestion('Enter your choice (1-5): ');
+      const choice = await askQuestion(t('cli.choicePrompt', { max: MENU_ITEMS.length }));
 
       switch (choice.trim()) {
         case '1':
@@ -372,14 +1164,20 @@ class EchoChamberUI {
           break;
         case '4':
           this.chamber.clearMemories();
-          console.log('\n✓ All memories have been cleared from the chamber.\n');
+          console.log(`\n${t('cli.memoriesCleared')}\n`);
           break;
         case '5':
-          console.log('\n👋 Thank you for visiting the Chamber of Echoes!\n');
+          await this.exportMode(askQuestion);
+          break;
+        case '6':
+          await this.quizMode(askQuestion);
+          break;
+        case '7':
+          console.log(`\n${t('cli.goodbye')}\n`);
           running = false;
           break;
         default:
-          console.log('\n❌ Invalid choice. Please enter a number between 1 and 5.\n');
+          console.log(`\n${t('cli.invalidChoice', { max: MENU_ITEMS.length })}\n`);
       }
     }
 
@@ -391,14 +1189,36 @@ class EchoChamberUI {
  * Programmatic API for use in other modules
  */
 module.exports = {
+  MAX_PREDICTION_COUNT,
   EchoChamber,
   EchoChamberUI
 };
 
 /**
- * Main execution - runs the interactive UI if this is the main module
+ * Main execution - runs a command if one is given (see cli.js), the interactive UI otherwise
  */
 if (require.main === module) {
-  const ui = new EchoChamberUI();
-  ui.start();
+  const args = process.argv.slice(2);
+  const { hasCommand, runCli } = require('./cli.js');
+
+  if (hasCommand(args)) {
+    // A pipe closed early, as by `| head`, is not an error
+    process.stdout.on('error', error => {
+      if (error.code !== 'EPIPE') {
+        throw error;
+      }
+    });
+    // Setting exitCode rather than calling process.exit() lets piped output drain first
+    process.exitCode = runCli(args);
+  } else {
+    // --lang it-IT (or ECHO_LANG=it-IT) picks the language of the menus and messages
+    const lang = parseLangOption(args) || process.env.ECHO_LANG;
+    if (lang && !resolveLocale(lang)) {
+      console.log(translator(DEFAULT_LOCALE)('cli.unknownLanguage', { lang, locales: SUPPORTED_LOCALES.join(', ') }));
+    }
+
+    // ECHO_STORAGE=file keeps echoes between runs (see storage.js)
+    const ui = new EchoChamberUI({ storage: createStorage(storageConfigFromEnv()), locale: lang });
+    ui.start();
+  }
 }
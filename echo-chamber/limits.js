@@ -0,0 +1,222 @@
+/**
+ * Echo Chamber - Request Limits
+ *
+ * Keeps a single client from monopolising the web server:
+ * - a per-address rate limit, counted in fixed time windows
+ * - a maximum sequence length (enforced by EchoChamber)
+ * - maximum request body sizes (enforced by the body parsers)
+ *
+ * Every limit is configurable through environment variables, read by
+ * limitsConfigFromEnv(). Clients over the rate limit get 429 Too Many
+ * Requests; oversized sequences and bodies get 413 Payload Too Large.
+ */
+
+const bytes = require('bytes');
+const { ERROR_CODES, httpStatus } = require('./errors.js');
+const { translator } = require('./i18n.js');
+
+// The defaults keep a request at the limits to milliseconds of work in the tolerant mode. Exact
+// fractions cost more per digit, so a body full of large ones can take a few hundred milliseconds
+const DEFAULT_LIMITS = Object.freeze({
+  // Requests per address and window; 0 turns rate limiting off
+  rateLimit: 120,
+  // Milliseconds per rate limit window
+  rateWindow: 60 * 1000,
+  // Numbers per sequence (see EchoChamber)
+  maxSequenceLength: 1000,
+  // Body sizes, in the notation of express.json(): single requests (and stream lines), and batches, streams and imports
+  maxBodySize: '16kb',
+  maxBatchBodySize: '64kb',
+  // Express "trust proxy" setting, so the address behind a reverse proxy is the one limited
+  trustProxy: false
+});
+
+/**
+ * Reads a whole number of at least 0 from an environment variable
+ *
+ * @param {string} [value] - The variable
+ * @param {number} fallback - Used when the variable is unset or not such a number
+ * @returns {number} The number
+ */
+function wholeNumber(value, fallback) {
+  return /^\d+$/.test(String(value).trim()) ? Number(value) : fallback;
+}
+
+/**
+ * Reads a size in bytes from an environment variable
+ * A size that cannot be read stops the server from starting, rather than
+ * refusing every request or lifting the limit
+ *
+ * @param {string} name - The variable's name, for the error message
+ * @param {string} [value] - The variable, e.g. '100kb' or '1mb'
+ * @param {string} fallback - Used when the variable is unset
+ * @returns {number} The size in bytes
+ * @throws {Error} If the variable is not a size of at least one byte
+ */
+function byteSize(name, value, fallback) {
+  const size = bytes.parse(value === undefined || value === '' ? fallback : value);
+  if (!Number.isSafeInteger(size) || size < 1) {
+    throw new Error(`${name} must be a size such as 100kb or 1mb, not "${value}"`);
+  }
+  return size;
+}
+
+/**
+ * Reads the Express "trust proxy" setting from an environment variable
+ *
+ * @param {string} [value] - 'true', a number of hops, or addresses/subnets such as 'loopback'
+ * @returns {boolean|number|string} The setting
+ */
+function trustProxySetting(value) {
+  if (value === undefined || value === '' || value === 'false') {
+    return DEFAULT_LIMITS.trustProxy;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Reads the limits from environment variables
+ * ECHO_RATE_LIMIT (requests per window, 0 for none), ECHO_RATE_WINDOW_SECONDS,
+ * ECHO_MAX_SEQUENCE_LENGTH, ECHO_MAX_BODY_SIZE, ECHO_MAX_BATCH_BODY_SIZE and ECHO_TRUST_PROXY
+ *
+ * @param {Object} [env=process.env] - The environment
+ * @returns {Object} The limits, with DEFAULT_LIMITS for unset variables; body sizes are in bytes
+ * @throws {Error} If a body size cannot be read
+ */
+function limitsConfigFromEnv(env = process.env) {
+  return {
+    rateLimit: wholeNumber(env.ECHO_RATE_LIMIT, DEFAULT_LIMITS.rateLimit),
+    rateWindow: wholeNumber(env.ECHO_RATE_WINDOW_SECONDS, DEFAULT_LIMITS.rateWindow / 1000) * 1000 ||
+      DEFAULT_LIMITS.rateWindow,
+    maxSequenceLength: wholeNumber(env.ECHO_MAX_SEQUENCE_LENGTH, DEFAULT_LIMITS.maxSequenceLength) ||
+      DEFAULT_LIMITS.maxSequenceLength,
+    maxBodySize: byteSize('ECHO_MAX_BODY_SIZE', env.ECHO_MAX_BODY_SIZE, DEFAULT_LIMITS.maxBodySize),
+    maxBatchBodySize: byteSize('ECHO_MAX_BATCH_BODY_SIZE', env.ECHO_MAX_BATCH_BODY_SIZE, DEFAULT_LIMITS.maxBatchBodySize),
+    trustProxy: trustProxySetting(env.ECHO_TRUST_PROXY)
+  };
+}
+
+/**
+ * Counts requests per client in fixed windows
+ */
+class RateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.limit=120] - Requests allowed per client and window
+   * @param {number} [options.window=60000] - Milliseconds per window
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.limit = options.limit || DEFAULT_LIMITS.rateLimit;
+    this.window = options.window || DEFAULT_LIMITS.rateWindow;
+    this.now = options.now || Date.now;
+    // Client key → { count, resetAt } of its current window
+    this.clients = new Map();
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Counts a request of a client
+   *
+   * @param {string} key - Identifies the client, e.g. its IP address
+   * @returns {Object} { allowed: boolean, limit: number, remaining: number, reset: number }
+   *                   reset is the number of seconds until the window ends
+   */
+  hit(key) {
+    const now = this.now();
+    let client = this.clients.get(key);
+
+    if (!client || now >= client.resetAt) {
+      client = { count: 0, resetAt: now + this.window };
+      this.clients.set(key, client);
+    }
+    client.count++;
+
+    return {
+      allowed: client.count <= this.limit,
+      limit: this.limit,
+      remaining: Math.max(0, this.limit - client.count),
+      reset: Math.ceil((client.resetAt - now) / 1000)
+    };
+  }
+
+  /**
+   * Forgets clients whose window has ended
+   *
+   * @returns {number} How many clients were forgotten
+   */
+  sweep() {
+    const now = this.now();
+    let forgotten = 0;
+    this.clients.forEach((client, key) => {
+      if (now >= client.resetAt) {
+        this.clients.delete(key);
+        forgotten++;
+      }
+    });
+    return forgotten;
+  }
+
+  /**
+   * Sweeps ended windows at a regular interval
+   * The timer does not keep the process alive on its own
+   *
+   * @param {number} [interval] - Milliseconds between sweeps, one window by default
+   */
+  startSweeping(interval = this.window) {
+    this.stopSweeping();
+    this.sweepTimer = setInterval(() => this.sweep(), interval);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Stops the regular sweep started by startSweeping()
+   */
+  stopSweeping() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+}
+
+/**
+ * Creates Express middleware that rate-limits requests by client address
+ * Every response carries RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset
+ * headers; refused requests also get Retry-After
+ *
+ * @param {RateLimiter} limiter - Counts the requests
+ * @returns {Function} The middleware
+ */
+function rateLimit(limiter) {
+  return (req, res, next) => {
+    const { allowed, limit, remaining, reset } = limiter.hit(req.ip);
+
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(reset)
+    });
+
+    if (!allowed) {
+      const t = req.t || translator(req.locale);
+      res.set('Retry-After', String(reset));
+      return res.status(httpStatus(ERROR_CODES.RATE_LIMITED)).json({
+        success: false,
+        message: t('errors.RATE_LIMITED', { count: reset }),
+        error: { code: ERROR_CODES.RATE_LIMITED }
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  limitsConfigFromEnv,
+  RateLimiter,
+  rateLimit
+};
@@ -0,0 +1,87 @@
+/**
+ * Echo Chamber - Live Events
+ *
+ * Relays the events of a chamber (see EchoChamber) to a client as
+ * Server-Sent Events, so every open web page of a session sees new and
+ * removed echoes without polling. A stream looks like this:
+ *
+ *   retry: 5000
+ *
+ *   event: echo
+ *   data: {"sequence":[3,6,9],"nextNumber":12,...,"predictionIndex":1}
+ *
+ *   event: memoriesCleared
+ *   data: {}
+ *
+ * Lines starting with ':' are heartbeats, which keep proxies from closing
+ * a stream that has been quiet for a while.
+ */
+
+const { bigintReplacer } = require('./number-systems.js');
+
+// Events relayed to clients, in the order EchoChamber documents them
+const CHAMBER_EVENTS = ['echo', 'echoDeleted', 'memoriesCleared', 'memoriesRestored'];
+
+// Milliseconds between heartbeats
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Milliseconds browsers wait before reconnecting a dropped stream
+const RECONNECT_DELAY = 5000;
+
+/**
+ * Formats one Server-Sent Event
+ *
+ * @param {string} event - The event name
+ * @param {*} data - The payload, sent as JSON (BigInts as decimal strings)
+ * @returns {string} The event, ending with the blank line that terminates it
+ */
+function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data, bigintReplacer)}\n\n`;
+}
+
+/**
+ * Relays a chamber's events to an event stream until stopped
+ *
+ * @param {EchoChamber} chamber - The chamber to listen to
+ * @param {Object} stream - Where events are written, e.g. an Express response
+ *                          whose text/event-stream headers have been set
+ * @param {Object} [options]
+ * @param {number} [options.heartbeat=25000] - Milliseconds between heartbeats
+ * @param {Function} [options.onHeartbeat] - Called before each heartbeat; returning false ends the stream
+ * @returns {Function} Stops relaying; call it when the client disconnects
+ */
+function relayChamberEvents(chamber, stream, options = {}) {
+  const listeners = CHAMBER_EVENTS.map(event => {
+    const listener = data => stream.write(formatEvent(event, data));
+    chamber.on(event, listener);
+    return [event, listener];
+  });
+
+  const timer = setInterval(() => {
+    if (options.onHeartbeat && options.onHeartbeat() === false) {
+      stop();
+      stream.end();
+      return;
+    }
+    stream.write(': heartbeat\n\n');
+  }, options.heartbeat || HEARTBEAT_INTERVAL);
+  // An idle stream must not keep the process alive on its own
+  timer.unref();
+
+  /**
+   * Removes the listeners and the heartbeat timer
+   */
+  function stop() {
+    clearInterval(timer);
+    listeners.forEach(([event, listener]) => chamber.removeListener(event, listener));
+  }
+
+  stream.write(`retry: ${RECONNECT_DELAY}\n\n`);
+  return stop;
+}
+
+module.exports = {
+  CHAMBER_EVENTS,
+  formatEvent,
+  relayChamberEvents
+};
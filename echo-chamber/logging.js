@@ -0,0 +1,229 @@
+/**
+ * Echo Chamber - Logging
+ *
+ * Structured logs for the web server: one JSON object per line, so log
+ * collectors can index the fields instead of parsing sentences:
+ *
+ *   {"time":"2024-05-01T12:00:00.000Z","level":"info","msg":"request","requestId":"5f0c…","method":"POST",...}
+ *
+ * Every request gets an id, taken from its X-Request-Id header when the
+ * client (or a proxy in front of the server) sent a usable one. The id is
+ * sent back in the X-Request-Id response header, repeated in the
+ * error.requestId field of failures, and attached to every line logged
+ * about the request, so a complaint quoting it leads to the right lines.
+ *
+ * ECHO_LOG_LEVEL picks the least severe level that is logged.
+ */
+
+const crypto = require('crypto');
+const { bigintReplacer } = require('./number-systems.js');
+const { maskSessionId } = require('./sessions.js');
+
+// Levels, from most verbose to most severe; 'silent' logs nothing
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const DEFAULT_LOG_LEVEL = 'info';
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Ids clients may choose: short, and nothing that could forge extra log lines or headers
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Writes log entries as JSON lines
+ */
+class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.level='info'] - Least severe level that is logged (see LOG_LEVELS)
+   * @param {Object} [options.fields={}] - Fields added to every entry
+   * @param {Function} [options.write] - Receives each line; writes to standard output by default
+   * @param {Function} [options.now] - Clock, for tests
+   * @throws {Error} If the level is unknown
+   */
+  constructor(options = {}) {
+    const level = options.level || DEFAULT_LOG_LEVEL;
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Unknown log level "${level}"; use one of ${LOG_LEVELS.join(', ')}`);
+    }
+    this.level = level;
+    this.fields = options.fields || {};
+    this.write = options.write || (line => process.stdout.write(`${line}\n`));
+    this.now = options.now || Date.now;
+  }
+
+  /**
+   * Checks whether entries of a level are logged
+   *
+   * @param {string} level - 'debug', 'info', 'warn' or 'error'
+   * @returns {boolean} True if the level is at least as severe as the logger's
+   */
+  enabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+  }
+
+  /**
+   * Logs an entry
+   *
+   * @param {string} level - 'debug', 'info', 'warn' or 'error'
+   * @param {string} msg - What happened, e.g. 'request'
+   * @param {Object} [fields={}] - Details; an Error in the error field is logged with its stack
+   */
+  log(level, msg, fields = {}) {
+    if (!this.enabled(level)) {
+      return;
+    }
+    const entry = { time: new Date(this.now()).toISOString(), level, msg, ...this.fields, ...fields };
+    if (entry.error instanceof Error) {
+      entry.error = { message: entry.error.message, stack: entry.error.stack };
+    }
+    this.write(JSON.stringify(entry, bigintReplacer));
+  }
+
+  /**
+   * Logs a debug entry
+   *
+   * @param {string} msg - What happened
+   * @param {Object} [fields] - Details
+   */
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  /**
+   * Logs an info entry
+   *
+   * @param {string} msg - What happened
+   * @param {Object} [fields] - Details
+   */
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  /**
+   * Logs a warning
+   *
+   * @param {string} msg - What happened
+   * @param {Object} [fields] - Details
+   */
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  /**
+   * Logs an error
+   *
+   * @param {string} msg - What happened
+   * @param {Object} [fields] - Details
+   */
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+
+  /**
+   * Creates a logger that adds more fields to every entry, such as a request id
+   *
+   * @param {Object} fields - The fields
+   * @returns {Logger} The logger, writing where this one does
+   */
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      fields: { ...this.fields, ...fields },
+      write: this.write,
+      now: this.now
+    });
+  }
+}
+
+/**
+ * Creates the logger configured by environment variables
+ * ECHO_LOG_LEVEL is debug, info (default), warn, error or silent
+ *
+ * @param {Object} [env=process.env] - The environment
+ * @returns {Logger} The logger
+ * @throws {Error} If ECHO_LOG_LEVEL is not a known level
+ */
+function loggerFromEnv(env = process.env) {
+  return new Logger({ level: env.ECHO_LOG_LEVEL ? env.ECHO_LOG_LEVEL.trim().toLowerCase() : DEFAULT_LOG_LEVEL });
+}
+
+/**
+ * Picks the id of a request: the one it brought, if usable, or a new random one
+ *
+ * @param {string} [claimed] - The X-Request-Id header of the request
+ * @returns {string} The id
+ */
+function requestIdFor(claimed) {
+  return typeof claimed === 'string' && REQUEST_ID_PATTERN.test(claimed)
+    ? claimed
+    : crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Creates Express middleware that gives each request an id and logs it once answered
+ * Sets req.id and req.log (a logger whose entries carry the id), sends the id in the
+ * X-Request-Id header, and adds it to the error object of JSON failures as error.requestId
+ * Requests are logged at info level, or error level for 5xx answers; the query string is
+ * left out, since it may hold an API key
+ *
+ * @param {Logger} logger - Where requests are logged
+ * @returns {Function} The middleware
+ */
+function logRequests(logger) {
+  return (req, res, next) => {
+    const start = process.hrtime();
+    req.id = requestIdFor(req.get(REQUEST_ID_HEADER));
+    req.log = logger.child({ requestId: req.id });
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    const send = res.json.bind(res);
+    res.json = body => {
+      if (body && typeof body.error === 'object' && body.error !== null && !Array.isArray(body.error)) {
+        body = { ...body, error: { ...body.error, requestId: req.id } };
+      }
+      return send(body);
+    };
+
+    res.on('finish', () => {
+      const [seconds, nanoseconds] = process.hrtime(start);
+      const fields = {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round((seconds * 1e3 + nanoseconds / 1e6) * 10) / 10,
+        ip: req.ip
+      };
+      if (req.sessionId) {
+        fields.session = maskSessionId(req.sessionId);
+      }
+      if (res.statusCode >= 500) {
+        req.log.error('request', fields);
+      } else {
+        req.log.info('request', fields);
+      }
+    });
+    next();
+  };
+}
+
+/**
+ * Logs the predictions of a chamber (see the 'prediction' event of EchoChamber) at debug level
+ *
+ * @param {Logger} logger - Where predictions are logged, e.g. a child logger naming the session
+ * @param {EchoChamber} chamber - The chamber
+ * @returns {EchoChamber} The chamber
+ */
+function logPredictions(logger, chamber) {
+  chamber.on('prediction', ({ success, pattern, code }) => {
+    logger.debug('prediction', { outcome: success ? 'success' : 'failure', pattern, code });
+  });
+  return chamber;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  REQUEST_ID_HEADER,
+  Logger,
+  loggerFromEnv,
+  logRequests,
+  logPredictions
+};
@@ -0,0 +1,210 @@
+/**
+ * Echo Chamber - Memory Export and Import
+ *
+ * Writes the chamber's echoes (memory records) as CSV or JSON, and reads
+ * them back. Reading only parses the file; EchoChamber.importMemories()
+ * checks every record by predicting its sequence again.
+ *
+ * JSON exports are a document { schemaVersion, exportedAt, memories }.
+ * CSV exports have one echo per row, with these columns:
+ *
+ *   predictionIndex, createdAt, timestamp, sequence, nextNumber,
+ *   commonDifference, pattern, parameters
+ *
+ * where sequence holds the values separated by spaces ("3 6 9 12") and
+ * parameters is a JSON object. In both formats, whole numbers too large
+ * for a JavaScript number are written as decimal strings.
+ */
+
+const { Rational, bigintReplacer, decodeBigInt } = require('./number-systems.js');
+const { SCHEMA_VERSION } = require('./storage.js');
+
+const EXPORT_FORMATS = ['json', 'csv'];
+
+const CSV_COLUMNS = [
+  'predictionIndex',
+  'createdAt',
+  'timestamp',
+  'sequence',
+  'nextNumber',
+  'commonDifference',
+  'pattern',
+  'parameters'
+];
+
+/**
+ * Quotes a CSV field if it contains a separator, a quote or a line break
+ *
+ * @param {*} value - The field value
+ * @returns {string} The field as CSV text
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Splits CSV text into rows of fields
+ * Handles quoted fields, doubled quotes and both line ending styles
+ *
+ * @param {string} text - The CSV text
+ * @returns {string[][]} The rows, without empty lines
+ * @throws {Error} If a quoted field is not closed
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unclosed quote in CSV');
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+}
+
+/**
+ * Reads a number written to a CSV field
+ * Fractions and big whole numbers stay exact (as text and BigInt);
+ * text that is not a number is kept as it is, for the import checks to reject
+ *
+ * @param {string} text - The field
+ * @returns {number|bigint|string|null} The value, or null for an empty field
+ */
+function csvNumber(text) {
+  const trimmed = text.trim();
+  if (trimmed === '') {
+    return null;
+  }
+  const value = decodeBigInt(trimmed);
+  if (typeof value === 'bigint' || !Rational.parse(trimmed) || trimmed.includes('/')) {
+    return value;
+  }
+  return Number(trimmed);
+}
+
+/**
+ * Writes echoes as CSV or JSON
+ *
+ * @param {Object[]} memories - The echoes, as returned by getMemories()
+ * @param {string} [format='json'] - 'json' or 'csv'
+ * @returns {string} The export
+ * @throws {Error} If the format is unknown
+ */
+function exportMemories(memories, format = 'json') {
+  if (format === 'json') {
+    const document = {
+      schemaVersion: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      memories
+    };
+    return JSON.stringify(document, bigintReplacer, 2) + '\n';
+  }
+
+  if (format === 'csv') {
+    const rows = memories.map(memory => [
+      memory.predictionIndex,
+      memory.createdAt,
+      memory.timestamp,
+      memory.sequence.join(' '),
+      memory.nextNumber,
+      memory.commonDifference,
+      memory.pattern,
+      JSON.stringify(memory.parameters || {}, bigintReplacer)
+    ].map(csvField).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  throw new Error(`Unknown export format "${format}". Use ${EXPORT_FORMATS.join(' or ')}`);
+}
+
+/**
+ * Reads echoes from a CSV or JSON export
+ * The records are not checked beyond their format; pass them to
+ * EchoChamber.importMemories() to verify and store them
+ *
+ * @param {string|Object|Array} data - Export text, or an already parsed JSON document or record list
+ * @param {string} [format='json'] - 'json' or 'csv'
+ * @returns {Object[]} The records, with big whole numbers as BigInts
+ * @throws {Error} If the data cannot be read
+ */
+function parseMemoryImport(data, format = 'json') {
+  if (format === 'json') {
+    const document = typeof data === 'string' ? JSON.parse(data) : data;
+    const records = Array.isArray(document) ? document : document && document.memories;
+    if (!Array.isArray(records)) {
+      throw new Error('Expected a list of echoes or an export with a "memories" list');
+    }
+    return records.map(record => {
+      if (!record || typeof record !== 'object') {
+        return record;
+      }
+      return {
+        ...record,
+        sequence: Array.isArray(record.sequence) ? record.sequence.map(decodeBigInt) : record.sequence,
+        nextNumber: decodeBigInt(record.nextNumber)
+      };
+    });
+  }
+
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(String(data));
+    if (!header || !header.includes('sequence') || !header.includes('nextNumber')) {
+      throw new Error('CSV needs a header row with at least the sequence and nextNumber columns');
+    }
+    return rows.map(fields => {
+      const row = {};
+      header.forEach((column, position) => {
+        row[column.trim()] = fields[position] === undefined ? '' : fields[position];
+      });
+      return {
+        sequence: row.sequence.trim() === '' ? [] : row.sequence.trim().split(/\s+/).map(csvNumber),
+        nextNumber: csvNumber(row.nextNumber),
+        pattern: row.pattern || undefined,
+        createdAt: row.createdAt || null,
+        timestamp: row.timestamp || undefined
+      };
+    });
+  }
+
+  throw new Error(`Unknown import format "${format}". Use ${EXPORT_FORMATS.join(' or ')}`);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportMemories,
+  parseMemoryImport
+};
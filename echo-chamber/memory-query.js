@@ -0,0 +1,295 @@
+/**
+ * Echo Chamber - Memory Queries
+ *
+ * Filters, sorts and paginates the chamber's echoes (memory records).
+ *
+ * Pagination uses cursors rather than page numbers: every page that has
+ * more echoes after it comes with a nextCursor, which is passed back to
+ * get the following page. A cursor remembers the position after the last
+ * echo of the page, so deleting echoes does not make later pages skip or
+ * repeat any.
+ *
+ * Query fields may be given as strings, as they arrive in a URL query.
+ */
+
+const { Rational } = require('./number-systems.js');
+const { ERROR_CODES } = require('./errors.js');
+const { translate } = require('./i18n.js');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Reads the creation time of an echo
+ *
+ * @param {Object} memory - The echo
+ * @returns {number|null} Milliseconds since the epoch, or null for records migrated from version 1, which have no date
+ */
+function createdTime(memory) {
+  const time = memory.createdAt ? Date.parse(memory.createdAt) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+// Sort fields: each maps an echo to a comparable key, or null if it has none
+const SORT_KEYS = {
+  // Imported and restored echoes keep their creation date but get a new predictionIndex,
+  // so the date is the key and predictionIndex only breaks ties
+  createdAt: createdTime,
+  difference: memory => Rational.parse(memory.commonDifference),
+  length: memory => memory.sequence.length
+};
+
+/**
+ * Compares two sort keys of the same field
+ *
+ * @param {Rational|number} a - First key
+ * @param {Rational|number} b - Second key
+ * @returns {number} Negative, zero or positive
+ */
+function compareKeys(a, b) {
+  return a instanceof Rational ? a.sub(b).sign() : a - b;
+}
+
+/**
+ * Orders two entries; echoes without a key come last in either direction,
+ * ties are broken by predictionIndex
+ *
+ * @param {{ key: *, index: number }} a - First entry
+ * @param {{ key: *, index: number }} b - Second entry
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {number} Negative, zero or positive
+ */
+function compareEntries(a, b, direction) {
+  if (a.key === null || b.key === null) {
+    if (a.key !== b.key) {
+      return a.key === null ? 1 : -1;
+    }
+  } else {
+    const difference = compareKeys(a.key, b.key);
+    if (difference !== 0) {
+      return difference * direction;
+    }
+  }
+  return (a.index - b.index) * direction;
+}
+
+/**
+ * Encodes the position after an entry as an opaque cursor
+ *
+ * @param {{ key: *, index: number }} entry - The last entry of a page
+ * @returns {string} The cursor
+ */
+function encodeCursor(entry) {
+  const key = entry.key === null ? null : entry.key.toString();
+  return Buffer.from(JSON.stringify([key, entry.index])).toString('base64');
+}
+
+/**
+ * Decodes a cursor made by encodeCursor()
+ *
+ * @param {string} cursor - The cursor
+ * @param {string} sort - The sort field the cursor was made for
+ * @returns {{ key: *, index: number }|null} The entry position, or null if the cursor is invalid
+ */
+function decodeCursor(cursor, sort) {
+  try {
+    const [key, index] = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+    if (!Number.isInteger(index)) {
+      return null;
+    }
+    if (key === null) {
+      return { key: null, index };
+    }
+    const decoded = sort === 'difference' ? Rational.parse(key) : Number(key);
+    return decoded === null || Number.isNaN(decoded) ? null : { key: decoded, index };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads an optional whole-number query field
+ *
+ * @param {*} value - The raw value
+ * @param {number} min - Smallest allowed value
+ * @returns {number|null|undefined} The number, undefined if absent, null if invalid
+ */
+function parseWholeNumber(value, min) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min ? number : null;
+}
+
+/**
+ * Reads an optional date query field
+ *
+ * @param {*} value - The raw value, an ISO date string or a timestamp
+ * @returns {number|null|undefined} Milliseconds since the epoch, undefined if absent, null if invalid
+ */
+function parseDate(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const time = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Checks and normalises a query
+ *
+ * @param {Object} query - See queryMemories()
+ * @returns {{ query?: Object, error?: string, params?: Object, field?: string }} The normalised query, or the
+ *          error's message key (query.*), its parameters and the field at fault
+ */
+function parseQuery(query) {
+  const limit = parseWholeNumber(query.limit, 1);
+  if (limit === null || limit > MAX_LIMIT) {
+    return { field: 'limit', error: 'query.limit', params: { max: MAX_LIMIT } };
+  }
+
+  const lengths = {};
+  for (const field of ['length', 'minLength', 'maxLength']) {
+    lengths[field] = parseWholeNumber(query[field], 0);
+    if (lengths[field] === null) {
+      return { field, error: 'query.wholeNumber', params: { field } };
+    }
+  }
+
+  let difference;
+  if (query.difference !== undefined && query.difference !== '') {
+    difference = Rational.parse(query.difference);
+    if (difference === null) {
+      return { field: 'difference', error: 'query.difference' };
+    }
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === null || to === null) {
+    return { field: from === null ? 'from' : 'to', error: 'query.dates' };
+  }
+
+  const sort = query.sort || 'createdAt';
+  if (!Object.prototype.hasOwnProperty.call(SORT_KEYS, sort)) {
+    return { field: 'sort', error: 'query.sort', params: { sort, sorts: Object.keys(SORT_KEYS).join(', ') } };
+  }
+
+  const order = query.order || 'asc';
+  if (order !== 'asc' && order !== 'desc') {
+    return { field: 'order', error: 'query.order' };
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined && query.cursor !== '') {
+    cursor = decodeCursor(query.cursor, sort);
+    if (cursor === null) {
+      return { field: 'cursor', error: 'query.cursor' };
+    }
+  }
+
+  return {
+    query: {
+      limit: limit || DEFAULT_LIMIT,
+      ...lengths,
+      difference,
+      pattern: query.pattern || undefined,
+      from,
+      to,
+      sort,
+      direction: order === 'desc' ? -1 : 1,
+      cursor
+    }
+  };
+}
+
+/**
+ * Checks whether an echo passes the query's filters
+ *
+ * @param {Object} memory - The echo
+ * @param {Object} query - A query normalised by parseQuery()
+ * @returns {boolean} True if the echo matches
+ */
+function matches(memory, query) {
+  const length = memory.sequence.length;
+  if (query.length !== undefined && length !== query.length) return false;
+  if (query.minLength !== undefined && length < query.minLength) return false;
+  if (query.maxLength !== undefined && length > query.maxLength) return false;
+  if (query.pattern !== undefined && memory.pattern !== query.pattern) return false;
+
+  if (query.difference !== undefined) {
+    const difference = Rational.parse(memory.commonDifference);
+    if (difference === null || !difference.equals(query.difference)) return false;
+  }
+
+  if (query.from !== undefined || query.to !== undefined) {
+    // Records migrated from version 1 have no date and never match a time range
+    const time = createdTime(memory);
+    if (time === null) return false;
+    if (query.from !== undefined && time < query.from) return false;
+    if (query.to !== undefined && time > query.to) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Filters, sorts and paginates echoes
+ *
+ * @param {Object[]} memories - All echoes, oldest first
+ * @param {Object} [query]
+ * @param {number|string} [query.limit=50] - Page size, at most 500
+ * @param {string} [query.cursor] - nextCursor of the previous page
+ * @param {number|string} [query.difference] - Only echoes with this common difference ("1/3" is allowed)
+ * @param {number|string} [query.length] - Only sequences of exactly this length
+ * @param {number|string} [query.minLength] - Only sequences at least this long
+ * @param {number|string} [query.maxLength] - Only sequences at most this long
+ * @param {string} [query.pattern] - Only echoes of this pattern, e.g. 'geometric'
+ * @param {string|Date} [query.from] - Only echoes created at or after this time
+ * @param {string|Date} [query.to] - Only echoes created at or before this time
+ * @param {string} [query.sort='createdAt'] - 'createdAt', 'difference' or 'length'
+ * @param {string} [query.order='asc'] - 'asc' or 'desc'
+ * @param {string} [locale='en'] - Language of the error message (see i18n.js)
+ * @returns {Object} { success, memories, count, total, nextCursor, message?, error? }
+ */
+function queryMemories(memories, query = {}, locale) {
+  const parsed = parseQuery(query);
+  if (parsed.error) {
+    return {
+      success: false,
+      memories: [],
+      count: 0,
+      total: 0,
+      nextCursor: null,
+      message: translate(locale, 'common.error', { message: translate(locale, parsed.error, parsed.params) }),
+      error: { code: ERROR_CODES.INVALID_QUERY, field: parsed.field }
+    };
+  }
+
+  const { limit, sort, direction, cursor } = parsed.query;
+  const entries = memories
+    .filter(memory => matches(memory, parsed.query))
+    .map(memory => ({ key: SORT_KEYS[sort](memory), index: memory.predictionIndex, memory }))
+    .sort((a, b) => compareEntries(a, b, direction));
+
+  const start = cursor
+    ? entries.findIndex(entry => compareEntries(entry, cursor, direction) > 0)
+    : 0;
+  const page = start === -1 ? [] : entries.slice(start, start + limit);
+  const hasMore = start !== -1 && start + limit < entries.length;
+
+  return {
+    success: true,
+    memories: page.map(entry => entry.memory),
+    count: page.length,
+    total: entries.length,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  queryMemories
+};
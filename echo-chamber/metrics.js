@@ -0,0 +1,414 @@
+/**
+ * Echo Chamber - Metrics
+ *
+ * Counts what the web server does and renders it in the Prometheus text
+ * exposition format, served at GET /metrics:
+ *
+ *   # HELP echo_predictions_total Predictions made by session chambers, by outcome
+ *   # TYPE echo_predictions_total counter
+ *   echo_predictions_total{outcome="success",pattern="arithmetic",code=""} 3
+ *
+ * Metric types are the ones Prometheus documents: counters only go up,
+ * gauges are read when the metrics are rendered, and histograms count
+ * observations into cumulative buckets.
+ */
+
+// Content type of the Prometheus text format
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Upper bounds, in seconds, of the request duration buckets
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+/**
+ * Formats a sample value
+ *
+ * @param {number} value - The value
+ * @returns {string} e.g. '3', '0.25', '+Inf' or 'NaN'
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Formats the labels of a sample
+ *
+ * @param {string[]} names - Label names
+ * @param {string[]} values - Their values, in the same order
+ * @returns {string} e.g. '{method="GET",route="/api/memories"}', or '' without labels
+ */
+function formatLabels(names, values) {
+  if (names.length === 0) {
+    return '';
+  }
+  const pairs = names.map((name, i) => {
+    const value = values[i]
+      .replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n')
+      .replace(/"/g, '\\"');
+    return `${name}="${value}"`;
+  });
+  return `{${pairs.join(',')}}`;
+}
+
+/**
+ * Common ground of all metrics: a name, a help text and labelled series
+ */
+class Metric {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Metric name, e.g. 'echo_http_requests_total'
+   * @param {string} options.help - What the metric measures
+   * @param {string[]} [options.labelNames=[]] - Names of its labels
+   */
+  constructor(options) {
+    this.name = options.name;
+    this.help = options.help;
+    this.labelNames = options.labelNames || [];
+    // Label values (as JSON) → series state
+    this.series = new Map();
+  }
+
+  /**
+   * Lists the values of some labels in the order of the label names
+   *
+   * @param {Object} labels - { [labelName]: value }
+   * @returns {string[]} The values; '' for missing labels
+   */
+  labelValues(labels) {
+    return this.labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+  }
+
+  /**
+   * Finds the series of some label values, creating it on first use
+   *
+   * @param {Object} labels - { [labelName]: value }
+   * @param {Function} create - Returns the state of a new series
+   * @returns {Object} { values, state } of the series
+   */
+  seriesFor(labels, create) {
+    const values = this.labelValues(labels);
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { values, state: create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Renders the HELP and TYPE lines
+   *
+   * @param {string} type - 'counter', 'gauge' or 'histogram'
+   * @returns {string[]} The lines
+   */
+  header(type) {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+  }
+}
+
+/**
+ * A count that only goes up, such as requests served
+ */
+class Counter extends Metric {
+  /**
+   * Adds to the count of some label values
+   *
+   * @param {Object} [labels={}] - { [labelName]: value }
+   * @param {number} [value=1] - How much to add; must not be negative
+   * @throws {RangeError} If value is negative
+   */
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new RangeError(`Counter ${this.name} cannot decrease`);
+    }
+    this.seriesFor(labels, () => ({ count: 0 })).state.count += value;
+  }
+
+  /**
+   * Reads the count of some label values
+   *
+   * @param {Object} [labels={}] - { [labelName]: value }
+   * @returns {number} The count, 0 if nothing was counted
+   */
+  get(labels = {}) {
+    const series = this.series.get(JSON.stringify(this.labelValues(labels)));
+    return series ? series.state.count : 0;
+  }
+
+  /**
+   * Renders the counter
+   *
+   * @returns {string[]} The lines
+   */
+  render() {
+    const lines = this.header('counter');
+    this.series.forEach(({ values, state }) => {
+      lines.push(`${this.name}${formatLabels(this.labelNames, values)} ${formatValue(state.count)}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * A value read when the metrics are rendered, such as the number of sessions
+ */
+class Gauge extends Metric {
+  /**
+   * @param {Object} options - As for Metric, and:
+   * @param {Function} options.collect - Returns the current value; a gauge with labels returns
+   *                                     a list of { labels, value } instead
+   */
+  constructor(options) {
+    super(options);
+    this.collect = options.collect;
+  }
+
+  /**
+   * Renders the gauge
+   *
+   * @returns {string[]} The lines
+   */
+  render() {
+    const lines = this.header('gauge');
+    const collected = this.collect();
+    const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+    samples.forEach(({ labels, value }) => {
+      lines.push(`${this.name}${formatLabels(this.labelNames, this.labelValues(labels))} ${formatValue(value)}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * Observations counted into buckets, such as request durations
+ */
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - As for Metric, and:
+   * @param {number[]} [options.buckets] - Upper bounds of the buckets, ascending (DEFAULT_BUCKETS by default)
+   */
+  constructor(options) {
+    super(options);
+    this.buckets = options.buckets || DEFAULT_BUCKETS;
+  }
+
+  /**
+   * Records an observation
+   *
+   * @param {Object} labels - { [labelName]: value }
+   * @param {number} value - The observed value, e.g. seconds
+   */
+  observe(labels, value) {
+    const { state } = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        state.counts[i]++;
+      }
+    });
+    state.sum += value;
+    state.count++;
+  }
+
+  /**
+   * Renders the histogram: cumulative buckets, then the sum and count of each series
+   *
+   * @returns {string[]} The lines
+   */
+  render() {
+    const lines = this.header('histogram');
+    const bucketLabels = this.labelNames.concat('le');
+
+    this.series.forEach(({ values, state }) => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(bucketLabels, values.concat(formatValue(bound)))} ${state.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(bucketLabels, values.concat('+Inf'))} ${state.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${formatValue(state.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${state.count}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * Holds metrics and renders them together
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * Adds a metric
+   *
+   * @param {Metric} metric - The metric
+   * @returns {Metric} The metric
+   * @throws {Error} If the registry already has a metric of that name
+   */
+  register(metric) {
+    if (this.metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`A metric named ${metric.name} is already registered`);
+    }
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Adds a counter
+   *
+   * @param {Object} options - As for Counter
+   * @returns {Counter} The counter
+   */
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  /**
+   * Adds a gauge
+   *
+   * @param {Object} options - As for Gauge
+   * @returns {Gauge} The gauge
+   */
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  /**
+   * Adds a histogram
+   *
+   * @param {Object} options - As for Histogram
+   * @returns {Histogram} The histogram
+   */
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * Renders every metric in the Prometheus text format
+   *
+   * @returns {string} The metrics, ending with a newline
+   */
+  render() {
+    return this.metrics.map(metric => metric.render().join('\n')).join('\n') + '\n';
+  }
+}
+
+/**
+ * Creates the metrics of the web server
+ *
+ * @param {Object} [options]
+ * @param {SessionManager} [options.sessions] - Adds gauges of the active sessions and their echoes
+ * @returns {Object} { registry, requests, duration, predictions }
+ */
+function createEchoMetrics(options = {}) {
+  const registry = new MetricsRegistry();
+
+  const metrics = {
+    registry,
+    requests: registry.counter({
+      name: 'echo_http_requests_total',
+      help: 'HTTP requests, by method, route and status',
+      labelNames: ['method', 'route', 'status']
+    }),
+    duration: registry.histogram({
+      name: 'echo_http_request_duration_seconds',
+      help: 'Time to answer HTTP requests, by method and route',
+      labelNames: ['method', 'route']
+    }),
+    predictions: registry.counter({
+      name: 'echo_predictions_total',
+      help: 'Predictions made by session chambers, by outcome, pattern and error code',
+      labelNames: ['outcome', 'pattern', 'code']
+    })
+  };
+
+  if (options.sessions) {
+    const { sessions } = options;
+    registry.gauge({
+      name: 'echo_sessions',
+      help: 'Active sessions',
+      collect: () => sessions.list().length
+    });
+    registry.gauge({
+      name: 'echo_memories',
+      help: 'Echoes stored by the active sessions',
+      collect: () => sessions.list().reduce((total, session) => total + session.memoryCount, 0)
+    });
+  }
+
+  registry.gauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident memory size of the process in bytes',
+    collect: () => process.memoryUsage().rss
+  });
+  registry.gauge({
+    name: 'nodejs_heap_size_used_bytes',
+    help: 'Used size of the V8 heap in bytes',
+    collect: () => process.memoryUsage().heapUsed
+  });
+  registry.gauge({
+    name: 'process_uptime_seconds',
+    help: 'Seconds since the process started',
+    collect: () => process.uptime()
+  });
+
+  return metrics;
+}
+
+/**
+ * Names the route of a request for the route label
+ * Routes are their Express patterns, so /api/memories/1 and /api/memories/2 share one series
+ *
+ * @param {Object} req - The Express request, after it was answered
+ * @returns {string} e.g. '/api/memories/:index', or '/api/*' and '/*' for requests no route answered
+ */
+function routeLabel(req) {
+  if (req.route) {
+    return `${req.baseUrl || ''}${req.route.path}`;
+  }
+  return req.originalUrl.startsWith('/api/') ? '/api/*' : '/*';
+}
+
+/**
+ * Creates Express middleware that counts requests and times them
+ *
+ * @param {Object} metrics - The metrics (see createEchoMetrics)
+ * @returns {Function} The middleware
+ */
+function observeRequests(metrics) {
+  return (req, res, next) => {
+    const start = process.hrtime();
+
+    res.on('finish', () => {
+      const [seconds, nanoseconds] = process.hrtime(start);
+      const route = routeLabel(req);
+      metrics.requests.inc({ method: req.method, route, status: res.statusCode });
+      metrics.duration.observe({ method: req.method, route }, seconds + nanoseconds / 1e9);
+    });
+    next();
+  };
+}
+
+/**
+ * Counts the predictions of a chamber (see the 'prediction' event of EchoChamber)
+ *
+ * @param {Object} metrics - The metrics (see createEchoMetrics)
+ * @param {EchoChamber} chamber - The chamber
+ * @returns {EchoChamber} The chamber
+ */
+function observePredictions(metrics, chamber) {
+  chamber.on('prediction', ({ success, pattern, code }) => {
+    metrics.predictions.inc({ outcome: success ? 'success' : 'failure', pattern, code });
+  });
+  return chamber;
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  MetricsRegistry,
+  createEchoMetrics,
+  observeRequests,
+  observePredictions
+};
@@ -0,0 +1,477 @@
+/**
+ * Echo Chamber - Number Systems
+ *
+ * Pattern detectors never use +, -, *, / or === directly. They go through a
+ * number system, so the same detector works on plain JavaScript numbers or
+ * on exact fractions. Three modes are available:
+ *
+ * - strict:   JavaScript numbers compared with === (the original behaviour)
+ * - tolerant: JavaScript numbers compared within a relative tolerance, with
+ *             floating-point noise trimmed from the results (the default)
+ * - exact:    Fractions of BigInts, parsed from inputs such as "1/3" or "0.1",
+ *             with results returned as strings (e.g. "4/3")
+ * - bigint:   Whole numbers of any size, given as BigInts or digit strings,
+ *             with whole results returned as BigInts (fractions as strings).
+ *             Chosen automatically when a sequence contains BigInt values.
+ */
+
+const DEFAULT_MODE = 'tolerant';
+const DEFAULT_TOLERANCE = 1e-9;
+
+// Limits that keep exact arithmetic from building astronomically large BigInts
+const MAX_DECIMAL_EXPONENT = 1000;
+const MAX_EXACT_POWER = 100000;
+// Bits a numerator or denominator may reach, about 30000 decimal digits
+const MAX_EXACT_BITS = 100000;
+
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+const FRACTION_PATTERN = /^([+-]?\d+)\s*\/\s*([+-]?\d+)$/;
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * Greatest common divisor of two BigInts
+ *
+ * @param {bigint} a - First value
+ * @param {bigint} b - Second value
+ * @returns {bigint} The (non-negative) gcd
+ */
+function gcd(a, b) {
+  a = a < 0n ? -a : a;
+  b = b < 0n ? -b : b;
+  while (b !== 0n) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+/**
+ * An exact fraction numerator/denominator, always stored in lowest terms
+ * with a positive denominator
+ */
+class Rational {
+  /**
+   * @param {bigint} numerator - The numerator
+   * @param {bigint} [denominator=1n] - The denominator, must not be zero
+   */
+  constructor(numerator, denominator = 1n) {
+    if (denominator === 0n) {
+      throw new RangeError('Denominator cannot be zero');
+    }
+    if (denominator < 0n) {
+      numerator = -numerator;
+      denominator = -denominator;
+    }
+    const divisor = gcd(numerator, denominator) || 1n;
+    this.numerator = numerator / divisor;
+    this.denominator = denominator / divisor;
+  }
+
+  /**
+   * Parses a number, a BigInt or a string such as "3", "-0.25", "1.5e3" or "1/3"
+   *
+   * @param {number|bigint|string} value - The value to parse
+   * @returns {Rational|null} The fraction, or null if the value is not a valid number
+   */
+  static parse(value) {
+    if (typeof value === 'bigint') {
+      return new Rational(value);
+    }
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) {
+        return null;
+      }
+      // The shortest round-trip representation, so 0.1 becomes exactly 1/10
+      value = String(value);
+    }
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const text = value.trim();
+    const fraction = text.match(FRACTION_PATTERN);
+    if (fraction) {
+      const denominator = BigInt(fraction[2]);
+      return denominator === 0n ? null : new Rational(BigInt(fraction[1]), denominator);
+    }
+
+    const decimal = text.match(DECIMAL_PATTERN);
+    if (!decimal || (decimal[2] === '' && !decimal[3])) {
+      return null;
+    }
+
+    const [, sign, whole, fractional = '', exponentText = '0'] = decimal;
+    const exponent = Number(exponentText) - fractional.length;
+    if (Math.abs(exponent) > MAX_DECIMAL_EXPONENT) {
+      return null;
+    }
+    let numerator = BigInt(`${whole}${fractional}` || '0');
+    let denominator = 1n;
+
+    if (exponent >= 0) {
+      numerator *= 10n ** BigInt(exponent);
+    } else {
+      denominator = 10n ** BigInt(-exponent);
+    }
+
+    return new Rational(sign === '-' ? -numerator : numerator, denominator);
+  }
+
+  /**
+   * @param {Rational} other - The value to add
+   * @returns {Rational} this + other
+   */
+  add(other) {
+    return new Rational(
+      this.numerator * other.denominator + other.numerator * this.denominator,
+      this.denominator * other.denominator
+    );
+  }
+
+  /**
+   * @param {Rational} other - The value to subtract
+   * @returns {Rational} this - other
+   */
+  sub(other) {
+    return new Rational(
+      this.numerator * other.denominator - other.numerator * this.denominator,
+      this.denominator * other.denominator
+    );
+  }
+
+  /**
+   * @param {Rational} other - The value to multiply by
+   * @returns {Rational} this × other
+   */
+  mul(other) {
+    return new Rational(this.numerator * other.numerator, this.denominator * other.denominator);
+  }
+
+  /**
+   * @param {Rational} other - The value to divide by, must not be zero
+   * @returns {Rational} this ÷ other
+   */
+  div(other) {
+    return new Rational(this.numerator * other.denominator, this.denominator * other.numerator);
+  }
+
+  /**
+   * @param {Rational} other - The value to compare with
+   * @returns {boolean} True if both fractions are equal
+   */
+  equals(other) {
+    return this.numerator === other.numerator && this.denominator === other.denominator;
+  }
+
+  /**
+   * @returns {number} Bits of the larger of the numerator and the denominator
+   */
+  bitLength() {
+    const numerator = this.numerator < 0n ? -this.numerator : this.numerator;
+    const larger = numerator > this.denominator ? numerator : this.denominator;
+    return larger.toString(2).length;
+  }
+
+  /**
+   * @returns {number} -1, 0 or 1
+   */
+  sign() {
+    return this.numerator > 0n ? 1 : this.numerator < 0n ? -1 : 0;
+  }
+
+  /**
+   * @returns {string} "n" for whole numbers, "n/d" otherwise
+   */
+  toString() {
+    return this.denominator === 1n
+      ? this.numerator.toString()
+      : `${this.numerator}/${this.denominator}`;
+  }
+}
+
+/**
+ * Raises a value to a non-negative integer power by repeated squaring
+ *
+ * @param {Object} system - The number system to use
+ * @param {*} base - The base
+ * @param {number} exponent - A non-negative integer
+ * @returns {*} base^exponent
+ */
+function integerPower(system, base, exponent) {
+  let result = system.fromInteger(1);
+  while (exponent > 0) {
+    if (exponent % 2 === 1) {
+      result = system.mul(result, base);
+    }
+    base = system.mul(base, base);
+    exponent = Math.floor(exponent / 2);
+  }
+  return result;
+}
+
+/**
+ * Number system over plain JavaScript numbers
+ *
+ * @param {number} tolerance - Relative tolerance for equality, 0 for ===
+ * @returns {Object} A number system
+ */
+function floatSystem(tolerance) {
+  return {
+    name: tolerance > 0 ? 'tolerant' : 'strict',
+    tolerance,
+
+    parse(value) {
+      return typeof value === 'number' && !isNaN(value) ? value : null;
+    },
+
+    // Whole numbers beyond Number.MAX_SAFE_INTEGER have already been rounded
+    // by the time they reach us, so they cannot be trusted in this system
+    isExact(value) {
+      return !Number.isInteger(value) || Number.isSafeInteger(value);
+    },
+
+    isValue(value) {
+      return typeof value === 'number';
+    },
+
+    fromInteger(value) {
+      return value;
+    },
+
+    add: (a, b) => a + b,
+    sub: (a, b) => a - b,
+    mul: (a, b) => a * b,
+    div: (a, b) => a / b,
+
+    equals(a, b) {
+      if (a === b) return true;
+      if (tolerance === 0) return false;
+      return Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(a), Math.abs(b));
+    },
+
+    sign: value => Math.sign(value),
+
+    maxPower: Infinity,
+
+    pow(base, exponent) {
+      return Math.pow(base, exponent);
+    },
+
+    // Bits a value takes up, and how many a result may take up in all: numbers overflow to
+    // Infinity instead of growing
+    bitLength: () => 64,
+    maxBits: Infinity,
+
+    toOutput(value) {
+      // Trim floating-point noise such as 0.30000000000000004 in tolerant mode
+      return tolerance > 0 && Number.isFinite(value) && !Number.isInteger(value)
+        ? Number(value.toPrecision(15))
+        : value;
+    },
+
+    toString(value) {
+      return String(Number(value.toPrecision(12)));
+    }
+  };
+}
+
+/**
+ * Number system over exact fractions
+ *
+ * @returns {Object} A number system
+ */
+function exactSystem() {
+  return {
+    name: 'exact',
+    tolerance: 0,
+
+    parse: value => Rational.parse(value),
+    isExact: () => true,
+
+    isValue(value) {
+      return value instanceof Rational;
+    },
+
+    fromInteger(value) {
+      return new Rational(BigInt(value));
+    },
+
+    add: (a, b) => a.add(b),
+    sub: (a, b) => a.sub(b),
+    mul: (a, b) => a.mul(b),
+    div: (a, b) => a.div(b),
+    equals: (a, b) => a.equals(b),
+    sign: value => value.sign(),
+
+    // Highest power pow() and the pattern formulas will raise a value to
+    maxPower: MAX_EXACT_POWER,
+
+    pow(base, exponent) {
+      if (exponent > MAX_EXACT_POWER) {
+        throw new RangeError(`Exponent ${exponent} is too large for exact arithmetic`);
+      }
+      // base^exponent has about exponent times the bits of base: check before building it
+      if ((base.bitLength() - 1) * exponent > MAX_EXACT_BITS) {
+        throw new RangeError(`base^${exponent} is too large for exact arithmetic`);
+      }
+      return integerPower(this, base, exponent);
+    },
+
+    // Bits a value takes up, and how many a result may take up in all, checked by
+    // calculations that cannot estimate their result up front
+    bitLength: value => value.bitLength(),
+    maxBits: MAX_EXACT_BITS,
+
+    toOutput: value => value.toString(),
+    toString: value => value.toString()
+  };
+}
+
+/**
+ * Number system over whole numbers of any size
+ * Works on exact fractions internally, since ratios and recurrence
+ * coefficients need not be whole, but only accepts whole-number input
+ *
+ * @returns {Object} A number system
+ */
+function bigintSystem() {
+  return Object.assign(exactSystem(), {
+    name: 'bigint',
+
+    parse(value) {
+      if (typeof value === 'bigint') {
+        return new Rational(value);
+      }
+      if (typeof value === 'number') {
+        return Number.isSafeInteger(value) ? new Rational(BigInt(value)) : null;
+      }
+      if (typeof value === 'string' && INTEGER_PATTERN.test(value.trim())) {
+        return new Rational(BigInt(value.trim()));
+      }
+      return null;
+    },
+
+    toOutput(value) {
+      return value.denominator === 1n ? value.numerator : value.toString();
+    }
+  });
+}
+
+/**
+ * Creates the number system for a mode
+ *
+ * @param {string} [mode='tolerant'] - 'strict', 'tolerant', 'exact' or 'bigint'
+ * @param {number} [tolerance=1e-9] - Relative tolerance used by the tolerant mode
+ * @returns {Object|null} The number system, or null for an unknown mode
+ */
+function createNumberSystem(mode = DEFAULT_MODE, tolerance = DEFAULT_TOLERANCE) {
+  switch (mode) {
+    case 'strict':
+      return floatSystem(0);
+    case 'tolerant':
+      return floatSystem(tolerance);
+    case 'exact':
+      return exactSystem();
+    case 'bigint':
+      return bigintSystem();
+    default:
+      return null;
+  }
+}
+
+/**
+ * Converts a value computed by a number system into its output form,
+ * descending into arrays and plain objects (e.g. pattern parameters)
+ *
+ * @param {Object} system - The number system the value belongs to
+ * @param {*} value - The value to convert
+ * @returns {*} The output form
+ */
+function toOutput(system, value) {
+  if (system.isValue(value)) {
+    return system.toOutput(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => toOutput(system, item));
+  }
+  if (value && typeof value === 'object') {
+    const output = {};
+    Object.keys(value).forEach(key => {
+      output[key] = toOutput(system, value[key]);
+    });
+    return output;
+  }
+  return value;
+}
+
+/**
+ * Parses comma-separated user input into sequence values
+ * Values are kept as text in the exact and bigint modes, and fractions such
+ * as "1/3" or whole numbers too large for a JavaScript number are always kept
+ * as text, so no precision is lost before an exact mode parses them
+ *
+ * @param {string} input - e.g. "1/3, 2/3, 1"
+ * @param {string} [mode] - The mode the sequence will be predicted in
+ * @returns {{ sequence: Array<number|string>, hasFractions: boolean, hasLargeIntegers: boolean }}
+ * @throws {Error} If a value is not a valid number
+ */
+function parseSequenceInput(input, mode) {
+  let hasFractions = false;
+  let hasLargeIntegers = false;
+
+  const sequence = input.split(',').map(part => {
+    const text = part.trim();
+    if (!Rational.parse(text)) {
+      throw new Error(`Invalid number: ${text}`);
+    }
+    if (FRACTION_PATTERN.test(text)) {
+      hasFractions = true;
+      return text;
+    }
+    if (INTEGER_PATTERN.test(text) && !Number.isSafeInteger(Number(text))) {
+      hasLargeIntegers = true;
+      return text;
+    }
+    return mode === 'exact' || mode === 'bigint' ? text : parseFloat(text);
+  });
+
+  return { sequence, hasFractions, hasLargeIntegers };
+}
+
+/**
+ * JSON.stringify replacer that writes BigInts as decimal strings,
+ * since JSON numbers cannot hold them without losing precision
+ *
+ * @param {string} key - The property name
+ * @param {*} value - The property value
+ * @returns {*} The value to serialise
+ */
+function bigintReplacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Turns whole numbers sent as decimal strings back into BigInts
+ * JSON numbers cannot hold integers beyond Number.MAX_SAFE_INTEGER, so
+ * they travel as decimal strings (see bigintReplacer); other values,
+ * including fractions such as "1/3", are left untouched
+ *
+ * @param {*} value - A value read from JSON or CSV
+ * @returns {*} A BigInt for big whole numbers, the value itself otherwise
+ */
+function decodeBigInt(value) {
+  if (typeof value === 'string' && INTEGER_PATTERN.test(value.trim()) && !Number.isSafeInteger(Number(value))) {
+    return BigInt(value.trim());
+  }
+  return value;
+}
+
+module.exports = {
+  DEFAULT_MODE,
+  DEFAULT_TOLERANCE,
+  Rational,
+  createNumberSystem,
+  toOutput,
+  parseSequenceInput,
+  bigintReplacer,
+  decodeBigInt
+};
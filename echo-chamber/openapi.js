@@ -0,0 +1,935 @@
+/**
+ * Echo Chamber - OpenAPI Description
+ *
+ * The REST API of server.js, described as an OpenAPI 3.0 document. It is
+ * served at GET /api/openapi.json, rendered by the docs page (/docs) and
+ * drives the request validation of every route (see api-validation.js),
+ * so the document cannot drift from what the server accepts.
+ *
+ * Limits and enumerations come from the modules that enforce them. Schemas
+ * may name the error code a failure is reported with, using the
+ * `x-error-code` extension:
+ *
+ *   'x-error-code': 'INVALID_QUERY'                        // any failure
+ *   'x-error-code': { required: 'SEQUENCE_REQUIRED' }      // per keyword
+ *
+ * Failures without one are reported as INVALID_REQUEST.
+ */
+
+const { version } = require('./package.json');
+const { MAX_PREDICTION_COUNT } = require('./index.js');
+const { MAX_BATCH_SIZE } = require('./batch.js');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('./memory-query.js');
+const { EXPORT_FORMATS } = require('./memory-export.js');
+const { DIFFICULTIES, DEFAULT_DIFFICULTY, MAX_STREAK_BONUS } = require('./quiz.js');
+const { SESSION_HEADER } = require('./sessions.js');
+const { ERROR_CODES } = require('./errors.js');
+const { SUPPORTED_LOCALES } = require('./i18n.js');
+const { DEFAULT_LIMITS } = require('./limits.js');
+const { API_KEY_HEADER, API_KEY_QUERY } = require('./auth.js');
+
+const MODES = ['strict', 'tolerant', 'exact', 'bigint'];
+
+const METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+/**
+ * Refers to a schema of the document's components
+ *
+ * @param {string} name - The schema name
+ * @returns {Object} A $ref object
+ */
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Builds a JSON response or request body description
+ *
+ * @param {string} description - What the body holds
+ * @param {Object} schema - Its schema
+ * @param {*} [example] - An example body
+ * @returns {Object} { description, content: { 'application/json': { schema, example? } } }
+ */
+function jsonBody(description, schema, example) {
+  const media = example === undefined ? { schema } : { schema, example };
+  return { description, content: { 'application/json': media } };
+}
+
+/**
+ * Describes the failure responses of an operation
+ *
+ * @param {Object} statuses - Description of each status, e.g. { 400: 'Invalid sequence' }
+ * @param {string} [schema='Failure'] - The schema of the failure bodies
+ * @returns {Object} The responses, keyed by status
+ */
+function failures(statuses, schema = 'Failure') {
+  return Object.keys(statuses).reduce((responses, status) => {
+    responses[status] = jsonBody(statuses[status], ref(schema));
+    return responses;
+  }, {});
+}
+
+/**
+ * Adds the responses every operation may give to the path items:
+ * 429 from the rate limit (see limits.js), 401 unless the operation is public
+ * (security: []) and 403 if it needs a role (x-required-role, see auth.js). Operations
+ * other than GET need the write role unless they name another one
+ *
+ * @param {Object} paths - The path items
+ * @returns {Object} Copies of the path items, with the responses added
+ */
+function withCommonResponses(paths) {
+  const unauthorized = failures({ 401: 'Missing or unknown API key (only when API keys are configured)' });
+  const forbidden = failures({ 403: 'The API key lacks the role this operation needs' });
+  const tooManyRequests = {
+    ...jsonBody('Too many requests from this address; retry after Retry-After seconds', ref('Failure')),
+    headers: {
+      'Retry-After': { description: 'Seconds until the rate limit window ends', schema: { type: 'integer' } }
+    }
+  };
+
+  return Object.keys(paths).reduce((limited, route) => {
+    limited[route] = { ...paths[route] };
+    METHODS.filter(method => paths[route][method]).forEach(method => {
+      const operation = paths[route][method];
+      const isPublic = Array.isArray(operation.security) && operation.security.length === 0;
+      const role = operation['x-required-role'] || (method === 'get' || isPublic ? undefined : 'write');
+      limited[route][method] = {
+        ...operation,
+        ...(role ? { 'x-required-role': role } : {}),
+        responses: {
+          ...operation.responses,
+          ...(isPublic ? {} : unauthorized),
+          ...(role ? forbidden : {}),
+          429: tooManyRequests
+        }
+      };
+    });
+    return limited;
+  }, {});
+}
+
+// Options shared by /api/predict, /api/validate and the batch endpoints
+const PREDICTION_OPTIONS = {
+  count: {
+    type: 'integer',
+    minimum: 1,
+    maximum: MAX_PREDICTION_COUNT,
+    description: 'Predict the next `count` numbers instead of just one',
+    'x-error-code': ERROR_CODES.INVALID_COUNT
+  },
+  mode: {
+    type: 'string',
+    enum: MODES,
+    description: 'Number system; exact mode accepts fractions such as "1/3" and returns its numbers as strings',
+    'x-error-code': ERROR_CODES.UNKNOWN_MODE
+  },
+  tolerance: {
+    type: 'number',
+    minimum: 0,
+    description: 'Relative tolerance of the tolerant mode',
+    'x-error-code': ERROR_CODES.INVALID_TOLERANCE
+  },
+  explain: {
+    type: 'boolean',
+    default: false,
+    description: 'Also return an explanation: the difference table and why each pattern fits or not'
+  }
+};
+
+/**
+ * Turns a schema into a query parameter
+ *
+ * @param {string} name - The parameter name
+ * @param {Object} schema - Its schema; description and x-error-code move to the parameter
+ * @returns {Object} The parameter object
+ */
+function queryParameter(name, schema) {
+  const { description, 'x-error-code': errorCode, ...rest } = schema;
+  const parameter = { name, in: 'query', required: false, description, schema: rest };
+  if (errorCode) {
+    parameter['x-error-code'] = errorCode;
+  }
+  return parameter;
+}
+
+// Filters of GET /api/memories (see memory-query.js); the query module checks them
+// again, so failures keep its INVALID_QUERY code
+const MEMORY_QUERY_PARAMETERS = [
+  ['limit', { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT, description: 'Page size' }],
+  ['cursor', { type: 'string', description: 'The nextCursor of the previous page' }],
+  ['difference', { type: 'string', description: 'Only echoes with this common difference (a number or a fraction)' }],
+  ['length', { type: 'integer', minimum: 0, description: 'Only sequences of exactly this length' }],
+  ['minLength', { type: 'integer', minimum: 0, description: 'Only sequences at least this long' }],
+  ['maxLength', { type: 'integer', minimum: 0, description: 'Only sequences at most this long' }],
+  ['pattern', { type: 'string', description: 'Only echoes of this pattern, e.g. arithmetic' }],
+  ['from', { type: 'string', format: 'date-time', description: 'Only echoes created at or after this ISO date' }],
+  ['to', { type: 'string', format: 'date-time', description: 'Only echoes created at or before this ISO date' }],
+  ['sort', { type: 'string', enum: ['createdAt', 'difference', 'length'], default: 'createdAt', description: 'Sort field' }],
+  ['order', { type: 'string', enum: ['asc', 'desc'], default: 'asc', description: 'Sort order' }]
+].map(([name, schema]) => queryParameter(name, { ...schema, 'x-error-code': ERROR_CODES.INVALID_QUERY }));
+
+const ECHO_INDEX_PARAMETER = {
+  name: 'index',
+  in: 'path',
+  required: true,
+  description: 'The predictionIndex of the echo',
+  schema: { type: 'string', pattern: '^[1-9]\\d*$' },
+  'x-error-code': ERROR_CODES.INVALID_ECHO_INDEX
+};
+
+const QUESTION_ID_PARAMETER = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: 'The id of the quiz question',
+  schema: { type: 'string', pattern: '^[1-9]\\d*$' }
+};
+
+// The sequence of /api/predict and /api/validate; the codes are those the chamber
+// used to report for these failures
+const SEQUENCE_FIELD = {
+  allOf: [ref('Sequence')],
+  'x-error-code': { required: ERROR_CODES.SEQUENCE_REQUIRED, type: ERROR_CODES.NOT_ARRAY }
+};
+
+const SCHEMAS = {
+  NumberValue: {
+    description: 'A number; fractions such as "1/3" (exact mode) and whole numbers beyond ' +
+      'Number.MAX_SAFE_INTEGER (bigint mode) are sent as strings',
+    oneOf: [{ type: 'number' }, { type: 'string' }],
+    'x-error-code': ERROR_CODES.NON_NUMERIC
+  },
+  NullableNumberValue: {
+    oneOf: [{ type: 'number' }, { type: 'string' }],
+    nullable: true
+  },
+  Sequence: {
+    type: 'array',
+    description: 'At most ECHO_MAX_SEQUENCE_LENGTH numbers ' +
+      `(${DEFAULT_LIMITS.maxSequenceLength} by default); longer sequences fail with TOO_LONG`,
+    items: ref('NumberValue'),
+    example: [3, 6, 9, 12]
+  },
+  Parameters: {
+    type: 'object',
+    description: 'The parameters of the detected pattern, e.g. { "difference": 3 } or { "ratio": 2 }'
+  },
+  Error: {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+      index: { type: 'integer', description: 'The offending position in the sequence' },
+      value: { description: 'The offending value' },
+      max: { type: 'integer', description: 'The limit that was exceeded' },
+      field: { type: 'string', description: 'The offending query parameter or request field' },
+      requestId: { type: 'string', description: 'Id of the request, as in its X-Request-Id response header and the server logs' }
+    }
+  },
+  Failure: {
+    type: 'object',
+    required: ['success', 'message', 'error'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      message: { type: 'string' },
+      error: ref('Error')
+    }
+  },
+  Message: {
+    type: 'object',
+    required: ['success', 'message'],
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' }
+    }
+  },
+  PredictRequest: {
+    type: 'object',
+    required: ['sequence'],
+    properties: {
+      sequence: SEQUENCE_FIELD,
+      count: PREDICTION_OPTIONS.count,
+      n: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Also compute the n-th term (1-based) from the closed-form formula',
+        'x-error-code': ERROR_CODES.INVALID_TERM_INDEX
+      },
+      mode: PREDICTION_OPTIONS.mode,
+      tolerance: PREDICTION_OPTIONS.tolerance,
+      explain: PREDICTION_OPTIONS.explain
+    }
+  },
+  Explanation: {
+    type: 'object',
+    description: 'How the chamber reached its answer, returned when explain is true',
+    required: ['differences', 'steps'],
+    properties: {
+      differences: {
+        type: 'array',
+        description: 'The sequence, then its differences of each order, up to the first constant row',
+        items: { type: 'array', items: ref('NumberValue') }
+      },
+      steps: {
+        type: 'array',
+        description: 'One step per pattern tried, in order; the last one matched unless the prediction failed',
+        items: {
+          type: 'object',
+          required: ['pattern', 'matched', 'message'],
+          properties: {
+            pattern: { type: 'string' },
+            matched: { type: 'boolean' },
+            message: { type: 'string', description: 'Why the pattern fits, or why not' },
+            index: { type: 'integer', description: 'The first term (0-based) that breaks the pattern' }
+          }
+        }
+      }
+    }
+  },
+  Prediction: {
+    type: 'object',
+    required: ['success', 'message'],
+    properties: {
+      success: { type: 'boolean' },
+      nextNumber: ref('NullableNumberValue'),
+      nextNumbers: { type: 'array', items: ref('NumberValue') },
+      commonDifference: ref('NullableNumberValue'),
+      pattern: { type: 'string' },
+      parameters: ref('Parameters'),
+      formula: { type: 'string' },
+      mode: { type: 'string', enum: MODES },
+      nthTerm: {
+        type: 'object',
+        required: ['n', 'value'],
+        properties: { n: { type: 'integer' }, value: ref('NumberValue') }
+      },
+      explanation: ref('Explanation'),
+      message: { type: 'string' },
+      error: ref('Error')
+    }
+  },
+  ValidateRequest: {
+    type: 'object',
+    required: ['sequence'],
+    properties: {
+      sequence: SEQUENCE_FIELD,
+      mode: PREDICTION_OPTIONS.mode,
+      tolerance: PREDICTION_OPTIONS.tolerance,
+      explain: PREDICTION_OPTIONS.explain
+    }
+  },
+  Validation: {
+    type: 'object',
+    required: ['isValid', 'message'],
+    properties: {
+      isValid: { type: 'boolean' },
+      difference: ref('NullableNumberValue'),
+      pattern: { type: 'string' },
+      parameters: ref('Parameters'),
+      mode: { type: 'string', enum: MODES },
+      explanation: ref('Explanation'),
+      message: { type: 'string' },
+      error: ref('Error')
+    }
+  },
+  BatchRequest: {
+    type: 'object',
+    required: ['sequences'],
+    properties: {
+      sequences: {
+        type: 'array',
+        maxItems: MAX_BATCH_SIZE,
+        items: {
+          description: 'A sequence, or { sequence, count?, mode?, tolerance? }. ' +
+            'An unusable item only fails its own result (INVALID_ITEM), so items are not validated here'
+        },
+        'x-error-code': {
+          required: ERROR_CODES.INVALID_BATCH,
+          type: ERROR_CODES.INVALID_BATCH,
+          maxItems: ERROR_CODES.BATCH_TOO_LARGE
+        }
+      },
+      count: PREDICTION_OPTIONS.count,
+      mode: PREDICTION_OPTIONS.mode,
+      tolerance: PREDICTION_OPTIONS.tolerance
+    },
+    example: { sequences: [[3, 6, 9], { sequence: ['1/3', '2/3', '1'], mode: 'exact', count: 2 }] }
+  },
+  BatchResult: {
+    type: 'object',
+    required: ['success', 'results', 'succeeded', 'failed', 'message'],
+    properties: {
+      success: { type: 'boolean' },
+      results: {
+        type: 'array',
+        items: {
+          allOf: [
+            { type: 'object', required: ['index'], properties: { index: { type: 'integer' } } },
+            ref('Prediction')
+          ]
+        }
+      },
+      succeeded: { type: 'integer' },
+      failed: { type: 'integer' },
+      message: { type: 'string' },
+      error: ref('Error')
+    }
+  },
+  Memory: {
+    type: 'object',
+    required: ['sequence', 'nextNumber', 'predictionIndex'],
+    properties: {
+      sequence: ref('Sequence'),
+      nextNumber: ref('NumberValue'),
+      commonDifference: ref('NullableNumberValue'),
+      pattern: { type: 'string' },
+      parameters: ref('Parameters'),
+      timestamp: { type: 'string', description: 'Local time of day of the prediction' },
+      createdAt: { type: 'string', format: 'date-time', nullable: true },
+      predictionIndex: { type: 'integer', minimum: 1 },
+      schemaVersion: { type: 'integer' },
+      quiz: ref('QuizAttempt')
+    }
+  },
+  MemoryPage: {
+    type: 'object',
+    required: ['memories', 'count', 'total', 'nextCursor'],
+    properties: {
+      memories: { type: 'array', items: ref('Memory') },
+      count: { type: 'integer', description: 'Echoes on this page' },
+      total: { type: 'integer', description: 'Echoes matching the filters' },
+      nextCursor: { type: 'string', nullable: true, description: 'Cursor of the next page, null on the last one' }
+    }
+  },
+  MemoryResult: {
+    type: 'object',
+    required: ['success', 'memory'],
+    properties: {
+      success: { type: 'boolean' },
+      memory: ref('Memory')
+    }
+  },
+  ImportRequest: {
+    description: 'A JSON export, or a list of echoes',
+    oneOf: [
+      { type: 'array' },
+      { type: 'object', required: ['memories'], properties: { memories: { type: 'array' } } }
+    ],
+    'x-error-code': ERROR_CODES.INVALID_IMPORT
+  },
+  ImportResult: {
+    type: 'object',
+    required: ['success', 'imported', 'rejected', 'message'],
+    properties: {
+      success: { type: 'boolean' },
+      imported: { type: 'integer' },
+      rejected: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['record', 'message'],
+          properties: {
+            record: { type: 'integer', description: 'Position of the record in the import (1-based)' },
+            code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+            message: { type: 'string' }
+          }
+        }
+      },
+      message: { type: 'string' },
+      error: ref('Error')
+    }
+  },
+  RestoreResult: {
+    type: 'object',
+    required: ['success', 'restored', 'message'],
+    properties: {
+      success: { type: 'boolean' },
+      restored: { type: 'integer', description: 'Number of echoes put back' },
+      message: { type: 'string' },
+      error: ref('Error')
+    }
+  },
+  QuizRequest: {
+    type: 'object',
+    properties: {
+      difficulty: {
+        type: 'string',
+        enum: Object.keys(DIFFICULTIES),
+        default: DEFAULT_DIFFICULTY,
+        description: 'Harder questions use longer sequences and trickier patterns, and are worth more points',
+        'x-error-code': ERROR_CODES.UNKNOWN_DIFFICULTY
+      }
+    }
+  },
+  QuizQuestion: {
+    type: 'object',
+    required: ['success', 'message'],
+    properties: {
+      success: { type: 'boolean' },
+      question: {
+        type: 'object',
+        required: ['id', 'sequence', 'difficulty', 'points'],
+        properties: {
+          id: { type: 'integer', description: 'Answer it with POST /api/quiz/{id}/answer' },
+          sequence: ref('Sequence'),
+          difficulty: { type: 'string', enum: Object.keys(DIFFICULTIES) },
+          points: { type: 'integer', description: 'Points of a correct answer, before the streak bonus' }
+        }
+      },
+      message: { type: 'string' },
+      error: ref('Error')
+    }
+  },
+  QuizAnswerRequest: {
+    type: 'object',
+    required: ['guess'],
+    properties: {
+      guess: {
+        description: 'The next number, as a number or a string holding one',
+        oneOf: [{ type: 'number' }, { type: 'string' }],
+        'x-error-code': ERROR_CODES.INVALID_GUESS
+      }
+    }
+  },
+  QuizAttempt: {
+    type: 'object',
+    description: 'Present on echoes recorded by the quiz',
+    required: ['guess', 'correct', 'difficulty', 'points'],
+    properties: {
+      guess: { type: 'number' },
+      correct: { type: 'boolean' },
+      difficulty: { type: 'string', enum: Object.keys(DIFFICULTIES) },
+      points: { type: 'integer', description: 'Points scored, including the streak bonus' }
+    }
+  },
+  QuizStats: {
+    type: 'object',
+    required: ['answered', 'correct', 'score', 'streak', 'bestStreak'],
+    properties: {
+      answered: { type: 'integer' },
+      correct: { type: 'integer' },
+      score: { type: 'integer' },
+      streak: { type: 'integer', description: 'Correct answers in a row, up to the latest' },
+      bestStreak: { type: 'integer' }
+    }
+  },
+  QuizResult: {
+    type: 'object',
+    required: ['success', 'message'],
+    properties: {
+      success: { type: 'boolean' },
+      correct: { type: 'boolean' },
+      guess: { type: 'number' },
+      answer: ref('NumberValue'),
+      pattern: { type: 'string' },
+      points: { type: 'integer' },
+      stats: ref('QuizStats'),
+      message: { type: 'string' },
+      error: ref('Error')
+    }
+  },
+  QuizStatsResult: {
+    type: 'object',
+    required: ['success', 'stats', 'message'],
+    properties: {
+      success: { type: 'boolean' },
+      stats: ref('QuizStats'),
+      message: { type: 'string' }
+    }
+  },
+  Translations: {
+    type: 'object',
+    required: ['locale', 'locales', 'messages'],
+    properties: {
+      locale: { type: 'string', enum: SUPPORTED_LOCALES },
+      locales: { type: 'array', items: { type: 'string' } },
+      messages: { type: 'object', description: 'The web interface messages, by dotted key' }
+    }
+  },
+  SessionList: {
+    type: 'object',
+    required: ['sessions', 'count'],
+    properties: {
+      sessions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'createdAt', 'lastSeenAt', 'expiresAt', 'memoryCount'],
+          properties: {
+            id: { type: 'string', description: 'Shortened session id' },
+            createdAt: { type: 'string', format: 'date-time' },
+            lastSeenAt: { type: 'string', format: 'date-time' },
+            expiresAt: { type: 'string', format: 'date-time' },
+            memoryCount: { type: 'integer' }
+          }
+        }
+      },
+      count: { type: 'integer' }
+    }
+  },
+  TestResult: {
+    type: 'object',
+    required: ['success', 'result', 'message'],
+    properties: {
+      success: { type: 'boolean' },
+      result: ref('Prediction'),
+      message: { type: 'string' }
+    }
+  }
+};
+
+const PATHS = {
+  '/api/predict': {
+    post: {
+      operationId: 'predict',
+      summary: 'Predict the next number in a sequence',
+      description: 'Successful predictions are recorded as echoes of the session.',
+      tags: ['Predictions'],
+      requestBody: { required: true, ...jsonBody('The sequence and prediction options', ref('PredictRequest'), { sequence: [3, 6, 9, 12] }) },
+      responses: {
+        200: jsonBody('The prediction', ref('Prediction')),
+        ...failures({ 400: 'Invalid sequence or options', 422: 'No known pattern, or the term is out of range' }, 'Prediction'),
+        ...failures({ 413: 'Sequence or request body too large' })
+      }
+    }
+  },
+  '/api/predict/batch': {
+    post: {
+      operationId: 'predictBatch',
+      summary: 'Predict many sequences at once',
+      description: `At most ${MAX_BATCH_SIZE} sequences. A bad sequence only fails its own result; ` +
+        'the top-level count, mode and tolerance apply to items that do not set their own.',
+      tags: ['Predictions'],
+      requestBody: { required: true, ...jsonBody('The sequences', ref('BatchRequest')) },
+      responses: {
+        200: jsonBody('One result per sequence, in order', ref('BatchResult')),
+        ...failures({ 400: 'Invalid batch or options', 413: 'Too many sequences, or body too large' })
+      }
+    }
+  },
+  '/api/predict/batch/stream': {
+    post: {
+      operationId: 'predictBatchStream',
+      summary: 'Predict a stream of sequences (NDJSON)',
+      description: 'Streaming variant of /api/predict/batch for batches of any size. Each result is written ' +
+        'as soon as it is ready; a line that is not valid JSON fails with INVALID_JSON. A body over ' +
+        'ECHO_MAX_BATCH_BODY_SIZE, or a line over ECHO_MAX_BODY_SIZE, is refused with 413, or with a last ' +
+        'PAYLOAD_TOO_LARGE line once results have been sent.',
+      tags: ['Predictions'],
+      parameters: ['count', 'mode', 'tolerance'].map(name => queryParameter(name, PREDICTION_OPTIONS[name])),
+      requestBody: {
+        required: true,
+        description: 'One item per line, as in the sequences of /api/predict/batch',
+        content: { 'application/x-ndjson': { schema: { type: 'string' }, example: '[3, 6, 9]\n[2, 4, 8]\n' } }
+      },
+      responses: {
+        200: {
+          description: 'One result per non-empty line, in order',
+          content: { 'application/x-ndjson': { schema: { type: 'string' } } }
+        },
+        ...failures({ 400: 'Invalid options', 413: 'Body or line too large' })
+      }
+    }
+  },
+  '/api/memories': {
+    get: {
+      operationId: 'listMemories',
+      summary: 'List the echoes of the session, a page at a time',
+      tags: ['Memories'],
+      parameters: MEMORY_QUERY_PARAMETERS,
+      responses: {
+        200: jsonBody('A page of echoes', ref('MemoryPage')),
+        ...failures({ 400: 'Invalid filter, sort or cursor' })
+      }
+    },
+    delete: {
+      operationId: 'clearMemories',
+      summary: 'Clear all echoes of the session',
+      description: 'Needs an admin API key when API keys are configured.',
+      tags: ['Memories'],
+      'x-required-role': 'admin',
+      responses: {
+        200: jsonBody('The echoes were cleared', ref('Message'))
+      }
+    }
+  },
+  '/api/memories/restore': {
+    post: {
+      operationId: 'restoreMemories',
+      summary: 'Undo the last clear of the echoes of the session',
+      description: 'Cleared echoes are kept until the next clear that removes any. They come back with ' +
+        'their index; echoes made since the clear are renumbered after them. Needs an admin API key ' +
+        'when API keys are configured.',
+      tags: ['Memories'],
+      'x-required-role': 'admin',
+      responses: {
+        200: jsonBody('The echoes were restored', ref('RestoreResult')),
+        ...failures({ 404: 'No cleared echoes to restore' }, 'RestoreResult')
+      }
+    }
+  },
+  '/api/memories/export': {
+    get: {
+      operationId: 'exportMemories',
+      summary: 'Download all echoes of the session',
+      tags: ['Memories'],
+      parameters: [
+        queryParameter('format', {
+          type: 'string',
+          enum: EXPORT_FORMATS,
+          default: 'json',
+          description: 'Export format',
+          'x-error-code': ERROR_CODES.UNKNOWN_FORMAT
+        })
+      ],
+      responses: {
+        200: {
+          description: 'The export, as an attachment',
+          content: {
+            'application/json': { schema: { type: 'object' } },
+            'text/csv': { schema: { type: 'string' } }
+          }
+        },
+        ...failures({ 400: 'Unknown format' })
+      }
+    }
+  },
+  '/api/memories/import': {
+    post: {
+      operationId: 'importMemories',
+      summary: 'Import echoes from an export',
+      description: 'Every record is checked by predicting its sequence again; records that do not match ' +
+        'are rejected and the rest are imported.',
+      tags: ['Memories'],
+      parameters: [
+        queryParameter('format', {
+          type: 'string',
+          enum: EXPORT_FORMATS,
+          description: 'Format of the body (default: csv for text/csv bodies, json otherwise)',
+          'x-error-code': ERROR_CODES.UNKNOWN_FORMAT
+        })
+      ],
+      requestBody: {
+        required: true,
+        description: 'A JSON export (or a JSON list of echoes), or a CSV export sent as text/csv. ' +
+          'Exports sent as text/plain are read in the format of the format parameter (default json)',
+        content: {
+          'application/json': { schema: ref('ImportRequest') },
+          'text/csv': { schema: { type: 'string' } },
+          'text/plain': { schema: { type: 'string' } }
+        }
+      },
+      responses: {
+        200: jsonBody('What was imported and rejected', ref('ImportResult')),
+        ...failures({ 400: 'The body is not an export' }, 'ImportResult'),
+        ...failures({ 413: 'Request body too large' })
+      }
+    }
+  },
+  '/api/memories/{index}': {
+    parameters: [ECHO_INDEX_PARAMETER],
+    get: {
+      operationId: 'getMemory',
+      summary: 'Read a single echo',
+      tags: ['Memories'],
+      responses: {
+        200: jsonBody('The echo', ref('MemoryResult')),
+        ...failures({ 400: 'Invalid index', 404: 'No echo has this index' })
+      }
+    },
+    delete: {
+      operationId: 'deleteMemory',
+      summary: 'Delete a single echo',
+      description: 'Needs an admin API key when API keys are configured.',
+      tags: ['Memories'],
+      'x-required-role': 'admin',
+      responses: {
+        200: jsonBody('The echo was deleted', ref('Message')),
+        ...failures({ 400: 'Invalid index', 404: 'No echo has this index' })
+      }
+    }
+  },
+  '/api/events': {
+    get: {
+      operationId: 'streamEvents',
+      summary: 'Follow changes to the echoes of the session (Server-Sent Events)',
+      description: 'Events: echo (data: the new echo, as a Memory), echoDeleted (data: { predictionIndex }) ' +
+        'memoriesCleared (data: {}) and memoriesRestored (data: { count }). Lines starting with ":" are heartbeats. An open stream keeps its ' +
+        'session from expiring.',
+      tags: ['Memories'],
+      responses: {
+        200: {
+          description: 'An endless stream of events',
+          content: {
+            'text/event-stream': {
+              schema: { type: 'string' },
+              example: 'event: echo\ndata: {"sequence":[3,6,9],"nextNumber":12,"predictionIndex":1}\n\n'
+            }
+          }
+        }
+      }
+    }
+  },
+  '/api/quiz': {
+    post: {
+      operationId: 'askQuizQuestion',
+      summary: 'Get a quiz question: a made-up sequence whose next number is to be guessed',
+      description: 'Unanswered questions are kept per session; the oldest are forgotten after a while.',
+      tags: ['Quiz'],
+      requestBody: { required: false, ...jsonBody('The difficulty', ref('QuizRequest'), { difficulty: 'medium' }) },
+      responses: {
+        200: jsonBody('The question', ref('QuizQuestion')),
+        ...failures({ 400: 'Unknown difficulty' }, 'QuizQuestion')
+      }
+    }
+  },
+  '/api/quiz/{id}/answer': {
+    parameters: [QUESTION_ID_PARAMETER],
+    post: {
+      operationId: 'answerQuizQuestion',
+      summary: 'Answer a quiz question',
+      description: 'Each question can be answered once; the answer is revealed either way. The attempt is ' +
+        'recorded as an echo with a quiz field. Correct answers in a row earn a bonus point each, ' +
+        `up to ${MAX_STREAK_BONUS}.`,
+      tags: ['Quiz'],
+      requestBody: { required: true, ...jsonBody('The guess', ref('QuizAnswerRequest'), { guess: 16 }) },
+      responses: {
+        200: jsonBody('Whether the guess was right, and the score', ref('QuizResult')),
+        ...failures({ 400: 'The guess is not a number', 404: 'No open question has this id' }, 'QuizResult')
+      }
+    }
+  },
+  '/api/quiz/stats': {
+    get: {
+      operationId: 'getQuizStats',
+      summary: 'Get the quiz score of the session',
+      tags: ['Quiz'],
+      responses: {
+        200: jsonBody('The score', ref('QuizStatsResult'))
+      }
+    }
+  },
+  '/api/validate': {
+    post: {
+      operationId: 'validateSequence',
+      summary: 'Check whether a sequence matches a known pattern',
+      description: 'A sequence without a known pattern is a valid answer (200 with isValid false), not a failed request.',
+      tags: ['Predictions'],
+      requestBody: { required: true, ...jsonBody('The sequence', ref('ValidateRequest'), { sequence: [2, 4, 8, 16] }) },
+      responses: {
+        200: jsonBody('The verdict', ref('Validation')),
+        ...failures({ 400: 'Invalid sequence or options', 413: 'Sequence too long' }, 'Validation')
+      }
+    }
+  },
+  '/api/i18n': {
+    get: {
+      operationId: 'getTranslations',
+      summary: 'Get the web interface messages of a language',
+      tags: ['Languages'],
+      security: [],
+      parameters: [
+        queryParameter('lang', { type: 'string', description: 'A language tag such as it-IT (default: Accept-Language)' })
+      ],
+      responses: {
+        200: jsonBody('The messages, with English for any the language lacks', ref('Translations'))
+      }
+    }
+  },
+  '/api/admin/sessions': {
+    get: {
+      operationId: 'listSessions',
+      summary: 'List the active sessions',
+      description: 'Needs an admin API key when API keys are configured.',
+      tags: ['Admin'],
+      'x-required-role': 'admin',
+      responses: {
+        200: jsonBody('The sessions', ref('SessionList'))
+      }
+    }
+  },
+  '/api/openapi.json': {
+    get: {
+      operationId: 'getOpenApi',
+      summary: 'Get this document',
+      tags: ['Documentation'],
+      security: [],
+      responses: {
+        200: jsonBody('The OpenAPI document', { type: 'object' })
+      }
+    }
+  },
+  '/api/test': {
+    get: {
+      operationId: 'selfTest',
+      summary: 'Check that the server is working',
+      tags: ['Documentation'],
+      responses: {
+        200: jsonBody('A sample prediction', ref('TestResult'))
+      }
+    }
+  }
+};
+
+/**
+ * Builds the OpenAPI document of the REST API
+ *
+ * @returns {Object} The document, ready to be sent as JSON
+ */
+function buildOpenApiDocument() {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Echo Chamber API',
+      version,
+      description: 'Predicts the next numbers of arithmetic, geometric, polynomial and linear recurrence ' +
+        'sequences, and remembers every prediction (an "echo") per session.\n\n' +
+        `Sessions are identified by the echo_session cookie or the ${SESSION_HEADER} header. ` +
+        'Failures carry a machine-readable error.code next to the human-readable message.\n\n' +
+        'Every response has an X-Request-Id header, which failures repeat as error.requestId; it is the ' +
+        "request's own X-Request-Id when that is 1 to 128 letters, digits and ._:- characters. Quote it " +
+        'when reporting a problem, so it can be found in the server logs.\n\n' +
+        'When the server has API keys configured, requests need one. Keys with the read role may only use ' +
+        'GET operations; the others are marked with the role they need in x-required-role: write, or admin.'
+    },
+    servers: [{ url: '/' }],
+    tags: [
+      { name: 'Predictions' },
+      { name: 'Memories', description: 'The echoes of the session' },
+      { name: 'Quiz', description: 'Guess the next number; answers are recorded as echoes' },
+      { name: 'Languages' },
+      { name: 'Admin' },
+      { name: 'Documentation' }
+    ],
+    // Keys are optional: a server without configured keys accepts every request
+    security: [{ apiKeyHeader: [] }, { bearerKey: [] }, { apiKeyQuery: [] }, {}],
+    paths: withCommonResponses(PATHS),
+    components: {
+      schemas: SCHEMAS,
+      parameters: {
+        AcceptLanguage: {
+          name: 'Accept-Language',
+          in: 'header',
+          required: false,
+          description: `Language of the messages: ${SUPPORTED_LOCALES.join(', ')} (default en)`,
+          schema: { type: 'string' }
+        }
+      },
+      securitySchemes: {
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: API_KEY_HEADER },
+        bearerKey: { type: 'http', scheme: 'bearer', description: 'The API key as a bearer token' },
+        apiKeyQuery: {
+          type: 'apiKey',
+          in: 'query',
+          name: API_KEY_QUERY,
+          description: 'For clients that cannot send headers, such as EventSource'
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
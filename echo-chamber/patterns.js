@@ -0,0 +1,580 @@
+/**
+ * Echo Chamber - Pattern Detectors
+ *
+ * Each pattern describes one family of sequences the chamber can recognise.
+ * A pattern is a plain object with the following shape:
+ *
+ * - name: string                          - Stable identifier (e.g. 'geometric')
+ * - detect(sequence, num): Object | null  - Returns the pattern parameters, or null if it does not match
+ * - next(sequence, parameters, num)       - Computes the term following the sequence
+ * - describe(parameters, num, t): string  - Human-readable name (e.g. 'quadratic sequence'), where
+ *                                           t(key, params) translates a message of locales/*.json
+ * - nthTerm(sequence, parameters, n, num) - Optional, computes the n-th term (1-based) directly
+ * - formula(sequence, parameters, num)    - Optional, closed-form expression (e.g. 'a_n = 3 + 3(n-1)')
+ * - explain(sequence, parameters, num, t) - Optional, says in words how the pattern gives the next
+ *                                           number, or why it does not fit when parameters is null:
+ *                                           { message, index? }, index being the first term that breaks it
+ *
+ * `num` is the number system of the current mode (see number-systems.js).
+ * All arithmetic and comparisons go through it, so a detector works the same
+ * on floating-point numbers and on exact fractions.
+ *
+ * Patterns are tried in order, so the simplest explanation of a sequence wins.
+ * Custom patterns can be added with EchoChamber#registerPattern.
+ */
+
+const { translator } = require('./i18n.js');
+
+// Used when describe() is called without a translate function
+const defaultTranslator = translator();
+
+/**
+ * Builds the finite-difference table of a sequence
+ * Row 0 is the sequence itself, row k holds the k-th differences
+ *
+ * @param {Array} sequence - The sequence to analyse
+ * @param {Object} num - The number system to use
+ * @param {number} [maxOrder=Infinity] - Highest order of differences to compute
+ * @returns {Array[]} The difference table
+ */
+function differenceTable(sequence, num, maxOrder = Infinity) {
+  const table = [sequence.slice()];
+  let row = table[0];
+
+  while (row.length > 1 && table.length <= maxOrder) {
+    const nextRow = [];
+    for (let i = 1; i < row.length; i++) {
+      nextRow.push(num.sub(row[i], row[i - 1]));
+    }
+    table.push(nextRow);
+    row = nextRow;
+  }
+
+  return table;
+}
+
+/**
+ * Joins signed terms into an expression, e.g. ["2n^2", "-3n", "1"] → "2n^2 - 3n + 1"
+ *
+ * @param {string[]} terms - Terms with an optional leading minus sign
+ * @returns {string} The joined expression, or "0" if there are no terms
+ */
+function joinTerms(terms) {
+  if (terms.length === 0) {
+    return '0';
+  }
+  return terms.reduce((expression, term) => {
+    const negative = term.startsWith('-');
+    return `${expression} ${negative ? '-' : '+'} ${negative ? term.slice(1) : term}`;
+  });
+}
+
+/**
+ * Formats coefficient × body, dropping a coefficient of 1
+ * Example: (-1, "n") → "-n", (3, "n") → "3n", (1/2, "n") → "(1/2)n"
+ *
+ * @param {Object} num - The number system the coefficient belongs to
+ * @param {*} coefficient - The coefficient
+ * @param {string} body - What the coefficient multiplies
+ * @returns {string} The formatted term
+ */
+function formatTerm(num, coefficient, body) {
+  const text = num.toString(coefficient);
+  const negative = text.startsWith('-');
+  const magnitude = negative ? text.slice(1) : text;
+  const sign = negative ? '-' : '';
+
+  if (magnitude === '1') return `${sign}${body}`;
+  return magnitude.includes('/') ? `${sign}(${magnitude})${body}` : `${sign}${magnitude}${body}`;
+}
+
+/**
+ * Checks whether every element of a row equals its first element
+ *
+ * @param {Array} row - The row to check
+ * @param {Object} num - The number system to compare with
+ * @returns {boolean} True if the row is constant
+ */
+function isConstant(row, num) {
+  return row.every(value => num.equals(value, row[0]));
+}
+
+/**
+ * Finds where a row stops being constant
+ *
+ * @param {Array} row - The row to check
+ * @param {Object} num - The number system to compare with
+ * @returns {number} Position of the first element that differs from the first one, or -1
+ */
+function firstChange(row, num) {
+  return row.findIndex(value => !num.equals(value, row[0]));
+}
+
+/**
+ * Formats a number for use inside a calculation, e.g. "12 + (-3) = 9"
+ *
+ * @param {Object} num - The number system the value belongs to
+ * @param {*} value - The value
+ * @returns {string} The value, in parentheses if it is negative or a fraction
+ */
+function operand(num, value) {
+  const text = num.toString(value);
+  return /^-|\//.test(text) ? `(${text})` : text;
+}
+
+/**
+ * Describes a consecutive ratio or difference that broke a rule
+ *
+ * @param {string} key - The message key
+ * @param {Array} row - Differences or ratios of consecutive terms
+ * @param {number} position - Where the row stops being constant
+ * @param {Object} num - The number system the row belongs to
+ * @param {Function} t - Translate function
+ * @returns {Object} { message, index }, index being the later term of the pair
+ */
+function explainBrokenPair(key, row, position, num, t) {
+  return {
+    message: t(key, {
+      from: position + 1,
+      to: position + 2,
+      found: num.toString(row[position]),
+      expected: num.toString(row[0])
+    }),
+    index: position + 1
+  };
+}
+
+/**
+ * Arithmetic progression: a constant difference between consecutive terms
+ * Example: [3, 6, 9, 12] → difference 3
+ */
+const arithmetic = {
+  name: 'arithmetic',
+
+  detect(sequence, num) {
+    const differences = differenceTable(sequence, num, 1)[1];
+    if (!isConstant(differences, num)) {
+      return null;
+    }
+    return { difference: differences[0] };
+  },
+
+  next(sequence, parameters, num) {
+    return num.add(sequence[sequence.length - 1], parameters.difference);
+  },
+
+  describe(parameters, num, t = defaultTranslator) {
+    return t('patterns.arithmetic');
+  },
+
+  nthTerm(sequence, parameters, n, num) {
+    return num.add(sequence[0], num.mul(parameters.difference, num.fromInteger(n - 1)));
+  },
+
+  formula(sequence, parameters, num) {
+    const first = num.toString(sequence[0]);
+    const { difference } = parameters;
+    if (num.sign(difference) === 0) {
+      return `a_n = ${first}`;
+    }
+    return `a_n = ${joinTerms([first, formatTerm(num, difference, '(n-1)')])}`;
+  },
+
+  explain(sequence, parameters, num, t = defaultTranslator) {
+    if (!parameters) {
+      const differences = differenceTable(sequence, num, 1)[1];
+      return explainBrokenPair('explain.arithmetic.broken', differences, firstChange(differences, num), num, t);
+    }
+    return {
+      message: t('explain.arithmetic.matched', {
+        difference: num.toString(parameters.difference),
+        step: operand(num, parameters.difference),
+        last: num.toString(sequence[sequence.length - 1]),
+        next: num.toString(this.next(sequence, parameters, num))
+      })
+    };
+  }
+};
+
+/**
+ * Geometric progression: a constant ratio between consecutive terms
+ * Example: [1, 2, 4, 8] → ratio 2
+ * Needs at least 3 terms, since any 2 terms are already arithmetic.
+ */
+const geometric = {
+  name: 'geometric',
+
+  detect(sequence, num) {
+    if (sequence.length < 3 || sequence.some(term => num.sign(term) === 0)) {
+      return null;
+    }
+
+    const ratios = [];
+    for (let i = 1; i < sequence.length; i++) {
+      ratios.push(num.div(sequence[i], sequence[i - 1]));
+    }
+
+    if (!isConstant(ratios, num)) {
+      return null;
+    }
+    return { ratio: ratios[0] };
+  },
+
+  next(sequence, parameters, num) {
+    return num.mul(sequence[sequence.length - 1], parameters.ratio);
+  },
+
+  describe(parameters, num, t = defaultTranslator) {
+    return t('patterns.geometric');
+  },
+
+  nthTerm(sequence, parameters, n, num) {
+    return num.mul(sequence[0], num.pow(parameters.ratio, n - 1));
+  },
+
+  formula(sequence, parameters, num) {
+    const ratio = num.toString(parameters.ratio);
+    const power = `${/[-/]/.test(ratio) ? `(${ratio})` : ratio}^(n-1)`;
+    const first = num.toString(sequence[0]);
+    const negative = first.startsWith('-');
+    const magnitude = negative ? first.slice(1) : first;
+    const body = magnitude === '1' ? power : `${magnitude} * ${power}`;
+    return `a_n = ${negative ? '-' : ''}${body}`;
+  },
+
+  explain(sequence, parameters, num, t = defaultTranslator) {
+    if (parameters) {
+      return {
+        message: t('explain.geometric.matched', {
+          ratio: num.toString(parameters.ratio),
+          factor: operand(num, parameters.ratio),
+          last: num.toString(sequence[sequence.length - 1]),
+          next: num.toString(this.next(sequence, parameters, num))
+        })
+      };
+    }
+    if (sequence.length < 3) {
+      return { message: t('explain.geometric.tooShort') };
+    }
+    const zero = sequence.findIndex(term => num.sign(term) === 0);
+    if (zero !== -1) {
+      return { message: t('explain.geometric.zero', { position: zero + 1 }), index: zero };
+    }
+    const ratios = sequence.slice(1).map((term, i) => num.div(term, sequence[i]));
+    return explainBrokenPair('explain.geometric.broken', ratios, firstChange(ratios, num), num, t);
+  }
+};
+
+// Message keys (patterns.*) of the degrees that have a name of their own
+const POLYNOMIAL_NAMES = {
+  2: 'quadratic',
+  3: 'cubic'
+};
+
+/**
+ * Polynomial sequence of degree 2 or more, found with a finite-difference table
+ * Example: [1, 4, 9, 16] → second differences are constant (2), so degree 2
+ *
+ * The constant row must contain at least two entries, otherwise any
+ * sequence would trivially "fit" a polynomial of high enough degree.
+ *
+ * @param {number} maxDegree - Highest degree to look for
+ * @returns {Object} A pattern object
+ */
+function polynomial(maxDegree = 3) {
+  return {
+    name: 'polynomial',
+
+    detect(sequence, num) {
+      const table = differenceTable(sequence, num, maxDegree);
+
+      for (let degree = 2; degree <= maxDegree; degree++) {
+        const row = table[degree];
+        if (!row || row.length < 2) {
+          return null;
+        }
+        if (isConstant(row, num)) {
+          return {
+            degree,
+            initialDifferences: table.slice(0, degree + 1).map(r => r[0])
+          };
+        }
+      }
+
+      return null;
+    },
+
+    next(sequence, parameters, num) {
+      // Extend the difference table by one column, from the constant row upwards.
+      // The last degree + 1 terms hold its last diagonal, so longer sequences cost no more
+      const table = differenceTable(sequence.slice(-(parameters.degree + 1)), num, parameters.degree);
+      let value = table[parameters.degree][0];
+      for (let k = parameters.degree - 1; k >= 0; k--) {
+        value = num.add(value, table[k][table[k].length - 1]);
+      }
+      return value;
+    },
+
+    describe(parameters, num, t = defaultTranslator) {
+      const name = POLYNOMIAL_NAMES[parameters.degree];
+      return name ? t(`patterns.${name}`) : t('patterns.polynomial', { degree: parameters.degree });
+    },
+
+    nthTerm(sequence, parameters, n, num) {
+      const coefficients = polynomialCoefficients(parameters.initialDifferences, num);
+      const position = num.fromInteger(n);
+      return coefficients.reduceRight(
+        (sum, coefficient) => num.add(num.mul(sum, position), coefficient),
+        num.fromInteger(0)
+      );
+    },
+
+    formula(sequence, parameters, num) {
+      const coefficients = polynomialCoefficients(parameters.initialDifferences, num);
+      const terms = [];
+      for (let power = coefficients.length - 1; power >= 0; power--) {
+        const coefficient = coefficients[power];
+        if (num.toString(coefficient) === '0') continue;
+        if (power === 0) {
+          terms.push(num.toString(coefficient));
+        } else {
+          terms.push(formatTerm(num, coefficient, power === 1 ? 'n' : `n^${power}`));
+        }
+      }
+      return `a_n = ${joinTerms(terms)}`;
+    },
+
+    explain(sequence, parameters, num, t = defaultTranslator) {
+      if (parameters) {
+        return {
+          message: t('explain.polynomial.matched', {
+            degree: parameters.degree,
+            value: num.toString(parameters.initialDifferences[parameters.degree]),
+            next: num.toString(this.next(sequence, parameters, num))
+          })
+        };
+      }
+
+      // detect() gave up at the first order whose row is too short, or after maxDegree
+      const table = differenceTable(sequence, num, maxDegree);
+      for (let degree = 2; degree <= maxDegree; degree++) {
+        if (!table[degree] || table[degree].length < 2) {
+          return { message: t('explain.polynomial.tooShort', { degree, terms: degree + 2 }) };
+        }
+      }
+      const row = table[maxDegree];
+      const position = firstChange(row, num);
+      return {
+        message: t('explain.polynomial.broken', {
+          degree: maxDegree,
+          expected: num.toString(row[0]),
+          found: num.toString(row[position]),
+          position: position + maxDegree + 1
+        }),
+        index: position + maxDegree
+      };
+    }
+  };
+}
+
+/**
+ * Converts Newton forward differences into ordinary polynomial coefficients
+ * Uses aₙ = Σ Δᵏa₁ · C(n-1, k), expanded in powers of n
+ *
+ * @param {Array} initialDifferences - [a₁, Δa₁, Δ²a₁, ...]
+ * @param {Object} num - The number system to use
+ * @returns {Array} Coefficients, lowest power first
+ */
+function polynomialCoefficients(initialDifferences, num) {
+  const zero = num.fromInteger(0);
+  const coefficients = initialDifferences.map(() => zero);
+  // C(n-1, k) as a polynomial in n, starting from C(n-1, 0) = 1
+  let basis = [num.fromInteger(1)];
+
+  initialDifferences.forEach((difference, k) => {
+    if (k > 0) {
+      // C(n-1, k) = C(n-1, k-1) · (n - k) / k
+      const divisor = num.fromInteger(k);
+      const nextBasis = [...basis, zero].map(() => zero);
+      basis.forEach((value, power) => {
+        nextBasis[power + 1] = num.add(nextBasis[power + 1], num.div(value, divisor));
+        nextBasis[power] = num.sub(nextBasis[power], value);
+      });
+      basis = nextBasis;
+    }
+    basis.forEach((value, power) => {
+      coefficients[power] = num.add(coefficients[power], num.mul(difference, value));
+    });
+  });
+
+  return coefficients;
+}
+
+/**
+ * Second-order linear recurrence: aₙ = p·aₙ₋₁ + q·aₙ₋₂
+ * Example: [1, 1, 2, 3, 5] → p = 1, q = 1 (Fibonacci)
+ *
+ * p and q are solved from the first four terms, so at least five terms are
+ * needed for the remaining ones to confirm the rule.
+ */
+const linearRecurrence = {
+  name: 'linear-recurrence',
+
+  detect(sequence, num) {
+    if (sequence.length < 5) {
+      return null;
+    }
+
+    const [a1, a2, a3, a4] = sequence;
+    if (num.equals(num.mul(a2, a2), num.mul(a1, a3))) {
+      return null;
+    }
+    const determinant = num.sub(num.mul(a2, a2), num.mul(a1, a3));
+
+    const p = num.div(num.sub(num.mul(a3, a2), num.mul(a1, a4)), determinant);
+    const q = num.div(num.sub(num.mul(a2, a4), num.mul(a3, a3)), determinant);
+
+    for (let i = 2; i < sequence.length; i++) {
+      const expected = num.add(num.mul(p, sequence[i - 1]), num.mul(q, sequence[i - 2]));
+      if (!num.equals(expected, sequence[i])) {
+        return null;
+      }
+    }
+
+    return { coefficients: [p, q] };
+  },
+
+  next(sequence, parameters, num) {
+    const [p, q] = parameters.coefficients;
+    const n = sequence.length;
+    return num.add(num.mul(p, sequence[n - 1]), num.mul(q, sequence[n - 2]));
+  },
+
+  describe(parameters, num, t = defaultTranslator) {
+    const one = num.fromInteger(1);
+    const [p, q] = parameters.coefficients;
+    return t(num.equals(p, one) && num.equals(q, one) ? 'patterns.fibonacci' : 'patterns.linearRecurrence');
+  },
+
+  nthTerm(sequence, parameters, n, num) {
+    if (n === 1) {
+      return sequence[0];
+    }
+    if (n - 2 > num.maxPower) {
+      throw new RangeError(`Term ${n} is too far ahead for ${num.name} arithmetic`);
+    }
+
+    // [aₙ, aₙ₋₁] = Mⁿ⁻² · [a₂, a₁], with M raised by repeated squaring
+    const [p, q] = parameters.coefficients;
+    const zero = num.fromInteger(0);
+    const one = num.fromInteger(1);
+    let result = [[one, zero], [zero, one]];
+    let base = [[p, q], [one, zero]];
+    let exponent = n - 2;
+
+    while (exponent > 0) {
+      if (exponent % 2 === 1) {
+        result = multiplyMatrices(result, base, num);
+      }
+      exponent = Math.floor(exponent / 2);
+      if (exponent > 0) {
+        base = multiplyMatrices(base, base, num);
+        // The term grows with the powers of M, so stop once they outgrow the number system
+        if (base.some(row => row.some(value => num.bitLength(value) > num.maxBits))) {
+          throw new RangeError(`Term ${n} is too large for ${num.name} arithmetic`);
+        }
+      }
+    }
+
+    return num.add(num.mul(result[0][0], sequence[1]), num.mul(result[0][1], sequence[0]));
+  },
+
+  formula(sequence, parameters, num) {
+    // Written as the recurrence itself, since the roots are often irrational
+    const [p, q] = parameters.coefficients;
+    const terms = [p, q]
+      .map((coefficient, i) => (num.sign(coefficient) === 0 ? null : formatTerm(num, coefficient, `a_(n-${i + 1})`)))
+      .filter(Boolean);
+    return `a_n = ${joinTerms(terms)}, a_1 = ${num.toString(sequence[0])}, a_2 = ${num.toString(sequence[1])}`;
+  },
+
+  explain(sequence, parameters, num, t = defaultTranslator) {
+    if (parameters) {
+      const [p, q] = parameters.coefficients;
+      const n = sequence.length;
+      return {
+        message: t('explain.linearRecurrence.matched', {
+          p: operand(num, p),
+          q: operand(num, q),
+          last: operand(num, sequence[n - 1]),
+          beforeLast: operand(num, sequence[n - 2]),
+          next: num.toString(this.next(sequence, parameters, num))
+        })
+      };
+    }
+    if (sequence.length < 5) {
+      return { message: t('explain.linearRecurrence.tooShort') };
+    }
+
+    // Solve p and q as detect() does, then find the first term they miss
+    const [a1, a2, a3, a4] = sequence;
+    if (num.equals(num.mul(a2, a2), num.mul(a1, a3))) {
+      return { message: t('explain.linearRecurrence.undetermined') };
+    }
+    const determinant = num.sub(num.mul(a2, a2), num.mul(a1, a3));
+    const p = num.div(num.sub(num.mul(a3, a2), num.mul(a1, a4)), determinant);
+    const q = num.div(num.sub(num.mul(a2, a4), num.mul(a3, a3)), determinant);
+    for (let i = 2; i < sequence.length; i++) {
+      const expected = num.add(num.mul(p, sequence[i - 1]), num.mul(q, sequence[i - 2]));
+      if (!num.equals(expected, sequence[i])) {
+        return {
+          message: t('explain.linearRecurrence.broken', {
+            p: operand(num, p),
+            q: operand(num, q),
+            previous: operand(num, sequence[i - 1]),
+            beforePrevious: operand(num, sequence[i - 2]),
+            expected: num.toString(expected),
+            position: i + 1,
+            found: num.toString(sequence[i])
+          }),
+          index: i
+        };
+      }
+    }
+    return { message: t('explain.rejected', { name: this.name }) };
+  }
+};
+
+/**
+ * Multiplies two 2×2 matrices
+ *
+ * @param {Array[]} a - Left matrix
+ * @param {Array[]} b - Right matrix
+ * @param {Object} num - The number system to use
+ * @returns {Array[]} The product a·b
+ */
+function multiplyMatrices(a, b, num) {
+  const dot = (x1, y1, x2, y2) => num.add(num.mul(x1, y1), num.mul(x2, y2));
+  return [
+    [dot(a[0][0], b[0][0], a[0][1], b[1][0]), dot(a[0][0], b[0][1], a[0][1], b[1][1])],
+    [dot(a[1][0], b[0][0], a[1][1], b[1][0]), dot(a[1][0], b[0][1], a[1][1], b[1][1])]
+  ];
+}
+
+/**
+ * The patterns every new EchoChamber starts with, in detection order
+ *
+ * @returns {Object[]} A fresh array of pattern objects
+ */
+function defaultPatterns() {
+  return [arithmetic, geometric, polynomial(3), linearRecurrence];
+}
+
+module.exports = {
+  differenceTable,
+  arithmetic,
+  geometric,
+  polynomial,
+  linearRecurrence,
+  defaultPatterns
+};
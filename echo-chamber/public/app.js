@@ -6,47 +6,293 @@
  * - UI updates
  * - Event handling
  * - Memory management
+ * - Live memory updates from other pages of the session
+ * - Predictions in the browser while the server cannot be reached, saved once it is back
+ * - Charts of predictions, and sparklines of the stored echoes
+ * - The quiz, guessing the next number of made-up sequences
+ * - A history of the sequences entered, and keyboard shortcuts
+ * - Translation (English and Italian)
+ * - The theme switcher (the themes themselves are applied by theme.js)
+ * - API keys, asked for when the server requires one
  */
 
+// ============================================================
+// TRANSLATION
+// ============================================================
+
+// localStorage key remembering the language picked in the switcher
+const LANGUAGE_STORAGE_KEY = 'echoChamberLanguage';
+
+// Language of the interface; the server answers API calls in the same language
+let currentLocale = localStorage.getItem(LANGUAGE_STORAGE_KEY) || navigator.language || 'en';
+
+// Messages of currentLocale, loaded from /api/i18n
+let messages = {};
+
+/**
+ * Translate a message of the current language
+ * @param {string} key - The message key, e.g. 'examples.simple'
+ * @param {Object} [params] - Values for the message's {placeholders}
+ * @returns {string} - The message, or the key if there is none
+ */
+function t(key, params = {}) {
+  const message = key.split('.').reduce(
+    (node, part) => (node !== null && typeof node === 'object' ? node[part] : undefined),
+    messages
+  );
+  if (typeof message !== 'string') {
+    return key;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] === undefined ? placeholder : String(params[name])
+  );
+}
+
+/**
+ * Load the messages of a language from the server
+ * The server picks the closest language it has, e.g. 'it-IT' for 'it-CH'
+ * @param {string} locale - A language tag
+ */
+async function loadLanguage(locale) {
+  try {
+    const response = await fetch(`/api/i18n?lang=${encodeURIComponent(locale)}`);
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    messages = data.messages;
+    currentLocale = data.locale;
+  } catch (error) {
+    // Keep the current messages; the page itself is written in English
+  }
+}
+
+/**
+ * Translate the static parts of the page, marked with data-i18n attributes
+ */
+function applyTranslations() {
+  document.documentElement.lang = currentLocale;
+  document.getElementById('languageSelect').value = currentLocale;
+  document.getElementById('themeSelect').value = currentTheme;
+
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    element.placeholder = t(element.dataset.i18nPlaceholder);
+  });
+  updateOfflineBanner();
+}
+
+/**
+ * Switch the interface to another language and remember the choice
+ * @param {string} locale - The language picked in the switcher
+ */
+async function changeLanguage(locale) {
+  localStorage.setItem(LANGUAGE_STORAGE_KEY, locale);
+  await loadLanguage(locale);
+  applyTranslations();
+  await updateMemories();
+}
+
+/**
+ * Headers sent with every API request
+ * @param {Object} [headers] - Request-specific headers
+ * @returns {Object} - The headers, asking for messages in the current language, with the API key if there is one
+ */
+function apiHeaders(headers = {}) {
+  return apiKey
+    ? { 'Accept-Language': currentLocale, 'X-API-Key': apiKey, ...headers }
+    : { 'Accept-Language': currentLocale, ...headers };
+}
+
+// ============================================================
+// API KEYS
+// ============================================================
+
+// sessionStorage key of the API key, so it is forgotten when the browser closes
+const API_KEY_STORAGE_KEY = 'echoChamberApiKey';
+
+// The key sent with API requests; empty until the server asks for one
+let apiKey = sessionStorage.getItem(API_KEY_STORAGE_KEY) || '';
+
+// Resolves the key dialog that is open, if any
+let apiKeyRequest = null;
+
+/**
+ * Ask the user for an API key
+ * Requests that are refused at the same time share one dialog
+ * @param {string} messageKey - Why a key is needed: 'apiKeyPrompt' or 'apiKeyRolePrompt'
+ * @returns {Promise<string|null>} - The key entered, or null if the dialog was cancelled
+ */
+function askForApiKey(messageKey) {
+  if (apiKeyRequest) {
+    return apiKeyRequest.promise;
+  }
+
+  const modal = document.getElementById('apiKeyModal');
+  const input = document.getElementById('apiKeyInput');
+  document.getElementById('apiKeyMessage').textContent = t(messageKey);
+  input.value = '';
+  modal.style.display = 'block';
+  input.focus();
+
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  apiKeyRequest = { promise, resolve };
+  return promise;
+}
+
+/**
+ * Close the key dialog with an answer
+ * @param {string|null} key - The key entered, or null if cancelled
+ */
+function closeApiKeyDialog(key) {
+  document.getElementById('apiKeyModal').style.display = 'none';
+
+  if (apiKeyRequest) {
+    const { resolve } = apiKeyRequest;
+    apiKeyRequest = null;
+    resolve(key);
+  }
+}
+
+/**
+ * Use the key typed into the dialog, and remember it for this browser session
+ */
+function submitApiKey() {
+  const key = document.getElementById('apiKeyInput').value.trim();
+  if (!key) {
+    return;
+  }
+
+  apiKey = key;
+  sessionStorage.setItem(API_KEY_STORAGE_KEY, key);
+  updateApiKeyButton();
+  closeApiKeyDialog(key);
+}
+
+/**
+ * Close the key dialog without a key
+ */
+function cancelApiKey() {
+  closeApiKeyDialog(null);
+}
+
+/**
+ * Forget the API key; the server asks for one again on the next request that needs it
+ */
+function forgetApiKey() {
+  apiKey = '';
+  sessionStorage.removeItem(API_KEY_STORAGE_KEY);
+  updateApiKeyButton();
+  showNotification(t('apiKeyForgotten'));
+}
+
+/**
+ * Show the "forget API key" button only while a key is remembered
+ */
+function updateApiKeyButton() {
+  document.getElementById('forgetApiKeyBtn').style.display = apiKey ? 'inline-block' : 'none';
+}
+
+/**
+ * Add the API key to a URL, for requests that cannot send headers (EventSource, downloads)
+ * @param {string} url - The URL
+ * @returns {string} - The URL with an api_key query parameter, if there is a key
+ */
+function withApiKey(url) {
+  if (!apiKey) {
+    return url;
+  }
+  return `${url}${url.includes('?') ? '&' : '?'}api_key=${encodeURIComponent(apiKey)}`;
+}
+
+/**
+ * Send an API request, asking for a key when the server refuses it for want of one
+ * A 401 asks for any key, a 403 for one with a role that allows the request; the request is sent again with the key entered
+ * @param {string} url - The URL
+ * @param {Object} [options] - fetch() options; headers are added to apiHeaders()
+ * @returns {Promise<Response>} - The response; the refusal itself if the dialog was cancelled
+ */
+async function apiFetch(url, options = {}) {
+  for (;;) {
+    let response;
+    try {
+      response = await fetch(url, { ...options, headers: apiHeaders(options.headers) });
+    } catch (error) {
+      setServerReachable(false);
+      throw error;
+    }
+    setServerReachable(true);
+
+    if (response.status !== 401 && response.status !== 403) {
+      return response;
+    }
+
+    const key = await askForApiKey(response.status === 401 ? 'apiKeyPrompt' : 'apiKeyRolePrompt');
+    if (!key) {
+      return response;
+    }
+  }
+}
+
 // ============================================================
 // API COMMUNICATION
 // ============================================================
 
+// Number of echoes shown per page of the memory list
+const MEMORY_PAGE_SIZE = 10;
+
+// Cursors of the memory pages visited so far; the last one is the page shown (null is the first page)
+let memoryCursors = [null];
+
 /**
  * Make a POST request to predict the next number
- * @param {Array<number>} sequence - The sequence to predict
+ * The result comes with its explanation, shown in a collapsed panel, and
+ * the next CHART_PREDICTED_TERMS numbers, drawn on its chart
+ * @param {Array<number|string>} sequence - The sequence to predict
+ * @param {string} [mode] - Number mode: 'strict', 'tolerant' or 'exact'
  * @returns {Promise<Object>} - The prediction result
  */
-async function apiPredict(sequence) {
+async function apiPredict(sequence, mode) {
   try {
-    const response = await fetch('/api/predict', {
+    const response = await apiFetch('/api/predict', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ sequence })
+      body: JSON.stringify({ sequence, mode, count: CHART_PREDICTED_TERMS, explain: true })
     });
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
+    // Failed predictions come back with a 4xx status and a JSON body explaining why
     return await response.json();
   } catch (error) {
+    // The server cannot be reached: predict in the browser, and save the echo once it is back
+    if (!serverReachable) {
+      return predictInBrowser(sequence, mode);
+    }
     return {
       success: false,
-      message: `Error connecting to server: ${error.message}`
+      message: t('connectionError', { message: error.message })
     };
   }
 }
 
 /**
- * Fetch all stored memories from the server
- * @returns {Promise<Object>} - The memories data
+ * Fetch a page of stored memories from the server, newest first
+ * @param {string|null} cursor - nextCursor of the previous page, or null for the first page
+ * @returns {Promise<Object>} - The memories data: { memories, count, total, nextCursor }
  */
-async function apiGetMemories() {
+async function apiGetMemories(cursor) {
   try {
-    const response = await fetch('/api/memories');
+    const params = new URLSearchParams({ limit: MEMORY_PAGE_SIZE, order: 'desc' });
+    if (cursor) {
+      params.set('cursor', cursor);
+    }
+    const response = await apiFetch(`/api/memories?${params}`);
 
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
@@ -57,33 +303,72 @@ async function apiGetMemories() {
     return {
       memories: [],
       count: 0,
+      total: 0,
+      nextCursor: null,
       error: error.message
     };
   }
 }
 
+/**
+ * Delete a single memory on the server
+ * @param {number} index - The memory's predictionIndex
+ * @returns {Promise<Object>} - The result
+ */
+async function apiDeleteMemory(index) {
+  try {
+    const response = await apiFetch(`/api/memories/${index}`, { method: 'DELETE' });
+
+    return await response.json();
+  } catch (error) {
+    return {
+      success: false,
+      message: t('error', { message: error.message })
+    };
+  }
+}
+
 /**
  * Clear all memories on the server
  * @returns {Promise<Object>} - The result
  */
 async function apiClearMemories() {
   try {
-    const response = await fetch('/api/memories', {
+    const response = await apiFetch('/api/memories', {
       method: 'DELETE',
       headers: {
         'Content-Type': 'application/json'
       }
     });
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+    // Refusals (such as a missing admin key) come back with a JSON body explaining why
+    return await response.json();
+  } catch (error) {
+    return {
+      success: false,
+      message: t('error', { message: error.message })
+    };
+  }
+}
+
+/**
+ * Undo the last clear of the memories on the server
+ * @returns {Promise<Object>} - The result, with the number of echoes restored
+ */
+async function apiRestoreMemories() {
+  try {
+    const response = await apiFetch('/api/memories/restore', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
 
     return await response.json();
   } catch (error) {
     return {
       success: false,
-      message: `Error: ${error.message}`
+      message: t('error', { message: error.message })
     };
   }
 }
@@ -95,7 +380,7 @@ async function apiClearMemories() {
  */
 async function apiValidate(sequence) {
   try {
-    const response = await fetch('/api/validate', {
+    const response = await apiFetch('/api/validate', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -103,15 +388,12 @@ async function apiValidate(sequence) {
       body: JSON.stringify({ sequence })
     });
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
+    // Invalid input comes back with a 4xx status and a JSON body explaining why
     return await response.json();
   } catch (error) {
     return {
       isValid: false,
-      message: `Error: ${error.message}`
+      message: t('error', { message: error.message })
     };
   }
 }
@@ -122,7 +404,78 @@ async function apiValidate(sequence) {
  */
 async function apiTest() {
   try {
-    const response = await fetch('/api/test');
+    const response = await apiFetch('/api/test');
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    return {
+      success: false,
+      message: t('error', { message: error.message })
+    };
+  }
+}
+
+/**
+ * Ask the server for a quiz question
+ * @param {string} difficulty - 'easy', 'medium' or 'hard'
+ * @returns {Promise<Object>} - { success, question: { id, sequence, difficulty, points }, message }
+ */
+async function apiAskQuiz(difficulty) {
+  try {
+    const response = await apiFetch('/api/quiz', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ difficulty })
+    });
+
+    return await response.json();
+  } catch (error) {
+    return {
+      success: false,
+      message: t('connectionError', { message: error.message })
+    };
+  }
+}
+
+/**
+ * Send a guess at a quiz question
+ * @param {number} id - The id of the question
+ * @param {string} guess - The guessed next number
+ * @returns {Promise<Object>} - { success, correct, guess, answer, points, stats, message }
+ */
+async function apiAnswerQuiz(id, guess) {
+  try {
+    const response = await apiFetch(`/api/quiz/${id}/answer`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ guess })
+    });
+
+    // Unknown questions and guesses that are not numbers come back with a JSON body explaining why
+    return await response.json();
+  } catch (error) {
+    return {
+      success: false,
+      message: t('connectionError', { message: error.message })
+    };
+  }
+}
+
+/**
+ * Fetch the quiz score of this session
+ * @returns {Promise<Object>} - { success, stats: { answered, correct, score, streak, bestStreak } }
+ */
+async function apiQuizStats() {
+  try {
+    const response = await apiFetch('/api/quiz/stats');
 
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
@@ -132,7 +485,7 @@ async function apiTest() {
   } catch (error) {
     return {
       success: false,
-      message: `Error: ${error.message}`
+      message: t('error', { message: error.message })
     };
   }
 }
@@ -141,12 +494,19 @@ async function apiTest() {
 // UI FUNCTIONS
 // ============================================================
 
+const FRACTION_PATTERN = /^[+-]?\d+\s*\/\s*[+-]?\d+$/;
+const DECIMAL_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
 /**
  * Parse a comma-separated string into an array of numbers
+ * In exact mode the values are sent as text (e.g. "1/3", "0.1") so the
+ * server can read them without floating-point rounding, and so are whole
+ * numbers beyond Number.MAX_SAFE_INTEGER in every mode
  * @param {string} input - The input string
- * @returns {Array<number>|null} - The parsed array or null if invalid
+ * @param {string} [mode] - Number mode: 'strict', 'tolerant' or 'exact'
+ * @returns {Array<number|string>|null} - The parsed array or null if invalid
  */
-function parseSequence(input) {
+function parseSequence(input, mode) {
   if (!input || input.trim() === '') {
     return null;
   }
@@ -155,11 +515,22 @@ function parseSequence(input) {
     const numbers = input
       .split(',')
       .map(num => {
-        const parsed = parseFloat(num.trim());
-        if (isNaN(parsed)) {
-          throw new Error(`Invalid number: ${num.trim()}`);
+        const text = num.trim();
+        if (FRACTION_PATTERN.test(text)) {
+          if (mode !== 'exact') {
+            throw new Error(`Fractions need exact mode: ${text}`);
+          }
+          return text;
+        }
+        if (!DECIMAL_PATTERN.test(text)) {
+          throw new Error(`Invalid number: ${text}`);
         }
-        return parsed;
+        // Whole numbers too large for a JavaScript number are sent as text,
+        // which the server handles in its bigint mode
+        if (/^[+-]?\d+$/.test(text) && !Number.isSafeInteger(Number(text))) {
+          return text;
+        }
+        return mode === 'exact' ? text : parseFloat(text);
       });
 
     return numbers.length > 0 ? numbers : null;
@@ -168,21 +539,77 @@ function parseSequence(input) {
   }
 }
 
+/**
+ * Escape text for use in HTML
+ * @param {*} text - The text to escape
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Format numbers for display
  * @param {Array<number>} sequence - The sequence to format
- * @returns {string} - Formatted sequence
+ * @returns {string} - Formatted sequence, escaped for HTML
  */
 function formatSequence(sequence) {
   if (!Array.isArray(sequence)) return '';
-  return `[${sequence.join(', ')}]`;
+  return escapeHtml(`[${sequence.join(', ')}]`);
+}
+
+/**
+ * Format pattern parameters for display
+ * @param {Object} parameters - Parameters reported by the detected pattern
+ * @returns {string} - Formatted parameters, e.g. "ratio = 2", escaped for HTML
+ */
+function formatParameters(parameters) {
+  return Object.entries(parameters || {})
+    .map(([key, value]) => `${escapeHtml(key)} = ${Array.isArray(value) ? formatSequence(value) : escapeHtml(value)}`)
+    .join(', ');
+}
+
+/**
+ * Render the explanation of a prediction as a collapsible panel
+ * @param {Object} [explanation] - { differences, steps } of the prediction, if it has one
+ * @returns {string} - The panel's HTML, or an empty string
+ */
+function renderExplanation(explanation) {
+  if (!explanation) {
+    return '';
+  }
+
+  const rows = explanation.differences.map((row, order) => `
+    <tr>
+      <th>${order === 0 ? t('explanationSequence') : t('explanationOrder', { order })}</th>
+      ${row.map(value => `<td>${escapeHtml(value)}</td>`).join('')}
+    </tr>
+  `).join('');
+  const steps = explanation.steps.map(step => `
+    <li class="${step.matched ? 'step-matched' : 'step-rejected'}">${step.matched ? '✓' : '✗'} ${escapeHtml(step.message)}</li>
+  `).join('');
+
+  return `
+    <details class="explanation">
+      <summary>${t('explanationTitle')}</summary>
+      <div class="explanation-table"><table>${rows}</table></div>
+      <strong>${t('explanationSteps')}</strong>
+      <ol class="explanation-steps">${steps}</ol>
+    </details>
+  `;
 }
 
 /**
  * Show result in the UI
  * @param {Object} result - The prediction result
+ * @param {Array<number|string>} [sequence] - The sequence that was predicted, to draw on a chart
  */
-function showResult(result) {
+function showResult(result, sequence) {
   const resultContainer = document.getElementById('resultContainer');
   const resultContent = document.getElementById('resultContent');
   const errorContainer = document.getElementById('errorContainer');
@@ -190,58 +617,162 @@ function showResult(result) {
   if (result.success) {
     errorContainer.style.display = 'none';
     resultContent.innerHTML = `
-      <div class="result-header">✓ ${result.message}</div>
+      <div class="result-header">✓ ${escapeHtml(result.message)}</div>
       <div class="result-details">
         <div class="result-detail">
-          <div class="result-detail-label">Next Number</div>
-          <div class="result-detail-value">${result.nextNumber}</div>
+          <div class="result-detail-label">${t('nextNumber')}</div>
+          <div class="result-detail-value">${escapeHtml(result.nextNumber)}</div>
+        </div>
+        <div class="result-detail">
+          <div class="result-detail-label">${t('pattern')}</div>
+          <div class="result-detail-value">${escapeHtml(result.pattern)}</div>
         </div>
         <div class="result-detail">
-          <div class="result-detail-label">Common Difference</div>
-          <div class="result-detail-value">${result.commonDifference}</div>
+          <div class="result-detail-label">${result.commonDifference !== null ? t('commonDifference') : t('parameters')}</div>
+          <div class="result-detail-value">${result.commonDifference !== null ? escapeHtml(result.commonDifference) : formatParameters(result.parameters)}</div>
         </div>
       </div>
+      ${result.formula ? `<div class="result-formula"><strong>${t('formula')}</strong> <code>${escapeHtml(result.formula)}</code></div>` : ''}
+      ${result.offline ? `<div class="result-offline">${t('offline.predicted')}</div>` : ''}
+      ${sequence ? renderChart(sequence, result) : ''}
+      ${renderExplanation(result.explanation)}
     `;
     resultContainer.style.display = 'block';
+    announceResult(`${result.message} ${t('nextNumber')}: ${result.nextNumber}`);
   } else {
     resultContainer.style.display = 'none';
     document.getElementById('errorContent').innerHTML = `
-      <strong>❌ Error:</strong> ${result.message}
+      <strong>${t('errorLabel')}</strong> ${escapeHtml(result.message)}
+      ${renderExplanation(result.explanation)}
     `;
     errorContainer.style.display = 'block';
+    announceResult(`${t('errorLabel')} ${result.message}`);
   }
 }
 
 /**
- * Update the memories display
+ * Have screen readers read out a result
+ * The result containers hold charts and tables too, so only this summary is read
+ * @param {string} text - The summary of the result
+ */
+function announceResult(text) {
+  const announcement = document.getElementById('resultAnnouncement');
+  // Emptying first makes a repeated result be read again
+  announcement.textContent = '';
+  setTimeout(() => {
+    announcement.textContent = text;
+  }, 50);
+}
+
+/**
+ * Update the memories display with the current page
  */
 async function updateMemories() {
-  const data = await apiGetMemories();
+  const cursor = memoryCursors[memoryCursors.length - 1];
+  const data = await apiGetMemories(cursor);
   const container = document.getElementById('memoriesContainer');
 
-  if (data.count === 0) {
-    container.innerHTML = '<p class="empty-state">No echoes stored yet. Make a prediction!</p>';
+  // The page emptied (e.g. its echoes were deleted): go back one page
+  if (data.count === 0 && memoryCursors.length > 1) {
+    memoryCursors.pop();
+    return updateMemories();
+  }
+
+  // The quiz score adds up quiz echoes, so it changes along with them
+  updateQuizScore();
+
+  // Echoes predicted offline lead the first page until the server has them
+  const pending = memoryCursors.length === 1 ? offlineEchoes() : [];
+
+  if (data.count === 0 && pending.length === 0) {
+    container.innerHTML = `<p class="empty-state">${t('noEchoes')}</p>`;
     return;
   }
 
-  let html = '';
-  data.memories.forEach((memory, index) => {
+  let html = pending.slice().reverse().map(renderPendingEcho).join('');
+  data.memories.forEach((memory) => {
     html += `
       <div class="memory-item">
         <div class="memory-header">
-          <span class="memory-title">Echo #${memory.predictionIndex}</span>
-          <span class="memory-time">${memory.timestamp}</span>
+          <span class="memory-title">${escapeHtml(t('echoTitle', { index: memory.predictionIndex }))}${memory.quiz ? `<span class="memory-badge">${t('memoryQuiz')}</span>` : ''}</span>
+          <span class="memory-time">${escapeHtml(memory.timestamp)}</span>
+          <button class="memory-delete" onclick="deleteMemory(${Number(memory.predictionIndex)})" title="${t('deleteEcho')}">✕</button>
         </div>
         <div class="memory-content">
-          <strong>Sequence:</strong> ${formatSequence(memory.sequence)}<br>
-          <strong>Next:</strong> ${memory.nextNumber}<br>
-          <strong>Difference:</strong> ${memory.commonDifference}
+          <strong>${t('memorySequence')}</strong> ${formatSequence(memory.sequence)}<br>
+          <strong>${t('memoryNext')}</strong> ${escapeHtml(memory.nextNumber)}<br>
+          <strong>${t('memoryPattern')}</strong> ${escapeHtml(memory.pattern)} (${formatParameters(memory.parameters)})
+          ${memory.quiz ? `<br><strong>${t('memoryGuess')}</strong> ${escapeHtml(memory.quiz.guess)} ${memory.quiz.correct ? '✓' : '✗'}` : ''}
         </div>
+        ${renderSparkline(memory)}
       </div>
     `;
   });
 
+  if (data.count === 0) {
+    container.innerHTML = html;
+    return;
+  }
+
+  const first = (memoryCursors.length - 1) * MEMORY_PAGE_SIZE + 1;
+  html += `
+    <div class="memory-pager">
+      <button class="memory-newer" ${memoryCursors.length === 1 ? 'disabled' : ''}>${t('newer')}</button>
+      <span>${t('pageRange', { first, last: first + data.count - 1, total: data.total })}</span>
+      <button class="memory-older" ${data.nextCursor ? '' : 'disabled'}>${t('older')}</button>
+    </div>
+  `;
+
   container.innerHTML = html;
+  // The cursor comes from the server, so it is kept out of the markup
+  container.querySelector('.memory-newer').addEventListener('click', showNewerMemories);
+  container.querySelector('.memory-older').addEventListener('click', () => showOlderMemories(data.nextCursor));
+}
+
+/**
+ * Show the next page of older memories
+ * @param {string} cursor - nextCursor of the page shown
+ */
+async function showOlderMemories(cursor) {
+  if (!cursor) {
+    return;
+  }
+  memoryCursors.push(cursor);
+  await updateMemories();
+}
+
+/**
+ * Show the previous page of newer memories
+ */
+async function showNewerMemories() {
+  if (memoryCursors.length > 1) {
+    memoryCursors.pop();
+    await updateMemories();
+  }
+}
+
+/**
+ * Delete a single memory
+ * @param {number} index - The memory's predictionIndex
+ */
+async function deleteMemory(index) {
+  const result = await apiDeleteMemory(index);
+
+  if (result.success) {
+    await updateMemories();
+    showNotification(t('echoDeleted', { index }));
+  } else {
+    showNotification(t('error', { message: result.message }), 'error');
+  }
+}
+
+/**
+ * Download all memories of this session as a file
+ * The server sends the export as an attachment, so the page stays open
+ * @param {string} format - 'csv' or 'json'
+ */
+function downloadMemories(format) {
+  window.location.href = withApiKey(`/api/memories/export?format=${format}`);
 }
 
 /**
@@ -249,33 +780,37 @@ async function updateMemories() {
  */
 async function predictSequence() {
   const input = document.getElementById('sequenceInput').value;
-  const sequence = parseSequence(input);
+  const mode = document.getElementById('modeSelect').value;
+  const sequence = parseSequence(input, mode);
 
   if (!sequence) {
     showResult({
       success: false,
-      message: 'Please enter valid numbers separated by commas (e.g., 3, 6, 9, 12)'
+      message: mode === 'exact' ? t('invalidInputExact') : t('invalidInput')
     });
     return;
   }
 
+  rememberSequence(input);
+
   // Disable button while processing
   const btn = document.getElementById('predictBtn');
   btn.disabled = true;
-  btn.textContent = '⏳ Predicting...';
+  btn.textContent = t('predicting');
 
   try {
-    const result = await apiPredict(sequence);
-    showResult(result);
+    const result = await apiPredict(sequence, mode);
+    showResult(result, sequence);
     
-    // Update memories if prediction was successful
+    // Show the first page, where the new echo appears, if prediction was successful
     if (result.success) {
+      memoryCursors = [null];
       await updateMemories();
     }
   } finally {
     // Re-enable button
     btn.disabled = false;
-    btn.textContent = '🔮 Predict';
+    btn.textContent = t('predict');
   }
 }
 
@@ -283,29 +818,45 @@ async function predictSequence() {
  * Clear all memories
  */
 async function clearMemories() {
-  if (!confirm('Are you sure you want to clear all stored echoes? This cannot be undone.')) {
+  if (!confirm(t('confirmClear'))) {
     return;
   }
 
   const result = await apiClearMemories();
 
   if (result.success) {
+    memoryCursors = [null];
     await updateMemories();
     document.getElementById('resultContainer').style.display = 'none';
     document.getElementById('errorContainer').style.display = 'none';
-    showNotification('All memories have been cleared!');
+    showNotification(t('memoriesCleared'), 'success', { label: t('undoClear'), onClick: restoreMemories });
   } else {
-    showNotification(`Error: ${result.message}`, 'error');
+    showNotification(t('error', { message: result.message }), 'error');
   }
 }
 
 /**
- * Fill the input with demo sequence
+ * Undo the last clear of the memories
  */
-function fillDemoSequence() {
-  document.getElementById('sequenceInput').value = '3, 6, 9, 12';
-  document.getElementById('sequenceInput').focus();
-}
+async function restoreMemories() {
+  const result = await apiRestoreMemories();
+
+  if (result.success) {
+    memoryCursors = [null];
+    await updateMemories();
+    showNotification(result.message);
+  } else {
+    showNotification(t('error', { message: result.message }), 'error');
+  }
+}
+
+/**
+ * Fill the input with demo sequence
+ */
+function fillDemoSequence() {
+  document.getElementById('sequenceInput').value = '3, 6, 9, 12';
+  document.getElementById('sequenceInput').focus();
+}
 
 /**
  * Load an example sequence
@@ -353,9 +904,9 @@ async function testConnection() {
   const result = await apiTest();
 
   if (result.success) {
-    showNotification('✓ Server is working correctly!');
+    showNotification(t('serverWorking'));
   } else {
-    showNotification('✗ Server connection failed', 'error');
+    showNotification(t('serverFailed'), 'error');
   }
 }
 
@@ -367,15 +918,20 @@ async function runDemoTest() {
   const container = document.getElementById('testResultsContainer');
 
   testModal.style.display = 'block';
-  container.innerHTML = '<p>🧪 Running tests...</p>';
+  container.innerHTML = `<p>${t('tests.running')}</p>`;
 
+  // name is the message key (tests.*) of the test's title
   const testCases = [
-    { sequence: [3, 6, 9, 12], name: 'Simple Progression' },
-    { sequence: [10, 7, 4, 1], name: 'Decreasing' },
-    { sequence: [100, 200, 300, 400], name: 'Large Numbers' },
-    { sequence: [-5, -3, -1, 1], name: 'Negative Numbers' },
-    { sequence: [1.5, 3.0, 4.5, 6.0], name: 'Floating Point' },
-    { sequence: [1, 2, 4, 8], name: 'Invalid (Geometric)' }
+    { sequence: [3, 6, 9, 12], name: 'simple' },
+    { sequence: [10, 7, 4, 1], name: 'decreasing' },
+    { sequence: [100, 200, 300, 400], name: 'large' },
+    { sequence: [-5, -3, -1, 1], name: 'negative' },
+    { sequence: [1.5, 3.0, 4.5, 6.0], name: 'floatingPoint' },
+    { sequence: [0.1, 0.2, 0.3], name: 'noise' },
+    { sequence: [1, 2, 4, 8], name: 'geometric' },
+    { sequence: [1, 4, 9, 16], name: 'quadratic' },
+    { sequence: [1, 1, 2, 3, 5, 8], name: 'fibonacci' },
+    { sequence: [1, 3, 4, 10], name: 'invalid' }
   ];
 
   let passed = 0;
@@ -384,30 +940,30 @@ async function runDemoTest() {
 
   for (const testCase of testCases) {
     const result = await apiPredict(testCase.sequence);
-    const status = result.success ? '✓ PASSED' : '✓ Rejected';
+    const status = result.success ? t('tests.passed') : t('tests.rejected');
     const statusClass = result.success ? 'success' : 'warning';
 
-    if (!result.success && testCase.name.includes('Invalid')) {
+    if (!result.success && testCase.name === 'invalid') {
       passed++;
-    } else if (result.success && !testCase.name.includes('Invalid')) {
+    } else if (result.success && testCase.name !== 'invalid') {
       passed++;
     } else {
       failed++;
     }
 
     html += `
-      <div style="margin-bottom: 1rem; padding: 1rem; background: #f9fafb; border-radius: 0.5rem;">
-        <strong>${testCase.name}</strong><br>
-        Input: [${testCase.sequence.join(', ')}]<br>
-        ${result.success ? `Output: ${result.nextNumber}<br>` : ''}
-        <span style="color: ${result.success ? '#10b981' : '#ef4444'};">${status}</span>
+      <div class="test-case">
+        <strong>${t(`tests.${testCase.name}`)}</strong><br>
+        ${t('tests.input')} [${testCase.sequence.join(', ')}]<br>
+        ${result.success ? `${t('tests.output')} ${escapeHtml(result.nextNumber)}<br>` : ''}
+        <span class="test-status-${statusClass}">${status}</span>
       </div>
     `;
   }
 
   html += `
     <hr style="margin: 1.5rem 0;">
-    <p><strong>Results:</strong> ${passed} passed, ${failed} failed out of ${testCases.length} tests</p>
+    <p><strong>${t('tests.results')}</strong> ${t('tests.summary', { passed, failed, total: testCases.length })}</p>
   `;
 
   container.innerHTML = html;
@@ -420,15 +976,694 @@ function closeTestModal() {
   document.getElementById('testModal').style.display = 'none';
 }
 
+// Milliseconds a notification stays up; those with an action stay longer, to leave time to use it
+const NOTIFICATION_DURATION = 5000;
+const NOTIFICATION_ACTION_DURATION = 10000;
+
 /**
  * Show a temporary notification
+ * Notifications are announced by screen readers: errors at once, the rest when the reader is idle
  * @param {string} message - The message to show
  * @param {string} type - The notification type (success, error, info)
+ * @param {Object} [action] - A button to show with the message: { label, onClick }
+ */
+function showNotification(message, type = 'success', action = null) {
+  const notification = document.createElement('div');
+  notification.className = `notification notification-${type}`;
+  notification.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+  const text = document.createElement('span');
+  text.textContent = message;
+  notification.appendChild(text);
+
+  const dismiss = () => notification.remove();
+
+  if (action) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'notification-action';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      dismiss();
+      action.onClick();
+    });
+    notification.appendChild(button);
+  }
+
+  const close = document.createElement('button');
+  close.type = 'button';
+  close.className = 'notification-close';
+  close.setAttribute('aria-label', t('dismiss'));
+  close.textContent = '×';
+  close.addEventListener('click', dismiss);
+  notification.appendChild(close);
+
+  document.getElementById('notifications').appendChild(notification);
+  setTimeout(dismiss, action ? NOTIFICATION_ACTION_DURATION : NOTIFICATION_DURATION);
+}
+
+// ============================================================
+// CHARTS
+// ============================================================
+
+// Terms predicted past the sequence for its chart
+const CHART_PREDICTED_TERMS = 5;
+
+// Size of the prediction chart in SVG units; it is scaled to the width of the card
+const CHART_SIZE = { width: 480, height: 240, top: 16, right: 16, bottom: 28, left: 56 };
+
+// Size of the sparklines in the memory list, in pixels
+const SPARKLINE_SIZE = { width: 120, height: 28, top: 3, right: 3, bottom: 3, left: 3 };
+
+// Longest series drawn with a marker on every point; longer ones are drawn as lines only
+const CHART_MAX_MARKERS = 60;
+
+// Most labelled terms on the horizontal axis
+const CHART_MAX_TICKS = 10;
+
+/**
+ * Read a value of a sequence as a number that can be plotted
+ * Exact mode answers with fractions such as "4/3", and large whole numbers come as digit strings
+ * @param {number|string} value - The value
+ * @returns {number|null} - The number, or null if there is none to plot
+ */
+function chartValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value === 'string' && FRACTION_PATTERN.test(value)) {
+    const [numerator, denominator] = value.split('/').map(Number);
+    return numerator / denominator;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Round a plotted number for labels, hiding floating-point noise
+ * @param {number} value - The number
+ * @returns {number} - The number with at most 6 significant digits
+ */
+function chartLabel(value) {
+  return Number(value.toPrecision(6));
+}
+
+/**
+ * Work out how term positions and values map to chart coordinates
+ * @param {Array<{x: number, y: number}>} points - Every point shown on the chart
+ * @param {Object} size - { width, height, top, right, bottom, left } of the chart and its margins
+ * @returns {Object} - { x, y } functions giving coordinates, and the minY and maxY shown
+ */
+function chartScales(points, size) {
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  points.forEach(point => {
+    minX = Math.min(minX, point.x);
+    maxX = Math.max(maxX, point.x);
+    minY = Math.min(minY, point.y);
+    maxY = Math.max(maxY, point.y);
+  });
+  // A flat series is drawn across the middle
+  if (minY === maxY) {
+    minY -= 1;
+    maxY += 1;
+  }
+
+  const plotWidth = size.width - size.left - size.right;
+  const plotHeight = size.height - size.top - size.bottom;
+  const round = value => Math.round(value * 100) / 100;
+  return {
+    x: value => round(size.left + (maxX === minX ? plotWidth / 2 : (value - minX) / (maxX - minX) * plotWidth)),
+    y: value => round(size.top + (maxY - value) / (maxY - minY) * plotHeight),
+    minY,
+    maxY
+  };
+}
+
+/**
+ * Draw a series of points as a line, with a marker and tooltip on each point
+ * @param {string} name - Name of the series: 'sequence', 'predicted' or 'differences'
+ * @param {Array<Object>} points - { x, y, label } of each point
+ * @param {Object} scales - The chart's scales (see chartScales)
+ * @param {Object} [from] - A point the line starts from without a marker, joining it to another series
+ * @returns {string} - The series' SVG
+ */
+function chartSeries(name, points, scales, from) {
+  if (points.length === 0) {
+    return '';
+  }
+
+  const line = (from ? [from] : []).concat(points)
+    .map(point => `${scales.x(point.x)},${scales.y(point.y)}`)
+    .join(' ');
+  const markers = points.length > CHART_MAX_MARKERS ? '' : points.map(point => `
+    <circle class="chart-point" cx="${scales.x(point.x)}" cy="${scales.y(point.y)}" r="4"><title>${escapeHtml(point.label)}</title></circle>
+  `).join('');
+
+  return `
+    <g class="chart-series series-${name}">
+      <polyline class="chart-line" points="${line}"/>
+      ${markers}
+    </g>
+  `;
+}
+
+/**
+ * Draw the chart of a prediction: the sequence, the predicted terms and the differences between terms
+ * The legend buttons show and hide each series; hovering a point shows its value
+ * @param {Array<number|string>} sequence - The sequence that was predicted
+ * @param {Object} result - The successful prediction, with nextNumbers
+ * @returns {string} - The chart's HTML, or an empty string if its values cannot be plotted
+ */
+function renderChart(sequence, result) {
+  const predicted = result.nextNumbers || [result.nextNumber];
+  const shown = sequence.concat(predicted);
+  const values = shown.map(chartValue);
+  if (values.some(value => value === null)) {
+    return '';
+  }
+
+  const terms = values.map((y, i) => ({ x: i + 1, y, label: t('chartTerm', { index: i + 1, value: shown[i] }) }));
+  const differences = values.slice(1).map((y, i) => ({
+    x: i + 2,
+    y: y - values[i],
+    label: t('chartDifference', { from: i + 1, to: i + 2, value: chartLabel(y - values[i]) })
+  }));
+  const size = CHART_SIZE;
+  const scales = chartScales(terms.concat(differences), size);
+
+  // Horizontal grid lines at the lowest and highest values, and at zero when it is in between
+  const levels = [scales.minY, scales.maxY].concat(scales.minY < 0 && scales.maxY > 0 ? [0] : []);
+  const grid = levels.map(level => `
+    <line class="chart-grid${level === 0 ? ' chart-zero' : ''}" x1="${size.left}" x2="${size.width - size.right}" y1="${scales.y(level)}" y2="${scales.y(level)}"/>
+    <text class="chart-tick" x="${size.left - 6}" y="${scales.y(level) + 4}" text-anchor="end">${chartLabel(level)}</text>
+  `).join('');
+  const every = Math.ceil(terms.length / CHART_MAX_TICKS);
+  const ticks = terms.filter(term => (term.x - 1) % every === 0).map(term => `
+    <text class="chart-tick" x="${scales.x(term.x)}" y="${size.height - 8}" text-anchor="middle">${term.x}</text>
+  `).join('');
+  const boundary = scales.x(sequence.length + 0.5);
+
+  const series = [['sequence', 'chartSequence'], ['predicted', 'chartPredicted'], ['differences', 'chartDifferences']];
+  const legend = series.map(([name, key]) => `
+    <button type="button" class="chart-toggle series-${name}" data-series="${name}" aria-pressed="true" onclick="toggleChartSeries(this)">${t(key)}</button>
+  `).join('');
+
+  return `
+    <div class="chart">
+      <div class="chart-legend">${legend}</div>
+      <svg class="chart-plot" viewBox="0 0 ${size.width} ${size.height}" role="img" aria-label="${t('chartLabel')}">
+        ${grid}
+        <line class="chart-boundary" x1="${boundary}" x2="${boundary}" y1="${size.top}" y2="${size.height - size.bottom}"/>
+        ${ticks}
+        ${chartSeries('differences', differences, scales)}
+        ${chartSeries('sequence', terms.slice(0, sequence.length), scales)}
+        ${chartSeries('predicted', terms.slice(sequence.length), scales, terms[sequence.length - 1])}
+      </svg>
+    </div>
+  `;
+}
+
+/**
+ * Show or hide a series of a chart, from its legend button
+ * @param {HTMLButtonElement} button - The legend button of the series
+ */
+function toggleChartSeries(button) {
+  const hidden = button.closest('.chart').classList.toggle(`hide-${button.dataset.series}`);
+  button.setAttribute('aria-pressed', String(!hidden));
+}
+
+/**
+ * Draw the sparkline of an echo: its sequence, and the predicted next number as a dot
+ * @param {Object} memory - The echo
+ * @returns {string} - The sparkline's SVG, or an empty string if its values cannot be plotted
+ */
+function renderSparkline(memory) {
+  const values = memory.sequence.concat([memory.nextNumber]).map(chartValue);
+  if (values.length < 2 || values.some(value => value === null)) {
+    return '';
+  }
+
+  const points = values.map((y, i) => ({ x: i + 1, y }));
+  const scales = chartScales(points, SPARKLINE_SIZE);
+  const coordinates = points.map(point => `${scales.x(point.x)},${scales.y(point.y)}`);
+  const next = points[points.length - 1];
+
+  return `
+    <svg class="sparkline" width="${SPARKLINE_SIZE.width}" height="${SPARKLINE_SIZE.height}" viewBox="0 0 ${SPARKLINE_SIZE.width} ${SPARKLINE_SIZE.height}" role="img" aria-label="${escapeHtml(t('sparklineLabel', { sequence: `[${memory.sequence.join(', ')}]`, next: memory.nextNumber }))}">
+      <polyline class="sparkline-line" points="${coordinates.slice(0, -1).join(' ')}"/>
+      <polyline class="sparkline-prediction" points="${coordinates.slice(-2).join(' ')}"/>
+      <circle class="sparkline-next" cx="${scales.x(next.x)}" cy="${scales.y(next.y)}" r="2.5"/>
+    </svg>
+  `;
+}
+
+// ============================================================
+// QUIZ
+// ============================================================
+
+// The question waiting for an answer, or null
+let quizQuestion = null;
+
+/**
+ * Ask for a new quiz question of the chosen difficulty and show it
+ */
+async function newQuizQuestion() {
+  const result = await apiAskQuiz(document.getElementById('quizDifficultySelect').value);
+  const feedback = document.getElementById('quizFeedback');
+
+  if (!result.success) {
+    showNotification(t('error', { message: result.message }), 'error');
+    return;
+  }
+
+  quizQuestion = result.question;
+  feedback.style.display = 'none';
+  document.getElementById('quizSequence').textContent = `${quizQuestion.sequence.join(', ')}, ?`;
+  document.getElementById('quizQuestion').style.display = 'block';
+
+  const input = document.getElementById('quizGuessInput');
+  input.value = '';
+  input.focus();
+}
+
+/**
+ * Send the guess at the current quiz question and show whether it was right
+ */
+async function answerQuizQuestion() {
+  if (!quizQuestion) {
+    return;
+  }
+  const guess = document.getElementById('quizGuessInput').value.trim();
+  if (guess === '' || !Number.isFinite(Number(guess))) {
+    showNotification(t('quizInvalidGuess'), 'error');
+    return;
+  }
+
+  const result = await apiAnswerQuiz(quizQuestion.id, guess);
+  const feedback = document.getElementById('quizFeedback');
+
+  if (!result.success) {
+    showNotification(t('error', { message: result.message }), 'error');
+    return;
+  }
+
+  // Each question takes one answer; the next one is a click away
+  quizQuestion = null;
+  document.getElementById('quizQuestion').style.display = 'none';
+  feedback.textContent = result.message;
+  feedback.className = `quiz-feedback ${result.correct ? 'correct' : 'wrong'}`;
+  feedback.style.display = 'block';
+  showQuizScore(result.stats);
+
+  // The answer was recorded as an echo on the first page
+  memoryCursors = [null];
+  await updateMemories();
+}
+
+/**
+ * Show the quiz score
+ * @param {Object} stats - { answered, correct, score, streak, bestStreak }
+ */
+function showQuizScore(stats) {
+  document.getElementById('quizScore').textContent = stats.answered > 0 ? t('quizScore', stats) : '';
+}
+
+/**
+ * Reload the quiz score from the server
+ */
+async function updateQuizScore() {
+  const result = await apiQuizStats();
+  if (result.success) {
+    showQuizScore(result.stats);
+  }
+}
+
+// ============================================================
+// HISTORY AND SHORTCUTS
+// ============================================================
+
+// localStorage key of the sequences entered before, oldest first
+const SEQUENCE_HISTORY_STORAGE_KEY = 'echoChamberSequenceHistory';
+
+// Most sequences the history keeps; older ones are forgotten
+const SEQUENCE_HISTORY_LIMIT = 50;
+
+// Where the up and down arrows are in the history; history.length means the text being typed
+let historyPosition = null;
+
+// The text being typed when the arrows were first pressed, given back past the newest sequence
+let historyDraft = '';
+
+/**
+ * Read the sequences entered before
+ * @returns {Array<string>} - The sequences as they were typed, oldest first
+ */
+function sequenceHistory() {
+  try {
+    const history = JSON.parse(localStorage.getItem(SEQUENCE_HISTORY_STORAGE_KEY));
+    return Array.isArray(history) ? history : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Add a sequence to the history, unless it is the same as the newest one
+ * @param {string} input - The sequence as it was typed
+ */
+function rememberSequence(input) {
+  const entry = input.trim();
+  const history = sequenceHistory();
+
+  if (entry && history[history.length - 1] !== entry) {
+    history.push(entry);
+    try {
+      localStorage.setItem(SEQUENCE_HISTORY_STORAGE_KEY, JSON.stringify(history.slice(-SEQUENCE_HISTORY_LIMIT)));
+    } catch (error) {
+      // Private browsing can refuse storage; the history then lasts as long as the page
+    }
+  }
+  historyPosition = null;
+}
+
+/**
+ * Move through the history from the sequence input
+ * @param {number} step - -1 for an older sequence, 1 for a newer one
+ * @returns {boolean} - Whether the input changed
+ */
+function stepHistory(step) {
+  const input = document.getElementById('sequenceInput');
+  const history = sequenceHistory();
+
+  if (historyPosition === null) {
+    historyPosition = history.length;
+    historyDraft = input.value;
+  }
+
+  const position = Math.min(Math.max(historyPosition + step, 0), history.length);
+  if (position === historyPosition) {
+    return false;
+  }
+
+  historyPosition = position;
+  input.value = position === history.length ? historyDraft : history[position];
+  input.setSelectionRange(input.value.length, input.value.length);
+  return true;
+}
+
+/**
+ * Hide every open modal; an open API key dialog counts as cancelled
+ */
+function closeModals() {
+  if (document.getElementById('apiKeyModal').style.display === 'block') {
+    cancelApiKey();
+  }
+  closeAbout();
+  closeTestModal();
+}
+
+// Single keys and what they do while the focus is not in a form field
+const KEYBOARD_SHORTCUTS = {
+  '/': () => document.getElementById('sequenceInput').focus(),
+  e: showExamples,
+  a: showAbout,
+  t: runDemoTest
+};
+
+/**
+ * Run the keyboard shortcut of a key press, if there is one
+ * Escape works everywhere; the other keys only outside form fields, where they are typed
+ * @param {KeyboardEvent} event - The key press
+ */
+function handleShortcut(event) {
+  if (event.key === 'Escape') {
+    closeModals();
+    return;
+  }
+
+  const target = event.target;
+  const typing = target && (/^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName) || target.isContentEditable);
+  const shortcut = KEYBOARD_SHORTCUTS[event.key.toLowerCase()];
+
+  if (typing || event.ctrlKey || event.metaKey || event.altKey || !shortcut) {
+    return;
+  }
+  // Leave the keys alone while a modal is open, except to close it
+  if (Array.from(document.querySelectorAll('.modal')).some(modal => modal.style.display === 'block')) {
+    return;
+  }
+
+  event.preventDefault();
+  shortcut();
+}
+
+// ============================================================
+// LIVE UPDATES
+// ============================================================
+
+// Events of /api/events that change the memory list
+const MEMORY_EVENTS = ['echo', 'echoDeleted', 'memoriesCleared', 'memoriesRestored'];
+
+// Milliseconds to wait for more events before reloading the memory list
+// (a batch or an import sends one echo event per sequence)
+const MEMORY_REFRESH_DELAY = 200;
+
+// Polling interval for browsers that cannot keep the event stream open
+const MEMORY_POLL_INTERVAL = 5000;
+
+let memoryRefreshTimer = null;
+let memoryPollTimer = null;
+
+/**
+ * Reload the memory list shortly, once however many events arrive meanwhile
+ */
+function scheduleMemoryRefresh() {
+  clearTimeout(memoryRefreshTimer);
+  memoryRefreshTimer = setTimeout(updateMemories, MEMORY_REFRESH_DELAY);
+}
+
+/**
+ * Fall back to reloading the memory list at a regular interval
+ */
+function pollMemories() {
+  if (!memoryPollTimer) {
+    memoryPollTimer = setInterval(updateMemories, MEMORY_POLL_INTERVAL);
+  }
+}
+
+/**
+ * Follow the changes other pages of this session make to the memories
+ * Predictions, deletions and clears elsewhere show up without reloading the page
+ */
+function subscribeToMemoryEvents() {
+  if (typeof EventSource === 'undefined') {
+    pollMemories();
+    return;
+  }
+
+  const events = new EventSource(withApiKey('/api/events'));
+  let connectedBefore = false;
+
+  MEMORY_EVENTS.forEach(event => events.addEventListener(event, scheduleMemoryRefresh));
+
+  events.addEventListener('open', () => {
+    // The browser reconnects dropped streams by itself; catch up on what happened meanwhile
+    if (connectedBefore) {
+      scheduleMemoryRefresh();
+    }
+    connectedBefore = true;
+  });
+
+  events.addEventListener('error', () => {
+    // CLOSED means the browser gave up reconnecting
+    if (events.readyState === EventSource.CLOSED) {
+      pollMemories();
+    }
+  });
+}
+
+// ============================================================
+// OFFLINE
+// ============================================================
+
+// localStorage key of the echoes predicted offline, waiting to be saved on the server
+const OFFLINE_ECHOES_STORAGE_KEY = 'echoChamberOfflineEchoes';
+
+// Milliseconds between attempts to reach the server while it cannot be reached
+const RECONNECT_INTERVAL = 10000;
+
+// False while the server cannot be reached; predictions are then made in the browser
+let serverReachable = true;
+
+let reconnectTimer = null;
+let syncingOfflineEchoes = false;
+
+/**
+ * Predict a sequence in the browser, for when the server cannot be reached
+ * The echo is queued, and imported on the server once it is back
+ * @param {Array<number|string>} sequence - The sequence to predict
+ * @param {string} [mode] - Number mode: 'strict', 'tolerant' or 'exact'
+ * @returns {Object} - The prediction result, shaped as /api/predict results, with offline: true
+ */
+function predictInBrowser(sequence, mode) {
+  // Fractions and whole numbers beyond Number.MAX_SAFE_INTEGER are sent as text, which only the server reads
+  if (mode === 'exact' || sequence.some(value => typeof value !== 'number')) {
+    return { success: false, message: t('offline.serverRequired'), offline: true };
+  }
+
+  const result = predictOffline(sequence, { mode, count: CHART_PREDICTED_TERMS });
+  if (!result.success) {
+    return { ...result, message: t(`offline.errors.${result.error.code}`) };
+  }
+
+  queueOfflineEcho({
+    sequence,
+    nextNumber: result.nextNumber,
+    pattern: result.pattern,
+    parameters: result.parameters,
+    createdAt: new Date().toISOString()
+  });
+  return {
+    ...result,
+    message: t('offline.nextMany', { count: result.nextNumbers.length, values: result.nextNumbers.join(', ') })
+  };
+}
+
+/**
+ * Read the echoes predicted offline
+ * @returns {Array<Object>} - { sequence, nextNumber, pattern, parameters, createdAt } of each, oldest first
+ */
+function offlineEchoes() {
+  try {
+    const echoes = JSON.parse(localStorage.getItem(OFFLINE_ECHOES_STORAGE_KEY));
+    return Array.isArray(echoes) ? echoes : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Replace the echoes waiting to be saved
+ * @param {Array<Object>} echoes - The echoes, oldest first
+ */
+function saveOfflineEchoes(echoes) {
+  if (echoes.length === 0) {
+    localStorage.removeItem(OFFLINE_ECHOES_STORAGE_KEY);
+  } else {
+    localStorage.setItem(OFFLINE_ECHOES_STORAGE_KEY, JSON.stringify(echoes));
+  }
+  updateOfflineBanner();
+}
+
+/**
+ * Add an echo predicted offline to those waiting to be saved
+ * @param {Object} echo - { sequence, nextNumber, pattern, parameters, createdAt }
+ */
+function queueOfflineEcho(echo) {
+  saveOfflineEchoes(offlineEchoes().concat([echo]));
+}
+
+/**
+ * Note whether the last API request reached the server
+ * While it cannot be reached the page keeps trying; once it is back, the queued echoes are saved
+ * @param {boolean} reachable - True if the server answered
+ */
+function setServerReachable(reachable) {
+  if (reachable === serverReachable) {
+    return;
+  }
+  serverReachable = reachable;
+  updateOfflineBanner();
+
+  if (reachable) {
+    clearInterval(reconnectTimer);
+    reconnectTimer = null;
+    syncOfflineEchoes();
+  } else {
+    reconnectTimer = setInterval(updateMemories, RECONNECT_INTERVAL);
+  }
+}
+
+/**
+ * Show the offline banner while the server cannot be reached or echoes wait to be saved
+ */
+function updateOfflineBanner() {
+  const banner = document.getElementById('offlineBanner');
+  const waiting = offlineEchoes().length;
+
+  if (serverReachable && waiting === 0) {
+    banner.style.display = 'none';
+    return;
+  }
+  banner.textContent = [
+    serverReachable ? '' : t('offline.banner'),
+    waiting > 0 ? t('offline.waiting', { count: waiting }) : ''
+  ].filter(Boolean).join(' ');
+  banner.style.display = 'block';
+}
+
+/**
+ * Save the echoes predicted offline on the server
+ * They are imported, so the server checks each one against its own prediction and keeps its time;
+ * they stay queued if the server still cannot be reached or refuses the import
+ */
+async function syncOfflineEchoes() {
+  const echoes = offlineEchoes();
+  if (echoes.length === 0 || syncingOfflineEchoes) {
+    return;
+  }
+
+  syncingOfflineEchoes = true;
+  try {
+    const response = await apiFetch('/api/memories/import', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ memories: echoes })
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+      showNotification(t('error', { message: result.message }), 'error');
+      return;
+    }
+
+    // Echoes predicted while the import was on its way wait for the next one
+    saveOfflineEchoes(offlineEchoes().slice(echoes.length));
+    showNotification(result.message, result.success ? 'success' : 'error');
+    memoryCursors = [null];
+    await updateMemories();
+  } catch (error) {
+    // Still unreachable; the echoes are saved when it is back
+  } finally {
+    syncingOfflineEchoes = false;
+  }
+}
+
+/**
+ * Render an echo predicted offline in the memory list
+ * @param {Object} echo - { sequence, nextNumber, pattern, parameters, createdAt }
+ * @returns {string} - The memory item's HTML
  */
-function showNotification(message, type = 'success') {
-  // Simple notification using alert for now
-  // In a production app, this would be a toast notification
-  alert(message);
+function renderPendingEcho(echo) {
+  return `
+    <div class="memory-item memory-pending">
+      <div class="memory-header">
+        <span class="memory-title">${t('offline.echoTitle')}<span class="memory-badge">${t('offline.echoBadge')}</span></span>
+        <span class="memory-time">${escapeHtml(new Date(echo.createdAt).toLocaleString(currentLocale))}</span>
+      </div>
+      <div class="memory-content">
+        <strong>${t('memorySequence')}</strong> ${formatSequence(echo.sequence)}<br>
+        <strong>${t('memoryNext')}</strong> ${escapeHtml(echo.nextNumber)}<br>
+        <strong>${t('memoryPattern')}</strong> ${escapeHtml(echo.pattern)} (${formatParameters(echo.parameters)})
+      </div>
+      ${renderSparkline(echo)}
+    </div>
+  `;
 }
 
 // ============================================================
@@ -436,7 +1671,7 @@ function showNotification(message, type = 'success') {
 // ============================================================
 
 // Allow Enter key to trigger prediction
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   const input = document.getElementById('sequenceInput');
 
   input.addEventListener('keypress', (event) => {
@@ -445,6 +1680,31 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  // Up and down go through the sequences entered before
+  input.addEventListener('keydown', (event) => {
+    if ((event.key === 'ArrowUp' || event.key === 'ArrowDown') && stepHistory(event.key === 'ArrowUp' ? -1 : 1)) {
+      event.preventDefault();
+    }
+  });
+  input.addEventListener('input', () => {
+    historyPosition = null;
+  });
+
+  document.getElementById('quizGuessInput').addEventListener('keypress', (event) => {
+    if (event.key === 'Enter') {
+      answerQuizQuestion();
+    }
+  });
+
+  document.getElementById('apiKeyInput').addEventListener('keypress', (event) => {
+    if (event.key === 'Enter') {
+      submitApiKey();
+    }
+  });
+  updateApiKeyButton();
+
+  document.addEventListener('keydown', handleShortcut);
+
   // Close modals when clicking outside
   window.addEventListener('click', (event) => {
     const aboutModal = document.getElementById('aboutModal');
@@ -459,9 +1719,21 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
-  // Load initial memories
-  updateMemories();
+  // Keep the page, its messages and predictions working when the server cannot be reached
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js').catch(() => {});
+  }
+  window.addEventListener('online', syncOfflineEchoes);
+
+  // Translate the page, then load initial memories
+  await loadLanguage(currentLocale);
+  applyTranslations();
+  await updateMemories();
+
+  // Save the echoes predicted offline on an earlier visit
+  updateOfflineBanner();
+  await syncOfflineEchoes();
 
-  // Auto-update memories every 5 seconds
-  setInterval(updateMemories, 5000);
+  // Subscribe only now that the session cookie is set, so the stream joins the same session
+  subscribeToMemoryEvents();
 });
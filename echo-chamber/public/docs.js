@@ -0,0 +1,350 @@
+/**
+ * Echo Chamber - API Documentation Page
+ *
+ * Renders /api/openapi.json as interactive documentation:
+ * - One panel per operation, grouped by tag
+ * - A form for its parameters and request body, to try it against this server
+ * - The schemas the operations use
+ * - An API key field, for servers that require one (shared with the web interface)
+ */
+
+// The OpenAPI document, loaded on startup
+let spec = null;
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+// sessionStorage key of the API key, as in app.js
+const API_KEY_STORAGE_KEY = 'echoChamberApiKey';
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Escape text for use in HTML
+ * @param {*} text - The text
+ * @returns {string} - The text with HTML special characters escaped
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Follow a $ref to the schema it names
+ * @param {Object} schema - A schema, possibly { $ref: '#/components/schemas/Name' }
+ * @returns {Object} - The referenced schema, or the schema itself
+ */
+function resolveRef(schema) {
+  if (!schema || !schema.$ref) {
+    return schema;
+  }
+  return schema.$ref.replace(/^#\//, '').split('/').reduce((node, part) => node[part], spec);
+}
+
+/**
+ * Describe the type of a schema in a few words
+ * @param {Object} schema - The schema
+ * @returns {string} - e.g. 'integer (1 to 100)', 'Sequence' or 'string: json | csv'
+ */
+function describeType(schema) {
+  if (!schema) {
+    return 'any';
+  }
+  if (schema.$ref) {
+    return schema.$ref.split('/').pop();
+  }
+  if (schema.enum) {
+    return `${schema.type}: ${schema.enum.join(' | ')}`;
+  }
+  if (schema.type === 'array') {
+    return `array of ${describeType(schema.items)}`;
+  }
+  if (schema.minimum !== undefined && schema.maximum !== undefined) {
+    return `${schema.type} (${schema.minimum} to ${schema.maximum})`;
+  }
+  if (schema.minimum !== undefined) {
+    return `${schema.type} (at least ${schema.minimum})`;
+  }
+  return schema.type || (schema.oneOf || schema.allOf || []).map(describeType).join(' or ') || 'any';
+}
+
+/**
+ * Pick the example request body of an operation
+ * @param {Object} media - The media type object of the request body
+ * @returns {string} - The example as text, pretty-printed if it is JSON
+ */
+function exampleBody(media) {
+  const schema = resolveRef(media.schema) || {};
+  const example = media.example !== undefined ? media.example : schema.example;
+
+  if (typeof example === 'string') {
+    return example;
+  }
+  return example === undefined ? '' : JSON.stringify(example, null, 2);
+}
+
+// ============================================================
+// RENDERING
+// ============================================================
+
+/**
+ * Render the form field of a parameter
+ * @param {string} id - Id of the operation panel
+ * @param {Object} parameter - The parameter object
+ * @returns {string} - HTML for the field
+ */
+function renderParameter(id, parameter) {
+  const schema = resolveRef(parameter.schema) || {};
+  const inputId = `${id}-${parameter.in}-${parameter.name}`;
+  const input = schema.enum
+    ? `<select id="${inputId}" class="input-field">
+         <option value=""></option>
+         ${schema.enum.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('')}
+       </select>`
+    : `<input id="${inputId}" class="input-field" type="text"
+         placeholder="${schema.default === undefined ? '' : escapeHtml(schema.default)}">`;
+
+  return `
+    <div class="form-group">
+      <label for="${inputId}">
+        ${escapeHtml(parameter.name)} <span class="api-badge">${escapeHtml(parameter.in)}</span>
+        ${parameter.required ? '<span class="api-badge api-required">required</span>' : ''}
+        <code class="api-type">${escapeHtml(describeType(schema))}</code>
+      </label>
+      ${input}
+      ${parameter.description ? `<small class="help-text">${escapeHtml(parameter.description)}</small>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Render the panel of an operation
+ * @param {string} route - The path, e.g. '/api/memories/{index}'
+ * @param {string} method - The HTTP method, lower case
+ * @param {Object} operation - The operation object
+ * @param {Object[]} parameters - Its parameters, including those of the path
+ * @returns {string} - HTML for the panel
+ */
+function renderOperation(route, method, operation, parameters) {
+  const id = operation.operationId;
+  const body = operation.requestBody;
+  const mediaTypes = body ? Object.keys(body.content) : [];
+  const responses = Object.keys(operation.responses).map(status => {
+    const response = operation.responses[status];
+    const media = response.content && response.content[Object.keys(response.content)[0]];
+    return `
+      <li>
+        <strong>${escapeHtml(status)}</strong> ${escapeHtml(response.description)}
+        ${media ? `<code class="api-type">${escapeHtml(describeType(media.schema))}</code>` : ''}
+      </li>
+    `;
+  }).join('');
+
+  return `
+    <details class="card api-operation" id="${id}">
+      <summary>
+        <span class="api-method api-method-${method}">${method.toUpperCase()}</span>
+        <code class="api-path">${escapeHtml(route)}</code>
+        <span class="api-summary">${escapeHtml(operation.summary || '')}</span>
+        ${operation['x-required-role'] ? `<span class="api-badge api-required">🔒 ${escapeHtml(operation['x-required-role'])}</span>` : ''}
+      </summary>
+
+      ${operation.description ? `<p class="api-description">${escapeHtml(operation.description)}</p>` : ''}
+
+      ${parameters.map(parameter => renderParameter(id, parameter)).join('')}
+
+      ${body ? `
+        <div class="form-group">
+          <label for="${id}-body">
+            Request body ${body.required ? '<span class="api-badge api-required">required</span>' : ''}
+            <select id="${id}-type" class="api-media-type" onchange="changeMediaType('${id}')">
+              ${mediaTypes.map(type => `<option value="${escapeHtml(type)}">${escapeHtml(type)}</option>`).join('')}
+            </select>
+          </label>
+          <textarea id="${id}-body" class="input-field api-body" rows="6">${escapeHtml(exampleBody(body.content[mediaTypes[0]]))}</textarea>
+          ${body.description ? `<small class="help-text">${escapeHtml(body.description)}</small>` : ''}
+        </div>
+      ` : ''}
+
+      <h3 class="api-heading">Responses</h3>
+      <ul class="api-responses">${responses}</ul>
+
+      <button class="btn btn-secondary" onclick="sendRequest('${id}')">▶️ Send request</button>
+      <div id="${id}-result" class="api-result" style="display: none;"></div>
+    </details>
+  `;
+}
+
+/**
+ * Render every operation, grouped by tag
+ */
+function renderOperations() {
+  const groups = {};
+
+  Object.keys(spec.paths).forEach(route => {
+    const item = spec.paths[route];
+    HTTP_METHODS.filter(method => item[method]).forEach(method => {
+      const operation = item[method];
+      const tag = (operation.tags || ['Other'])[0];
+      const parameters = (item.parameters || []).concat(operation.parameters || []);
+      groups[tag] = (groups[tag] || []).concat(renderOperation(route, method, operation, parameters));
+    });
+  });
+
+  document.getElementById('operations').innerHTML = Object.keys(groups).map(tag => `
+    <section class="api-group">
+      <h2 class="api-group-title">${escapeHtml(tag)}</h2>
+      ${groups[tag].join('')}
+    </section>
+  `).join('');
+}
+
+/**
+ * Render the component schemas
+ */
+function renderSchemas() {
+  const schemas = spec.components.schemas;
+
+  document.getElementById('schemas').innerHTML = Object.keys(schemas).map(name => `
+    <details class="api-schema" id="schema-${escapeHtml(name)}">
+      <summary><code>${escapeHtml(name)}</code></summary>
+      <pre>${escapeHtml(JSON.stringify(schemas[name], null, 2))}</pre>
+    </details>
+  `).join('');
+}
+
+// ============================================================
+// TRYING OPERATIONS
+// ============================================================
+
+/**
+ * Remember the API key typed into the key field for this browser session
+ */
+function rememberApiKey() {
+  const key = document.getElementById('apiKey').value.trim();
+  if (key) {
+    sessionStorage.setItem(API_KEY_STORAGE_KEY, key);
+  } else {
+    sessionStorage.removeItem(API_KEY_STORAGE_KEY);
+  }
+}
+
+/**
+ * Show the example body of the media type picked for an operation
+ * @param {string} id - The operationId
+ */
+function changeMediaType(id) {
+  const entry = findOperation(id);
+  const type = document.getElementById(`${id}-type`).value;
+  document.getElementById(`${id}-body`).value = exampleBody(entry.operation.requestBody.content[type]);
+}
+
+/**
+ * Find an operation of the document by its operationId
+ * @param {string} id - The operationId
+ * @returns {Object|null} - { route, method, operation, parameters }
+ */
+function findOperation(id) {
+  for (const route of Object.keys(spec.paths)) {
+    const item = spec.paths[route];
+    for (const method of HTTP_METHODS) {
+      if (item[method] && item[method].operationId === id) {
+        const parameters = (item.parameters || []).concat(item[method].parameters || []);
+        return { route, method, operation: item[method], parameters };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Send the request described by an operation's form and show the response
+ * @param {string} id - The operationId
+ */
+async function sendRequest(id) {
+  const { route, method, operation, parameters } = findOperation(id);
+  const result = document.getElementById(`${id}-result`);
+  const query = new URLSearchParams();
+  let url = route;
+
+  parameters.forEach(parameter => {
+    const input = document.getElementById(`${id}-${parameter.in}-${parameter.name}`);
+    const value = input ? input.value.trim() : '';
+    if (value === '') return;
+
+    if (parameter.in === 'path') {
+      url = url.replace(`{${parameter.name}}`, encodeURIComponent(value));
+    } else if (parameter.in === 'query') {
+      query.append(parameter.name, value);
+    }
+  });
+  if (query.toString()) {
+    url += `?${query}`;
+  }
+
+  const options = { method: method.toUpperCase(), headers: { 'Accept-Language': navigator.language || 'en' } };
+  const apiKey = document.getElementById('apiKey').value.trim();
+  if (apiKey) {
+    options.headers['X-API-Key'] = apiKey;
+  }
+  if (operation.requestBody) {
+    options.headers['Content-Type'] = document.getElementById(`${id}-type`).value;
+    options.body = document.getElementById(`${id}-body`).value;
+  }
+
+  result.style.display = 'block';
+  result.innerHTML = '<p>⏳ Sending...</p>';
+
+  try {
+    const response = await fetch(url, options);
+    let text = await response.text();
+    try {
+      text = JSON.stringify(JSON.parse(text), null, 2);
+    } catch (error) {
+      // Not JSON (CSV exports, NDJSON streams): show it as it came
+    }
+
+    result.innerHTML = `
+      <p class="api-status ${response.ok ? 'api-status-ok' : 'api-status-error'}">
+        ${options.method} ${escapeHtml(url)} → HTTP ${response.status}
+      </p>
+      <pre>${escapeHtml(text)}</pre>
+    `;
+  } catch (error) {
+    result.innerHTML = `<p class="api-status api-status-error">❌ ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+document.addEventListener('DOMContentLoaded', async () => {
+  document.getElementById('apiKey').value = sessionStorage.getItem(API_KEY_STORAGE_KEY) || '';
+
+  try {
+    const response = await fetch('/api/openapi.json');
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    spec = await response.json();
+  } catch (error) {
+    document.getElementById('operations').innerHTML =
+      `<p class="empty-state">❌ Could not load the API description: ${escapeHtml(error.message)}</p>`;
+    return;
+  }
+
+  document.title = `🏰 ${spec.info.title} ${spec.info.version}`;
+  document.getElementById('apiTitle').textContent = `🏰 ${spec.info.title}`;
+  document.getElementById('apiVersion').textContent = `Version ${spec.info.version} · OpenAPI ${spec.openapi}`;
+  document.getElementById('apiDescription').textContent = spec.info.description;
+
+  renderOperations();
+  renderSchemas();
+});
@@ -0,0 +1,385 @@
+/**
+ * Echo Chamber - Offline Predictions
+ *
+ * A port of the chamber's prediction logic (index.js and patterns.js) for
+ * the browser, used by app.js while the server cannot be reached.
+ *
+ * - Only the number modes are ported: 'tolerant' (the default) and 'strict'.
+ *   Exact fractions and BigInts need the server
+ * - The built-in patterns are tried in the server's order: arithmetic,
+ *   geometric, polynomial (up to cubic), then linear recurrence
+ * - Results have the shape of /api/predict results, with offline: true.
+ *   They carry no messages; app.js words them in the page's language
+ *
+ * Echoes predicted offline are imported on the server once it is back, and
+ * the import checks each one against a fresh prediction. Changes to
+ * patterns.js must therefore be made here too, or those echoes are rejected.
+ */
+
+// Relative tolerance of the tolerant mode, as in number-systems.js
+const OFFLINE_TOLERANCE = 1e-9;
+
+// Highest degree the polynomial pattern looks for, as in patterns.js
+const OFFLINE_MAX_DEGREE = 3;
+
+// ============================================================
+// NUMBERS
+// ============================================================
+
+/**
+ * Number system over plain JavaScript numbers, as floatSystem() in number-systems.js
+ * @param {number} tolerance - Relative tolerance for equality, 0 for ===
+ * @returns {Object} - add, sub, mul, div, equals, pow, toOutput and toString
+ */
+function offlineNumbers(tolerance) {
+  return {
+    tolerance,
+    add: (a, b) => a + b,
+    sub: (a, b) => a - b,
+    mul: (a, b) => a * b,
+    div: (a, b) => a / b,
+
+    equals(a, b) {
+      if (a === b) return true;
+      if (tolerance === 0) return false;
+      return Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(a), Math.abs(b));
+    },
+
+    pow: (base, exponent) => Math.pow(base, exponent),
+
+    toOutput(value) {
+      // Trim floating-point noise such as 0.30000000000000004 in tolerant mode
+      return tolerance > 0 && Number.isFinite(value) && !Number.isInteger(value)
+        ? Number(value.toPrecision(15))
+        : value;
+    },
+
+    toString(value) {
+      return String(Number(value.toPrecision(12)));
+    }
+  };
+}
+
+// ============================================================
+// PATTERNS
+// ============================================================
+
+/**
+ * Build the finite-difference table of a sequence: row 0 is the sequence, row k its k-th differences
+ * @param {Array<number>} sequence - The sequence
+ * @param {Object} num - The number system
+ * @param {number} maxOrder - Highest order of differences to compute
+ * @returns {Array<Array<number>>} - The difference table
+ */
+function offlineDifferenceTable(sequence, num, maxOrder) {
+  const table = [sequence.slice()];
+  let row = table[0];
+  while (row.length > 1 && table.length <= maxOrder) {
+    const nextRow = [];
+    for (let i = 1; i < row.length; i++) {
+      nextRow.push(num.sub(row[i], row[i - 1]));
+    }
+    table.push(nextRow);
+    row = nextRow;
+  }
+  return table;
+}
+
+/**
+ * Check whether every element of a row equals its first element
+ * @param {Array<number>} row - The row
+ * @param {Object} num - The number system
+ * @returns {boolean} - True if the row is constant
+ */
+function offlineIsConstant(row, num) {
+  return row.every(value => num.equals(value, row[0]));
+}
+
+/**
+ * Join signed terms into an expression, e.g. ["2n^2", "-3n", "1"] → "2n^2 - 3n + 1"
+ * @param {Array<string>} terms - Terms with an optional leading minus sign
+ * @returns {string} - The expression, or "0" if there are no terms
+ */
+function offlineJoinTerms(terms) {
+  if (terms.length === 0) {
+    return '0';
+  }
+  return terms.reduce((expression, term) => {
+    const negative = term.startsWith('-');
+    return `${expression} ${negative ? '-' : '+'} ${negative ? term.slice(1) : term}`;
+  });
+}
+
+/**
+ * Format coefficient × body, dropping a coefficient of 1, e.g. (3, "n") → "3n"
+ * @param {Object} num - The number system
+ * @param {number} coefficient - The coefficient
+ * @param {string} body - What the coefficient multiplies
+ * @returns {string} - The term
+ */
+function offlineFormatTerm(num, coefficient, body) {
+  const text = num.toString(coefficient);
+  const negative = text.startsWith('-');
+  const magnitude = negative ? text.slice(1) : text;
+  const sign = negative ? '-' : '';
+  return magnitude === '1' ? `${sign}${body}` : `${sign}${magnitude}${body}`;
+}
+
+/**
+ * Work out the coefficients of the polynomial through a sequence, lowest power first
+ * @param {Array<number>} initialDifferences - First element of each row of the difference table
+ * @param {Object} num - The number system
+ * @returns {Array<number>} - The coefficients
+ */
+function offlinePolynomialCoefficients(initialDifferences, num) {
+  const coefficients = initialDifferences.map(() => 0);
+  // C(n-1, k) as a polynomial in n, starting from C(n-1, 0) = 1
+  let basis = [1];
+
+  initialDifferences.forEach((difference, k) => {
+    if (k > 0) {
+      const nextBasis = [...basis, 0].map(() => 0);
+      basis.forEach((value, power) => {
+        nextBasis[power + 1] = num.add(nextBasis[power + 1], num.div(value, k));
+        nextBasis[power] = num.sub(nextBasis[power], value);
+      });
+      basis = nextBasis;
+    }
+    basis.forEach((value, power) => {
+      coefficients[power] = num.add(coefficients[power], num.mul(difference, value));
+    });
+  });
+
+  return coefficients;
+}
+
+// The built-in patterns of patterns.js, in the order they are tried: { name, detect, next, formula }
+const OFFLINE_PATTERNS = [
+  {
+    name: 'arithmetic',
+
+    detect(sequence, num) {
+      const differences = offlineDifferenceTable(sequence, num, 1)[1];
+      return offlineIsConstant(differences, num) ? { difference: differences[0] } : null;
+    },
+
+    next(sequence, parameters, num) {
+      return num.add(sequence[sequence.length - 1], parameters.difference);
+    },
+
+    formula(sequence, parameters, num) {
+      const first = num.toString(sequence[0]);
+      if (parameters.difference === 0) {
+        return `a_n = ${first}`;
+      }
+      return `a_n = ${offlineJoinTerms([first, offlineFormatTerm(num, parameters.difference, '(n-1)')])}`;
+    }
+  },
+
+  {
+    name: 'geometric',
+
+    detect(sequence, num) {
+      if (sequence.length < 3 || sequence.some(term => term === 0)) {
+        return null;
+      }
+      const ratios = [];
+      for (let i = 1; i < sequence.length; i++) {
+        ratios.push(num.div(sequence[i], sequence[i - 1]));
+      }
+      return offlineIsConstant(ratios, num) ? { ratio: ratios[0] } : null;
+    },
+
+    next(sequence, parameters, num) {
+      return num.mul(sequence[sequence.length - 1], parameters.ratio);
+    },
+
+    formula(sequence, parameters, num) {
+      const ratio = num.toString(parameters.ratio);
+      const power = `${ratio.startsWith('-') ? `(${ratio})` : ratio}^(n-1)`;
+      const first = num.toString(sequence[0]);
+      const negative = first.startsWith('-');
+      const magnitude = negative ? first.slice(1) : first;
+      const body = magnitude === '1' ? power : `${magnitude} * ${power}`;
+      return `a_n = ${negative ? '-' : ''}${body}`;
+    }
+  },
+
+  {
+    name: 'polynomial',
+
+    detect(sequence, num) {
+      const table = offlineDifferenceTable(sequence, num, OFFLINE_MAX_DEGREE);
+      for (let degree = 2; degree <= OFFLINE_MAX_DEGREE; degree++) {
+        const row = table[degree];
+        if (!row || row.length < 2) {
+          return null;
+        }
+        if (offlineIsConstant(row, num)) {
+          return { degree, initialDifferences: table.slice(0, degree + 1).map(r => r[0]) };
+        }
+      }
+      return null;
+    },
+
+    next(sequence, parameters, num) {
+      // Extend the difference table by one column, from the constant row upwards.
+      // The last degree + 1 terms hold its last diagonal, so longer sequences cost no more
+      const table = offlineDifferenceTable(sequence.slice(-(parameters.degree + 1)), num, parameters.degree);
+      let value = table[parameters.degree][0];
+      for (let k = parameters.degree - 1; k >= 0; k--) {
+        value = num.add(value, table[k][table[k].length - 1]);
+      }
+      return value;
+    },
+
+    formula(sequence, parameters, num) {
+      const coefficients = offlinePolynomialCoefficients(parameters.initialDifferences, num);
+      const terms = [];
+      for (let power = coefficients.length - 1; power >= 0; power--) {
+        const coefficient = coefficients[power];
+        if (num.toString(coefficient) === '0') continue;
+        terms.push(power === 0
+          ? num.toString(coefficient)
+          : offlineFormatTerm(num, coefficient, power === 1 ? 'n' : `n^${power}`));
+      }
+      return `a_n = ${offlineJoinTerms(terms)}`;
+    }
+  },
+
+  {
+    name: 'linear-recurrence',
+
+    detect(sequence, num) {
+      if (sequence.length < 5) {
+        return null;
+      }
+      const [a1, a2, a3, a4] = sequence;
+      if (num.equals(num.mul(a2, a2), num.mul(a1, a3))) {
+        return null;
+      }
+      const determinant = num.sub(num.mul(a2, a2), num.mul(a1, a3));
+      const p = num.div(num.sub(num.mul(a3, a2), num.mul(a1, a4)), determinant);
+      const q = num.div(num.sub(num.mul(a2, a4), num.mul(a3, a3)), determinant);
+
+      for (let i = 2; i < sequence.length; i++) {
+        const expected = num.add(num.mul(p, sequence[i - 1]), num.mul(q, sequence[i - 2]));
+        if (!num.equals(expected, sequence[i])) {
+          return null;
+        }
+      }
+      return { coefficients: [p, q] };
+    },
+
+    next(sequence, parameters, num) {
+      const [p, q] = parameters.coefficients;
+      const n = sequence.length;
+      return num.add(num.mul(p, sequence[n - 1]), num.mul(q, sequence[n - 2]));
+    },
+
+    formula(sequence, parameters, num) {
+      // Written as the recurrence itself, since the roots are often irrational
+      const terms = parameters.coefficients
+        .map((coefficient, i) => (coefficient === 0 ? null : offlineFormatTerm(num, coefficient, `a_(n-${i + 1})`)))
+        .filter(Boolean);
+      return `a_n = ${offlineJoinTerms(terms)}, a_1 = ${num.toString(sequence[0])}, a_2 = ${num.toString(sequence[1])}`;
+    }
+  }
+];
+
+// ============================================================
+// PREDICTION
+// ============================================================
+
+/**
+ * Convert pattern parameters for a result, as toOutput() in number-systems.js
+ * @param {Object} num - The number system
+ * @param {*} value - A number, or an array or object of them
+ * @returns {*} - The value with every number passed through num.toOutput
+ */
+function offlineOutput(num, value) {
+  if (Array.isArray(value)) {
+    return value.map(item => offlineOutput(num, item));
+  }
+  if (value !== null && typeof value === 'object') {
+    const output = {};
+    Object.keys(value).forEach(key => {
+      output[key] = offlineOutput(num, value[key]);
+    });
+    return output;
+  }
+  return typeof value === 'number' ? num.toOutput(value) : value;
+}
+
+/**
+ * Predict the next numbers of a sequence in the browser
+ * @param {Array<number>} sequence - The sequence
+ * @param {Object} [options]
+ * @param {string} [options.mode='tolerant'] - 'tolerant' or 'strict'
+ * @param {number} [options.count=1] - How many numbers to predict
+ * @returns {Object} - { success: true, nextNumber, nextNumbers, commonDifference, pattern, parameters, formula, mode, offline: true }
+ *                     or { success: false, nextNumber: null, error: { code, index?, value? }, offline: true }
+ */
+function predictOffline(sequence, options = {}) {
+  const mode = options.mode === 'strict' ? 'strict' : 'tolerant';
+  const count = options.count || 1;
+  const fail = (code, details = {}) => ({ success: false, nextNumber: null, error: { code, ...details }, offline: true });
+
+  if (!Array.isArray(sequence)) {
+    return fail('NOT_ARRAY');
+  }
+  if (sequence.length < 2) {
+    return fail('TOO_SHORT');
+  }
+  const badIndex = sequence.findIndex(value => typeof value !== 'number' || isNaN(value));
+  if (badIndex !== -1) {
+    return fail('NON_NUMERIC', { index: badIndex, value: sequence[badIndex] });
+  }
+  const unsafeIndex = sequence.findIndex(value => Number.isInteger(value) && !Number.isSafeInteger(value));
+  if (unsafeIndex !== -1) {
+    return fail('UNSAFE_INTEGER', { index: unsafeIndex, value: sequence[unsafeIndex] });
+  }
+
+  // Whole numbers are exact in floating point, so they are compared exactly, as on the server
+  const whole = sequence.every(value => Number.isInteger(value));
+  const num = offlineNumbers(mode === 'tolerant' && !whole ? OFFLINE_TOLERANCE : 0);
+
+  for (const pattern of OFFLINE_PATTERNS) {
+    const parameters = pattern.detect(sequence, num);
+    if (!parameters) {
+      continue;
+    }
+
+    // Each predicted number extends the sequence, as predictMany() does
+    const extended = sequence.slice();
+    const nextNumbers = [];
+    for (let i = 0; i < count; i++) {
+      const next = pattern.next(extended, parameters, num);
+      extended.push(next);
+      nextNumbers.push(num.toOutput(next));
+    }
+
+    const output = offlineOutput(num, parameters);
+    const result = {
+      success: true,
+      nextNumber: nextNumbers[0],
+      commonDifference: pattern.name === 'arithmetic' ? output.difference : null,
+      pattern: pattern.name,
+      parameters: output,
+      formula: pattern.formula(sequence, parameters, num),
+      mode,
+      offline: true
+    };
+    if (options.count) {
+      result.nextNumbers = nextNumbers;
+    }
+    return result;
+  }
+
+  return fail('NO_PATTERN');
+}
+
+// Loaded by the test suite too, which checks the port against the chamber
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { OFFLINE_PATTERNS, predictOffline };
+}
@@ -0,0 +1,81 @@
+/**
+ * Echo Chamber - Service Worker
+ *
+ * Keeps the web interface working while the server cannot be reached:
+ * - The page and its scripts, styles and icon are cached when the worker is
+ *   installed, and served from the cache when the network fails
+ * - The web messages of /api/i18n are cached as they are fetched, so the page
+ *   stays in its language
+ * - Other API requests always go to the network; when they fail, app.js
+ *   predicts in the browser (see offline-chamber.js) and queues the echoes
+ *
+ * Bump CACHE_NAME when APP_SHELL changes, so old caches are dropped.
+ */
+
+const CACHE_NAME = 'echo-chamber-v2';
+
+// Files the page needs to start without the server
+const APP_SHELL = [
+  './',
+  'index.html',
+  'styles.css',
+  'app.js',
+  'theme.js',
+  'offline-chamber.js',
+  'manifest.webmanifest',
+  'icon.svg'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Fetch a request from the network, keeping a copy of good responses in the cache
+ * Falls back to the cached copy when the network fails
+ * @param {Request} request - The request
+ * @param {string} [fallback] - URL of a cached response to use when there is no copy of the request itself
+ * @returns {Promise<Response>} - The response
+ */
+async function networkFirst(request, fallback) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) || (fallback && await cache.match(fallback));
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.mode === 'navigate' && url.pathname === '/') {
+    event.respondWith(networkFirst(request, './'));
+  } else if (url.pathname === '/api/i18n' || APP_SHELL.some(file => url.pathname === `/${file}`)) {
+    event.respondWith(networkFirst(request));
+  }
+});
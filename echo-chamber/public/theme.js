@@ -0,0 +1,82 @@
+/**
+ * Echo Chamber - Themes
+ *
+ * Picks the colour theme of the pages, which styles.css defines as sets of
+ * CSS custom properties selected by <html data-theme="...">:
+ * - 'light', 'dark' and 'high-contrast' are applied as they are
+ * - 'system' (the default) follows the browser's prefers-color-scheme, and
+ *   switches when it changes
+ *
+ * The choice is kept in localStorage. The script is loaded in the <head> of
+ * each page, so the theme is in place before the page is first drawn;
+ * app.js adds the switcher.
+ */
+
+// localStorage key remembering the theme picked in the switcher
+const THEME_STORAGE_KEY = 'echoChamberTheme';
+
+// Themes the switcher offers; every one but 'system' is a data-theme of styles.css
+const THEMES = ['system', 'light', 'dark', 'high-contrast'];
+
+// Matches while the browser prefers dark colours
+const DARK_SCHEME_QUERY = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+/**
+ * Read the theme picked in the switcher
+ * @returns {string} - One of THEMES; 'system' if none was picked, or storage is unavailable
+ */
+function themePreference() {
+  try {
+    const theme = localStorage.getItem(THEME_STORAGE_KEY);
+    return THEMES.includes(theme) ? theme : 'system';
+  } catch (error) {
+    return 'system';
+  }
+}
+
+/**
+ * Work out the theme to draw the page in
+ * @param {string} preference - One of THEMES
+ * @returns {string} - 'light', 'dark' or 'high-contrast'
+ */
+function resolveTheme(preference) {
+  if (preference !== 'system') {
+    return preference;
+  }
+  return DARK_SCHEME_QUERY && DARK_SCHEME_QUERY.matches ? 'dark' : 'light';
+}
+
+// The theme picked in the switcher, one of THEMES
+let currentTheme = themePreference();
+
+/**
+ * Draw the page in the theme picked in the switcher
+ */
+function applyTheme() {
+  document.documentElement.dataset.theme = resolveTheme(currentTheme);
+}
+
+/**
+ * Switch to another theme and remember the choice
+ * @param {string} preference - One of THEMES
+ */
+function changeTheme(preference) {
+  currentTheme = THEMES.includes(preference) ? preference : 'system';
+  try {
+    localStorage.setItem(THEME_STORAGE_KEY, currentTheme);
+  } catch (error) {
+    // Private browsing can refuse storage; the theme then lasts as long as the page
+  }
+  applyTheme();
+}
+
+applyTheme();
+
+// Follow the browser while the theme is 'system'; older Safari only has addListener
+if (DARK_SCHEME_QUERY) {
+  if (DARK_SCHEME_QUERY.addEventListener) {
+    DARK_SCHEME_QUERY.addEventListener('change', applyTheme);
+  } else if (DARK_SCHEME_QUERY.addListener) {
+    DARK_SCHEME_QUERY.addListener(applyTheme);
+  }
+}
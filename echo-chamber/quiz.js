@@ -0,0 +1,372 @@
+/**
+ * Echo Chamber - Quiz
+ *
+ * Turns the chamber into the puzzle it is described as: it makes up a
+ * sequence, hides the next number and scores the player's guess.
+ *
+ * - ask() picks a random sequence of the chosen difficulty; the chamber
+ *   itself works out the hidden answer, so questions always agree with
+ *   what predictNext() would say
+ * - answer() checks a guess and records the attempt as an echo with a
+ *   quiz field, next to the chamber's other echoes:
+ *     { sequence, nextNumber, ..., quiz: { guess, correct, difficulty, points } }
+ * - stats() adds up those echoes: score, correct answers and streaks
+ *
+ * Correct answers score the points of their difficulty, plus one for each
+ * correct answer before it in the current streak (up to MAX_STREAK_BONUS).
+ */
+
+const { ERROR_CODES } = require('./errors.js');
+const { DEFAULT_LOCALE, translator, errorMessage } = require('./i18n.js');
+
+// What each difficulty asks: the sequence kinds it draws from, how many terms are shown and the points it is worth
+const DIFFICULTIES = Object.freeze({
+  easy: { points: 1, terms: 4, kinds: ['arithmetic'] },
+  medium: { points: 2, terms: 4, kinds: ['arithmetic', 'geometric'] },
+  hard: { points: 3, terms: 6, kinds: ['geometric', 'quadratic', 'recurrence'] }
+});
+
+const DEFAULT_DIFFICULTY = 'easy';
+
+// Most bonus points a streak adds to a correct answer
+const MAX_STREAK_BONUS = 5;
+
+// Unanswered questions kept per chamber; asking more forgets the oldest
+const MAX_OPEN_QUESTIONS = 20;
+
+// Attempts to make up a sequence the chamber can explain before giving up
+const MAX_GENERATION_ATTEMPTS = 10;
+
+// Fields of the quiz field of an echo
+const QUIZ_FIELDS = ['guess', 'correct', 'difficulty', 'points'];
+
+/**
+ * Picks a random whole number
+ *
+ * @param {Function} random - Returns numbers in [0, 1), like Math.random
+ * @param {number} min - Smallest possible result
+ * @param {number} max - Largest possible result
+ * @returns {number} A whole number from min to max
+ */
+function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Picks a random whole number whose size is in a range and whose sign is random
+ *
+ * @param {Function} random - Returns numbers in [0, 1)
+ * @param {number} min - Smallest possible size, at least 1
+ * @param {number} max - Largest possible size
+ * @returns {number} e.g. 7 or -7
+ */
+function randomSigned(random, min, max) {
+  return randomInt(random, min, max) * (random() < 0.5 ? -1 : 1);
+}
+
+// Makes up the terms of a sequence kind: (random, terms, difficulty) => number[]
+const GENERATORS = {
+  arithmetic(random, terms, difficulty) {
+    const easy = difficulty === 'easy';
+    const start = easy ? randomInt(random, 1, 20) : randomInt(random, -50, 50);
+    const step = easy ? randomInt(random, 1, 10) : randomSigned(random, 2, 25);
+    return Array.from({ length: terms }, (_, i) => start + step * i);
+  },
+
+  geometric(random, terms, difficulty) {
+    const hard = difficulty === 'hard';
+    const start = hard ? randomSigned(random, 1, 5) : randomInt(random, 1, 5);
+    const ratio = hard ? randomSigned(random, 2, 3) : randomInt(random, 2, 3);
+    return Array.from({ length: terms }, (_, i) => start * Math.pow(ratio, i));
+  },
+
+  quadratic(random, terms) {
+    const a = randomInt(random, 1, 3);
+    const b = randomInt(random, -5, 5);
+    const c = randomInt(random, -10, 10);
+    return Array.from({ length: terms }, (_, i) => a * (i + 1) * (i + 1) + b * (i + 1) + c);
+  },
+
+  // Each term is the sum of the two before it, as in the Fibonacci numbers
+  recurrence(random, terms) {
+    const sequence = [randomInt(random, 1, 9), randomInt(random, 1, 9)];
+    while (sequence.length < terms) {
+      sequence.push(sequence[sequence.length - 1] + sequence[sequence.length - 2]);
+    }
+    return sequence;
+  }
+};
+
+/**
+ * Reads a guess as a number
+ *
+ * @param {*} guess - A number, or a string holding one
+ * @returns {number|null} The number, or null if the guess is not one
+ */
+function parseGuess(guess) {
+  if (typeof guess === 'number') {
+    return Number.isFinite(guess) ? guess : null;
+  }
+  if (typeof guess === 'string' && guess.trim() !== '') {
+    const value = Number(guess.trim());
+    return Number.isFinite(value) ? value : null;
+  }
+  return null;
+}
+
+/**
+ * Works out the points of an answer
+ *
+ * @param {string} difficulty - One of DIFFICULTIES
+ * @param {boolean} correct - Whether the guess was right
+ * @param {number} streakBefore - Correct answers in a row before this one
+ * @returns {number} The points, 0 for a wrong answer
+ */
+function quizPoints(difficulty, correct, streakBefore) {
+  return correct ? DIFFICULTIES[difficulty].points + Math.min(streakBefore, MAX_STREAK_BONUS) : 0;
+}
+
+/**
+ * Checks the quiz field of an imported echo
+ * Only the guess and difficulty are taken from it: whether the guess was
+ * correct is decided by the echo's verified next number, as answer() does,
+ * and the points are worked out again with quizPoints(), so an import cannot
+ * raise the score beyond what the answers earn
+ *
+ * @param {*} quiz - The quiz field, e.g. { guess: 12, correct: true, difficulty: 'easy', points: 1 }
+ * @param {number|string} answer - The echo's next number, already checked against a prediction
+ * @returns {Object|null} { guess, correct, difficulty }, or null if the field is not a quiz answer
+ *   or its correct field disagrees with the answer
+ */
+function readQuizAnswer(quiz, answer) {
+  if (!quiz || typeof quiz !== 'object' || Array.isArray(quiz) ||
+      Object.keys(quiz).some(field => !QUIZ_FIELDS.includes(field))) {
+    return null;
+  }
+  if (typeof quiz.guess !== 'number' || !Number.isFinite(quiz.guess) ||
+      !Object.prototype.hasOwnProperty.call(DIFFICULTIES, quiz.difficulty)) {
+    return null;
+  }
+  const correct = quiz.guess === Number(answer);
+  if (quiz.correct !== undefined && quiz.correct !== correct) {
+    return null;
+  }
+  return { guess: quiz.guess, correct, difficulty: quiz.difficulty };
+}
+
+/**
+ * Adds up quiz attempts
+ *
+ * @param {Object[]} memories - Echoes, oldest first; those without a quiz field are skipped
+ * @returns {Object} { answered, correct, score, streak, bestStreak }
+ */
+function quizStats(memories) {
+  const stats = { answered: 0, correct: 0, score: 0, streak: 0, bestStreak: 0 };
+
+  memories.forEach(memory => {
+    if (!memory.quiz || typeof memory.quiz !== 'object') {
+      return;
+    }
+    stats.answered++;
+    if (memory.quiz.correct) {
+      stats.correct++;
+      stats.score += Number(memory.quiz.points) || 0;
+      stats.streak++;
+      stats.bestStreak = Math.max(stats.bestStreak, stats.streak);
+    } else {
+      stats.streak = 0;
+    }
+  });
+
+  return stats;
+}
+
+/**
+ * The quiz of one chamber: its open questions, and its attempts among the chamber's echoes
+ */
+class Quiz {
+  /**
+   * @param {EchoChamber} chamber - Works out the answers and records the attempts
+   * @param {Object} [options]
+   * @param {Function} [options.random=Math.random] - Returns numbers in [0, 1); for tests
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(chamber, options = {}) {
+    this.chamber = chamber;
+    this.random = options.random || Math.random;
+    this.now = options.now || (() => new Date());
+    // Question id → { id, sequence, difficulty, answer, validation }, oldest first
+    this.questions = new Map();
+    this.lastId = 0;
+  }
+
+  /**
+   * Makes up a question
+   *
+   * @param {Object} [options]
+   * @param {string} [options.difficulty='easy'] - 'easy', 'medium' or 'hard' (see DIFFICULTIES)
+   * @param {string} [options.locale] - Language of the message, the chamber's by default
+   * @returns {Object} { success: true, question: { id, sequence, difficulty, points }, message }
+   *                   or { success: false, message, error } for an unknown difficulty
+   */
+  ask(options = {}) {
+    const locale = options.locale || this.chamber.locale || DEFAULT_LOCALE;
+    const difficulty = options.difficulty || DEFAULT_DIFFICULTY;
+
+    if (!Object.prototype.hasOwnProperty.call(DIFFICULTIES, difficulty)) {
+      return {
+        success: false,
+        message: errorMessage(locale, ERROR_CODES.UNKNOWN_DIFFICULTY, {
+          value: difficulty,
+          difficulties: Object.keys(DIFFICULTIES).join(', ')
+        }),
+        error: { code: ERROR_CODES.UNKNOWN_DIFFICULTY, value: difficulty }
+      };
+    }
+
+    const level = DIFFICULTIES[difficulty];
+    let question = null;
+    for (let attempt = 0; attempt < MAX_GENERATION_ATTEMPTS && !question; attempt++) {
+      const kind = level.kinds[randomInt(this.random, 0, level.kinds.length - 1)];
+      question = this.pose(GENERATORS[kind](this.random, level.terms, difficulty), difficulty);
+    }
+    if (!question) {
+      throw new Error(`No ${difficulty} quiz question could be made`);
+    }
+
+    this.questions.set(question.id, question);
+    if (this.questions.size > MAX_OPEN_QUESTIONS) {
+      this.questions.delete(this.questions.keys().next().value);
+    }
+
+    return {
+      success: true,
+      question: this.describe(question),
+      message: translator(locale)('quiz.question', { sequence: question.sequence.join(', ') })
+    };
+  }
+
+  /**
+   * Lets the chamber work out the hidden answer of a sequence
+   *
+   * @param {number[]} sequence - The terms shown to the player
+   * @param {string} difficulty - The difficulty of the question
+   * @returns {Object|null} The question, or null if the chamber finds no pattern in the sequence
+   */
+  pose(sequence, difficulty) {
+    const { validation, num, values, pattern, parameters } = this.chamber.analyseSequence(sequence, { mode: 'strict' });
+    if (!validation.isValid) {
+      return null;
+    }
+
+    return {
+      id: ++this.lastId,
+      sequence,
+      difficulty,
+      answer: num.toOutput(pattern.next(values, parameters, num)),
+      validation
+    };
+  }
+
+  /**
+   * Describes a question without giving its answer away
+   *
+   * @param {Object} question - The question
+   * @returns {Object} { id, sequence, difficulty, points }
+   */
+  describe(question) {
+    return {
+      id: question.id,
+      sequence: question.sequence,
+      difficulty: question.difficulty,
+      points: DIFFICULTIES[question.difficulty].points
+    };
+  }
+
+  /**
+   * Lists the questions that wait for an answer
+   *
+   * @returns {Object[]} { id, sequence, difficulty, points } of each, oldest first
+   */
+  openQuestions() {
+    return Array.from(this.questions.values()).map(question => this.describe(question));
+  }
+
+  /**
+   * Scores a guess and records the attempt as an echo
+   * A question can be answered once; the answer is revealed either way
+   *
+   * @param {number|string} id - The id of the question
+   * @param {number|string} guess - The player's next number
+   * @param {Object} [options] - { locale }, overriding the chamber default
+   * @returns {Object} { success: true, correct, guess, answer, pattern, points, stats, message }
+   *                   or { success: false, message, error } for an unknown question or a guess that is not a number
+   */
+  answer(id, guess, options = {}) {
+    const locale = options.locale || this.chamber.locale || DEFAULT_LOCALE;
+    const question = this.questions.get(Number(id));
+
+    if (!question) {
+      return {
+        success: false,
+        message: errorMessage(locale, ERROR_CODES.QUESTION_NOT_FOUND, { id }),
+        error: { code: ERROR_CODES.QUESTION_NOT_FOUND, value: id }
+      };
+    }
+
+    const value = parseGuess(guess);
+    if (value === null) {
+      return {
+        success: false,
+        message: errorMessage(locale, ERROR_CODES.INVALID_GUESS),
+        error: { code: ERROR_CODES.INVALID_GUESS, value: guess }
+      };
+    }
+
+    this.questions.delete(question.id);
+    const correct = value === Number(question.answer);
+    const streakBefore = quizStats(this.chamber.getMemories()).streak;
+    const points = quizPoints(question.difficulty, correct, streakBefore);
+
+    this.chamber.recordEcho(question.sequence, question.answer, question.validation, this.now(), {
+      guess: value,
+      correct,
+      difficulty: question.difficulty,
+      points
+    });
+
+    const stats = this.stats();
+    const t = translator(locale);
+    return {
+      success: true,
+      correct,
+      guess: value,
+      answer: question.answer,
+      pattern: question.validation.pattern,
+      points,
+      stats,
+      message: correct
+        ? t('quiz.correct', { answer: question.answer, count: points, streak: stats.streak })
+        : t('quiz.wrong', { answer: question.answer, guess: value })
+    };
+  }
+
+  /**
+   * Adds up the attempts among the chamber's echoes
+   *
+   * @returns {Object} { answered, correct, score, streak, bestStreak }
+   */
+  stats() {
+    return quizStats(this.chamber.getMemories());
+  }
+}
+
+module.exports = {
+  DIFFICULTIES,
+  DEFAULT_DIFFICULTY,
+  MAX_STREAK_BONUS,
+  Quiz,
+  quizPoints,
+  quizStats,
+  readQuizAnswer
+};
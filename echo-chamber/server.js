@@ -5,189 +5,1094 @@
  * 
  * Provides a REST API and web interface for the Echo Chamber application.
  * The server exposes the core EchoChamber functionality through HTTP endpoints.
+ *
+ * createServer(options) builds the server without starting it, so it can be
+ * embedded or tested; running this file starts one on PORT and shuts it down
+ * gracefully on SIGTERM and SIGINT.
  */
 
 const express = require('express');
+const bytes = require('bytes');
+const http = require('http');
 const path = require('path');
+const { once } = require('events');
 const { EchoChamber } = require('./index.js');
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Create a global chamber instance
-const chamber = new EchoChamber();
-
-// Middleware
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+const { bigintReplacer, decodeBigInt } = require('./number-systems.js');
+const { checkStorage, createSessionStorage, sessionStorageExists, storageConfigFromEnv } = require('./storage.js');
+const { DEFAULT_MAX_SESSIONS, SESSION_COOKIE, SessionManager, maskSessionId, readSessionId } = require('./sessions.js');
+const { parseMemoryImport } = require('./memory-export.js');
+const { NdjsonLines, predictBatch, predictNdjsonLine } = require('./batch.js');
+const { relayChamberEvents } = require('./live-events.js');
+const { RateLimiter, limitsConfigFromEnv, rateLimit } = require('./limits.js');
+const { apiKeysFromEnv, authenticate, requireRole, requireWriteToChange } = require('./auth.js');
+const { CONTENT_TYPE, createEchoMetrics, observeRequests, observePredictions } = require('./metrics.js');
+const { drainOnClose, drainTimeoutFromEnv } = require('./shutdown.js');
+const { loggerFromEnv, logPredictions, logRequests } = require('./logging.js');
+const { ERROR_CODES, httpStatus } = require('./errors.js');
+const { buildOpenApiDocument } = require('./openapi.js');
+const { createValidator } = require('./api-validation.js');
+const {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  negotiateLocale,
+  resolveLocale,
+  translator,
+  webMessages,
+  parseLangOption,
+  boxLine
+} = require('./i18n.js');
 
 // ============================================================
-// REST API ENDPOINTS
+// REQUEST HELPERS
 // ============================================================
 
 /**
- * POST /api/predict
- * Predicts the next number in a sequence
- * 
- * Request body: { sequence: [number, ...] }
- * Response: { success: boolean, nextNumber?: number, commonDifference?: number, message: string }
+ * Decodes big whole numbers in a request sequence
+ * JSON numbers cannot hold integers beyond Number.MAX_SAFE_INTEGER, so
+ * clients send them as decimal strings; those become BigInts, which makes
+ * the chamber switch to the bigint mode. Other values are left untouched.
+ *
+ * @param {Array} sequence - The sequence from the (validated) request body
+ * @returns {Array} The sequence with big whole numbers as BigInts
  */
-app.post('/api/predict', (req, res) => {
-  try {
-    const { sequence } = req.body;
+function decodeSequence(sequence) {
+  return sequence.map(decodeBigInt);
+}
 
-    if (!sequence) {
-      return res.status(400).json({
-        success: false,
-        message: 'Sequence is required'
-      });
-    }
+/**
+ * Picks the language of the response messages from the Accept-Language header
+ * Sets req.locale and req.t(key, params), which translates a message (see i18n.js)
+ *
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {Function} next - Passes control to the next handler
+ */
+function withLocale(req, res, next) {
+  req.locale = negotiateLocale(req.get('accept-language'));
+  req.t = translator(req.locale);
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+  next();
+}
 
-    const result = chamber.predictNext(sequence);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: `Server error: ${error.message}`
-    });
-  }
-});
+/**
+ * Sends a failure in the shape every endpoint uses, with the HTTP status for its code
+ *
+ * @param {Object} res - The Express response
+ * @param {string} code - One of ERROR_CODES (see errors.js)
+ * @param {string} message - Human-readable explanation
+ * @param {Object} [fields={ success: false }] - Other fields of the response body
+ */
+function sendError(res, code, message, fields = { success: false }) {
+  res.status(httpStatus(code)).json({
+    ...fields,
+    message,
+    error: { code }
+  });
+}
 
 /**
- * GET /api/memories
- * Retrieves all stored predictions
- * 
- * Response: { memories: Array, count: number }
+ * Logs an unexpected error, with its stack, and answers with INTERNAL_ERROR
+ * The answer does not repeat the error's message; its error.requestId points to the log entry
+ *
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {Error} error - The error
+ * @param {Object} [fields={ success: false }] - Other fields of the response body
  */
-app.get('/api/memories', (req, res) => {
-  try {
-    const memories = chamber.getMemories();
-    res.json({
-      memories: memories,
-      count: memories.length
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: `Server error: ${error.message}`
-    });
-  }
-});
+function sendInternalError(req, res, error, fields) {
+  req.log.error('internal error', { error });
+  // Only the log gets the error's message; the client gets the request id to look it up with
+  sendError(res, ERROR_CODES.INTERNAL_ERROR, req.t('errors.INTERNAL_ERROR'), fields);
+}
 
 /**
- * DELETE /api/memories
- * Clears all stored predictions
- * 
- * Response: { success: boolean, message: string }
+ * Stops a streamed request whose body went over a size limit, and closes its connection
+ * rather than read the rest of the body. Answers 413 if nothing has been sent yet,
+ * otherwise ends the response with a PAYLOAD_TOO_LARGE line
+ *
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @returns {Promise} Resolves once the response is sent
  */
-app.delete('/api/memories', (req, res) => {
-  try {
-    chamber.clearMemories();
-    res.json({
-      success: true,
-      message: 'All memories have been cleared'
-    });
-  } catch (error) {
-    res.status(500).json({
+function stopTooLarge(req, res) {
+  const finished = once(res, 'finish');
+  if (!res.headersSent) {
+    res.set('Connection', 'close');
+    sendError(res, ERROR_CODES.PAYLOAD_TOO_LARGE, req.t('errors.PAYLOAD_TOO_LARGE'));
+  } else {
+    res.end(JSON.stringify({
       success: false,
-      message: `Server error: ${error.message}`
-    });
+      message: req.t('errors.PAYLOAD_TOO_LARGE'),
+      error: { code: ERROR_CODES.PAYLOAD_TOO_LARGE, requestId: req.id }
+    }) + '\n');
   }
-});
+  return finished;
+}
 
 /**
- * POST /api/validate
- * Validates if a sequence is an arithmetic progression
- * 
- * Request body: { sequence: [number, ...] }
- * Response: { isValid: boolean, difference?: number, message: string }
+ * Waits until a response can take more data again, or until its connection closes
+ * A client that goes away never drains the response, so waiting for 'drain' alone could last forever
+ *
+ * @param {Object} res - The Express response
+ * @returns {Promise<boolean>} Resolves to true once the response drains, false if it closed first
  */
-app.post('/api/validate', (req, res) => {
-  try {
-    const { sequence } = req.body;
-
-    if (!sequence) {
-      return res.status(400).json({
-        isValid: false,
-        message: 'Sequence is required'
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const settle = drained => {
+      res.removeListener('drain', onDrain);
+      res.removeListener('close', onClose);
+      resolve(drained);
+    };
+    const onDrain = () => settle(true);
+    const onClose = () => settle(false);
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+  });
+}
+
+// ============================================================
+// SERVER
+// ============================================================
+
+/**
+ * Creates the web server without starting it
+ * Settings not given as options are read from the environment, as documented in the README
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on; PORT or 3000 by default, 0 for any free port
+ * @param {string} [options.host] - Address to listen on; ECHO_HOST or every address by default
+ * @param {string} [options.staticDir] - Directory of the web interface; the public/ directory by default
+ * @param {EchoChamber} [options.chamber] - One chamber for every request, instead of one per session;
+ *                                          requests then get no session
+ * @param {number} [options.shutdownTimeout] - Milliseconds close() waits for requests to finish;
+ *                                             ECHO_SHUTDOWN_TIMEOUT_SECONDS or 10 seconds by default
+ * @param {Logger} [options.logger] - Where requests, predictions and errors are logged (see logging.js);
+ *                                    JSON lines on standard output at ECHO_LOG_LEVEL by default
+ * @param {Object} [options.env=process.env] - Where the other settings are read from
+ * @returns {Object} { app, sessions, metrics, logger, limits, storageConfig, apiKeys, listen(), close(), url, server }
+ */
+function createServer(options = {}) {
+  const env = options.env || process.env;
+  const port = options.port !== undefined ? options.port : Number(env.PORT || 3000);
+  const host = options.host || env.ECHO_HOST || undefined;
+  const staticDir = options.staticDir || path.join(__dirname, 'public');
+  const sharedChamber = options.chamber || null;
+  const shutdownTimeout = options.shutdownTimeout !== undefined ? options.shutdownTimeout : drainTimeoutFromEnv(env);
+  const logger = options.logger || loggerFromEnv(env);
+
+  const app = express();
+
+  // Rate limit, sequence length and body sizes, from the ECHO_RATE_* and ECHO_MAX_* variables (see limits.js)
+  const limits = limitsConfigFromEnv(env);
+  const rateLimiter = limits.rateLimit > 0
+    ? new RateLimiter({ limit: limits.rateLimit, window: limits.rateWindow })
+    : null;
+
+  // Every session gets its own chamber (see sessions.js)
+  // Echoes are kept in memory unless ECHO_STORAGE=file (see storage.js)
+  // Sessions expire after ECHO_SESSION_IDLE_MINUTES minutes without requests (default 30), and
+  // past ECHO_MAX_SESSIONS sessions (default 1000) the least recently used ones end early
+  const storageConfig = storageConfigFromEnv(env);
+  const sessions = new SessionManager({
+    idleTimeout: Number(env.ECHO_SESSION_IDLE_MINUTES || 30) * 60 * 1000,
+    maxSessions: Number(env.ECHO_MAX_SESSIONS || DEFAULT_MAX_SESSIONS),
+    createChamber: id => logPredictions(logger.child({ session: maskSessionId(id) }), observePredictions(metrics, new EchoChamber({
+      storage: createSessionStorage(storageConfig, id),
+      maxSequenceLength: limits.maxSequenceLength
+    }))),
+    canRestore: id => sessionStorageExists(storageConfig, id)
+  });
+
+  // Request counts and durations, predictions and echoes, served at GET /metrics (see metrics.js)
+  const metrics = createEchoMetrics({ sessions });
+  if (sharedChamber) {
+    logPredictions(logger, observePredictions(metrics, sharedChamber));
+  }
+
+  // When ECHO_API_KEYS, ECHO_API_KEYS_FILE or ECHO_ADMIN_TOKEN are set, /api requests need a key (see auth.js)
+  const apiKeys = apiKeysFromEnv(env);
+
+  // Requests are checked against the OpenAPI document before they reach a route
+  // With ECHO_VALIDATE_RESPONSES=true, responses are checked too and mismatches logged (for development)
+  const openApiDocument = buildOpenApiDocument();
+  const validate = createValidator(openApiDocument, {
+    validateResponses: env.ECHO_VALIDATE_RESPONSES === 'true',
+    report: message => logger.warn(message)
+  });
+
+  // Open event streams, ended by close() since they never finish on their own
+  const eventStreams = new Set();
+  // The http.Server and its connection tracker (see shutdown.js), once listen() is called
+  let server = null;
+  let drain = null;
+  let shuttingDown = false;
+
+  // BigInt values (from the bigint mode) are sent as decimal strings
+  app.set('json replacer', bigintReplacer);
+  // Behind a reverse proxy, ECHO_TRUST_PROXY makes req.ip the client's address rather than the proxy's
+  app.set('trust proxy', limits.trustProxy);
+
+  // Middleware
+  // Counted first, so refused requests show up in the metrics too
+  app.use(observeRequests(metrics));
+  // Then given an id, sent back in X-Request-Id and error.requestId, and logged once answered
+  app.use(logRequests(logger));
+  app.use(withLocale);
+  // Refuse clients over the rate limit before reading their request bodies
+  if (rateLimiter) {
+    app.use('/api', rateLimit(rateLimiter));
+  }
+  // Then requests without a known API key; the description and the web messages stay public
+  app.use('/api', authenticate(apiKeys, { except: ['/openapi.json', '/i18n'] }));
+  // Read-only keys may only read; predicting, importing and answering need the write role
+  app.use('/api', requireWriteToChange());
+  // Batches and imports are parsed first, with a larger size limit than single requests
+  app.use(['/api/predict/batch', '/api/memories/import'], express.json({ limit: limits.maxBatchBodySize }));
+  app.use(express.json({ limit: limits.maxBodySize }));
+  app.use(express.static(staticDir));
+
+  /**
+   * Attaches the caller's session chamber to the request as req.chamber, and its id as req.sessionId
+   * The session id is sent back in the X-Session-Id header and, for
+   * browsers, in the echo_session cookie
+   * With the chamber option, every request gets that chamber and no session
+   *
+   * @param {Object} req - The Express request
+   * @param {Object} res - The Express response
+   * @param {Function} next - Passes control to the route handler
+   */
+  function withSession(req, res, next) {
+    if (sharedChamber) {
+      req.chamber = sharedChamber;
+      req.sessionId = null;
+      return next();
+    }
+
+    const claimedId = readSessionId(req);
+    const session = sessions.resolve(claimedId);
+
+    if (session.id !== claimedId) {
+      res.cookie(SESSION_COOKIE, session.id, { httpOnly: true, sameSite: 'lax', path: '/' });
+    }
+    res.set('X-Session-Id', session.id);
+
+    req.chamber = session.chamber;
+    req.sessionId = session.id;
+    next();
+  }
+
+  // ============================================================
+  // REST API ENDPOINTS
+  // ============================================================
+
+  // Every route is described in openapi.js; validate(operationId) rejects requests
+  // that do not match their description, with error.field naming the culprit
+
+  /**
+   * POST /api/predict
+   * Predicts the next number in a sequence
+   * 
+   * Request body: { sequence: [number | string, ...], count?: number, n?: number, mode?: string, tolerance?: number, explain?: boolean }
+   * - count: predict the next `count` numbers instead of just one
+   * - n: also compute the n-th term (1-based) directly from the closed-form formula
+   * - mode: 'strict', 'tolerant' (default), 'exact' or 'bigint'; exact mode accepts strings such as "1/3"
+   *   and returns its numbers as strings
+   *   Whole numbers beyond Number.MAX_SAFE_INTEGER are sent as decimal strings, both ways, and
+   *   select the bigint mode automatically
+   * - tolerance: relative tolerance for the tolerant mode
+   * - explain: also return the difference table and why each pattern fits or not, failed predictions included
+   * Messages are in the language of the Accept-Language header (English or Italian)
+   * Response: { success: boolean, nextNumber?: number, nextNumbers?: number[], commonDifference?: number,
+   *             pattern?: string, parameters?: Object, formula?: string, nthTerm?: { n: number, value: number },
+   *             explanation?: { differences: Array[], steps: Object[] }, message: string }
+   */
+  app.post('/api/predict', validate('predict'), withSession, (req, res) => {
+    try {
+      const chamber = req.chamber;
+      const { count, n, mode, tolerance, explain } = req.body;
+      const sequence = decodeSequence(req.body.sequence);
+      const options = { mode, tolerance, locale: req.locale };
+
+      // Check n before predicting, so a bad n does not leave an echo behind
+      let term = null;
+      if (n !== undefined) {
+        term = chamber.nthTerm(sequence, n, options);
+        if (!term.success) {
+          return res.status(httpStatus(term.error.code)).json({
+            success: false,
+            nextNumber: null,
+            message: term.message,
+            error: term.error
+          });
+        }
+      }
+
+      const predictOptions = { ...options, explain };
+      const result = count === undefined
+        ? chamber.predictNext(sequence, predictOptions)
+        : chamber.predictMany(sequence, count, predictOptions);
+
+      if (result.success && term) {
+        result.nthTerm = { n: term.n, value: term.value };
+      }
+
+      res.status(result.success ? 200 : httpStatus(result.error.code)).json(result);
+    } catch (error) {
+      sendInternalError(req, res, error);
+    }
+  });
+
+  /**
+   * POST /api/predict/batch
+   * Predicts many sequences at once; a bad sequence only fails its own result
+   * Every successful prediction is recorded as an echo, as with /api/predict
+   *
+   * Request body: { sequences: [sequence | { sequence, count?, mode?, tolerance? }, ...], count?, mode?, tolerance? }
+   * - at most 1000 sequences; the top-level count, mode and tolerance apply to items that do not set their own
+   * Response: { success: boolean, results: [{ index, ...as /api/predict }], succeeded: number, failed: number, message: string }
+   */
+  app.post('/api/predict/batch', validate('predictBatch'), withSession, (req, res) => {
+    try {
+      const { sequences, count, mode, tolerance } = req.body;
+      const result = predictBatch(req.chamber, sequences, {
+        count, mode, tolerance, locale: req.locale, log: req.log, requestId: req.id
+      });
+
+      res.status(result.success ? 200 : httpStatus(result.error.code)).json(result);
+    } catch (error) {
+      sendInternalError(req, res, error);
+    }
+  });
+
+  /**
+   * POST /api/predict/batch/stream
+   * Streaming variant of /api/predict/batch for batches of any size
+   *
+   * Request body (application/x-ndjson): one item per line, as in the sequences of /api/predict/batch
+   * - at most ECHO_MAX_BATCH_BODY_SIZE in all, and ECHO_MAX_BODY_SIZE per line
+   * Query parameters: count, mode, tolerance, for items that do not set their own
+   * Response (application/x-ndjson): one result per non-empty line, in order, written as soon as it is ready.
+   * A body over its limits gets 413, or a PAYLOAD_TOO_LARGE last line once results have gone out.
+   * A client that closes the connection stops the stream: the rest of its body is not read
+   */
+  app.post('/api/predict/batch/stream', validate('predictBatchStream'), withSession, async (req, res) => {
+    const defaults = {
+      count: req.query.count === undefined ? undefined : Number(req.query.count),
+      mode: req.query.mode,
+      tolerance: req.query.tolerance === undefined ? undefined : Number(req.query.tolerance),
+      locale: req.locale,
+      log: req.log,
+      requestId: req.id
+    };
+
+    if (Number(req.get('Content-Length')) > limits.maxBatchBodySize) {
+      return stopTooLarge(req, res);
+    }
+
+    res.type('application/x-ndjson');
+
+    let closed = false;
+    res.once('close', () => { closed = true; });
+    let index = 0;
+    /**
+     * Logs that the client went away before the stream was over
+     */
+    const logClosed = () => req.log.info('stream closed by client', { results: index });
+
+    try {
+      const lines = new NdjsonLines({ maxLineBytes: limits.maxBodySize, maxBytes: limits.maxBatchBodySize });
+
+      /**
+       * Predicts and writes the results of some lines
+       * @param {string[]} batch - Lines of the body
+       * @returns {Promise<boolean>} False if the client went away before every result was written
+       */
+      const writeResults = async batch => {
+        for (const line of batch) {
+          if (closed) return false;
+          if (line.trim() === '') continue;
+
+          const result = predictNdjsonLine(req.chamber, line, index++, defaults);
+          // Wait for slow clients instead of buffering every result in memory
+          if (!res.write(JSON.stringify(result, bigintReplacer) + '\n') && !(await waitForDrain(res))) {
+            return false;
+          }
+        }
+        return true;
+      };
+
+      // Leaving the loop destroys the request, so the rest of the body is not read
+      for await (const chunk of req) {
+        const batch = lines.push(chunk);
+        if (batch === null) {
+          // Only once the answer is out
+          await stopTooLarge(req, res);
+          return;
+        }
+        if (!(await writeResults(batch))) {
+          logClosed();
+          return;
+        }
+      }
+      if (!(await writeResults(lines.end()))) {
+        logClosed();
+        return;
+      }
+
+      res.end();
+    } catch (error) {
+      // Reading the body fails when the client goes away in the middle of it
+      if (closed) {
+        logClosed();
+        return;
+      }
+      // The status line has gone out already, so report the failure as a last line
+      req.log.error('internal error', { error });
+      res.end(JSON.stringify({
+        success: false,
+        message: req.t('errors.INTERNAL_ERROR'),
+        error: { code: ERROR_CODES.INTERNAL_ERROR, requestId: req.id }
+      }) + '\n');
+    }
+  });
+
+  /**
+   * GET /api/memories
+   * Retrieves the stored predictions of the caller's session, a page at a time
+   * BigInt values in the memories are sent as decimal strings
+   *
+   * Query parameters (all optional, see memory-query.js):
+   * - limit: page size (default 50, at most 500)
+   * - cursor: the nextCursor of the previous page
+   * - difference, length, minLength, maxLength, pattern: filters
+   * - from, to: ISO dates limiting createdAt
+   * - sort: 'createdAt' (default), 'difference' or 'length'; order: 'asc' (default) or 'desc'
+   *
+   * Response: { memories: Array, count: number, total: number, nextCursor: string|null }
+   */
+  app.get('/api/memories', validate('listMemories'), withSession, (req, res) => {
+    try {
+      const { success, memories, count, total, nextCursor, message, error } = req.chamber.queryMemories(req.query, { locale: req.locale });
+
+      if (!success) {
+        return res.status(httpStatus(error.code)).json({
+          success: false,
+          message,
+          error
+        });
+      }
+
+      res.json({
+        memories,
+        count,
+        total,
+        nextCursor
+      });
+    } catch (error) {
+      sendInternalError(req, res, error);
+    }
+  });
+
+  /**
+   * GET /api/memories/export
+   * Downloads all stored predictions of the caller's session
+   *
+   * Query parameters: format = 'json' (default) or 'csv'
+   * Response: the export as an attachment (see memory-export.js for the layout)
+   */
+  app.get('/api/memories/export', validate('exportMemories'), withSession, (req, res) => {
+    try {
+      const format = req.query.format || 'json';
+      const date = new Date().toISOString().slice(0, 10);
+      res.type(format === 'csv' ? 'text/csv' : 'application/json');
+      res.attachment(`echo-memories-${date}.${format}`);
+      res.send(req.chamber.exportMemories(format));
+    } catch (error) {
+      sendInternalError(req, res, error);
+    }
+  });
+
+  /**
+   * POST /api/memories/import
+   * Adds echoes from an export to the caller's session
+   * Every record is checked by predicting its sequence again; records that
+   * do not match are rejected and the rest are imported
+   *
+   * Request body: a JSON export (or a JSON list of echoes), or a CSV export sent as text/csv
+   * Response: { success: boolean, imported: number, rejected: [{ record: number, message: string }], message: string }
+   */
+  app.post('/api/memories/import', express.text({ type: ['text/csv', 'text/plain'], limit: limits.maxBatchBodySize }), validate('importMemories', { success: false, imported: 0, rejected: [] }), withSession, (req, res) => {
+    try {
+      const format = req.query.format || (req.is('text/csv') ? 'csv' : 'json');
+      let records;
+
+      try {
+        records = parseMemoryImport(req.body, format);
+      } catch (error) {
+        return sendError(res, ERROR_CODES.INVALID_IMPORT, req.t('common.error', { message: error.message }), {
+          success: false,
+          imported: 0,
+          rejected: []
+        });
+      }
+
+      // Rejected records are reported in the body; the import itself succeeded
+      res.json(req.chamber.importMemories(records, { locale: req.locale }));
+    } catch (error) {
+      sendInternalError(req, res, error);
+    }
+  });
+
+  /**
+   * GET /api/memories/:index
+   * Retrieves a single stored prediction by its predictionIndex
+   *
+   * Response: { success: boolean, memory?: Object, message?: string }
+   */
+  app.get('/api/memories/:index', validate('getMemory'), withSession, (req, res) => {
+    try {
+      const memory = req.chamber.getMemory(req.params.index);
+      if (!memory) {
+        return sendError(res, ERROR_CODES.ECHO_NOT_FOUND, req.t('errors.ECHO_NOT_FOUND', { index: req.params.index }));
+      }
+
+      res.json({
+        success: true,
+        memory
       });
+    } catch (error) {
+      sendInternalError(req, res, error);
     }
+  });
+
+  /**
+   * DELETE /api/memories/:index
+   * Removes a single stored prediction by its predictionIndex
+   * Requires an admin API key when keys are configured
+   *
+   * Response: { success: boolean, message: string }
+   */
+  app.delete('/api/memories/:index', requireRole('admin'), validate('deleteMemory'), withSession, (req, res) => {
+    try {
+      if (!req.chamber.deleteMemory(req.params.index)) {
+        return sendError(res, ERROR_CODES.ECHO_NOT_FOUND, req.t('errors.ECHO_NOT_FOUND', { index: req.params.index }));
+      }
 
-    const result = chamber.validateSequence(sequence);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({
-      isValid: false,
-      message: `Server error: ${error.message}`
+      res.json({
+        success: true,
+        message: req.t('server.echoDeleted', { index: req.params.index })
+      });
+    } catch (error) {
+      sendInternalError(req, res, error);
+    }
+  });
+
+  /**
+   * DELETE /api/memories
+   * Clears all stored predictions of the caller's session
+   * Requires an admin API key when keys are configured
+   *
+   * Response: { success: boolean, message: string }
+   */
+  app.delete('/api/memories', requireRole('admin'), validate('clearMemories'), withSession, (req, res) => {
+    try {
+      req.chamber.clearMemories();
+      res.json({
+        success: true,
+        message: req.t('server.memoriesCleared')
+      });
+    } catch (error) {
+      sendInternalError(req, res, error);
+    }
+  });
+
+  /**
+   * POST /api/memories/restore
+   * Undoes the last clear of the caller's memories; echoes made since keep theirs, renumbered after them
+   * Requires an admin API key when keys are configured, as clearing does
+   *
+   * Response: { success: boolean, restored: number, message: string }
+   */
+  app.post('/api/memories/restore', requireRole('admin'), validate('restoreMemories', { success: false, restored: 0 }), withSession, (req, res) => {
+    try {
+      const result = req.chamber.restoreMemories({ locale: req.locale });
+      res.status(result.success ? 200 : httpStatus(result.error.code)).json(result);
+    } catch (error) {
+      sendInternalError(req, res, error);
+    }
+  });
+
+  /**
+   * GET /api/events
+   * Streams changes to the caller's echoes as Server-Sent Events (see live-events.js),
+   * so every open page of a session can update its memory list as they happen
+   *
+   * Events: echo (data: the new echo), echoDeleted (data: { predictionIndex }), memoriesCleared (data: {}),
+   *         memoriesRestored (data: { count })
+   * An open stream keeps its session from expiring; the stream ends if the session does anyway,
+   * or when the server shuts down
+   */
+  app.get('/api/events', validate('streamEvents'), withSession, (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Tell proxies such as nginx not to hold events back in a buffer
+      'X-Accel-Buffering': 'no'
     });
-  }
-});
+    res.flushHeaders();
 
-/**
- * GET /api/test
- * Runs a quick test to verify the server is working
- * 
- * Response: { success: boolean, result?: Object, message: string }
- */
-app.get('/api/test', (req, res) => {
-  try {
-    const testChamber = new EchoChamber();
-    const result = testChamber.predictNext([3, 6, 9, 12]);
-    
-    res.json({
-      success: result.success,
-      result: result,
-      message: 'Server is working correctly'
+    const stop = relayChamberEvents(req.chamber, res, {
+      onHeartbeat: () => req.sessionId === null || sessions.touch(req.sessionId)
     });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: `Server error: ${error.message}`
+    eventStreams.add(res);
+    req.on('close', () => {
+      stop();
+      eventStreams.delete(res);
     });
-  }
-});
+  });
 
-// ============================================================
-// STATIC FILES & ROOT ROUTE
-// ============================================================
+  /**
+   * POST /api/quiz
+   * Makes up a sequence for the caller to guess the next number of (see quiz.js)
+   *
+   * Request body: { difficulty?: 'easy' | 'medium' | 'hard' } (default: easy)
+   * Response: { success: boolean, question?: { id, sequence, difficulty, points }, message: string }
+   */
+  app.post('/api/quiz', validate('askQuizQuestion'), withSession, (req, res) => {
+    try {
+      const result = req.chamber.quiz.ask({ difficulty: req.body.difficulty, locale: req.locale });
+      res.status(result.success ? 200 : httpStatus(result.error.code)).json(result);
+    } catch (error) {
+      sendInternalError(req, res, error);
+    }
+  });
 
-/**
- * Serve the main application page
- */
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+  /**
+   * POST /api/quiz/:id/answer
+   * Scores a guess at a quiz question and records the attempt as an echo
+   * A question can be answered once; the answer is revealed either way
+   *
+   * Request body: { guess: number | string }
+   * Response: { success: boolean, correct?: boolean, guess?: number, answer?: number, pattern?: string,
+   *             points?: number, stats?: Object, message: string }
+   */
+  app.post('/api/quiz/:id/answer', validate('answerQuizQuestion'), withSession, (req, res) => {
+    try {
+      const result = req.chamber.quiz.answer(req.params.id, req.body.guess, { locale: req.locale });
+      res.status(result.success ? 200 : httpStatus(result.error.code)).json(result);
+    } catch (error) {
+      sendInternalError(req, res, error);
+    }
+  });
 
-/**
- * Handle 404 errors
- */
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Endpoint not found'
+  /**
+   * GET /api/quiz/stats
+   * Adds up the caller's quiz answers
+   *
+   * Response: { success: true, stats: { answered, correct, score, streak, bestStreak }, message: string }
+   */
+  app.get('/api/quiz/stats', validate('getQuizStats'), withSession, (req, res) => {
+    try {
+      const stats = req.chamber.quiz.stats();
+      res.json({
+        success: true,
+        stats,
+        message: req.t('quiz.stats', stats)
+      });
+    } catch (error) {
+      sendInternalError(req, res, error);
+    }
+  });
+
+  /**
+   * POST /api/validate
+   * Validates if a sequence matches a known pattern
+   * 
+   * Request body: { sequence: [number | string, ...], mode?: string, tolerance?: number, explain?: boolean }
+   * Response: { isValid: boolean, difference?: number, pattern?: string, parameters?: Object, mode?: string,
+   *             explanation?: Object (as in /api/predict), message: string }
+   */
+  app.post('/api/validate', validate('validateSequence', { isValid: false }), withSession, (req, res) => {
+    try {
+      const { mode, tolerance, explain } = req.body;
+      const sequence = decodeSequence(req.body.sequence);
+
+      const result = req.chamber.validateSequence(sequence, { mode, tolerance, explain, locale: req.locale });
+      // A sequence without a known pattern is a valid answer to "is this valid?", not a failed request
+      const ok = result.isValid || result.error.code === ERROR_CODES.NO_PATTERN;
+      res.status(ok ? 200 : httpStatus(result.error.code)).json(result);
+    } catch (error) {
+      sendInternalError(req, res, error, { isValid: false });
+    }
+  });
+
+  /**
+   * GET /api/i18n
+   * Returns the web interface messages of a language, with English for any it lacks
+   *
+   * Query parameters: lang = a language tag such as 'it-IT' (default: the Accept-Language header)
+   * Response: { locale: string, locales: string[], messages: Object }
+   */
+  app.get('/api/i18n', validate('getTranslations'), (req, res) => {
+    try {
+      const { locale, messages } = webMessages(resolveLocale(req.query.lang) || req.locale);
+      res.set('Content-Language', locale);
+      res.json({
+        locale,
+        locales: SUPPORTED_LOCALES,
+        messages
+      });
+    } catch (error) {
+      sendInternalError(req, res, error);
+    }
+  });
+
+  /**
+   * GET /api/admin/sessions
+   * Lists the active sessions; ids are shortened, since a full id gives access to the session
+   * Requires an admin API key when keys are configured
+   *
+   * Response: { sessions: [{ id, createdAt, lastSeenAt, expiresAt, memoryCount }], count: number }
+   */
+  app.get('/api/admin/sessions', requireRole('admin'), validate('listSessions'), (req, res) => {
+    try {
+      sessions.sweep();
+      const list = sessions.list();
+      res.json({
+        sessions: list,
+        count: list.length
+      });
+    } catch (error) {
+      sendInternalError(req, res, error);
+    }
   });
-});
+
+  /**
+   * GET /api/test
+   * Runs a quick test to verify the server is working
+   * 
+   * Response: { success: boolean, result?: Object, message: string }
+   */
+  app.get('/api/test', validate('selfTest'), (req, res) => {
+    try {
+      const testChamber = new EchoChamber({ locale: req.locale });
+      const result = testChamber.predictNext([3, 6, 9, 12]);
+
+      res.json({
+        success: result.success,
+        result: result,
+        message: req.t('server.working')
+      });
+    } catch (error) {
+      sendInternalError(req, res, error);
+    }
+  });
+
+  /**
+   * GET /api/openapi.json
+   * Returns the OpenAPI 3.0 description of this API (see openapi.js), for generating clients
+   *
+   * Response: the OpenAPI document
+   */
+  app.get('/api/openapi.json', validate('getOpenApi'), (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  // ============================================================
+  // HEALTH & METRICS
+  // ============================================================
+
+  // For load balancers and monitoring: outside /api, so neither API keys nor the rate limit apply
+
+  /**
+   * GET /healthz
+   * Liveness: answers as long as the process can serve requests
+   *
+   * Response: { status: 'ok', uptime: number (seconds) }
+   */
+  app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+  });
+
+  /**
+   * GET /readyz
+   * Readiness: checks that the server is not shutting down, predictions work and echoes can be stored
+   *
+   * Response: { status: 'ready' | 'unavailable', checks: { server: string, prediction: string, storage: string } }
+   * - 503 when a check fails; its entry then holds the reason instead of 'ok'
+   */
+  app.get('/readyz', (req, res) => {
+    const checks = {
+      server: () => {
+        if (shuttingDown) {
+          throw new Error('shutting down');
+        }
+      },
+      prediction: () => {
+        if (!new EchoChamber().predictNext([3, 6, 9, 12]).success) {
+          throw new Error('the test prediction failed');
+        }
+      },
+      storage: () => checkStorage(storageConfig)
+    };
+
+    let ready = true;
+    const results = {};
+    Object.keys(checks).forEach(name => {
+      try {
+        checks[name]();
+        results[name] = 'ok';
+      } catch (error) {
+        ready = false;
+        results[name] = error.message;
+      }
+    });
+
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', checks: results });
+  });
+
+  /**
+   * GET /metrics
+   * Request counts and latencies per route, prediction outcomes, sessions, echoes and
+   * process memory, in the Prometheus text format
+   */
+  app.get('/metrics', (req, res) => {
+    res.set('Content-Type', CONTENT_TYPE);
+    res.send(metrics.registry.render());
+  });
+
+  // ============================================================
+  // STATIC FILES & ROOT ROUTE
+  // ============================================================
+
+  /**
+   * Serve the main application page
+   */
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(staticDir, 'index.html'));
+  });
+
+  /**
+   * Serve the interactive API documentation, rendered from /api/openapi.json
+   */
+  app.get('/docs', (req, res) => {
+    res.sendFile(path.join(staticDir, 'docs.html'));
+  });
+
+  /**
+   * Handle 404 errors
+   */
+  app.use((req, res) => {
+    sendError(res, ERROR_CODES.NOT_FOUND, req.t('errors.NOT_FOUND'));
+  });
+
+  /**
+   * Handle errors raised by middleware, such as a request body that is not valid JSON
+   * Express recognises error handlers by their four parameters, so next must stay
+   */
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+      return sendError(res, ERROR_CODES.INVALID_JSON, req.t('server.invalidBody'));
+    }
+    if (err.type === 'entity.too.large') {
+      return sendError(res, ERROR_CODES.PAYLOAD_TOO_LARGE, req.t('errors.PAYLOAD_TOO_LARGE'));
+    }
+    sendInternalError(req, res, err);
+  });
+
+  /**
+   * Starts listening on the configured port and host, and the sweeps of idle sessions and rate limit windows
+   *
+   * @returns {Promise<Object>} Resolves to the http.Server once it listens
+   * @throws {Error} Rejects if the port cannot be used, or the server was started before
+   */
+  function listen() {
+    if (server) {
+      return Promise.reject(new Error('The server has already been started'));
+    }
+    server = http.createServer(app);
+    drain = drainOnClose(server);
+
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.removeListener('error', reject);
+        sessions.startSweeping();
+        if (rateLimiter) {
+          rateLimiter.startSweeping();
+        }
+        logger.info('listening', { url: echoServer.url });
+        resolve(server);
+      });
+    });
+  }
+
+  /**
+   * Shuts the server down gracefully: /readyz reports it, new connections are refused,
+   * event streams end and requests in flight get shutdownTimeout milliseconds to finish
+   *
+   * @returns {Promise<boolean>} Resolves once the server has stopped: true if every request finished,
+   *                             false if some were cut off
+   */
+  function close() {
+    shuttingDown = true;
+    sessions.stopSweeping();
+    if (rateLimiter) {
+      rateLimiter.stopSweeping();
+    }
+    eventStreams.forEach(res => res.end());
+    eventStreams.clear();
+
+    logger.info('shutting down', { timeoutMs: shutdownTimeout, activeRequests: drain ? drain.activeRequests() : 0 });
+    return drain ? drain.close(shutdownTimeout) : Promise.resolve(true);
+  }
+
+  const echoServer = {
+    app,
+    sessions,
+    metrics,
+    logger,
+    limits,
+    storageConfig,
+    apiKeys,
+    shutdownTimeout,
+    listen,
+    close,
+    /**
+     * @returns {Object|null} The http.Server, once listen() is called
+     */
+    get server() {
+      return server;
+    },
+    /**
+     * @returns {string|null} The address of the web interface, e.g. 'http://localhost:3000', once listening
+     */
+    get url() {
+      const address = server && server.address();
+      if (!address || typeof address === 'string') {
+        return address || null;
+      }
+      const name = host && !['0.0.0.0', '::'].includes(host) ? host : 'localhost';
+      return `http://${name.includes(':') ? `[${name}]` : name}:${address.port}`;
+    }
+  };
+
+  return echoServer;
+}
 
 // ============================================================
 // SERVER STARTUP
 // ============================================================
 
-app.listen(PORT, () => {
+/**
+ * Prints the startup banner of a listening server
+ *
+ * @param {Object} echoServer - The server (see createServer)
+ * @param {string} locale - Language of the banner
+ */
+function printBanner(echoServer, locale) {
+  const t = translator(locale);
+  const { limits, storageConfig, sessions, apiKeys, url } = echoServer;
+  const endpoints = [
+    ['POST  ', '/api/predict', 'predict'],
+    ['POST  ', '/api/predict/batch', 'batch'],
+    ['POST  ', '/api/predict/batch/stream', 'batchStream'],
+    ['GET   ', '/api/memories', 'memories'],
+    ['DELETE', '/api/memories', 'clearMemories'],
+    ['POST  ', '/api/memories/restore', 'restoreMemories'],
+    ['GET   ', '/api/memories/export', 'export'],
+    ['POST  ', '/api/memories/import', 'import'],
+    ['GET   ', '/api/memories/:index', 'getEcho'],
+    ['DELETE', '/api/memories/:index', 'deleteEcho'],
+    ['GET   ', '/api/events', 'events'],
+    ['POST  ', '/api/quiz', 'quiz'],
+    ['POST  ', '/api/quiz/:id/answer', 'quizAnswer'],
+    ['GET   ', '/api/quiz/stats', 'quizStats'],
+    ['POST  ', '/api/validate', 'validate'],
+    ['GET   ', '/api/i18n', 'i18n'],
+    ['GET   ', '/api/admin/sessions', 'sessions'],
+    ['GET   ', '/api/test', 'test'],
+    ['GET   ', '/api/openapi.json', 'openapi'],
+    ['GET   ', '/docs', 'docs'],
+    ['GET   ', '/healthz', 'healthz'],
+    ['GET   ', '/readyz', 'readyz'],
+    ['GET   ', '/metrics', 'metrics']
+  ];
+
   console.log('\n╔════════════════════════════════════════════════════════════╗');
   console.log('║                                                            ║');
-  console.log('║          🏰 ECHO CHAMBER WEB SERVER STARTED 🏰             ║');
+  console.log(boxLine(t('server.banner.title')));
   console.log('║                                                            ║');
   console.log('╚════════════════════════════════════════════════════════════╝\n');
 
-  console.log(`🌐 Web Interface: http://localhost:${PORT}`);
-  console.log(`📡 API Endpoints:`);
-  console.log(`   • POST   /api/predict   - Predict next number`);
-  console.log(`   • GET    /api/memories  - Get all stored echoes`);
-  console.log(`   • DELETE /api/memories  - Clear all memories`);
-  console.log(`   • POST   /api/validate  - Validate sequence`);
-  console.log(`   • GET    /api/test      - Test server connection`);
-  console.log(`\n📖 Open your browser and navigate to http://localhost:${PORT}`);
-  console.log(`🛑 Press Ctrl+C to stop the server\n`);
-});
-
-module.exports = app;
+  console.log(t('server.banner.webInterface', { url }));
+  console.log(t('server.banner.endpoints'));
+  endpoints.forEach(([method, route, key]) => {
+    console.log(`   • ${method} ${route} - ${t(`server.banner.${key}`)}`);
+  });
+  console.log(`\n${t('server.banner.storage', {
+    storage: t(storageConfig.type === 'file' ? 'server.banner.storageFile' : 'server.banner.storageMemory'),
+    minutes: sessions.idleTimeout / 60000
+  })}`);
+  console.log(t('server.banner.limits', {
+    rate: limits.rateLimit > 0
+      ? t('server.banner.rate', { requests: limits.rateLimit, seconds: limits.rateWindow / 1000 })
+      : t('server.banner.noRate'),
+    length: limits.maxSequenceLength,
+    body: bytes.format(limits.maxBodySize)
+  }));
+  const keyCounts = apiKeys.countByRole();
+  console.log(t('server.banner.auth', {
+    keys: apiKeys.enabled
+      ? t('server.banner.authKeys', { admin: keyCounts.admin, read: keyCounts.read })
+      : t('server.banner.noAuth')
+  }));
+  console.log(`\n${t('server.banner.open', { url })}`);
+  console.log(`${t('server.banner.stop')}\n`);
+}
+
+if (require.main === module) {
+  // Language of the startup banner: --lang it-IT or ECHO_LANG=it-IT
+  // (API responses follow each request's Accept-Language header instead)
+  const serverLocale = resolveLocale(parseLangOption(process.argv.slice(2)) || process.env.ECHO_LANG) || DEFAULT_LOCALE;
+  const t = translator(serverLocale);
+  const echoServer = createServer();
+
+  echoServer.listen()
+    .then(() => printBanner(echoServer, serverLocale))
+    .catch(error => {
+      console.error(t('common.error', { message: error.message }));
+      process.exit(1);
+    });
+
+  let stopping = false;
+  /**
+   * Shuts down gracefully on the first signal, and at once on the second
+   *
+   * @param {string} signal - e.g. 'SIGTERM'
+   */
+  const stop = signal => {
+    if (stopping) {
+      process.exit(1);
+    }
+    stopping = true;
+    console.log(`\n${t('server.shuttingDown', { signal, seconds: echoServer.shutdownTimeout / 1000 })}`);
+    echoServer.close()
+      .then(drained => {
+        console.log(t(drained ? 'server.stopped' : 'server.stoppedCutOff'));
+        process.exit(0);
+      })
+      .catch(error => {
+        console.error(t('common.error', { message: error.message }));
+        process.exit(1);
+      });
+  };
+  process.on('SIGTERM', stop);
+  process.on('SIGINT', stop);
+}
+
+module.exports = {
+  createServer
+};
@@ -0,0 +1,236 @@
+/**
+ * Echo Chamber - Sessions
+ *
+ * Gives every visitor of the web server their own EchoChamber, so one
+ * browser cannot see or clear another browser's echoes.
+ *
+ * A session is identified by a random id, sent by the browser in the
+ * echo_session cookie or by API clients in the X-Session-Id header.
+ * Sessions that stay idle for longer than the idle timeout expire, and
+ * their echoes are discarded. So do the least recently used sessions once
+ * there are too many, since every request without a known id starts one.
+ */
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'echo_session';
+const SESSION_HEADER = 'x-session-id';
+const SESSION_ID_PATTERN = /^[0-9a-f]{32}$/;
+const DEFAULT_IDLE_TIMEOUT = 30 * 60 * 1000;
+const DEFAULT_MAX_SESSIONS = 1000;
+
+/**
+ * Parses a Cookie request header
+ *
+ * @param {string} [header] - e.g. "theme=dark; echo_session=abc"
+ * @returns {Object} Cookie names mapped to their values
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) {
+    return cookies;
+  }
+  header.split(';').forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator === -1) return;
+    const name = pair.slice(0, separator).trim();
+    const value = pair.slice(separator + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Reads the session id a request claims, from the header or the cookie
+ *
+ * @param {Object} req - The Express request
+ * @returns {string|null} The claimed session id, or null if there is none
+ */
+function readSessionId(req) {
+  return req.get(SESSION_HEADER) || parseCookies(req.get('cookie'))[SESSION_COOKIE] || null;
+}
+
+/**
+ * Shortens a session id for display, since the full id grants access to the session
+ *
+ * @param {string} id - The session id
+ * @returns {string} The first 8 characters followed by an ellipsis
+ */
+function maskSessionId(id) {
+  return `${id.slice(0, 8)}…`;
+}
+
+/**
+ * Keeps track of the active sessions and their chambers
+ */
+class SessionManager {
+  /**
+   * @param {Object} options
+   * @param {Function} options.createChamber - (id) => EchoChamber, called for each new session
+   * @param {number} [options.idleTimeout=1800000] - Milliseconds of inactivity before a session expires
+   * @param {number} [options.maxSessions=1000] - Most sessions kept; a new one past it ends the least recently used
+   * @param {Function} [options.canRestore] - (id) => boolean, true if an unknown id has stored echoes
+   *                                          that should be picked up again (e.g. after a restart)
+   * @param {Function} [options.now] - Clock, for tests
+   * @throws {RangeError} If maxSessions is not a whole number of at least 1
+   */
+  constructor(options) {
+    this.createChamber = options.createChamber;
+    this.idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT;
+    this.maxSessions = options.maxSessions !== undefined ? options.maxSessions : DEFAULT_MAX_SESSIONS;
+    if (!Number.isInteger(this.maxSessions) || this.maxSessions < 1) {
+      throw new RangeError(`The session limit must be a whole number of at least 1, not ${this.maxSessions}`);
+    }
+    this.canRestore = options.canRestore || (() => false);
+    this.now = options.now || Date.now;
+    // Session id → session, least recently used first
+    this.sessions = new Map();
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Finds the session for a claimed id, or starts a new one
+   * Ids that are malformed, unknown or expired get a fresh session with a new id;
+   * when there are maxSessions already, the least recently used one ends to make room
+   *
+   * @param {string|null} claimedId - The id sent by the client
+   * @returns {Object} The session: { id, chamber, createdAt, lastSeenAt }
+   */
+  resolve(claimedId) {
+    const now = this.now();
+    const valid = typeof claimedId === 'string' && SESSION_ID_PATTERN.test(claimedId);
+    let session = valid ? this.sessions.get(claimedId) : undefined;
+
+    if (session && now - session.lastSeenAt > this.idleTimeout) {
+      this.expire(session);
+      session = undefined;
+    }
+
+    if (!session) {
+      const id = valid && !this.sessions.has(claimedId) && this.canRestore(claimedId)
+        ? claimedId
+        : crypto.randomBytes(16).toString('hex');
+      while (this.sessions.size >= this.maxSessions) {
+        this.expire(this.sessions.values().next().value);
+      }
+      session = {
+        id,
+        chamber: this.createChamber(id),
+        createdAt: now,
+        lastSeenAt: now
+      };
+    }
+
+    this.markUsed(session, now);
+    return session;
+  }
+
+  /**
+   * Records that a session was used, moving it to the end of the least recently used order
+   *
+   * @param {Object} session - The session
+   * @param {number} now - The current time
+   */
+  markUsed(session, now) {
+    session.lastSeenAt = now;
+    this.sessions.delete(session.id);
+    this.sessions.set(session.id, session);
+  }
+
+  /**
+   * Marks a session as active without a request, e.g. while it has an open event stream
+   *
+   * @param {string} id - The session id
+   * @returns {boolean} False if the session has ended (expired or never existed)
+   */
+  touch(id) {
+    const session = this.sessions.get(id);
+    const now = this.now();
+    if (!session || now - session.lastSeenAt > this.idleTimeout) {
+      return false;
+    }
+    this.markUsed(session, now);
+    return true;
+  }
+
+  /**
+   * Ends a session and discards its echoes
+   *
+   * @param {Object} session - The session to end
+   */
+  expire(session) {
+    this.sessions.delete(session.id);
+    const storage = session.chamber.storage;
+    if (storage && typeof storage.destroy === 'function') {
+      storage.destroy();
+    }
+  }
+
+  /**
+   * Expires every session that has been idle for too long
+   *
+   * @returns {number} How many sessions expired
+   */
+  sweep() {
+    const now = this.now();
+    let expired = 0;
+    this.sessions.forEach(session => {
+      if (now - session.lastSeenAt > this.idleTimeout) {
+        this.expire(session);
+        expired++;
+      }
+    });
+    return expired;
+  }
+
+  /**
+   * Sweeps idle sessions at a regular interval
+   * The timer does not keep the process alive on its own
+   *
+   * @param {number} [interval=60000] - Milliseconds between sweeps
+   */
+  startSweeping(interval = 60 * 1000) {
+    this.stopSweeping();
+    this.sweepTimer = setInterval(() => this.sweep(), interval);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Stops the regular sweep started by startSweeping()
+   */
+  stopSweeping() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  /**
+   * Describes the active sessions for the admin view
+   *
+   * @returns {Object[]} { id (masked), createdAt, lastSeenAt, expiresAt, memoryCount } per session
+   */
+  list() {
+    return Array.from(this.sessions.values()).map(session => ({
+      id: maskSessionId(session.id),
+      createdAt: new Date(session.createdAt).toISOString(),
+      lastSeenAt: new Date(session.lastSeenAt).toISOString(),
+      expiresAt: new Date(session.lastSeenAt + this.idleTimeout).toISOString(),
+      memoryCount: session.chamber.getMemories().length
+    }));
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_SESSIONS,
+  SESSION_COOKIE,
+  SESSION_HEADER,
+  SessionManager,
+  parseCookies,
+  readSessionId,
+  maskSessionId
+};
@@ -0,0 +1,135 @@
+/**
+ * Echo Chamber - Graceful Shutdown
+ *
+ * Stops an HTTP server without cutting off the requests it is answering:
+ * - new connections are refused
+ * - idle keep-alive connections are closed at once
+ * - busy connections are closed as soon as their last response is sent,
+ *   and those responses carry Connection: close when they still can
+ * - connections still busy when the drain timeout runs out are cut off
+ *
+ * Node.js only waits for connections to end on its own, and keep-alive
+ * connections can stay open for a long time, hence the bookkeeping.
+ */
+
+// Milliseconds a shutdown waits for requests to finish
+const DEFAULT_DRAIN_TIMEOUT = 10 * 1000;
+
+/**
+ * Reads the drain timeout from an environment variable
+ *
+ * @param {Object} [env=process.env] - The environment; ECHO_SHUTDOWN_TIMEOUT_SECONDS holds the timeout
+ * @returns {number} Milliseconds; DEFAULT_DRAIN_TIMEOUT when the variable is unset or not a whole number
+ */
+function drainTimeoutFromEnv(env = process.env) {
+  const value = String(env.ECHO_SHUTDOWN_TIMEOUT_SECONDS).trim();
+  return /^\d+$/.test(value) ? Number(value) * 1000 : DEFAULT_DRAIN_TIMEOUT;
+}
+
+/**
+ * Tracks the connections of an HTTP server, so it can be closed gracefully
+ * Call it before the server accepts its first connection
+ *
+ * @param {Object} server - The http.Server
+ * @returns {Object} { close(timeout?): Promise<boolean>, activeRequests(): number, closing: boolean }
+ *                   close() resolves to true if every request finished, false if some were cut off
+ */
+function drainOnClose(server) {
+  // Open connection → number of requests it is answering
+  const connections = new Map();
+  // Responses being written, so those started before close() can still ask for Connection: close
+  const responses = new Set();
+  const tracker = {
+    closing: false,
+    close,
+    activeRequests
+  };
+
+  server.on('connection', socket => {
+    connections.set(socket, 0);
+    socket.once('close', () => connections.delete(socket));
+  });
+
+  // Before the application's own listener, so Connection: close can still be set
+  server.prependListener('request', (req, res) => {
+    const socket = req.socket;
+    connections.set(socket, (connections.get(socket) || 0) + 1);
+    responses.add(res);
+    if (tracker.closing) {
+      res.setHeader('Connection', 'close');
+    }
+
+    let done = false;
+    const finished = () => {
+      if (done) return;
+      done = true;
+      responses.delete(res);
+      const left = Math.max(0, (connections.get(socket) || 1) - 1);
+      if (connections.has(socket)) {
+        connections.set(socket, left);
+      }
+      if (tracker.closing && left === 0) {
+        socket.end();
+      }
+    };
+    res.once('finish', finished);
+    res.once('close', finished);
+  });
+
+  /**
+   * Counts the requests being answered
+   *
+   * @returns {number} The number of unfinished requests
+   */
+  function activeRequests() {
+    let count = 0;
+    connections.forEach(requests => { count += requests; });
+    return count;
+  }
+
+  /**
+   * Stops accepting connections and waits for the open ones to finish
+   *
+   * @param {number} [timeout=10000] - Milliseconds to wait before cutting off the remaining connections
+   * @returns {Promise<boolean>} Resolves once every connection has closed: true if none had to be cut off
+   */
+  function close(timeout = DEFAULT_DRAIN_TIMEOUT) {
+    tracker.closing = true;
+    let cutOff = false;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        cutOff = connections.size > 0;
+        connections.forEach((requests, socket) => socket.destroy());
+      }, timeout);
+      timer.unref();
+
+      server.close(error => {
+        clearTimeout(timer);
+        if (error && error.code !== 'ERR_SERVER_NOT_RUNNING') {
+          return reject(error);
+        }
+        resolve(!cutOff);
+      });
+
+      responses.forEach(res => {
+        if (!res.headersSent) {
+          res.setHeader('Connection', 'close');
+        }
+      });
+      connections.forEach((requests, socket) => {
+        if (requests === 0) {
+          socket.destroy();
+        }
+      });
+    });
+  }
+
+  return tracker;
+}
+
+module.exports = {
+  DEFAULT_DRAIN_TIMEOUT,
+  drainTimeoutFromEnv,
+  drainOnClose
+};
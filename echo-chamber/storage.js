@@ -0,0 +1,476 @@
+/**
+ * Echo Chamber - Memory Storage
+ *
+ * The chamber keeps its echoes (memory records) in a store. Every store
+ * offers the same small synchronous interface:
+ *
+ * - getAll(): Object[]   - All records, oldest first
+ * - append(record)       - Adds a record
+ * - remove(record)       - Removes one record (one of those returned by getAll())
+ * - clear()              - Removes every record, keeping them aside until the next clear()
+ *                          that removes any
+ * - getCleared(): Object[] - The records removed by the last clear(), oldest first
+ * - restore(): Object[]  - Puts the records of the last clear() back, before those
+ *                          added since, and returns them
+ * - destroy()            - Removes every record and anything kept for the store,
+ *                          cleared records included (used when a web session expires)
+ *
+ * Two stores are available:
+ *
+ * - MemoryStore:     Records live in memory and vanish on restart (the default)
+ * - JsonLinesStore:  Records are appended to a JSON Lines file, one record per line,
+ *                    so they survive restarts of the CLI and the web server
+ *
+ * Records written by older versions of the chamber are migrated to the
+ * current shape when they are loaded (see migrateRecord).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Version of the memory record shape written by this code
+const SCHEMA_VERSION = 2;
+
+const DEFAULT_FILE = path.join(__dirname, 'data', 'echoes.jsonl');
+
+/**
+ * Brings a memory record up to the current shape
+ *
+ * Version 1 (no schemaVersion field) only knew arithmetic progressions:
+ *   { sequence, nextNumber, commonDifference, timestamp, predictionIndex }
+ * Version 2 adds the detected pattern, its parameters and an ISO creation date:
+ *   { ..., pattern, parameters, createdAt, schemaVersion: 2 }
+ *
+ * @param {Object} record - A record of any known version
+ * @returns {Object} The record in the current shape (a new object if it changed)
+ */
+function migrateRecord(record) {
+  if (record.schemaVersion === SCHEMA_VERSION) {
+    return record;
+  }
+
+  return {
+    ...record,
+    commonDifference: record.commonDifference !== undefined ? record.commonDifference : null,
+    pattern: record.pattern || 'arithmetic',
+    parameters: record.parameters || { difference: record.commonDifference },
+    // Version 1 only stored the local time of day, so the date is unknown
+    createdAt: record.createdAt || null,
+    schemaVersion: SCHEMA_VERSION
+  };
+}
+
+/**
+ * JSON.stringify replacer that tags BigInts, so they can be restored on load
+ *
+ * @param {string} key - The property name
+ * @param {*} value - The property value
+ * @returns {*} The value to serialise
+ */
+function replacer(key, value) {
+  return typeof value === 'bigint' ? { $bigint: value.toString() } : value;
+}
+
+/**
+ * JSON.parse reviver that restores BigInts tagged by replacer()
+ *
+ * @param {string} key - The property name
+ * @param {*} value - The parsed value
+ * @returns {*} The restored value
+ */
+function reviver(key, value) {
+  if (value && typeof value === 'object' && typeof value.$bigint === 'string' && Object.keys(value).length === 1) {
+    return BigInt(value.$bigint);
+  }
+  return value;
+}
+
+/**
+ * @param {*} value - A parsed JSON value
+ * @returns {boolean} True if the value can be a record, i.e. is a plain object
+ */
+function isRecord(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parses JSON Lines, skipping blank lines and lines that are not JSON objects
+ *
+ * @param {string} content - The file contents
+ * @returns {{ records: Object[], skippedLines: number }} The parsed records, and how many lines were skipped
+ */
+function readJsonLines(content) {
+  const records = [];
+  let skippedLines = 0;
+  content.split('\n').forEach(line => {
+    if (line.trim() === '') return;
+    try {
+      const record = JSON.parse(line, reviver);
+      if (!isRecord(record)) {
+        throw new TypeError('Not a record');
+      }
+      records.push(record);
+    } catch (error) {
+      skippedLines++;
+    }
+  });
+  return { records, skippedLines };
+}
+
+/**
+ * Parses a legacy file holding a single JSON array, skipping entries that are not JSON objects
+ * A file that is not JSON at all, e.g. because it was cut short, counts as one skipped line
+ *
+ * @param {string} content - The file contents
+ * @returns {{ records: Object[], skippedLines: number, unreadable: boolean }} The parsed records,
+ *          how many entries were skipped, and whether the file could not be parsed at all
+ */
+function readJsonArray(content) {
+  let entries;
+  try {
+    entries = JSON.parse(content, reviver);
+  } catch (error) {
+    return { records: [], skippedLines: 1, unreadable: true };
+  }
+  const records = entries.filter(isRecord);
+  return { records, skippedLines: entries.length - records.length, unreadable: false };
+}
+
+/**
+ * Keeps records in memory only
+ */
+class MemoryStore {
+  constructor() {
+    this.records = [];
+    this.cleared = [];
+  }
+
+  /**
+   * @returns {Object[]} All stored records, oldest first
+   */
+  getAll() {
+    return this.records;
+  }
+
+  /**
+   * @param {Object} record - The record to add
+   */
+  append(record) {
+    this.records.push(record);
+  }
+
+  /**
+   * @param {Object} record - The record to remove, as returned by getAll()
+   * @returns {boolean} True if the record was found and removed
+   */
+  remove(record) {
+    const position = this.records.indexOf(record);
+    if (position === -1) {
+      return false;
+    }
+    this.records.splice(position, 1);
+    return true;
+  }
+
+  /**
+   * Removes every record, keeping them until the next clear() so they can be restored
+   * Clearing an empty store keeps the records of the previous clear
+   */
+  clear() {
+    if (this.records.length > 0) {
+      this.cleared = this.records;
+    }
+    this.records = [];
+  }
+
+  /**
+   * @returns {Object[]} The records removed by the last clear(), oldest first
+   */
+  getCleared() {
+    return this.cleared;
+  }
+
+  /**
+   * Puts the records removed by the last clear() back, before the records added since
+   *
+   * @returns {Object[]} The restored records; empty if there were none
+   */
+  restore() {
+    const restored = this.cleared;
+    this.records = restored.concat(this.records);
+    this.cleared = [];
+    return restored;
+  }
+
+  /**
+   * Removes every record, cleared records included
+   */
+  destroy() {
+    this.records = [];
+    this.cleared = [];
+  }
+}
+
+/**
+ * Keeps records in a JSON Lines file, with an in-memory copy for reads
+ *
+ * Records removed by clear() are moved to a second file next to it
+ * (echoes.jsonl → echoes.cleared.jsonl), so a clear can be undone after a restart.
+ *
+ * The files are read once when the store is created. Unreadable lines, and
+ * lines that are not objects, are skipped (and counted in skippedLines) rather
+ * than failing the whole load. A legacy file holding a single JSON array, as
+ * written by JSON.stringify(chamber.getMemories()), is converted to JSON Lines
+ * the same way, entry by entry; if it is not JSON at all, it is copied to
+ * echoes.unreadable.json before the conversion empties it.
+ */
+class JsonLinesStore {
+  /**
+   * @param {string} [filePath] - Path of the JSON Lines file, created if missing
+   */
+  constructor(filePath = DEFAULT_FILE) {
+    this.filePath = filePath;
+    this.clearedPath = filePath.replace(/(\.jsonl)?$/, '.cleared.jsonl');
+    this.unreadablePath = filePath.replace(/(\.jsonl)?$/, '.unreadable.json');
+    this.records = [];
+    this.cleared = [];
+    this.skippedLines = 0;
+    this.load();
+  }
+
+  /**
+   * Reads and migrates the records from disk, rewriting the file if any
+   * record had to be migrated
+   */
+  load() {
+    if (fs.existsSync(this.clearedPath)) {
+      this.cleared = readJsonLines(fs.readFileSync(this.clearedPath, 'utf8')).records.map(migrateRecord);
+    }
+
+    if (!fs.existsSync(this.filePath)) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      return;
+    }
+
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    let rawRecords;
+    let needsRewrite = false;
+
+    if (content.trim().startsWith('[')) {
+      const read = readJsonArray(content);
+      if (read.unreadable) {
+        // Keep what is left of the file, since converting it would lose it
+        fs.copyFileSync(this.filePath, this.unreadablePath);
+      }
+      rawRecords = read.records;
+      this.skippedLines = read.skippedLines;
+      needsRewrite = true;
+    } else {
+      const read = readJsonLines(content);
+      rawRecords = read.records;
+      this.skippedLines = read.skippedLines;
+    }
+
+    this.records = rawRecords.map(record => {
+      const migrated = migrateRecord(record);
+      if (migrated !== record) {
+        needsRewrite = true;
+      }
+      return migrated;
+    });
+
+    if (needsRewrite) {
+      this.rewrite();
+    }
+  }
+
+  /**
+   * Writes every record to the file, replacing its contents
+   */
+  rewrite() {
+    const lines = this.records.map(record => JSON.stringify(record, replacer) + '\n');
+    fs.writeFileSync(this.filePath, lines.join(''));
+  }
+
+  /**
+   * @returns {Object[]} All stored records, oldest first
+   */
+  getAll() {
+    return this.records;
+  }
+
+  /**
+   * @param {Object} record - The record to add
+   */
+  append(record) {
+    fs.appendFileSync(this.filePath, JSON.stringify(record, replacer) + '\n');
+    this.records.push(record);
+  }
+
+  /**
+   * Removes one record and rewrites the file
+   *
+   * @param {Object} record - The record to remove, as returned by getAll()
+   * @returns {boolean} True if the record was found and removed
+   */
+  remove(record) {
+    const position = this.records.indexOf(record);
+    if (position === -1) {
+      return false;
+    }
+    this.records.splice(position, 1);
+    this.rewrite();
+    return true;
+  }
+
+  /**
+   * Removes every record, emptying the file
+   * The records are moved to the cleared file, replacing those of the previous clear;
+   * clearing an empty store keeps them, and creates no file if there was none
+   */
+  clear() {
+    if (this.records.length > 0) {
+      fs.writeFileSync(this.clearedPath, this.records.map(record => JSON.stringify(record, replacer) + '\n').join(''));
+      this.cleared = this.records;
+    }
+    if (fs.existsSync(this.filePath)) {
+      fs.writeFileSync(this.filePath, '');
+    }
+    this.records = [];
+  }
+
+  /**
+   * @returns {Object[]} The records removed by the last clear(), oldest first
+   */
+  getCleared() {
+    return this.cleared;
+  }
+
+  /**
+   * Puts the records removed by the last clear() back, before the records added since
+   * Rewrites the file and deletes the cleared file
+   *
+   * @returns {Object[]} The restored records; empty if there were none
+   */
+  restore() {
+    const restored = this.cleared;
+    this.records = restored.concat(this.records);
+    this.cleared = [];
+    this.rewrite();
+    if (fs.existsSync(this.clearedPath)) {
+      fs.unlinkSync(this.clearedPath);
+    }
+    return restored;
+  }
+
+  /**
+   * Removes every record and deletes the file, and the cleared file
+   */
+  destroy() {
+    [this.filePath, this.clearedPath].forEach(file => {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    });
+    this.records = [];
+    this.cleared = [];
+  }
+}
+
+/**
+ * Creates a store from configuration
+ *
+ * @param {Object} [config]
+ * @param {string} [config.type='memory'] - 'memory' or 'file'
+ * @param {string} [config.file] - Path of the JSON Lines file for the 'file' type
+ * @returns {MemoryStore|JsonLinesStore} The store
+ * @throws {Error} If the type is unknown
+ */
+function createStorage(config = {}) {
+  switch (config.type || 'memory') {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new JsonLinesStore(config.file || DEFAULT_FILE);
+    default:
+      throw new Error(`Unknown storage type "${config.type}". Use memory or file`);
+  }
+}
+
+/**
+ * Path of the file holding one web session's echoes
+ * Session files live in a sessions/ directory next to the configured file
+ *
+ * @param {Object} config - Configuration as for createStorage()
+ * @param {string} sessionId - The session id
+ * @returns {string} The file path
+ */
+function sessionFilePath(config, sessionId) {
+  return path.join(path.dirname(config.file || DEFAULT_FILE), 'sessions', `${sessionId}.jsonl`);
+}
+
+/**
+ * Creates the store for one web session
+ *
+ * @param {Object} [config] - Configuration as for createStorage()
+ * @param {string} sessionId - The session id
+ * @returns {MemoryStore|JsonLinesStore} The store
+ */
+function createSessionStorage(config = {}, sessionId) {
+  if ((config.type || 'memory') === 'file') {
+    return new JsonLinesStore(sessionFilePath(config, sessionId));
+  }
+  return createStorage(config);
+}
+
+/**
+ * Checks whether a web session has echoes stored from an earlier run
+ *
+ * @param {Object} [config] - Configuration as for createStorage()
+ * @param {string} sessionId - The session id
+ * @returns {boolean} True if the session's file exists
+ */
+function sessionStorageExists(config = {}, sessionId) {
+  return config.type === 'file' && fs.existsSync(sessionFilePath(config, sessionId));
+}
+
+/**
+ * Checks that echoes can be stored, for readiness probes
+ * The file type needs a writable sessions/ directory next to the configured file
+ *
+ * @param {Object} [config] - Configuration as for createStorage()
+ * @throws {Error} If the directory cannot be created or written to
+ */
+function checkStorage(config = {}) {
+  if ((config.type || 'memory') === 'file') {
+    const directory = path.dirname(sessionFilePath(config, 'check'));
+    fs.mkdirSync(directory, { recursive: true });
+    fs.accessSync(directory, fs.constants.W_OK);
+  }
+}
+
+/**
+ * Reads the storage configuration from environment variables
+ * ECHO_STORAGE selects the type, ECHO_STORAGE_FILE the file path
+ *
+ * @param {Object} [env=process.env] - The environment
+ * @returns {{ type: string, file?: string }} Configuration for createStorage()
+ */
+function storageConfigFromEnv(env = process.env) {
+  return {
+    type: env.ECHO_STORAGE || 'memory',
+    file: env.ECHO_STORAGE_FILE
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  MemoryStore,
+  JsonLinesStore,
+  migrateRecord,
+  createStorage,
+  createSessionStorage,
+  sessionStorageExists,
+  checkStorage,
+  storageConfigFromEnv
+};
@@ -143,11 +143,11 @@ if (test3_1.isValid && test3_1.difference === 2) {
   testsFailed++;
 }
 
-// Test 3.2: Invalid progression (geometric)
-console.log('\n3.2 - Invalid Progression [1, 2, 4, 8] (geometric, not arithmetic)');
+// Test 3.2: Geometric progression has no common difference
+console.log('\n3.2 - Geometric Progression [1, 2, 4, 8] (valid, but not arithmetic)');
 const test3_2 = chamber3.validateSequence([1, 2, 4, 8]);
-if (!test3_2.isValid) {
-  console.log('     ✓ PASSED (correctly identified as invalid)');
+if (test3_2.isValid && test3_2.pattern === 'geometric' && test3_2.difference === null) {
+  console.log('     ✓ PASSED (identified as geometric)');
   testsPassed++;
 } else {
   console.log('     ✗ FAILED');
@@ -321,25 +321,2861 @@ if (Array.isArray(testMemories)) {
 }
 
 // ============================================================
-// FINAL SUMMARY
+// PART 7: PATTERN DETECTION TESTS
 // ============================================================
 
-console.log('\n\n╔════════════════════════════════════════════════════════════╗');
-console.log('║                     TEST SUMMARY                           ║');
-console.log('╚════════════════════════════════════════════════════════════╝\n');
+console.log('\n\n📋 PART 7: PATTERN DETECTION TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const chamber7 = new EchoChamber();
+
+console.log('7.1 - Arithmetic Pattern [3, 6, 9, 12] reports its difference');
+const test7_1 = chamber7.predictNext([3, 6, 9, 12]);
+if (test7_1.pattern === 'arithmetic' && test7_1.parameters.difference === 3) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n7.2 - Geometric Pattern [3, 6, 12, 24] → 48 (ratio 2)');
+const test7_2 = chamber7.predictNext([3, 6, 12, 24]);
+if (test7_2.success && test7_2.nextNumber === 48 &&
+    test7_2.pattern === 'geometric' && test7_2.parameters.ratio === 2) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n7.3 - Quadratic Pattern [1, 4, 9, 16] → 25');
+const test7_3 = chamber7.predictNext([1, 4, 9, 16]);
+if (test7_3.success && test7_3.nextNumber === 25 &&
+    test7_3.pattern === 'polynomial' && test7_3.parameters.degree === 2) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n7.4 - Cubic Pattern [1, 8, 27, 64, 125] → 216');
+const test7_4 = chamber7.predictNext([1, 8, 27, 64, 125]);
+if (test7_4.success && test7_4.nextNumber === 216 && test7_4.parameters.degree === 3) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n7.5 - Fibonacci Pattern [1, 1, 2, 3, 5, 8] → 13');
+const test7_5 = chamber7.predictNext([1, 1, 2, 3, 5, 8]);
+if (test7_5.success && test7_5.nextNumber === 13 &&
+    test7_5.pattern === 'linear-recurrence' &&
+    test7_5.parameters.coefficients[0] === 1 && test7_5.parameters.coefficients[1] === 1) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n7.6 - Too Few Terms to Confirm a Cubic [1, 3, 4, 10] (should reject)');
+const test7_6 = chamber7.predictNext([1, 3, 4, 10]);
+if (!test7_6.success) {
+  console.log('     ✓ PASSED (correctly rejected)');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n7.7 - Custom Pattern via registerPattern()');
+const chamber7b = new EchoChamber();
+const primes = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29];
+chamber7b.registerPattern({
+  name: 'primes',
+  detect: seq => seq.every((n, i) => n === primes[i]) ? {} : null,
+  next: seq => primes[seq.length],
+  describe: () => 'prime sequence'
+});
+const test7_7 = chamber7b.predictNext([2, 3, 5, 7, 11]);
+if (test7_7.success && test7_7.nextNumber === 13 && test7_7.pattern === 'primes') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n7.8 - Memories Record the Detected Pattern');
+const patternMemories = chamber7.getMemories();
+if (patternMemories[1].pattern === 'geometric' && patternMemories[1].parameters.ratio === 2) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+// ============================================================
+// PART 8: MULTI-TERM PREDICTION & FORMULA TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 8: MULTI-TERM PREDICTION & FORMULA TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const chamber8 = new EchoChamber();
+
+console.log('8.1 - predictMany([3, 6, 9, 12], 3) → [15, 18, 21]');
+const test8_1 = chamber8.predictMany([3, 6, 9, 12], 3);
+if (test8_1.success && test8_1.nextNumbers.join(',') === '15,18,21' && test8_1.nextNumber === 15) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n8.2 - predictMany() records a single echo');
+if (chamber8.getMemories().length === 1 && chamber8.getMemories()[0].nextNumber === 15) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n8.3 - predictMany() rejects an invalid count');
+const test8_3 = chamber8.predictMany([3, 6, 9], 0);
+if (!test8_3.success && chamber8.getMemories().length === 1) {
+  console.log('     ✓ PASSED (correctly rejected)');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n8.4 - Closed-form Formulas');
+const formulas = [
+  [[3, 6, 9, 12], 'a_n = 3 + 3(n-1)'],
+  [[10, 7, 4, 1], 'a_n = 10 - 3(n-1)'],
+  [[3, 6, 12, 24], 'a_n = 3 * 2^(n-1)'],
+  [[2, 5, 10, 17], 'a_n = n^2 + 1'],
+  [[1, 1, 2, 3, 5], 'a_n = a_(n-1) + a_(n-2), a_1 = 1, a_2 = 1']
+];
+const wrongFormulas = formulas.filter(([sequence, expected]) => chamber8.predictNext(sequence).formula !== expected);
+if (wrongFormulas.length === 0) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log(`     ✗ FAILED (${wrongFormulas.map(([sequence]) => `[${sequence.join(', ')}]`).join('; ')})`);
+  testsFailed++;
+}
+
+console.log('\n8.5 - n-th Term Without Iterating');
+const nthTerms = [
+  [[3, 6, 9, 12], 100, 300],
+  [[1, 2, 4, 8], 11, 1024],
+  [[1, 4, 9, 16], 50, 2500],
+  [[1, 3, 6, 10], 100, 5050],
+  [[1, 1, 2, 3, 5], 30, 832040]
+];
+const wrongTerms = nthTerms.filter(([sequence, n, expected]) => chamber8.nthTerm(sequence, n).value !== expected);
+if (wrongTerms.length === 0) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log(`     ✗ FAILED (${wrongTerms.map(([sequence, n]) => `term ${n} of [${sequence.join(', ')}]`).join('; ')})`);
+  testsFailed++;
+}
+
+console.log('\n8.6 - nthTerm() rejects an invalid n');
+const test8_6 = chamber8.nthTerm([3, 6, 9], 0);
+if (!test8_6.success && test8_6.value === null) {
+  console.log('     ✓ PASSED (correctly rejected)');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n8.7 - predictMany() on a Long Sequence Takes Time in Proportion to Its Length');
+const { MAX_PREDICTION_COUNT } = require('./index.js');
+const longSquares = Array.from({ length: 2000 }, (_, i) => (i + 1) * (i + 1));
+const longStarted = Date.now();
+const test8_7 = new EchoChamber({ maxSequenceLength: Infinity }).predictMany(longSquares, MAX_PREDICTION_COUNT);
+const longElapsed = Date.now() - longStarted;
+console.log(`   ${MAX_PREDICTION_COUNT} terms after 2000 in ${longElapsed} ms`);
+if (test8_7.success && test8_7.nextNumber === 2001 * 2001 &&
+    test8_7.nextNumbers[MAX_PREDICTION_COUNT - 1] === (2000 + MAX_PREDICTION_COUNT) ** 2 && longElapsed < 1000) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+// ============================================================
+// PART 9: NUMBER MODE TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 9: NUMBER MODE TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const chamber9 = new EchoChamber();
+
+console.log('9.1 - Tolerant Mode (default) [0.1, 0.2, 0.3] → 0.4');
+const test9_1 = chamber9.predictNext([0.1, 0.2, 0.3]);
+if (test9_1.success && test9_1.nextNumber === 0.4 && test9_1.commonDifference === 0.1) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n9.2 - Strict Mode [0.1, 0.2, 0.3] (should reject, like === would)');
+const test9_2 = chamber9.predictNext([0.1, 0.2, 0.3], { mode: 'strict' });
+if (!test9_2.success) {
+  console.log('     ✓ PASSED (correctly rejected)');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n9.3 - Tolerance Does Not Blur Large Integers [1000000001, 1000000002, 1000000004]');
+const test9_3 = chamber9.predictNext([1000000001, 1000000002, 1000000004]);
+if (!test9_3.success) {
+  console.log('     ✓ PASSED (correctly rejected)');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n9.4 - Exact Mode ["1/3", "2/3", "1"] → "4/3"');
+const test9_4 = chamber9.predictNext(['1/3', '2/3', '1'], { mode: 'exact' });
+if (test9_4.success && test9_4.nextNumber === '4/3' && test9_4.commonDifference === '1/3') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n9.5 - Exact Mode Reads Decimals Exactly [0.1, 0.2, 0.3] → "2/5"');
+const test9_5 = chamber9.predictNext([0.1, 0.2, 0.3], { mode: 'exact' });
+if (test9_5.success && test9_5.nextNumber === '2/5') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n9.6 - Exact Geometric ["1/2", "1/4", "1/8"] → "1/16", term 10 = "1/1024"');
+const test9_6 = chamber9.predictNext(['1/2', '1/4', '1/8'], { mode: 'exact' });
+const test9_6b = chamber9.nthTerm(['1/2', '1/4', '1/8'], 10, { mode: 'exact' });
+if (test9_6.nextNumber === '1/16' && test9_6.parameters.ratio === '1/2' && test9_6b.value === '1/1024') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n9.7 - Invalid Modes, Tolerances and Fractions (should reject)');
+const test9_7 = [
+  chamber9.predictNext([1, 2, 3], { mode: 'fuzzy' }),
+  chamber9.predictNext([1, 2, 3], { tolerance: -1 }),
+  chamber9.predictNext(['1/0', '2', '3'], { mode: 'exact' }),
+  chamber9.predictNext(['1/3', '2/3', '1'])
+];
+if (test9_7.every(result => !result.success)) {
+  console.log('     ✓ PASSED (correctly rejected)');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n9.8 - Chamber-wide Default Mode');
+const chamber9b = new EchoChamber({ mode: 'exact' });
+const test9_8 = chamber9b.predictNext(['1/4', '1/2', '3/4']);
+if (test9_8.success && test9_8.nextNumber === '1' && test9_8.mode === 'exact') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n9.9 - Exact Terms Too Large to Build Are Refused Quickly, One by One or Many at Once');
+// aₙ = 10²⁰·aₙ₋₁ + aₙ₋₂, which has no closed form for pow() to check up front
+const fastRecurrence = [1n, 1n];
+while (fastRecurrence.length < 5) {
+  fastRecurrence.push(10n ** 20n * fastRecurrence[fastRecurrence.length - 1] + fastRecurrence[fastRecurrence.length - 2]);
+}
+const hugeStarted = Date.now();
+const test9_9 = [
+  chamber9.nthTerm(['1', '1e200', '1e400'], 100000, { mode: 'exact' }),
+  chamber9.nthTerm(fastRecurrence.map(String), 100000, { mode: 'exact' }),
+  chamber9.predictMany(['1', '1e200', '1e400'], MAX_PREDICTION_COUNT, { mode: 'exact' })
+];
+const hugeElapsed = Date.now() - hugeStarted;
+const test9_9b = chamber9.nthTerm(['1', '2', '4'], 1001, { mode: 'exact' });
+console.log(`   Refused in ${hugeElapsed} ms`);
+if (test9_9.every(result => !result.success && result.error.code === 'TERM_OUT_OF_RANGE') &&
+    hugeElapsed < 1000 && test9_9b.value === (2n ** 1000n).toString()) {
+  console.log('     ✓ PASSED (correctly rejected)');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+// ============================================================
+// PART 10: BIGINT TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 10: BIGINT TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const chamber10 = new EchoChamber();
+
+console.log('10.1 - BigInt Sequence [9007199254740993n, ...995n, ...997n] → 9007199254740999n');
+const test10_1 = chamber10.predictNext([9007199254740993n, 9007199254740995n, 9007199254740997n]);
+if (test10_1.success && test10_1.nextNumber === 9007199254740999n &&
+    test10_1.commonDifference === 2n && test10_1.mode === 'bigint') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n10.2 - Digit Strings in bigint Mode ["12345678901234567890", "12345678901234567900"]');
+const test10_2 = chamber10.predictNext(['12345678901234567890', '12345678901234567900'], { mode: 'bigint' });
+if (test10_2.success && test10_2.nextNumber === 12345678901234567910n) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n10.3 - Unsafe Integers as Numbers (should reject instead of losing precision)');
+const test10_3 = chamber10.predictNext([9007199254740993, 9007199254740995]);
+if (!test10_3.success && test10_3.message.includes('MAX_SAFE_INTEGER')) {
+  console.log('     ✓ PASSED (correctly rejected)');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
 
-const totalTests = testsPassed + testsFailed;
-const successRate = totalTests > 0 ? Math.round((testsPassed / totalTests) * 100) : 0;
+console.log('\n10.4 - Fibonacci Term 100 Without Overflow');
+const test10_4 = chamber10.nthTerm([1n, 1n, 2n, 3n, 5n], 100);
+if (test10_4.success && test10_4.value === 354224848179261915075n) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
 
-console.log(`📊 Total Tests: ${totalTests}`);
-console.log(`✓ Passed: ${testsPassed}`);
-console.log(`✗ Failed: ${testsFailed}`);
-console.log(`📈 Success Rate: ${successRate}%`);
+console.log('\n10.5 - Non-whole Values in bigint Mode (should reject)');
+const test10_5 = chamber10.predictNext(['1.5', '2', '2.5'], { mode: 'bigint' });
+if (!test10_5.success) {
+  console.log('     ✓ PASSED (correctly rejected)');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
 
-if (testsFailed === 0) {
-  console.log('\n🎉 ALL TESTS PASSED! The Echo Chamber is ready for adventure!\n');
+console.log('\n10.6 - BigInts Serialise as Decimal Strings');
+const { bigintReplacer } = require('./number-systems.js');
+const test10_6 = JSON.parse(JSON.stringify(chamber10.getMemories(), bigintReplacer));
+if (test10_6[0].nextNumber === '9007199254740999' && test10_6[0].sequence[0] === '9007199254740993') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
 } else {
-  console.log('\n⚠️  Some tests failed. Please review the output above.\n');
+  console.log('     ✗ FAILED');
+  testsFailed++;
 }
 
+// ============================================================
+// PART 11: PERSISTENT STORAGE TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 11: PERSISTENT STORAGE TESTS');
 console.log('═══════════════════════════════════════════════════════════\n');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonLinesStore, MemoryStore, createStorage } = require('./storage.js');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'echo-chamber-'));
+const echoFile = path.join(storageDir, 'echoes.jsonl');
+
+console.log('11.1 - Echoes Survive a Restart');
+const chamber11a = new EchoChamber({ storage: new JsonLinesStore(echoFile) });
+chamber11a.predictNext([3, 6, 9]);
+chamber11a.predictNext([2n, 4n, 8n]);
+const chamber11b = new EchoChamber({ storage: new JsonLinesStore(echoFile) });
+const reloaded = chamber11b.getMemories();
+if (reloaded.length === 2 && reloaded[0].nextNumber === 12 && reloaded[1].nextNumber === 16n) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n11.2 - Prediction Index Continues After a Restart');
+chamber11b.predictNext([1, 2, 3]);
+if (chamber11b.getMemories()[2].predictionIndex === 3) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n11.3 - Clearing Empties the File');
+chamber11b.clearMemories();
+if (fs.readFileSync(echoFile, 'utf8') === '' && new JsonLinesStore(echoFile).getAll().length === 0) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n11.4 - Legacy Records Are Migrated');
+const legacyRecord = { sequence: [3, 6, 9, 12], nextNumber: 15, commonDifference: 3, timestamp: '10:30:45 AM', predictionIndex: 1 };
+fs.writeFileSync(echoFile, JSON.stringify(legacyRecord) + '\nnot json\n');
+const migratedStore = new JsonLinesStore(echoFile);
+const migrated = migratedStore.getAll()[0];
+const rewritten = JSON.parse(fs.readFileSync(echoFile, 'utf8').split('\n')[0]);
+if (migrated.pattern === 'arithmetic' && migrated.parameters.difference === 3 &&
+    migrated.schemaVersion === 2 && rewritten.schemaVersion === 2 && migratedStore.skippedLines === 1) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n11.5 - Legacy JSON Array Files Are Converted to JSON Lines');
+fs.writeFileSync(echoFile, JSON.stringify([legacyRecord, { ...legacyRecord, predictionIndex: 2 }], null, 2));
+const convertedStore = new JsonLinesStore(echoFile);
+const convertedLines = fs.readFileSync(echoFile, 'utf8').trim().split('\n');
+if (convertedStore.getAll().length === 2 && convertedLines.length === 2) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n11.6 - createStorage() Selects the Store from Config');
+let unknownRejected = false;
+try {
+  createStorage({ type: 'floppy' });
+} catch (error) {
+  unknownRejected = true;
+}
+if (createStorage() instanceof MemoryStore &&
+    createStorage({ type: 'file', file: echoFile }) instanceof JsonLinesStore &&
+    unknownRejected) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n11.7 - Bad Entries of Legacy Files Are Skipped, and Unreadable Ones Kept Aside');
+fs.writeFileSync(echoFile, JSON.stringify([legacyRecord, 42, null, { ...legacyRecord, predictionIndex: 2 }]));
+const partlyBadStore = new JsonLinesStore(echoFile);
+fs.writeFileSync(echoFile, JSON.stringify([legacyRecord, legacyRecord]).slice(0, 60));
+const truncatedStore = new JsonLinesStore(echoFile);
+const unreadableCopy = echoFile.replace(/\.jsonl$/, '.unreadable.json');
+const keptContent = fs.existsSync(unreadableCopy) ? fs.readFileSync(unreadableCopy, 'utf8') : null;
+fs.writeFileSync(echoFile, JSON.stringify(legacyRecord) + '\n[1, 2, 3]\nnull\n');
+const badLinesStore = new JsonLinesStore(echoFile);
+console.log(`   Skipped: ${partlyBadStore.skippedLines}, ${truncatedStore.skippedLines} and ${badLinesStore.skippedLines}`);
+if (partlyBadStore.getAll().length === 2 && partlyBadStore.skippedLines === 2 &&
+    truncatedStore.getAll().length === 0 && truncatedStore.skippedLines === 1 &&
+    keptContent === JSON.stringify([legacyRecord, legacyRecord]).slice(0, 60) &&
+    badLinesStore.getAll().length === 1 && badLinesStore.skippedLines === 2) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+if (fs.existsSync(unreadableCopy)) {
+  fs.unlinkSync(unreadableCopy);
+}
+
+// destroy() deletes the cleared file 11.3 left next to the file, too
+new JsonLinesStore(echoFile).destroy();
+fs.rmdirSync(storageDir);
+
+// ============================================================
+// PART 12: SESSION TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 12: SESSION TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const { SessionManager, parseCookies } = require('./sessions.js');
+const { createSessionStorage, sessionStorageExists } = require('./storage.js');
+
+let clock = 0;
+const sessionManager = new SessionManager({
+  idleTimeout: 1000,
+  createChamber: () => new EchoChamber(),
+  now: () => clock
+});
+
+console.log('12.1 - Unknown Ids Get a New Session, Known Ids Get Their Own');
+const sessionA = sessionManager.resolve(null);
+const sessionB = sessionManager.resolve('not-a-session-id');
+if (/^[0-9a-f]{32}$/.test(sessionA.id) &&
+    sessionA.id !== sessionB.id &&
+    sessionManager.resolve(sessionA.id) === sessionA) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n12.2 - Sessions Keep Separate Memories');
+sessionA.chamber.predictNext([1, 2, 3]);
+sessionA.chamber.predictNext([2, 4, 6]);
+sessionB.chamber.clearMemories();
+if (sessionA.chamber.getMemories().length === 2 && sessionB.chamber.getMemories().length === 0) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n12.3 - Idle Sessions Expire');
+clock = 800;
+sessionManager.resolve(sessionA.id);
+clock = 1500;
+const expiredCount = sessionManager.sweep();
+const afterExpiry = sessionManager.resolve(sessionB.id);
+if (expiredCount === 1 &&
+    afterExpiry.id !== sessionB.id &&
+    sessionManager.resolve(sessionA.id) === sessionA) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n12.4 - Admin List Masks Ids and Counts Memories');
+const listedA = sessionManager.list().find(entry => sessionA.id.startsWith(entry.id.slice(0, 8)));
+if (sessionManager.list().length === 2 &&
+    listedA &&
+    listedA.id.length === 9 &&
+    listedA.memoryCount === 2 &&
+    listedA.expiresAt === new Date(2500).toISOString()) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n12.5 - Stored Sessions Are Restored, Expired Session Files Are Deleted');
+const sessionDir = fs.mkdtempSync(path.join(os.tmpdir(), 'echo-sessions-'));
+const sessionConfig = { type: 'file', file: path.join(sessionDir, 'echoes.jsonl') };
+const fileSessions = new SessionManager({
+  idleTimeout: 1000,
+  createChamber: id => new EchoChamber({ storage: createSessionStorage(sessionConfig, id) }),
+  canRestore: id => sessionStorageExists(sessionConfig, id),
+  now: () => clock
+});
+const storedSession = fileSessions.resolve(null);
+storedSession.chamber.predictNext([5, 10, 15]);
+const restartedSessions = new SessionManager({
+  idleTimeout: 1000,
+  createChamber: id => new EchoChamber({ storage: createSessionStorage(sessionConfig, id) }),
+  canRestore: id => sessionStorageExists(sessionConfig, id),
+  now: () => clock
+});
+const restoredSession = restartedSessions.resolve(storedSession.id);
+const restored = restoredSession.id === storedSession.id && restoredSession.chamber.getMemories().length === 1;
+clock += 5000;
+restartedSessions.sweep();
+if (restored && !sessionStorageExists(sessionConfig, storedSession.id)) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+fs.rmdirSync(path.join(sessionDir, 'sessions'));
+fs.rmdirSync(sessionDir);
+
+console.log('\n12.6 - Cookie Header Parsing');
+const cookies = parseCookies('theme=dark; echo_session=abc%20def;broken');
+if (cookies.theme === 'dark' && cookies.echo_session === 'abc def' && Object.keys(parseCookies()).length === 0) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n12.7 - Past the Session Limit the Least Recently Used Session Ends, and Only Sessions With Echoes Get a File');
+const cappedDir = fs.mkdtempSync(path.join(os.tmpdir(), 'echo-sessions-'));
+const cappedConfig = { type: 'file', file: path.join(cappedDir, 'echoes.jsonl') };
+const cappedSessions = new SessionManager({
+  maxSessions: 2,
+  createChamber: id => new EchoChamber({ storage: createSessionStorage(cappedConfig, id) }),
+  now: () => clock
+});
+const oldestSession = cappedSessions.resolve(null);
+oldestSession.chamber.predictNext([1, 2, 3]);
+const quietSession = cappedSessions.resolve(null);
+quietSession.chamber.clearMemories();
+const quietHasFile = sessionStorageExists(cappedConfig, quietSession.id);
+// Using the oldest session again makes the quiet one the least recently used
+cappedSessions.resolve(oldestSession.id);
+const newestSession = cappedSessions.resolve(null);
+const cappedIds = Array.from(cappedSessions.sessions.keys());
+const oldestKeptFile = sessionStorageExists(cappedConfig, oldestSession.id);
+// The quiet session has ended, so its id starts yet another one, which ends the oldest
+const quietReturns = cappedSessions.resolve(quietSession.id);
+let zeroLimitError = null;
+try {
+  new SessionManager({ maxSessions: 0, createChamber: () => new EchoChamber() });
+} catch (error) {
+  zeroLimitError = error;
+}
+console.log(`   Sessions kept: ${cappedIds.length}; quiet session had a file: ${quietHasFile}`);
+if (cappedIds.length === 2 && cappedIds.includes(oldestSession.id) && cappedIds.includes(newestSession.id) &&
+    !quietHasFile && oldestKeptFile && !sessionStorageExists(cappedConfig, newestSession.id) &&
+    quietReturns.id !== quietSession.id && !sessionStorageExists(cappedConfig, oldestSession.id) &&
+    zeroLimitError instanceof RangeError) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+fs.rmdirSync(path.join(cappedDir, 'sessions'));
+fs.rmdirSync(cappedDir);
+
+// ============================================================
+// PART 13: MEMORY QUERY TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 13: MEMORY QUERY TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const queryChamber = new EchoChamber();
+queryChamber.predictNext([3, 6, 9]);
+queryChamber.predictNext([1, 2, 3, 4, 5]);
+queryChamber.predictNext([2, 4, 8, 16]);
+queryChamber.predictNext([10, 13, 16, 19]);
+queryChamber.predictNext([5, 4, 3]);
+queryChamber.predictNext(['1/3', '2/3', '1'], { mode: 'exact' });
+
+console.log('13.1 - Pages Follow Each Other Through Cursors');
+const firstPage = queryChamber.queryMemories({ limit: '4' });
+const secondPage = queryChamber.queryMemories({ limit: '4', cursor: firstPage.nextCursor });
+const pagedIndexes = firstPage.memories.concat(secondPage.memories).map(memory => memory.predictionIndex);
+if (firstPage.count === 4 && firstPage.total === 6 &&
+    secondPage.count === 2 && secondPage.nextCursor === null &&
+    pagedIndexes.join(',') === '1,2,3,4,5,6') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n13.2 - Filters by Difference, Length and Pattern');
+const byDifference = queryChamber.queryMemories({ difference: '3' });
+const byFraction = queryChamber.queryMemories({ difference: '1/3' });
+const byLength = queryChamber.queryMemories({ minLength: 4, maxLength: 4 });
+const byPattern = queryChamber.queryMemories({ pattern: 'geometric' });
+if (byDifference.memories.map(memory => memory.predictionIndex).join(',') === '1,4' &&
+    byFraction.total === 1 &&
+    byLength.total === 2 &&
+    byPattern.total === 1 && byPattern.memories[0].predictionIndex === 3) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n13.3 - Sorts by Difference, Echoes Without One Last');
+const sortedDesc = queryChamber.queryMemories({ sort: 'difference', order: 'desc' });
+const sortedPaged = queryChamber.queryMemories({ sort: 'difference', order: 'desc', limit: 2 });
+const sortedRest = queryChamber.queryMemories({ sort: 'difference', order: 'desc', limit: 10, cursor: sortedPaged.nextCursor });
+if (sortedDesc.memories.map(memory => memory.predictionIndex).join(',') === '4,1,2,6,5,3' &&
+    sortedRest.memories.map(memory => memory.predictionIndex).join(',') === '2,6,5,3') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n13.4 - Filters by Time Range');
+const inRange = queryChamber.queryMemories({ from: '2000-01-01T00:00:00Z', to: new Date(Date.now() + 60000).toISOString() });
+const beforeRange = queryChamber.queryMemories({ to: '2000-01-01T00:00:00Z' });
+if (inRange.total === 6 && beforeRange.total === 0) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n13.5 - Rejects Bad Queries');
+const badQueries = [{ limit: 0 }, { limit: 501 }, { sort: 'colour' }, { order: 'up' },
+  { difference: 'abc' }, { from: 'yesterday' }, { cursor: 'not-a-cursor' }, { length: -1 }];
+if (badQueries.every(query => !queryChamber.queryMemories(query).success)) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n13.6 - Single Echoes Can Be Read and Deleted');
+const cursorBeforeDelete = queryChamber.queryMemories({ limit: 2 }).nextCursor;
+const deleted = queryChamber.deleteMemory(2);
+const afterDelete = queryChamber.queryMemories({ limit: 2, cursor: cursorBeforeDelete });
+if (queryChamber.getMemory('3').pattern === 'geometric' &&
+    deleted && !queryChamber.deleteMemory(2) &&
+    queryChamber.getMemory(2) === null &&
+    afterDelete.memories.map(memory => memory.predictionIndex).join(',') === '3,4') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n13.7 - File Store Removes Echoes From Disk');
+const removeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'echo-remove-'));
+const removeFile = path.join(removeDir, 'echoes.jsonl');
+const removeChamber = new EchoChamber({ storage: new JsonLinesStore(removeFile) });
+removeChamber.predictNext([1, 2, 3]);
+removeChamber.predictNext([2, 4, 6]);
+removeChamber.deleteMemory(1);
+const reloadedAfterRemove = new EchoChamber({ storage: new JsonLinesStore(removeFile) });
+if (reloadedAfterRemove.getMemories().length === 1 && reloadedAfterRemove.getMemories()[0].predictionIndex === 2) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+fs.unlinkSync(removeFile);
+fs.rmdirSync(removeDir);
+
+console.log('\n13.8 - Sorts by Creation Date, Not by Insertion Order');
+const datedChamber = new EchoChamber();
+datedChamber.importMemories([
+  { sequence: [1, 2, 3], nextNumber: 4, createdAt: '2024-03-01T00:00:00.000Z' },
+  { sequence: [2, 4, 6], nextNumber: 8, createdAt: '2023-01-01T00:00:00.000Z' },
+  { sequence: [3, 6, 9], nextNumber: 12, createdAt: '2024-01-01T00:00:00.000Z' }
+]);
+datedChamber.predictNext([5, 10, 15]);
+const oldestFirst = datedChamber.queryMemories({ sort: 'createdAt' });
+const newestFirst = datedChamber.queryMemories({ sort: 'createdAt', order: 'desc' });
+const datedPage = datedChamber.queryMemories({ limit: 2 });
+const datedRest = datedChamber.queryMemories({ limit: 2, cursor: datedPage.nextCursor });
+console.log(`   Oldest first: ${oldestFirst.memories.map(memory => memory.predictionIndex).join(', ')}`);
+if (oldestFirst.memories.map(memory => memory.predictionIndex).join(',') === '2,3,1,4' &&
+    newestFirst.memories.map(memory => memory.predictionIndex).join(',') === '4,1,3,2' &&
+    datedPage.memories.concat(datedRest.memories).map(memory => memory.predictionIndex).join(',') === '2,3,1,4') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+// ============================================================
+// PART 14: EXPORT & IMPORT TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 14: EXPORT & IMPORT TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const { exportMemories, parseMemoryImport } = require('./memory-export.js');
+
+const exportChamber = new EchoChamber();
+exportChamber.predictNext([3, 6, 9, 12]);
+exportChamber.predictNext(['1/3', '2/3', '1'], { mode: 'exact' });
+exportChamber.predictNext([2n ** 60n, 2n ** 61n, 2n ** 62n]);
+exportChamber.predictNext([0.1, 0.2, 0.30000000000000004]);
+
+console.log('14.1 - JSON Export Round-Trips');
+const jsonExport = exportChamber.exportMemories('json');
+const jsonTarget = new EchoChamber();
+const jsonImport = jsonTarget.importMemories(parseMemoryImport(jsonExport, 'json'));
+if (JSON.parse(jsonExport).memories.length === 4 &&
+    jsonImport.success && jsonImport.imported === 4 &&
+    jsonTarget.getMemories()[2].nextNumber === 2n ** 63n &&
+    jsonTarget.getMemories()[0].createdAt === exportChamber.getMemories()[0].createdAt) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n14.2 - CSV Export Round-Trips');
+const csvExport = exportChamber.exportMemories('csv');
+const csvLines = csvExport.trim().split('\n');
+const csvTarget = new EchoChamber();
+const csvImport = csvTarget.importMemories(parseMemoryImport(csvExport, 'csv'));
+if (csvLines.length === 5 &&
+    csvLines[1].includes(',3 6 9 12,15,3,arithmetic,"{""difference"":3}"') &&
+    csvImport.success && csvImport.imported === 4 &&
+    csvTarget.getMemories()[1].nextNumber === '4/3') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n14.3 - CSV Parsing Handles Quotes and Line Endings');
+const quotedCsv = 'pattern,sequence,nextNumber\r\n"arith,metic","1 2 3",4\r\n"say ""hi""",2 4,6\r\n';
+const quotedRecords = parseMemoryImport(quotedCsv, 'csv');
+if (quotedRecords.length === 2 &&
+    quotedRecords[0].pattern === 'arith,metic' &&
+    quotedRecords[1].pattern === 'say "hi"' &&
+    quotedRecords[1].sequence.join(',') === '2,4') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n14.4 - Import Rejects Records That Do Not Verify');
+const mixedTarget = new EchoChamber();
+const mixedImport = mixedTarget.importMemories([
+  { sequence: [2, 4, 6], nextNumber: 8 },
+  { sequence: [1, 3, 4, 10], nextNumber: 12 },
+  { sequence: [1, 2, 3], nextNumber: 5 },
+  { sequence: [1, 2, 3], nextNumber: 4, pattern: 'geometric' },
+  { sequence: [1, 2, 3] },
+  'not a record'
+]);
+if (!mixedImport.success &&
+    mixedImport.imported === 1 &&
+    mixedImport.rejected.map(entry => entry.record).join(',') === '2,3,4,5,6' &&
+    mixedTarget.getMemories().length === 1 &&
+    !mixedTarget.importMemories({ memories: [] }).success) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n14.5 - Unreadable Imports and Unknown Formats Throw');
+const throwsError = fn => {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return true;
+  }
+};
+if (throwsError(() => exportMemories([], 'xml')) &&
+    throwsError(() => parseMemoryImport('{"echoes": []}', 'json')) &&
+    throwsError(() => parseMemoryImport('a,b\n1,2', 'csv')) &&
+    throwsError(() => parseMemoryImport('sequence,nextNumber\n"1 2,3', 'csv'))) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+// ============================================================
+// PART 15: BATCH PREDICTION TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 15: BATCH PREDICTION TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const { MAX_BATCH_SIZE, NdjsonLines, predictBatch, predictNdjsonLine } = require('./batch.js');
+
+console.log('15.1 - Bad Items Do Not Fail the Batch');
+const batchChamber = new EchoChamber();
+const batch = predictBatch(batchChamber, [[3, 6, 9], [1, 3, 4, 10], 'not a sequence', { sequence: [2, 4, 8] }]);
+if (batch.success && batch.succeeded === 2 && batch.failed === 2 &&
+    batch.results.map(result => `${result.index}:${result.success}`).join(',') === '0:true,1:false,2:false,3:true' &&
+    batch.results[3].nextNumber === 16 &&
+    batchChamber.getMemories().length === 2) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n15.2 - Items Override the Batch Options');
+const overridden = predictBatch(new EchoChamber(), [
+  [1, 2, 3],
+  { sequence: ['1/3', '2/3'], mode: 'exact', count: 1 },
+  ['9007199254740993', '9007199254740995']
+], { count: 2 });
+if (overridden.results[0].nextNumbers.join(',') === '4,5' &&
+    overridden.results[1].nextNumbers.join(',') === '1' && overridden.results[1].mode === 'exact' &&
+    overridden.results[2].nextNumbers[0] === 9007199254740997n) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n15.3 - Unusable Batches Are Rejected');
+const tooBig = predictBatch(new EchoChamber(), new Array(MAX_BATCH_SIZE + 1).fill([1, 2]));
+if (!predictBatch(new EchoChamber(), { sequence: [1, 2] }).success && !tooBig.success) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n15.4 - NDJSON Lines Are Predicted One by One');
+const streamChamber = new EchoChamber();
+const goodLine = predictNdjsonLine(streamChamber, '[5, 10, 15]', 0);
+const badLine = predictNdjsonLine(streamChamber, '[5, 10,', 1);
+if (goodLine.success && goodLine.nextNumber === 20 && goodLine.index === 0 &&
+    !badLine.success && badLine.index === 1 && badLine.message.includes('Invalid JSON')) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n15.5 - NDJSON Bodies Are Split Across Chunks Within Their Size Limits');
+const ndjson = new NdjsonLines({ maxLineBytes: 16, maxBytes: 64 });
+const ndjsonLines = [Buffer.from('[1, 2'), Buffer.from(', 3]\r\n\n[2, 4, 8]\n[5, 6, 7]')]
+  .map(chunk => ndjson.push(chunk))
+  .concat([ndjson.end()]);
+const longLine = new NdjsonLines({ maxLineBytes: 16, maxBytes: 64 });
+const endlessLine = new NdjsonLines({ maxLineBytes: 16 });
+endlessLine.push(Buffer.from('[1, 2, 3, 4, 5'));
+const largeBody = new NdjsonLines({ maxLineBytes: 16, maxBytes: 64 });
+if (JSON.stringify(ndjsonLines) === JSON.stringify([[], ['[1, 2, 3]', '', '[2, 4, 8]'], ['[5, 6, 7]']]) &&
+    longLine.push(Buffer.from('[1, 2, 3, 4, 5, 6, 7]\n')) === null &&
+    endlessLine.push(Buffer.from(', 6, 7')) === null &&
+    largeBody.push(Buffer.from('[1, 2, 3]\n'.repeat(7))) === null) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log(`     ✗ FAILED ${JSON.stringify(ndjsonLines)}`);
+  testsFailed++;
+}
+
+console.log('\n15.6 - Unexpected Item Errors Are Logged, Not Sent');
+const loggedItemErrors = [];
+const brokenChamber = { predictNext() { throw new Error('cannot write /var/lib/echo/echoes.jsonl'); } };
+const brokenBatch = predictBatch(brokenChamber, [[1, 2, 3]], {
+  log: { error: (msg, fields) => loggedItemErrors.push({ msg, ...fields }) },
+  requestId: 'r7'
+});
+const brokenItem = brokenBatch.results[0];
+console.log(`   ${brokenItem.message}`);
+if (!brokenItem.success && brokenItem.error.code === 'INTERNAL_ERROR' && brokenItem.error.requestId === 'r7' &&
+    !JSON.stringify(brokenItem).includes('/var/lib') &&
+    loggedItemErrors.length === 1 && loggedItemErrors[0].index === 0 &&
+    loggedItemErrors[0].error.message.includes('/var/lib') &&
+    predictBatch(brokenChamber, [[1, 2, 3]]).results[0].error.requestId === undefined) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+// ============================================================
+// PART 16: ERROR CODE TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 16: ERROR CODE TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const { ERROR_CODES, httpStatus } = require('./errors.js');
+
+const codeChamber = new EchoChamber();
+
+console.log('16.1 - Validation Failures Carry Stable Codes');
+const expectedCodes = [
+  [codeChamber.validateSequence('1,2,3'), 'NOT_ARRAY'],
+  [codeChamber.validateSequence([1]), 'TOO_SHORT'],
+  [codeChamber.validateSequence([1, 2], { tolerance: -1 }), 'INVALID_TOLERANCE'],
+  [codeChamber.validateSequence([1, 2], { mode: 'fuzzy' }), 'UNKNOWN_MODE'],
+  [codeChamber.validateSequence([1, 2, 'x']), 'NON_NUMERIC'],
+  [codeChamber.validateSequence([1, 2, 2.5], { mode: 'bigint' }), 'NOT_WHOLE_NUMBER'],
+  [codeChamber.validateSequence([1, 2, 9007199254740993]), 'UNSAFE_INTEGER'],
+  [codeChamber.validateSequence([1, 3, 4, 10]), 'NO_PATTERN']
+];
+if (expectedCodes.every(([result, code]) => !result.isValid && result.error.code === code) &&
+    codeChamber.validateSequence([1, 2, 3]).error === undefined) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n16.2 - Errors Name the Offending Index and Value');
+const nonNumeric = codeChamber.predictNext([1, 2, 'three', 4]).error;
+const unknownMode = codeChamber.predictNext([1, 2], { mode: 'fuzzy' }).error;
+if (nonNumeric.index === 2 && nonNumeric.value === 'three' && unknownMode.value === 'fuzzy') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n16.3 - Prediction Options, Queries and Batches Have Codes Too');
+const importResult = codeChamber.importMemories([{ sequence: [1, 2, 3], nextNumber: 5 }, {}]);
+if (codeChamber.predictMany([1, 2, 3], 0).error.code === ERROR_CODES.INVALID_COUNT &&
+    codeChamber.nthTerm([1, 2, 3], -1).error.code === ERROR_CODES.INVALID_TERM_INDEX &&
+    codeChamber.queryMemories({ order: 'sideways' }).error.field === 'order' &&
+    importResult.rejected.map(entry => entry.code).join(',') === 'NEXT_NUMBER_MISMATCH,MISSING_NEXT_NUMBER' &&
+    predictBatch(codeChamber, [42]).results[0].error.code === ERROR_CODES.INVALID_ITEM) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n16.4 - Codes Map to HTTP Status Codes');
+if (httpStatus(ERROR_CODES.NOT_ARRAY) === 400 &&
+    httpStatus(ERROR_CODES.NO_PATTERN) === 422 &&
+    httpStatus(ERROR_CODES.ECHO_NOT_FOUND) === 404 &&
+    httpStatus(ERROR_CODES.BATCH_TOO_LARGE) === 413 &&
+    httpStatus(ERROR_CODES.INTERNAL_ERROR) === 500) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+// ============================================================
+// PART 17: TRANSLATION TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 17: TRANSLATION TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const {
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  negotiateLocale,
+  translate,
+  webMessages,
+  parseLangOption
+} = require('./i18n.js');
+
+console.log('17.1 - Messages Are Translated, with English as the Fallback');
+if (translate('it-IT', 'chamber.next', { value: 15 }) === '✓ Il prossimo numero della sequenza è: 15' &&
+    translate('fr-FR', 'chamber.next', { value: 15 }) === '✓ The next number in the sequence is: 15' &&
+    translate('it-IT', 'no.such.key') === 'no.such.key' &&
+    translate('en', 'chamber.imported', { count: 1 }) === '✓ Imported 1 echo' &&
+    translate('en', 'chamber.imported', { count: 3 }) === '✓ Imported 3 echoes') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n17.2 - Accept-Language Picks the Best Supported Locale');
+if (negotiateLocale('it-CH, en;q=0.8') === 'it-IT' &&
+    negotiateLocale('fr, en;q=0.5, it;q=0.9') === 'it-IT' &&
+    negotiateLocale('fr, de;q=0.5') === 'en' &&
+    negotiateLocale('it;q=0, en-GB') === 'en' &&
+    negotiateLocale(undefined) === 'en' &&
+    resolveLocale('it_it') === 'it-IT' && resolveLocale('xx') === null) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n17.3 - Every English Message Has an Italian Translation');
+const collectKeys = (node, prefix) => Object.keys(node).reduce((keys, key) => (
+  typeof node[key] === 'object'
+    ? keys.concat(collectKeys(node[key], `${prefix}${key}.`))
+    : keys.concat(`${prefix}${key}`)
+), []);
+const englishKeys = collectKeys(require('./locales/en.json'), '');
+const italianKeys = collectKeys(require('./locales/it-IT.json'), '');
+const missingKeys = englishKeys.filter(key => !italianKeys.includes(key));
+console.log(`   Keys: ${englishKeys.length}, missing in it-IT: ${missingKeys.length ? missingKeys.join(', ') : 'none'}`);
+if (SUPPORTED_LOCALES.includes('it-IT') && missingKeys.length === 0 &&
+    italianKeys.every(key => englishKeys.includes(key))) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n17.4 - The Chamber Speaks Its Locale, and Calls Can Override It');
+const italianChamber = new EchoChamber({ locale: 'it-IT' });
+const italianPrediction = italianChamber.predictNext([3, 6, 9]);
+const italianFailure = italianChamber.predictNext([1, 3, 4, 10]);
+const englishOverride = italianChamber.predictNext([3, 6, 9], { locale: 'en' });
+console.log(`   ${italianPrediction.message}`);
+console.log(`   ${italianFailure.message}`);
+if (italianPrediction.message === '✓ Il prossimo numero della sequenza è: 12' &&
+    italianFailure.message.startsWith('❌ Errore: Nessuno schema noto') &&
+    italianFailure.error.code === 'NO_PATTERN' &&
+    englishOverride.message === '✓ The next number in the sequence is: 12' &&
+    new EchoChamber().predictNext([3, 6, 9]).message === '✓ The next number in the sequence is: 12') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n17.5 - Pattern Names Are Translated, Identifiers Are Not');
+const italianQuadratic = italianChamber.validateSequence([1, 4, 9, 16]);
+// Degrees above 3 need a polynomial detector that looks further than the default one
+const { polynomial } = require('./patterns.js');
+const quarticPatterns = [polynomial(4)];
+const italianQuartic = new EchoChamber({ patterns: quarticPatterns, locale: 'it-IT' })
+  .validateSequence([1, 16, 81, 256, 625, 1296]);
+const englishQuartic = new EchoChamber({ patterns: quarticPatterns }).validateSequence([1, 16, 81, 256, 625, 1296]);
+console.log(`   ${italianQuadratic.message}`);
+console.log(`   ${italianQuartic.message}`);
+if (italianQuadratic.message === '✓ Rilevata una sequenza quadratica valida!' &&
+    italianQuadratic.pattern === 'polynomial' &&
+    italianQuartic.message.includes('grado 4') &&
+    englishQuartic.message === '✓ Valid degree-4 polynomial sequence detected!') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n17.6 - Queries, Imports and Batches Follow the Locale');
+const italianQuery = italianChamber.queryMemories({ order: 'sideways' });
+const italianImport = italianChamber.importMemories([{ sequence: [1, 2, 3], nextNumber: 5 }]);
+const italianBatch = predictBatch(italianChamber, [[1, 2], 42], { locale: 'it-IT' });
+if (italianQuery.message === '❌ Errore: order deve essere asc o desc' &&
+    italianImport.rejected[0].message === 'Il prossimo numero salvato 5 non corrisponde alla previsione 4' &&
+    italianBatch.message === '✓ Sequenze previste: 1 su 2' &&
+    italianBatch.results[1].message.startsWith('❌ Errore:')) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n17.7 - Web Messages and the --lang Option');
+const italianWeb = webMessages('it');
+if (italianWeb.locale === 'it-IT' && italianWeb.messages.predict === '🔮 Prevedi' &&
+    webMessages('xx').locale === 'en' &&
+    parseLangOption(['--lang', 'it-IT']) === 'it-IT' &&
+    parseLangOption(['--lang=it']) === 'it' &&
+    parseLangOption([]) === undefined &&
+    new EchoChamberUI({ locale: 'it' }).chamber.locale === 'it-IT') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+// ============================================================
+// PART 18: OPENAPI DOCUMENT & REQUEST VALIDATION TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 18: OPENAPI DOCUMENT & REQUEST VALIDATION TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const { buildOpenApiDocument } = require('./openapi.js');
+const { validateValue, createValidator } = require('./api-validation.js');
+const { translator } = require('./i18n.js');
+
+const openApi = buildOpenApiDocument();
+const schemaRef = name => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Runs a validation middleware on a fake request
+ * @param {Function} middleware - The middleware
+ * @param {Object} request - Fields of the fake request (params, query, body, t)
+ * @param {Function} [respond] - Answers the request, as a route would, if the middleware lets it through
+ * @returns {Object} { passed: boolean, status: number, body: Object }
+ */
+function runMiddleware(middleware, request, respond) {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  const req = { params: {}, query: {}, body: {}, is: () => false, t: translator('en'), ...request };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  if (passed && respond) {
+    respond(res);
+  }
+  return { passed, status: res.statusCode, body: res.body };
+}
+
+console.log('18.1 - Every Server Route Is Documented, and Every $ref Resolves');
+const serverSource = fs.readFileSync(path.join(__dirname, 'server.js'), 'utf8');
+const serverRoutes = [];
+serverSource.replace(/app\.(get|post|delete)\('(\/api\/[^']*)'/g, (match, method, route) => {
+  serverRoutes.push([method, route.replace(/:(\w+)/g, '{$1}')]);
+});
+const undocumented = serverRoutes.filter(([method, route]) =>
+  !openApi.paths[route] || !openApi.paths[route][method] || !openApi.paths[route][method].operationId);
+const danglingRefs = [];
+(function collectRefs(node) {
+  if (node && typeof node === 'object') {
+    if (typeof node.$ref === 'string' &&
+        !openApi.components.schemas[node.$ref.replace('#/components/schemas/', '')]) {
+      danglingRefs.push(node.$ref);
+    }
+    Object.keys(node).forEach(key => collectRefs(node[key]));
+  }
+})(openApi);
+console.log(`   ${serverRoutes.length} routes, ${Object.keys(openApi.paths).length} documented paths`);
+if (openApi.openapi.startsWith('3.0') && serverRoutes.length >= 14 &&
+    undocumented.length === 0 && danglingRefs.length === 0) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log(`     ✗ FAILED ${JSON.stringify(undocumented.concat(danglingRefs))}`);
+  testsFailed++;
+}
+
+console.log('\n18.2 - Request Bodies Are Checked, with the Codes Clients Already Know');
+const missingSequence = validateValue({}, schemaRef('PredictRequest'), openApi);
+const notArray = validateValue({ sequence: 'abc' }, schemaRef('PredictRequest'), openApi);
+const badElement = validateValue({ sequence: [1, true] }, schemaRef('PredictRequest'), openApi);
+const hugeBatch = validateValue({ sequences: new Array(10001).fill([1, 2]) }, schemaRef('BatchRequest'), openApi);
+const strayType = validateValue({ sequence: [1, 2], n: 'ten' }, schemaRef('PredictRequest'), openApi);
+if (validateValue({ sequence: [3, '1/3', '12345678901234567890'], count: 2, mode: 'exact' },
+      schemaRef('PredictRequest'), openApi) === null &&
+    missingSequence.code === 'SEQUENCE_REQUIRED' && missingSequence.field === 'sequence' &&
+    notArray.code === 'NOT_ARRAY' &&
+    badElement.code === 'NON_NUMERIC' && badElement.field === 'sequence[1]' &&
+    hugeBatch.code === 'BATCH_TOO_LARGE' &&
+    strayType.code === 'INVALID_TERM_INDEX' && strayType.keyword === 'type' &&
+    validateValue({ sequences: [[1, 2], 'not a sequence'] }, schemaRef('BatchRequest'), openApi) === null) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n18.3 - The Middleware Rejects Bad Parameters in the Usual Failure Shape');
+const validate = createValidator(openApi);
+const goodQuery = runMiddleware(validate('listMemories'), { query: { limit: '10', order: 'desc' } });
+const badLimit = runMiddleware(validate('listMemories'), { query: { limit: 'abc' } });
+const badIndex = runMiddleware(validate('getMemory'), { params: { index: '01' } });
+const italianBody = runMiddleware(validate('validateSequence', { isValid: false }), {
+  body: { sequence: [1, 2], tolerance: -1 },
+  t: translator('it-IT')
+});
+console.log(`   ${badLimit.body.message}`);
+console.log(`   ${italianBody.body.message}`);
+let unknownOperation = false;
+try {
+  validate('noSuchOperation');
+} catch (error) {
+  unknownOperation = true;
+}
+if (goodQuery.passed &&
+    !badLimit.passed && badLimit.status === 400 && badLimit.body.success === false &&
+    badLimit.body.error.code === 'INVALID_QUERY' && badLimit.body.error.field === 'limit' &&
+    badIndex.body.error.code === 'INVALID_ECHO_INDEX' &&
+    italianBody.body.isValid === false && italianBody.body.error.code === 'INVALID_TOLERANCE' &&
+    italianBody.body.message === 'tolerance deve essere almeno 0' &&
+    unknownOperation) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n18.4 - Chamber Results Match Their Response Schemas');
+const schemaChamber = new EchoChamber();
+const schemaChecks = [
+  [schemaChamber.predictNext([3, 6, 9]), 'Prediction'],
+  [schemaChamber.predictMany(['1/2', '1', '3/2'], 2, { mode: 'exact' }), 'Prediction'],
+  [schemaChamber.predictNext([1, 'x']), 'Prediction'],
+  [schemaChamber.validateSequence([2, 4, 8]), 'Validation'],
+  [schemaChamber.validateSequence([1, 5, 2, 9]), 'Validation'],
+  [schemaChamber.queryMemories({ limit: 1 }), 'MemoryPage'],
+  [schemaChamber.importMemories([{ sequence: [2, 4], nextNumber: 6 }, { nope: true }]), 'ImportResult'],
+  [predictBatch(schemaChamber, [[1, 2], 42]), 'BatchResult']
+];
+const mismatches = schemaChecks
+  .map(([result, name]) => validateValue(result, schemaRef(name), openApi))
+  .filter(Boolean);
+if (mismatches.length === 0) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log(`     ✗ FAILED ${JSON.stringify(mismatches)}`);
+  testsFailed++;
+}
+
+console.log('\n18.5 - Response Validation Reports Mismatches Without Blocking Them');
+const reports = [];
+const strictValidate = createValidator(openApi, { validateResponses: true, report: message => reports.push(message) });
+const goodResponse = runMiddleware(strictValidate('clearMemories'), {}, res => res.json({ success: true, message: 'ok' }));
+const badResponse = runMiddleware(strictValidate('clearMemories'), {}, res => res.json({ success: 'yes' }));
+const undocumentedStatus = runMiddleware(strictValidate('clearMemories'), {}, res =>
+  res.status(418).json({ success: false, message: 'teapot', error: { code: 'NOT_FOUND' } }));
+console.log(`   ${reports[0]}`);
+if (goodResponse.passed && badResponse.body.success === 'yes' && undocumentedStatus.status === 418 &&
+    reports.length === 2 && reports[0].includes('clearMemories (200)') && reports[1].includes('(418)')) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+// ============================================================
+// PART 19: LIVE EVENT TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 19: LIVE EVENT TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const { formatEvent, relayChamberEvents } = require('./live-events.js');
+
+console.log('19.1 - The Chamber Announces Echoes, Deletions and Clears');
+const eventChamber = new EchoChamber();
+const heardEvents = [];
+['echo', 'echoDeleted', 'memoriesCleared'].forEach(event =>
+  eventChamber.on(event, data => heardEvents.push([event, data])));
+eventChamber.predictNext([3, 6, 9]);
+eventChamber.predictNext([1, 3, 4, 10]);
+eventChamber.importMemories([{ sequence: [2, 4], nextNumber: 6 }, { sequence: [2, 4], nextNumber: 7 }]);
+predictBatch(eventChamber, [[1, 2], 'not a sequence']);
+eventChamber.deleteMemory(2);
+eventChamber.deleteMemory(99);
+eventChamber.clearMemories();
+console.log(`   ${heardEvents.map(([event]) => event).join(', ')}`);
+if (heardEvents.length === 5 &&
+    heardEvents[0][0] === 'echo' && heardEvents[0][1].nextNumber === 12 && heardEvents[0][1].predictionIndex === 1 &&
+    heardEvents[1][0] === 'echo' && heardEvents[1][1].predictionIndex === 2 &&
+    heardEvents[2][0] === 'echo' && heardEvents[2][1].predictionIndex === 3 &&
+    heardEvents[3][0] === 'echoDeleted' && heardEvents[3][1].predictionIndex === 2 &&
+    heardEvents[4][0] === 'memoriesCleared') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n19.2 - Events Are Relayed as Server-Sent Events Until Stopped');
+const relayChamber = new EchoChamber();
+const relayed = [];
+const stopRelay = relayChamberEvents(relayChamber, { write: chunk => relayed.push(chunk), end: () => {} });
+relayChamber.predictNext([BigInt('9007199254740993'), BigInt('9007199254740994')]);
+relayChamber.clearMemories();
+stopRelay();
+relayChamber.predictNext([3, 6, 9]);
+console.log(`   ${JSON.stringify(relayed[1]).slice(0, 90)}...`);
+if (relayed.length === 3 &&
+    relayed[0] === 'retry: 5000\n\n' &&
+    relayed[1].startsWith('event: echo\ndata: {"sequence":["9007199254740993","9007199254740994"],"nextNumber":"9007199254740995"') &&
+    relayed[1].endsWith('}\n\n') &&
+    relayed[2] === formatEvent('memoriesCleared', {}) &&
+    relayed[2] === 'event: memoriesCleared\ndata: {}\n\n' &&
+    relayChamber.listenerCount('echo') === 0) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n19.3 - An Open Event Stream Keeps Its Session Alive');
+let streamClock = 0;
+const streamSessions = new SessionManager({
+  idleTimeout: 1000,
+  createChamber: () => new EchoChamber(),
+  now: () => streamClock
+});
+const streamSession = streamSessions.resolve(null);
+streamClock = 900;
+const touched = streamSessions.touch(streamSession.id);
+streamClock = 1800;
+const stillActive = streamSessions.sweep() === 0;
+streamClock = 3000;
+if (touched && stillActive &&
+    streamSessions.touch(streamSession.id) === false &&
+    streamSessions.touch('0123456789abcdef0123456789abcdef') === false) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+// ============================================================
+// PART 20: REQUEST LIMIT TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 20: REQUEST LIMIT TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const bytes = require('bytes');
+const { DEFAULT_LIMITS, limitsConfigFromEnv, RateLimiter, rateLimit } = require('./limits.js');
+
+console.log('20.1 - Limits Come From the Environment, With Defaults');
+const defaultLimits = limitsConfigFromEnv({});
+const envLimits = limitsConfigFromEnv({
+  ECHO_RATE_LIMIT: '0',
+  ECHO_RATE_WINDOW_SECONDS: '10',
+  ECHO_MAX_SEQUENCE_LENGTH: 'lots',
+  ECHO_MAX_BODY_SIZE: '1mb',
+  ECHO_TRUST_PROXY: '1'
+});
+console.log(`   Defaults: ${JSON.stringify(defaultLimits)}`);
+console.log(`   From env: ${JSON.stringify(envLimits)}`);
+const defaultSizes = {
+  maxBodySize: bytes.parse(DEFAULT_LIMITS.maxBodySize),
+  maxBatchBodySize: bytes.parse(DEFAULT_LIMITS.maxBatchBodySize)
+};
+if (JSON.stringify(defaultLimits) === JSON.stringify({ ...DEFAULT_LIMITS, ...defaultSizes }) &&
+    envLimits.rateLimit === 0 && envLimits.rateWindow === 10000 &&
+    envLimits.maxSequenceLength === DEFAULT_LIMITS.maxSequenceLength &&
+    envLimits.maxBodySize === 1024 * 1024 && envLimits.maxBatchBodySize === defaultSizes.maxBatchBodySize &&
+    envLimits.trustProxy === 1) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n20.2 - The Rate Limiter Counts Each Address in Fixed Windows');
+let limiterClock = 0;
+const limiter = new RateLimiter({ limit: 2, window: 10000, now: () => limiterClock });
+const firstHits = [limiter.hit('1.2.3.4'), limiter.hit('1.2.3.4'), limiter.hit('1.2.3.4')];
+const otherHit = limiter.hit('5.6.7.8');
+limiterClock = 4500;
+const lateHit = limiter.hit('1.2.3.4');
+limiterClock = 10000;
+const nextWindowHit = limiter.hit('1.2.3.4');
+const forgotten = limiter.sweep();
+console.log(`   Allowed: ${firstHits.map(hit => hit.allowed).join(', ')}; other address: ${otherHit.allowed}`);
+console.log(`   Retry after ${lateHit.reset} s; next window allowed: ${nextWindowHit.allowed}; swept: ${forgotten}`);
+if (firstHits[0].allowed && firstHits[0].remaining === 1 && firstHits[1].allowed && !firstHits[2].allowed &&
+    firstHits[2].remaining === 0 && otherHit.allowed && !lateHit.allowed && lateHit.reset === 6 &&
+    nextWindowHit.allowed && nextWindowHit.remaining === 1 && forgotten === 1 && limiter.clients.size === 1) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n20.3 - Clients Over the Limit Get 429 With Retry-After');
+const limitMiddleware = rateLimit(new RateLimiter({ limit: 1, window: 30000, now: () => 0 }));
+const limitHeaders = [];
+const limitResponse = () => {
+  const headers = {};
+  limitHeaders.push(headers);
+  return {
+    statusCode: 200,
+    set(name, value) {
+      Object.assign(headers, typeof name === 'string' ? { [name]: value } : name);
+      return this;
+    },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+};
+const allowedResponse = limitResponse();
+let limitPassed = false;
+limitMiddleware({ ip: '10.0.0.1', t: translator('en') }, allowedResponse, () => { limitPassed = true; });
+const refusedResponse = limitResponse();
+limitMiddleware({ ip: '10.0.0.1', locale: 'it-IT' }, refusedResponse, () => {});
+console.log(`   ${refusedResponse.statusCode} ${JSON.stringify(refusedResponse.body)}`);
+console.log(`   Headers: ${JSON.stringify(limitHeaders[1])}`);
+if (limitPassed && allowedResponse.statusCode === 200 && limitHeaders[0]['RateLimit-Remaining'] === '0' &&
+    !limitHeaders[0]['Retry-After'] &&
+    refusedResponse.statusCode === 429 && refusedResponse.body.success === false &&
+    refusedResponse.body.error.code === ERROR_CODES.RATE_LIMITED &&
+    refusedResponse.body.message.includes('30') &&
+    limitHeaders[1]['Retry-After'] === '30' && limitHeaders[1]['RateLimit-Limit'] === '1' &&
+    httpStatus(ERROR_CODES.RATE_LIMITED) === 429) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n20.4 - Sequences Over the Maximum Length Are Refused With 413');
+const shortChamber = new EchoChamber({ maxSequenceLength: 4 });
+const longPrediction = shortChamber.predictNext([1, 2, 3, 4, 5]);
+const longValidation = shortChamber.validateSequence([1, 2, 3, 4, 5], { locale: 'it-IT' });
+const fitsPrediction = shortChamber.predictNext([1, 2, 3, 4]);
+const longBatch = predictBatch(shortChamber, [[2, 4, 6], [2, 4, 6, 8, 10]]);
+const longImport = shortChamber.importMemories([{ sequence: [1, 2, 3, 4, 5], nextNumber: 6 }]);
+console.log(`   ${longPrediction.message} → ${JSON.stringify(longPrediction.error)}`);
+console.log(`   ${longValidation.message}`);
+if (!longPrediction.success && longPrediction.error.code === ERROR_CODES.TOO_LONG &&
+    longPrediction.error.max === 4 && longPrediction.error.value === 5 &&
+    !longValidation.isValid && longValidation.error.code === ERROR_CODES.TOO_LONG &&
+    longValidation.message.includes('al massimo 4') &&
+    fitsPrediction.success && longBatch.succeeded === 1 &&
+    longBatch.results[1].error.code === ERROR_CODES.TOO_LONG &&
+    longImport.imported === 0 && longImport.rejected[0].code === ERROR_CODES.TOO_LONG &&
+    httpStatus(ERROR_CODES.TOO_LONG) === 413 && httpStatus(ERROR_CODES.PAYLOAD_TOO_LARGE) === 413 &&
+    new EchoChamber().maxSequenceLength === DEFAULT_LIMITS.maxSequenceLength) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n20.5 - The OpenAPI Document Describes the Limits');
+const limitedOperations = [];
+Object.keys(openApi.paths).forEach(route => {
+  ['get', 'post', 'delete'].filter(method => openApi.paths[route][method]).forEach(method => {
+    limitedOperations.push(openApi.paths[route][method]);
+  });
+});
+const unlimited = limitedOperations.filter(operation =>
+  !operation.responses[429] || !operation.responses[429].headers['Retry-After']);
+console.log(`   ${limitedOperations.length - unlimited.length} of ${limitedOperations.length} operations answer 429`);
+if (unlimited.length === 0 &&
+    openApi.paths['/api/validate'].post.responses[413] &&
+    openApi.components.schemas.Error.properties.max &&
+    !validateValue({ code: 'TOO_LONG', value: 5, max: 4 }, openApi.components.schemas.Error, openApi)) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n20.6 - Requests at the Default Limits Take Milliseconds');
+const limitChamber = new EchoChamber();
+const longestCubic = Array.from({ length: DEFAULT_LIMITS.maxSequenceLength }, (_, i) => (i + 1) ** 3 - 7 * (i + 1));
+const widestBatch = Array.from({ length: MAX_BATCH_SIZE }, (_, i) => [i, i + 2, i + 4]);
+// Each request is checked to fit its body limit, so the server would let it through
+const limitRequests = [
+  [{ sequence: longestCubic, count: MAX_PREDICTION_COUNT }, DEFAULT_LIMITS.maxBodySize,
+    body => limitChamber.predictMany(body.sequence, body.count).success],
+  [{ sequence: longestCubic.map(String), count: MAX_PREDICTION_COUNT, mode: 'exact' }, DEFAULT_LIMITS.maxBodySize,
+    body => limitChamber.predictMany(body.sequence, body.count, { mode: body.mode }).success],
+  [{ sequences: widestBatch, count: MAX_PREDICTION_COUNT }, DEFAULT_LIMITS.maxBatchBodySize,
+    body => predictBatch(limitChamber, body.sequences, { count: body.count }).succeeded === MAX_BATCH_SIZE]
+];
+const limitResults = limitRequests.map(([body, limit, send]) => {
+  const started = Date.now();
+  const success = send(body);
+  return { fits: JSON.stringify(body).length <= bytes.parse(limit), success, elapsed: Date.now() - started };
+});
+console.log(`   ${limitResults.map(result => `${result.elapsed} ms`).join(', ')}`);
+if (limitResults.every(result => result.fits && result.success && result.elapsed < 250)) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log(`     ✗ FAILED ${JSON.stringify(limitResults)}`);
+  testsFailed++;
+}
+
+console.log('\n20.7 - Body Sizes That Cannot Be Read Stop the Server From Starting');
+const { createServer: createLimitedServer } = require('./server.js');
+let badSizeMessage = null;
+try {
+  limitsConfigFromEnv({ ECHO_MAX_BATCH_BODY_SIZE: 'huge' });
+} catch (error) {
+  badSizeMessage = error.message;
+}
+console.log(`   ${badSizeMessage}`);
+if (badSizeMessage !== null && badSizeMessage.includes('ECHO_MAX_BATCH_BODY_SIZE') &&
+    throwsError(() => createLimitedServer({ port: 0, env: { ECHO_MAX_BODY_SIZE: '0kb' } })) &&
+    throwsError(() => new NdjsonLines({ maxBytes: 0 })) &&
+    new NdjsonLines().push(Buffer.from('[1, 2]\n')).length === 1) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n20.8 - A Longest Sequence of 0 Is Refused Rather Than Replaced by the Default');
+let zeroLengthError = null;
+try {
+  new EchoChamber({ maxSequenceLength: 0 });
+} catch (error) {
+  zeroLengthError = error;
+}
+console.log(`   ${zeroLengthError && zeroLengthError.message}`);
+if (zeroLengthError instanceof RangeError &&
+    throwsError(() => new EchoChamber({ maxSequenceLength: 2.5 })) &&
+    throwsError(() => new EchoChamber({ maxSequenceLength: '10' })) &&
+    new EchoChamber({ maxSequenceLength: 1 }).predictNext([1, 2]).error.code === ERROR_CODES.TOO_LONG &&
+    new EchoChamber({ maxSequenceLength: Infinity }).maxSequenceLength === Infinity) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+// ============================================================
+// PART 21: API KEY TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 21: API KEY TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const { ApiKeys, hasRole, parseApiKeyList, apiKeysFromEnv, authenticate, requireRole, requireWriteToChange } = require('./auth.js');
+
+/**
+ * Runs auth middleware on a fake request with the given headers
+ * @param {Function} middleware - The middleware
+ * @param {Object} [headers] - Request headers, lower case
+ * @param {Object} [request] - Other request fields, such as path and query
+ * @returns {Object} { passed, status, body, headers, role }
+ */
+function runAuth(middleware, headers = {}, request = {}) {
+  const responseHeaders = {};
+  const res = {
+    statusCode: 200,
+    set(name, value) { responseHeaders[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  const req = { path: '/memories', query: {}, t: translator('en'), get: name => headers[name.toLowerCase()], ...request };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { passed, status: res.statusCode, body: res.body, headers: responseHeaders, role: req.role };
+}
+
+console.log('21.1 - API Keys Come From ECHO_API_KEYS, a Key File and ECHO_ADMIN_TOKEN');
+const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'echo-keys-'));
+const keyFile = path.join(keyDir, 'keys.json');
+fs.writeFileSync(keyFile, JSON.stringify([{ key: 'file-admin', role: 'admin', name: 'ops' }]));
+const envKeys = apiKeysFromEnv({ ECHO_API_KEYS: ' r3ad:read, plain ,wr1te:write,url:with:colons:admin', ECHO_API_KEYS_FILE: keyFile, ECHO_ADMIN_TOKEN: 't0ken' });
+fs.unlinkSync(keyFile);
+fs.rmdirSync(keyDir);
+let badRole = null;
+try {
+  new ApiKeys(parseApiKeyList('k3y:owner'));
+} catch (error) {
+  badRole = error.message;
+}
+console.log(`   Keys by role: ${JSON.stringify(envKeys.countByRole())}; bad role: ${badRole}`);
+if (JSON.stringify(envKeys.countByRole()) === JSON.stringify({ read: 2, write: 1, admin: 3 }) &&
+    envKeys.find('plain').role === 'read' && envKeys.find('url:with:colons').role === 'admin' &&
+    envKeys.find('file-admin').name === 'ops' && envKeys.find('t0ken').role === 'admin' &&
+    envKeys.find('r3ad:read') === null && envKeys.find('') === null &&
+    !apiKeysFromEnv({}).enabled && badRole && badRole.includes('owner')) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n21.2 - Requests Need a Known Key Once Keys Are Configured');
+const testKeys = new ApiKeys([{ key: 'r3ad', role: 'read' }, { key: 'adm1n', role: 'admin' }]);
+const guard = authenticate(testKeys, { except: ['/i18n'] });
+const noKey = runAuth(guard);
+const wrongKey = runAuth(guard, { 'x-api-key': 'nope' });
+const headerKey = runAuth(guard, { 'x-api-key': 'r3ad' });
+const bearerKey = runAuth(guard, { authorization: 'Bearer adm1n' });
+const queryKey = runAuth(guard, {}, { query: { api_key: 'r3ad' } });
+const publicPath = runAuth(guard, {}, { path: '/i18n' });
+const openServer = runAuth(authenticate(new ApiKeys()));
+console.log(`   No key: ${noKey.status} ${noKey.body.message}`);
+console.log(`   Roles: header ${headerKey.role}, bearer ${bearerKey.role}, query ${queryKey.role}, no keys configured ${openServer.role}`);
+if (!noKey.passed && noKey.status === 401 && noKey.body.error.code === ERROR_CODES.UNAUTHORIZED &&
+    noKey.headers['WWW-Authenticate'] === 'Bearer' &&
+    !wrongKey.passed && wrongKey.status === 401 &&
+    headerKey.passed && headerKey.role === 'read' && bearerKey.passed && bearerKey.role === 'admin' &&
+    queryKey.passed && queryKey.role === 'read' && publicPath.passed &&
+    openServer.passed && openServer.role === 'admin') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n21.3 - Destructive Routes Need the Admin Role');
+const adminOnly = requireRole('admin');
+const readRefused = runAuth(adminOnly, {}, { role: 'read', t: translator('it-IT') });
+const adminAllowed = runAuth(adminOnly, {}, { role: 'admin' });
+const readAllowed = runAuth(requireRole('read'), {}, { role: 'read' });
+console.log(`   Read-only key: ${readRefused.status} ${readRefused.body.message}`);
+if (!readRefused.passed && readRefused.status === 403 && readRefused.body.error.code === ERROR_CODES.FORBIDDEN &&
+    readRefused.body.message.includes('admin') && httpStatus(ERROR_CODES.FORBIDDEN) === 403 &&
+    adminAllowed.passed && readAllowed.passed &&
+    hasRole('admin', 'read') && !hasRole('read', 'admin') && !hasRole(undefined, 'read')) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n21.4 - The OpenAPI Document Marks the Same Admin Routes as the Server');
+const adminRoutes = [];
+serverSource.replace(/app\.(get|post|delete)\('(\/api\/[^']*)', requireRole\('admin'\)/g, (match, method, route) => {
+  adminRoutes.push(`${method} ${route.replace(/:(\w+)/g, '{$1}')}`);
+});
+const documentedAdmin = [];
+const publicOperations = [];
+Object.keys(openApi.paths).forEach(route => {
+  ['get', 'post', 'delete'].filter(method => openApi.paths[route][method]).forEach(method => {
+    const operation = openApi.paths[route][method];
+    if (operation['x-required-role'] === 'admin') {
+      documentedAdmin.push(`${method} ${route}`);
+    }
+    if (!operation.responses[401]) {
+      publicOperations.push(operation.operationId);
+    }
+  });
+});
+console.log(`   Admin: ${adminRoutes.join(', ')}; public: ${publicOperations.join(', ')}`);
+if (adminRoutes.length === 4 && adminRoutes.sort().join() === documentedAdmin.sort().join() &&
+    adminRoutes.includes('delete /api/memories') && adminRoutes.includes('post /api/memories/restore') &&
+    publicOperations.sort().join() === 'getOpenApi,getTranslations' &&
+    serverSource.includes("except: ['/openapi.json', '/i18n']") &&
+    documentedAdmin.every(operation => {
+      const [method, route] = operation.split(' ');
+      return openApi.paths[route][method].responses[403];
+    })) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n21.5 - Read-Only Keys Can Only Read; Changes Need the Write Role');
+const writeGuard = requireWriteToChange();
+const readGet = runAuth(writeGuard, {}, { role: 'read', method: 'GET' });
+const readPost = runAuth(writeGuard, {}, { role: 'read', method: 'POST' });
+const writePost = runAuth(writeGuard, {}, { role: 'write', method: 'POST' });
+const adminPost = runAuth(writeGuard, {}, { role: 'admin', method: 'POST' });
+const writeDelete = runAuth(requireRole('admin'), {}, { role: 'write', method: 'DELETE' });
+const writeOperations = [];
+Object.keys(openApi.paths).forEach(route => {
+  ['post', 'delete'].filter(method => openApi.paths[route][method]).forEach(method => {
+    const operation = openApi.paths[route][method];
+    if (!['write', 'admin'].includes(operation['x-required-role']) || !operation.responses[403]) {
+      writeOperations.push(`${method} ${route}`);
+    }
+  });
+});
+console.log(`   Read-only key posting: ${readPost.status} ${readPost.body.message}`);
+if (readGet.passed && !readPost.passed && readPost.status === 403 && readPost.body.message.includes('write') &&
+    writePost.passed && adminPost.passed && !writeDelete.passed &&
+    hasRole('write', 'read') && !hasRole('write', 'admin') &&
+    writeOperations.length === 0 && openApi.paths['/api/predict'].post['x-required-role'] === 'write' &&
+    openApi.paths['/api/memories'].get['x-required-role'] === undefined &&
+    serverSource.includes("app.use('/api', requireWriteToChange());")) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log(`     ✗ FAILED ${writeOperations.join(', ')}`);
+  testsFailed++;
+}
+
+// ============================================================
+// PART 22: METRICS TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 22: METRICS TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const { EventEmitter } = require('events');
+const { MetricsRegistry, createEchoMetrics, observeRequests, observePredictions } = require('./metrics.js');
+const { checkStorage } = require('./storage.js');
+
+console.log('22.1 - Metrics Render in the Prometheus Text Format');
+const registry = new MetricsRegistry();
+const testCounter = registry.counter({ name: 'test_total', help: 'Test counter', labelNames: ['kind'] });
+const testHistogram = registry.histogram({ name: 'test_seconds', help: 'Test histogram', buckets: [0.1, 1] });
+registry.gauge({ name: 'test_gauge', help: 'Test gauge', collect: () => 7 });
+testCounter.inc({ kind: 'say "hi"\\' });
+testCounter.inc({ kind: 'plain' }, 2);
+testHistogram.observe({}, 0.05);
+testHistogram.observe({}, 0.5);
+testHistogram.observe({}, 3);
+let duplicateMetric = false;
+try {
+  registry.counter({ name: 'test_total', help: 'Again' });
+} catch (error) {
+  duplicateMetric = true;
+}
+const rendered = registry.render();
+console.log(rendered.trim().split('\n').map(line => `   ${line}`).join('\n'));
+if (rendered.includes('# TYPE test_total counter') &&
+    rendered.includes('test_total{kind="say \\"hi\\"\\\\"} 1') &&
+    rendered.includes('test_total{kind="plain"} 2') &&
+    rendered.includes('test_seconds_bucket{le="0.1"} 1') &&
+    rendered.includes('test_seconds_bucket{le="1"} 2') &&
+    rendered.includes('test_seconds_bucket{le="+Inf"} 3') &&
+    rendered.includes('test_seconds_sum 3.55') && rendered.includes('test_seconds_count 3') &&
+    rendered.includes('# TYPE test_gauge gauge\ntest_gauge 7') &&
+    rendered.endsWith('\n') && duplicateMetric && testCounter.get({ kind: 'plain' }) === 2) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n22.2 - Predictions Are Counted by Outcome, Pattern and Error Code');
+const echoMetrics = createEchoMetrics();
+const countedChamber = observePredictions(echoMetrics, new EchoChamber());
+countedChamber.predictNext([3, 6, 9]);
+countedChamber.predictMany([1, 2, 4], 3);
+countedChamber.predictNext([1, 3, 4, 10]);
+predictBatch(countedChamber, [[5, 10], [1]]);
+countedChamber.validateSequence([2, 4, 6]);
+const predictionCounts = {
+  arithmetic: echoMetrics.predictions.get({ outcome: 'success', pattern: 'arithmetic' }),
+  geometric: echoMetrics.predictions.get({ outcome: 'success', pattern: 'geometric' }),
+  noPattern: echoMetrics.predictions.get({ outcome: 'failure', code: ERROR_CODES.NO_PATTERN }),
+  tooShort: echoMetrics.predictions.get({ outcome: 'failure', code: ERROR_CODES.TOO_SHORT })
+};
+console.log(`   ${JSON.stringify(predictionCounts)}`);
+if (predictionCounts.arithmetic === 2 && predictionCounts.geometric === 1 &&
+    predictionCounts.noPattern === 1 && predictionCounts.tooShort === 1 &&
+    echoMetrics.registry.render().includes('process_resident_memory_bytes')) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n22.3 - Requests Are Counted and Timed per Route Pattern');
+const requestMetrics = createEchoMetrics({
+  sessions: { list: () => [{ memoryCount: 2 }, { memoryCount: 3 }] }
+});
+const observe = observeRequests(requestMetrics);
+[
+  [{ method: 'GET', originalUrl: '/api/memories/7', baseUrl: '', route: { path: '/api/memories/:index' } }, 200],
+  [{ method: 'GET', originalUrl: '/api/memories/8', baseUrl: '', route: { path: '/api/memories/:index' } }, 404],
+  [{ method: 'POST', originalUrl: '/api/predict' }, 429],
+  [{ method: 'GET', originalUrl: '/styles.css' }, 200]
+].forEach(([req, status]) => {
+  const res = new EventEmitter();
+  observe(req, res, () => {});
+  res.statusCode = status;
+  res.emit('finish');
+});
+const requestText = requestMetrics.registry.render();
+console.log(requestText.split('\n').filter(line => line.startsWith('echo_http_requests_total') ||
+  line.startsWith('echo_sessions') || line.startsWith('echo_memories')).map(line => `   ${line}`).join('\n'));
+if (requestText.includes('echo_http_requests_total{method="GET",route="/api/memories/:index",status="200"} 1') &&
+    requestText.includes('echo_http_requests_total{method="GET",route="/api/memories/:index",status="404"} 1') &&
+    requestText.includes('echo_http_requests_total{method="POST",route="/api/*",status="429"} 1') &&
+    requestText.includes('echo_http_requests_total{method="GET",route="/*",status="200"} 1') &&
+    requestText.includes('echo_http_request_duration_seconds_count{method="GET",route="/api/memories/:index"} 2') &&
+    requestText.includes('echo_sessions 2') && requestText.includes('echo_memories 5')) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n22.4 - The Readiness Storage Check Creates and Tests the Session Directory');
+const readyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'echo-ready-'));
+let storageProblem = null;
+try {
+  checkStorage({ type: 'memory' });
+  checkStorage({ type: 'file', file: path.join(readyDir, 'echoes.jsonl') });
+} catch (error) {
+  storageProblem = error.message;
+}
+const sessionsDirMade = fs.existsSync(path.join(readyDir, 'sessions'));
+fs.rmdirSync(path.join(readyDir, 'sessions'));
+let blockedProblem = null;
+const blocker = path.join(readyDir, 'blocker');
+fs.writeFileSync(blocker, '');
+try {
+  checkStorage({ type: 'file', file: path.join(blocker, 'echoes.jsonl') });
+} catch (error) {
+  blockedProblem = error.code;
+}
+fs.unlinkSync(blocker);
+fs.rmdirSync(readyDir);
+console.log(`   Writable directory: ${storageProblem || 'ok'}; directory under a file: ${blockedProblem}`);
+if (storageProblem === null && sessionsDirMade && blockedProblem) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+// ============================================================
+// PART 23: SERVER BOOTSTRAP & SHUTDOWN TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 23: SERVER BOOTSTRAP & SHUTDOWN TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const { createServer } = require('./server.js');
+const { DEFAULT_DRAIN_TIMEOUT, drainOnClose, drainTimeoutFromEnv } = require('./shutdown.js');
+
+console.log('23.1 - createServer() Builds the App Without Listening, with Settings from Options and env');
+const builtServer = createServer({
+  port: 0,
+  env: { ECHO_RATE_LIMIT: '5', ECHO_SHUTDOWN_TIMEOUT_SECONDS: '2', ECHO_API_KEYS: 'k3y:admin' }
+});
+const builtRoutes = builtServer.app._router.stack
+  .filter(layer => layer.route)
+  .map(layer => layer.route.path);
+console.log(`   ${builtRoutes.length} routes; rate limit ${builtServer.limits.rateLimit}, shutdown timeout ${builtServer.shutdownTimeout} ms`);
+if (typeof builtServer.app === 'function' && builtServer.server === null && builtServer.url === null &&
+    builtRoutes.includes('/api/predict') && builtRoutes.includes('/readyz') &&
+    builtServer.limits.rateLimit === 5 && builtServer.shutdownTimeout === 2000 &&
+    builtServer.apiKeys.enabled && builtServer.sessions.sweepTimer === null &&
+    drainTimeoutFromEnv({}) === DEFAULT_DRAIN_TIMEOUT && drainTimeoutFromEnv({ ECHO_SHUTDOWN_TIMEOUT_SECONDS: 'soon' }) === DEFAULT_DRAIN_TIMEOUT) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n23.2 - A Chamber Passed to createServer() Is Counted in Its Metrics');
+const sharedChamber = new EchoChamber();
+const sharedServer = createServer({ port: 0, chamber: sharedChamber, env: {} });
+sharedChamber.predictNext([5, 10, 15]);
+const sharedCount = sharedServer.metrics.predictions.get({ outcome: 'success', pattern: 'arithmetic' });
+console.log(`   Predictions counted: ${sharedCount}`);
+if (sharedCount === 1 && sharedServer.apiKeys.enabled === false) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n23.3 - Closing Ends Idle Connections at Once and Busy Ones After Their Response');
+/**
+ * A stand-in for a socket, recording how it was closed
+ *
+ * @returns {EventEmitter} The socket
+ */
+function fakeSocket() {
+  const socket = new EventEmitter();
+  socket.closedBy = null;
+  socket.end = () => { socket.closedBy = 'end'; };
+  socket.destroy = () => { socket.closedBy = 'destroy'; };
+  return socket;
+}
+const fakeHttpServer = new EventEmitter();
+fakeHttpServer.close = callback => { fakeHttpServer.closeCallback = callback; };
+const drainer = drainOnClose(fakeHttpServer);
+const idleSocket = fakeSocket();
+const busySocket = fakeSocket();
+fakeHttpServer.emit('connection', idleSocket);
+fakeHttpServer.emit('connection', busySocket);
+const busyResponse = new EventEmitter();
+busyResponse.headersSent = false;
+busyResponse.headers = {};
+busyResponse.setHeader = (name, value) => { busyResponse.headers[name] = value; };
+fakeHttpServer.emit('request', { socket: busySocket }, busyResponse);
+const activeBefore = drainer.activeRequests();
+drainer.close(60000);
+const closedAtOnce = [idleSocket.closedBy, busySocket.closedBy];
+busyResponse.emit('finish');
+console.log(`   Active requests: ${activeBefore} → ${drainer.activeRequests()}; idle socket: ${closedAtOnce[0]}, busy socket: ${closedAtOnce[1]} → ${busySocket.closedBy}`);
+if (activeBefore === 1 && drainer.activeRequests() === 0 && drainer.closing &&
+    closedAtOnce[0] === 'destroy' && closedAtOnce[1] === null && busySocket.closedBy === 'end' &&
+    busyResponse.headers.Connection === 'close' && typeof fakeHttpServer.closeCallback === 'function') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+fakeHttpServer.closeCallback();
+
+// ============================================================
+// PART 24: LOGGING TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 24: LOGGING TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const { Logger, loggerFromEnv, logRequests, logPredictions } = require('./logging.js');
+
+console.log('24.1 - Log Entries Are JSON Lines, Filtered by Level');
+const logLines = [];
+const testLogger = new Logger({ level: 'info', write: line => logLines.push(line), now: () => 0 });
+testLogger.debug('hidden');
+testLogger.info('shown', { big: 10n ** 20n });
+testLogger.child({ requestId: 'r1' }).error('failed', { error: new Error('boom') });
+const logEntries = logLines.map(line => JSON.parse(line));
+let badLevel = false;
+try {
+  loggerFromEnv({ ECHO_LOG_LEVEL: 'loud' });
+} catch (error) {
+  badLevel = true;
+}
+logLines.forEach(line => console.log(`   ${line.slice(0, 100)}`));
+if (logEntries.length === 2 &&
+    logEntries[0].time === '1970-01-01T00:00:00.000Z' && logEntries[0].level === 'info' &&
+    logEntries[0].msg === 'shown' && logEntries[0].big === '100000000000000000000' &&
+    logEntries[1].requestId === 'r1' && logEntries[1].error.message === 'boom' &&
+    logEntries[1].error.stack.includes('Error: boom') &&
+    badLevel && loggerFromEnv({ ECHO_LOG_LEVEL: ' WARN ' }).level === 'warn' && loggerFromEnv({}).level === 'info') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n24.2 - Requests Get an Id in Their Response, Error Body and Log Entry');
+/**
+ * Runs logRequests for a request and answers it
+ *
+ * @param {Object} headers - Request headers, lower case
+ * @param {number} status - Status of the answer
+ * @param {Object} body - JSON body of the answer
+ * @returns {Object} { headers, body, lines } of the response and the log
+ */
+function runLoggedRequest(headers, status, body) {
+  const lines = [];
+  const req = {
+    method: 'GET',
+    originalUrl: '/api/memories?api_key=s3cret',
+    ip: '127.0.0.1',
+    get: name => headers[name.toLowerCase()]
+  };
+  const res = new EventEmitter();
+  res.headers = {};
+  res.set = (name, value) => { res.headers[name] = value; };
+  res.json = sent => { res.body = sent; return res; };
+  logRequests(new Logger({ write: line => lines.push(line) }))(req, res, () => {});
+  res.statusCode = status;
+  res.json(body);
+  res.emit('finish');
+  return { headers: res.headers, body: res.body, lines: lines.map(line => JSON.parse(line)) };
+}
+const keptId = runLoggedRequest({ 'x-request-id': 'trace-42' }, 404, { success: false, message: 'No', error: { code: 'ECHO_NOT_FOUND' } });
+const newId = runLoggedRequest({ 'x-request-id': 'two\nlines' }, 500, { success: false, error: { code: 'INTERNAL_ERROR' } });
+const plain = runLoggedRequest({}, 200, { memories: [], error: null });
+console.log(`   Kept: ${keptId.headers['X-Request-Id']}; replaced: ${newId.headers['X-Request-Id']}`);
+console.log(`   ${JSON.stringify(keptId.lines[0])}`);
+if (keptId.headers['X-Request-Id'] === 'trace-42' && keptId.body.error.requestId === 'trace-42' &&
+    keptId.body.error.code === 'ECHO_NOT_FOUND' && keptId.lines[0].requestId === 'trace-42' &&
+    keptId.lines[0].level === 'info' && keptId.lines[0].status === 404 && keptId.lines[0].path === '/api/memories' &&
+    /^[0-9a-f]{32}$/.test(newId.headers['X-Request-Id']) && newId.body.error.requestId === newId.headers['X-Request-Id'] &&
+    newId.lines[0].level === 'error' &&
+    plain.body.error === null && !JSON.stringify(plain.lines).includes('s3cret')) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n24.3 - Prediction Outcomes Are Logged at Debug Level');
+const predictionLines = [];
+const loggedChamber = logPredictions(
+  new Logger({ level: 'debug', write: line => predictionLines.push(JSON.parse(line)) }).child({ session: 'abcd1234…' }),
+  new EchoChamber()
+);
+loggedChamber.predictNext([2, 4, 6]);
+loggedChamber.predictNext([1]);
+logPredictions(new Logger({ write: line => predictionLines.push(JSON.parse(line)) }), loggedChamber);
+loggedChamber.predictNext([1, 2, 4]);
+console.log(`   ${predictionLines.map(entry => `${entry.outcome}/${entry.pattern || entry.code}`).join(', ')}`);
+if (predictionLines.length === 3 && predictionLines.every(entry => entry.msg === 'prediction' && entry.level === 'debug') &&
+    predictionLines[0].outcome === 'success' && predictionLines[0].pattern === 'arithmetic' &&
+    predictionLines[0].session === 'abcd1234…' &&
+    predictionLines[1].outcome === 'failure' && predictionLines[1].code === ERROR_CODES.TOO_SHORT &&
+    predictionLines[2].pattern === 'geometric') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+// ============================================================
+// PART 25: QUIZ TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 25: QUIZ TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const { DIFFICULTIES, quizStats } = require('./quiz.js');
+
+console.log('25.1 - Questions Hide the Next Number the Chamber Predicts');
+// Always picking the smallest choice gives the easiest question: 1, 2, 3, 4
+const firstQuizChamber = new EchoChamber({ random: () => 0 });
+const easyQuestion = firstQuizChamber.quiz.ask();
+const hiddenAnswers = [];
+Object.keys(DIFFICULTIES).forEach(difficulty => {
+  for (let i = 0; i < 20; i++) {
+    const asked = firstQuizChamber.quiz.ask({ difficulty });
+    const question = firstQuizChamber.quiz.questions.get(asked.question.id);
+    hiddenAnswers.push(asked.success &&
+      asked.question.sequence.length === DIFFICULTIES[difficulty].terms &&
+      asked.question.answer === undefined &&
+      question.answer === new EchoChamber().predictNext(question.sequence, { mode: 'strict' }).nextNumber);
+  }
+});
+console.log(`   ${easyQuestion.message}`);
+console.log(`   Open questions: ${firstQuizChamber.quiz.openQuestions().length}, echoes: ${firstQuizChamber.getMemories().length}`);
+if (easyQuestion.success && easyQuestion.question.sequence.join(',') === '1,2,3,4' &&
+    easyQuestion.question.difficulty === 'easy' && easyQuestion.question.points === 1 &&
+    hiddenAnswers.every(Boolean) &&
+    firstQuizChamber.quiz.openQuestions().length === 20 && firstQuizChamber.getMemories().length === 0) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n25.2 - Answers Are Scored with a Streak Bonus and Recorded as Echoes');
+const streakChamber = new EchoChamber({ random: () => 0 });
+const streakResults = ['5', 5, ' 5 ', 4].map(guess => {
+  const asked = streakChamber.quiz.ask();
+  return streakChamber.quiz.answer(asked.question.id, guess);
+});
+const streakEchoes = streakChamber.getMemories();
+const finalStats = streakChamber.quiz.stats();
+console.log(`   Points: ${streakResults.map(result => result.points).join(', ')}`);
+console.log(`   ${streakResults[3].message}`);
+console.log(`   ${translator('en')('quiz.stats', finalStats)}`);
+if (streakResults.map(result => result.correct).join() === 'true,true,true,false' &&
+    streakResults.map(result => result.points).join() === '1,2,3,0' &&
+    streakResults[2].stats.streak === 3 && streakResults[3].answer === 5 &&
+    finalStats.score === 6 && finalStats.correct === 3 && finalStats.answered === 4 &&
+    finalStats.streak === 0 && finalStats.bestStreak === 3 &&
+    streakEchoes.length === 4 && streakEchoes[3].nextNumber === 5 && streakEchoes[3].pattern === 'arithmetic' &&
+    streakEchoes[3].quiz.guess === 4 && streakEchoes[3].quiz.correct === false &&
+    streakEchoes[1].quiz.points === 2 && streakEchoes[1].quiz.difficulty === 'easy') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n25.3 - Bad Difficulties, Guesses and Question Ids Are Rejected');
+const refusingChamber = new EchoChamber({ random: () => 0, locale: 'it-IT' });
+const unknownDifficulty = refusingChamber.quiz.ask({ difficulty: 'impossible' });
+const openQuestion = refusingChamber.quiz.ask();
+const notANumber = refusingChamber.quiz.answer(openQuestion.question.id, 'five');
+refusingChamber.quiz.answer(openQuestion.question.id, 5);
+const answeredTwice = refusingChamber.quiz.answer(openQuestion.question.id, 5);
+const quizRequest = runMiddleware(validate('askQuizQuestion'), { body: { difficulty: 'impossible' } });
+const guessRequest = runMiddleware(validate('answerQuizQuestion'), { params: { id: '1' }, body: {} });
+console.log(`   ${unknownDifficulty.message}`);
+console.log(`   ${notANumber.message}`);
+console.log(`   ${answeredTwice.message}`);
+if (!unknownDifficulty.success && unknownDifficulty.error.code === ERROR_CODES.UNKNOWN_DIFFICULTY &&
+    !notANumber.success && notANumber.error.code === ERROR_CODES.INVALID_GUESS &&
+    !answeredTwice.success && answeredTwice.error.code === ERROR_CODES.QUESTION_NOT_FOUND &&
+    httpStatus(ERROR_CODES.QUESTION_NOT_FOUND) === 404 &&
+    answeredTwice.message.startsWith('❌ Errore:') &&
+    refusingChamber.getMemories().length === 1 &&
+    quizRequest.status === 400 && quizRequest.body.error.code === ERROR_CODES.UNKNOWN_DIFFICULTY &&
+    guessRequest.status === 400 && guessRequest.body.error.field === 'guess') {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n25.4 - The Score Follows the Echoes Through Deletes and Imports');
+const movedChamber = new EchoChamber();
+movedChamber.importMemories(parseMemoryImport(streakChamber.exportMemories('json'), 'json'));
+const movedStats = movedChamber.quiz.stats();
+streakChamber.deleteMemory(4);
+const statsAfterDelete = streakChamber.quiz.stats();
+streakChamber.predictNext([2, 4, 6]);
+const mixedStats = quizStats(streakChamber.getMemories());
+streakChamber.clearMemories();
+console.log(`   Imported: ${JSON.stringify(movedStats)}`);
+console.log(`   After deleting the wrong answer: ${JSON.stringify(statsAfterDelete)}`);
+if (JSON.stringify(movedStats) === JSON.stringify(finalStats) &&
+    statsAfterDelete.streak === 3 && statsAfterDelete.answered === 3 &&
+    mixedStats.answered === 3 && mixedStats.streak === 3 &&
+    streakChamber.quiz.stats().answered === 0) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n25.5 - Imported Quiz Answers Are Checked and Their Points Recomputed');
+const quizImportChamber = new EchoChamber();
+const quizImport = quizImportChamber.importMemories([
+  { sequence: [1, 2, 3], nextNumber: 4, quiz: { guess: '<img src=x onerror=alert(1)>', correct: true, difficulty: 'easy', points: 1 } },
+  { sequence: [1, 2, 3], nextNumber: 4, quiz: { guess: 4, correct: true, difficulty: 'easy', points: 1, note: 'extra' } },
+  { sequence: [1, 2, 3], nextNumber: 4, quiz: { guess: 4, correct: 'yes', difficulty: 'easy' } },
+  { sequence: [1, 2, 3], nextNumber: 4, quiz: { guess: 4, correct: true, difficulty: 'impossible' } },
+  { sequence: [1, 2, 3], nextNumber: 4, quiz: { guess: 4, correct: true, difficulty: 'easy', points: 1e9 } },
+  { sequence: [2, 4, 6], nextNumber: 8, quiz: { guess: 8, correct: true, difficulty: 'easy', points: 1e9 } }
+]);
+const importedQuizStats = quizImportChamber.quiz.stats();
+console.log(`   Rejected: ${quizImport.rejected.map(entry => entry.code).join(', ')}`);
+console.log(`   Stats: ${JSON.stringify(importedQuizStats)}`);
+if (quizImport.rejected.length === 4 &&
+    quizImport.rejected.every(entry => entry.code === ERROR_CODES.INVALID_QUIZ) &&
+    quizImport.rejected.map(entry => entry.record).join(',') === '1,2,3,4' &&
+    quizImportChamber.getMemories().length === 2 &&
+    quizImportChamber.getMemories()[0].quiz.points === DIFFICULTIES.easy.points &&
+    quizImportChamber.getMemories()[1].quiz.points === DIFFICULTIES.easy.points + 1 &&
+    importedQuizStats.score === 2 * DIFFICULTIES.easy.points + 1) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n25.6 - Imported Quiz Answers Are Marked Against the Verified Next Number');
+const forgedChamber = new EchoChamber();
+forgedChamber.importMemories([{ sequence: [1, 2, 3], nextNumber: 4, quiz: { guess: 4, correct: true, difficulty: 'easy' } }]);
+const statsBeforeForgery = forgedChamber.quiz.stats();
+const forgedImport = forgedChamber.importMemories([
+  { sequence: [2, 4, 6], nextNumber: 8, quiz: { guess: 9, correct: true, difficulty: 'hard', points: 3 } },
+  { sequence: [2, 4, 6], nextNumber: 8, quiz: { guess: 8, correct: false, difficulty: 'hard' } }
+]);
+const unmarkedImport = forgedChamber.importMemories([{ sequence: [3, 6, 9], nextNumber: 12, quiz: { guess: 11, difficulty: 'easy' } }]);
+console.log(`   Rejected: ${forgedImport.rejected.map(entry => entry.code).join(', ')}`);
+if (forgedImport.imported === 0 &&
+    forgedImport.rejected.map(entry => entry.code).join(',') === 'INVALID_QUIZ,INVALID_QUIZ' &&
+    unmarkedImport.success && forgedChamber.getMemories()[1].quiz.correct === false &&
+    forgedChamber.getMemories()[1].quiz.points === 0 &&
+    forgedChamber.quiz.stats().score === statsBeforeForgery.score &&
+    forgedChamber.quiz.stats().correct === 1) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+// ============================================================
+// PART 26: EXPLANATION TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 26: EXPLANATION TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const explainChamber = new EchoChamber();
+
+console.log('26.1 - Explanations Hold the Difference Table and One Step per Pattern Tried');
+const explainedSquares = explainChamber.predictNext([1, 4, 9, 16], { explain: true });
+const squareSteps = explainedSquares.explanation.steps;
+squareSteps.forEach(step => console.log(`   ${step.matched ? '✓' : '✗'} ${step.message}`));
+if (explainedSquares.success && explainedSquares.nextNumber === 25 &&
+    JSON.stringify(explainedSquares.explanation.differences) === '[[1,4,9,16],[3,5,7],[2,2]]' &&
+    squareSteps.map(step => step.pattern).join(',') === 'arithmetic,geometric,polynomial' &&
+    squareSteps.map(step => step.matched).join(',') === 'false,false,true' &&
+    squareSteps[0].index === 2 && squareSteps[1].index === 2 && squareSteps[2].index === undefined &&
+    squareSteps[2].message.includes('25')) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n26.2 - Each Built-in Pattern Explains a Match');
+const matchedSteps = [[3, 6, 9], [2, 6, 18], [1, 1, 2, 3, 5]].map(sequence => {
+  const steps = explainChamber.predictNext(sequence, { explain: true }).explanation.steps;
+  return steps[steps.length - 1];
+});
+matchedSteps.forEach(step => console.log(`   ${step.message}`));
+if (matchedSteps.every(step => step.matched) &&
+    matchedSteps[0].message === 'Every difference is 3, so the next number is 9 + 3 = 12' &&
+    matchedSteps[1].message === 'Every ratio is 3, so the next number is 18 × 3 = 54' &&
+    matchedSteps[2].pattern === 'linear-recurrence' && matchedSteps[2].message.endsWith('1 × 5 + 1 × 3 = 8')) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n26.3 - Failures Explain Why Every Pattern Was Rejected');
+const unexplained = explainChamber.predictNext([1, 2, 4, 7, 12, 20], { explain: true });
+const rejectedSteps = unexplained.explanation ? unexplained.explanation.steps : [];
+rejectedSteps.forEach(step => console.log(`   ✗ ${step.message}`));
+if (!unexplained.success && unexplained.error.code === 'NO_PATTERN' &&
+    rejectedSteps.length === 4 && rejectedSteps.every(step => !step.matched) &&
+    rejectedSteps[1].index === 3 && rejectedSteps[2].index === 4 &&
+    rejectedSteps[3].message.includes('do not determine') &&
+    unexplained.explanation.differences.length === 6) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n26.4 - Explanations Are Opt-in, Translated, and Cover Custom Patterns');
+const primeChamber = new EchoChamber();
+primeChamber.registerPattern({
+  name: 'primes',
+  detect: seq => seq.every((n, i) => n === primes[i]) ? {} : null,
+  next: seq => primes[seq.length],
+  describe: () => 'prime sequence'
+});
+const primeSteps = primeChamber.predictNext([2, 3, 5, 7, 11], { explain: true }).explanation.steps;
+const italianSteps = explainChamber.predictNext([3, 6, 9], { explain: true, locale: 'it-IT' }).explanation.steps;
+const explainedBody = runMiddleware(validate('predict'), { body: { sequence: [3, 6, 9], explain: true } });
+const badExplain = runMiddleware(validate('predict'), { body: { sequence: [3, 6, 9], explain: 'yes' } });
+console.log(`   ${primeSteps[primeSteps.length - 1].message}`);
+console.log(`   ${italianSteps[0].message}`);
+if (explainChamber.predictNext([3, 6, 9]).explanation === undefined &&
+    explainChamber.validateSequence([3, 6, 9], { explain: true }).explanation.steps[0].matched &&
+    explainChamber.predictMany([3, 6, 9], 2, { explain: true }).explanation.steps.length === 1 &&
+    primeSteps[primeSteps.length - 1].matched &&
+    primeSteps[primeSteps.length - 1].message === 'Found a prime sequence' &&
+    italianSteps[0].message.startsWith('Ogni differenza vale 3') &&
+    explainedBody.passed && !badExplain.passed && badExplain.status === 400) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+// ============================================================
+// PART 27: OFFLINE PREDICTION TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 27: OFFLINE PREDICTION TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const { OFFLINE_PATTERNS, predictOffline } = require('./public/offline-chamber.js');
+
+console.log('27.1 - The Browser Port Predicts What the Chamber Predicts');
+const portChamber = new EchoChamber();
+const portSequences = [
+  [3, 6, 9], [10, 7, 4, 1], [5, 5, 5], [2, 6, 18], [3, -6, 12], [1, 0.5, 0.25], [0.1, 0.2, 0.3],
+  [1, 4, 9, 16], [2, 5, 10, 17, 26], [1, 8, 27, 64, 125], [1, 1, 2, 3, 5], [2, 1, 3, 4, 7, 11],
+  [1, 2, 4, 7, 12, 20], [1, 2], [7], [1, -1, 1, -1], [0, 1, 3, 7, 15, 31], [9007199254740993, 1]
+];
+// The fields of /api/predict results both give, or the error code
+const portOutcome = result => JSON.stringify(result.success
+  ? [result.nextNumbers, result.pattern, result.parameters, result.formula, result.commonDifference, result.mode]
+  : result.error.code);
+const portMismatches = [];
+['tolerant', 'strict'].forEach(mode => portSequences.forEach(sequence => {
+  const expected = portOutcome(portChamber.predictMany(sequence, 5, { mode }));
+  const actual = portOutcome(predictOffline(sequence, { mode, count: 5 }));
+  if (expected !== actual) {
+    portMismatches.push(`${mode} [${sequence}]: ${expected} vs ${actual}`);
+  }
+}));
+console.log(`   ${portSequences.length * 2} predictions compared, ${portMismatches.length} differ`);
+if (portMismatches.length === 0 &&
+    OFFLINE_PATTERNS.map(pattern => pattern.name).join(',') ===
+      portChamber.patterns.map(pattern => pattern.name).join(',')) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log(`     ✗ FAILED ${JSON.stringify(portMismatches)}`);
+  testsFailed++;
+}
+
+console.log('\n27.2 - Echoes Predicted Offline Are Accepted When They Are Imported');
+const offlinePrediction = predictOffline([0.1, 0.2, 0.3], { count: 5 });
+const syncedEchoes = [offlinePrediction, predictOffline([1, 1, 2, 3, 5])].map((result, i) => ({
+  sequence: i === 0 ? [0.1, 0.2, 0.3] : [1, 1, 2, 3, 5],
+  nextNumber: result.nextNumber,
+  pattern: result.pattern,
+  parameters: result.parameters,
+  createdAt: '2024-05-01T12:00:00.000Z'
+}));
+const syncChamber = new EchoChamber();
+const syncResult = syncChamber.importMemories(parseMemoryImport({ memories: syncedEchoes }));
+console.log(`   ${syncResult.message}`);
+if (offlinePrediction.success && offlinePrediction.offline && offlinePrediction.nextNumber === 0.4 &&
+    offlinePrediction.message === undefined &&
+    syncResult.success && syncResult.imported === 2 &&
+    syncChamber.getMemories()[0].createdAt === '2024-05-01T12:00:00.000Z' &&
+    predictOffline([1, 2, 4, 7, 12, 20]).error.code === 'NO_PATTERN' &&
+    predictOffline([1, '2']).error.code === 'NON_NUMERIC' &&
+    predictOffline([3, 6, 9]).nextNumbers === undefined) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+// ============================================================
+// PART 28: UNDO CLEAR TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 28: UNDO CLEAR TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+console.log('28.1 - Restoring Puts the Cleared Echoes Back Before Newer Ones');
+const undoChamber = new EchoChamber();
+const undoEvents = [];
+undoChamber.on('memoriesRestored', data => undoEvents.push(data));
+undoChamber.predictNext([1, 2, 3]);
+undoChamber.predictNext([2, 4, 6]);
+undoChamber.clearMemories();
+undoChamber.predictNext([5, 10, 15]);
+// Clearing an empty chamber keeps the previous clear undoable
+const undoEmptyChamber = new EchoChamber();
+undoEmptyChamber.predictNext([1, 2, 3]);
+undoEmptyChamber.clearMemories();
+undoEmptyChamber.clearMemories();
+const undoResult = undoChamber.restoreMemories();
+undoChamber.predictNext([3, 6, 9]);
+const undoIndexes = undoChamber.getMemories().map(memory => memory.predictionIndex).join(',');
+console.log(`   ${undoResult.message}; indexes ${undoIndexes}`);
+if (undoResult.success && undoResult.restored === 2 && undoIndexes === '1,2,3,4' &&
+    undoChamber.getMemories()[2].sequence.join(',') === '5,10,15' &&
+    undoEvents.length === 1 && undoEvents[0].count === 2 &&
+    undoEmptyChamber.restoreMemories().restored === 1) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n28.2 - There Is Nothing to Restore Twice, or Before a Clear');
+const undoAgain = undoChamber.restoreMemories({ locale: 'it-IT' });
+console.log(`   ${undoAgain.message}`);
+if (!undoAgain.success && undoAgain.error.code === ERROR_CODES.NOTHING_TO_RESTORE &&
+    httpStatus(undoAgain.error.code) === 404 &&
+    undoAgain.message.includes('Non ci sono echi cancellati da ripristinare') &&
+    new EchoChamber().restoreMemories().restored === 0 &&
+    undoChamber.getMemories().length === 4) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n28.3 - File Store Keeps a Clear Undoable After a Restart');
+const undoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'echo-undo-'));
+const undoFile = path.join(undoDir, 'echoes.jsonl');
+const undoFileChamber = new EchoChamber({ storage: new JsonLinesStore(undoFile) });
+undoFileChamber.predictNext([1, 2, 3]);
+undoFileChamber.predictNext([1, 2, 4]);
+undoFileChamber.clearMemories();
+const undoClearedFile = fs.readFileSync(undoFile, 'utf8');
+const undoRestarted = new EchoChamber({ storage: new JsonLinesStore(undoFile) });
+const undoFileResult = undoRestarted.restoreMemories();
+const undoReloaded = new JsonLinesStore(undoFile);
+if (undoClearedFile === '' && undoFileResult.restored === 2 &&
+    undoReloaded.getAll().length === 2 && undoReloaded.getCleared().length === 0 &&
+    !fs.existsSync(path.join(undoDir, 'echoes.cleared.jsonl'))) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+undoFileChamber.clearMemories();
+undoReloaded.destroy();
+fs.rmdirSync(undoDir);
+
+// ============================================================
+// PART 29: THEME TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 29: THEME TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const stylesSource = fs.readFileSync(path.join(__dirname, 'public', 'styles.css'), 'utf8');
+const themeSource = fs.readFileSync(path.join(__dirname, 'public', 'theme.js'), 'utf8');
+// Custom properties set by a block of styles.css, e.g. ':root' or ':root[data-theme="dark"]'
+const themeProperties = selector => {
+  const start = stylesSource.indexOf(`${selector} {`);
+  const block = start === -1 ? '' : stylesSource.slice(start, stylesSource.indexOf('}', start));
+  return (block.match(/--[\w-]+(?=:)/g) || []);
+};
+
+console.log('29.1 - Every Theme of the Switcher Overrides Only Colours the Palette Has');
+const paletteProperties = themeProperties(':root');
+const switcherThemes = JSON.parse(themeSource.match(/const THEMES = (\[[^\]]*\])/)[1].replace(/'/g, '"'));
+const unknownProperties = [];
+switcherThemes.filter(theme => theme !== 'system' && theme !== 'light').forEach(theme => {
+  const properties = themeProperties(`:root[data-theme="${theme}"]`);
+  if (properties.length === 0) {
+    unknownProperties.push(`${theme}: no block`);
+  }
+  properties.filter(property => !paletteProperties.includes(property))
+    .forEach(property => unknownProperties.push(`${theme}: ${property}`));
+});
+console.log(`   Themes: ${switcherThemes.join(', ')}; ${paletteProperties.length} palette properties`);
+if (unknownProperties.length === 0 && switcherThemes.includes('dark') && switcherThemes.includes('high-contrast')) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log(`     ✗ FAILED ${JSON.stringify(unknownProperties)}`);
+  testsFailed++;
+}
+
+console.log('\n29.2 - Rules Take Their Colours From the Theme');
+// Colour declarations outside the :root blocks that name a colour instead of a custom property
+const fixedColours = stylesSource
+  .replace(/:root[^{]*\{[^}]*\}/g, '')
+  .match(/(^|[\s;{])(color|background(-color)?|fill|stroke|border(-[a-z]+)*)\s*:[^;]*(#[0-9a-f]{3,8}\b|rgba?\(|\bwhite\b|\bblack\b)[^;]*;/gi) || [];
+console.log(`   ${fixedColours.length} fixed colours`);
+if (fixedColours.length === 0) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log(`     ✗ FAILED ${JSON.stringify(fixedColours.map(rule => rule.trim()))}`);
+  testsFailed++;
+}
+
+// ============================================================
+// PART 30: COMMAND-LINE TESTS
+// ============================================================
+
+console.log('\n\n📋 PART 30: COMMAND-LINE TESTS');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const { EXIT_CODES, hasCommand, parseCliArgs, runCli } = require('./cli.js');
+// Runs a command with its output captured and no terminal; stdin is the given text
+const runCapturedCli = (args, stdin = '', storage = new MemoryStore()) => {
+  const output = { stdout: '', stderr: '' };
+  output.code = runCli(args, {
+    stdout: { write: text => { output.stdout += text; } },
+    stderr: { write: text => { output.stderr += text; } },
+    readStdin: () => stdin,
+    stdinIsTTY: false,
+    readFile: file => { throw new Error(`ENOENT: ${file}`); },
+    env: {},
+    storage
+  });
+  return output;
+};
+
+console.log('30.1 - Arguments Are Read as a Command, Options and Sequences');
+const cliArgs = parseCliArgs(['predict', '--count=3', '-3,-6,-9', '--mode', 'exact', '1/2,1']);
+if (cliArgs.command === 'predict' && cliArgs.options.count === '3' && cliArgs.options.mode === 'exact' &&
+    cliArgs.sequences.join(' ') === '-3,-6,-9 1/2,1' && cliArgs.error === null &&
+    parseCliArgs(['memories', '--count', '2']).error.key === 'unknownOption' &&
+    parseCliArgs(['predict', '--mode']).error.key === 'missingValue' &&
+    parseCliArgs(['--help']).command === 'help' &&
+    hasCommand(['validate']) && !hasCommand(['--lang', 'it-IT']) && !hasCommand([])) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log(`     ✗ FAILED ${JSON.stringify(cliArgs)}`);
+  testsFailed++;
+}
+
+console.log('\n30.2 - predict Prints One Answer per Sequence and Fails With Exit Code 1');
+const cliStore = new MemoryStore();
+const cliPredicted = runCapturedCli(['predict', '3,6,9', '1 2 4 8', '[1/3, 2/3, 1]'], '', cliStore);
+const cliPiped = runCapturedCli(['predict', '--count', '3'], '# doubling\n1,2,4\n\n1,3,4,10\n');
+console.log(`   ${JSON.stringify(cliPredicted.stdout)}, ${JSON.stringify(cliPiped.stderr.trim())}`);
+if (cliPredicted.code === EXIT_CODES.OK && cliPredicted.stdout === '12\n16\n4/3\n' && cliPredicted.stderr === '' &&
+    cliStore.getAll().length === 3 &&
+    cliPiped.code === EXIT_CODES.FAILED && cliPiped.stdout === '8,16,32\n' &&
+    cliPiped.stderr.startsWith('stdin:4: ') && cliPiped.stderr.includes('No known pattern')) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+console.log('\n30.3 - JSON Output, Memories and Usage Errors');
+const cliValidated = runCapturedCli(['validate', '--json', '-'], '2,4,6\nabc,2\n');
+const cliResults = cliValidated.stdout.trim().split('\n').map(line => JSON.parse(line));
+const cliMemories = runCapturedCli(['memories', '--json'], '', cliStore);
+const cliMemoryLines = runCapturedCli(['memories'], '', cliStore).stdout.trim().split('\n');
+const cliUsage = [['frobnicate'], ['predict', '--count', '0', '1,2'], ['predict', '--mode', 'weird', '1,2'],
+  ['predict', '--file', 'missing.txt'], ['memories', '--json', '--csv'], ['validate']]
+  .map(args => runCapturedCli(args).code);
+console.log(`   Usage exit codes: ${cliUsage.join(', ')}`);
+if (cliValidated.code === EXIT_CODES.FAILED && cliResults.length === 2 &&
+    cliResults[0].isValid && cliResults[0].pattern === 'arithmetic' && cliResults[0].input === '2,4,6' &&
+    cliResults[1].error.code === ERROR_CODES.NON_NUMERIC && cliValidated.stderr === '' &&
+    JSON.parse(cliMemories.stdout).memories.length === 3 &&
+    cliMemoryLines[0] === '1\t3,6,9\t12\tarithmetic' &&
+    cliUsage.every(code => code === EXIT_CODES.USAGE) &&
+    runCapturedCli(['help', '--lang', 'it-IT']).stdout.startsWith('Uso: echo-chamber')) {
+  console.log('     ✓ PASSED');
+  testsPassed++;
+} else {
+  console.log('     ✗ FAILED');
+  testsFailed++;
+}
+
+// ============================================================
+// PART 31: STREAM CONNECTION TESTS
+// ============================================================
+
+// These tests need a listening server, so they run last and the summary waits for them
+
+const http = require('http');
+
+/**
+ * Waits for a log entry with a message, or gives up after a while
+ *
+ * @param {Object[]} entries - Log entries, added to as they are written
+ * @param {string} msg - The message to wait for
+ * @param {number} [timeout=3000] - Milliseconds to wait
+ * @returns {Promise<Object|null>} The entry, or null if it was not logged in time
+ */
+function waitForLogEntry(entries, msg, timeout = 3000) {
+  const deadline = Date.now() + timeout;
+  return new Promise(resolve => {
+    const check = () => {
+      const entry = entries.find(candidate => candidate.msg === msg);
+      if (entry || Date.now() > deadline) {
+        resolve(entry || null);
+      } else {
+        setTimeout(check, 20);
+      }
+    };
+    check();
+  });
+}
+
+/**
+ * Starts an NDJSON stream request and cuts its connection off
+ *
+ * @param {string} url - URL of the stream route
+ * @param {Object} options
+ * @param {string} options.body - Body to send; all of it if the response is awaited, otherwise part of it
+ * @param {boolean} options.afterResponse - Cut off once the response starts, without reading it;
+ *                                          otherwise in the middle of sending the body
+ */
+function abortStream(url, { body, afterResponse }) {
+  const request = http.request(url, { method: 'POST', headers: { 'Content-Type': 'application/x-ndjson' } }, response => {
+    response.pause();
+    setTimeout(() => request.destroy(), 100);
+  });
+  request.on('error', () => {});
+  if (afterResponse) {
+    request.end(body);
+  } else {
+    request.write(body);
+    setTimeout(() => request.destroy(), 100);
+  }
+}
+
+/**
+ * Runs the tests of this part
+ *
+ * @returns {Promise} Resolves once they are done
+ */
+async function runStreamConnectionTests() {
+  console.log('\n\n📋 PART 31: STREAM CONNECTION TESTS');
+  console.log('═══════════════════════════════════════════════════════════\n');
+
+  const streamEntries = [];
+  const streamServer = createServer({
+    port: 0,
+    host: '127.0.0.1',
+    env: {},
+    logger: new Logger({ level: 'info', write: line => streamEntries.push(JSON.parse(line)) })
+  });
+  await streamServer.listen();
+  const streamUrl = `${streamServer.url}/api/predict/batch/stream?count=${MAX_PREDICTION_COUNT}`;
+
+  console.log('31.1 - A Client That Stops Reading and Disconnects Ends Its Stream');
+  // Long geometric predictions fill the connection's buffers long before the stream is over
+  const longBody = Array.from({ length: 3000 }, (_, i) => `[${i + 1}, ${2 * (i + 1)}, ${4 * (i + 1)}]`).join('\n') + '\n';
+  abortStream(streamUrl, { body: longBody, afterResponse: true });
+  const responseClosed = await waitForLogEntry(streamEntries, 'stream closed by client');
+  console.log(`   Results written before the client left: ${responseClosed ? responseClosed.results : 'none logged'}`);
+  if (Buffer.byteLength(longBody) <= bytes.parse(DEFAULT_LIMITS.maxBatchBodySize) &&
+      responseClosed && responseClosed.results > 0 && responseClosed.results < 3000) {
+    console.log('     ✓ PASSED');
+    testsPassed++;
+  } else {
+    console.log('     ✗ FAILED');
+    testsFailed++;
+  }
+
+  console.log('\n31.2 - A Client That Disconnects in the Middle of Its Body Ends Its Stream');
+  streamEntries.length = 0;
+  abortStream(streamUrl, { body: '[1, 2, 3]\n', afterResponse: false });
+  const bodyClosed = await waitForLogEntry(streamEntries, 'stream closed by client');
+  const drained = await streamServer.close(2000);
+  console.log(`   Results written: ${bodyClosed ? bodyClosed.results : 'none logged'}; closed without cutting requests off: ${drained}`);
+  if (bodyClosed && bodyClosed.results === 1 && drained &&
+      !streamEntries.some(entry => entry.level === 'error')) {
+    console.log('     ✓ PASSED');
+    testsPassed++;
+  } else {
+    console.log('     ✗ FAILED');
+    testsFailed++;
+  }
+}
+
+// ============================================================
+// PART 32: INTERNAL ERROR TESTS
+// ============================================================
+
+/**
+ * Sends a JSON POST request and reads the JSON response
+ *
+ * @param {string} url - URL of the route
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} { status, headers, body } of the response
+ */
+function postJson(url, body) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(url, { method: 'POST', headers: { 'Content-Type': 'application/json' } }, response => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { text += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: JSON.parse(text) }));
+    });
+    request.on('error', reject);
+    request.end(JSON.stringify(body));
+  });
+}
+
+/**
+ * Runs the tests of this part
+ *
+ * @returns {Promise} Resolves once they are done
+ */
+async function runInternalErrorTests() {
+  console.log('\n\n📋 PART 32: INTERNAL ERROR TESTS');
+  console.log('═══════════════════════════════════════════════════════════\n');
+
+  const failingEntries = [];
+  const failingChamber = new EchoChamber();
+  failingChamber.predictNext = () => { throw new Error('cannot write /var/lib/echo/echoes.jsonl'); };
+  const failingServer = createServer({
+    port: 0,
+    host: '127.0.0.1',
+    chamber: failingChamber,
+    env: {},
+    logger: new Logger({ level: 'error', write: line => failingEntries.push(JSON.parse(line)) })
+  });
+  await failingServer.listen();
+
+  console.log('32.1 - Internal Errors Answer With a Request Id, and Only the Log Gets Their Message');
+  const single = await postJson(`${failingServer.url}/api/predict`, { sequence: [1, 2, 3] });
+  const batched = await postJson(`${failingServer.url}/api/predict/batch`, { sequences: [[1, 2, 3]] });
+  await failingServer.close(2000);
+  const batchedItem = batched.body.results[0];
+  const loggedFor = requestId => failingEntries.find(entry =>
+    entry.msg === 'internal error' && entry.requestId === requestId && entry.error.message.includes('/var/lib'));
+  console.log(`   ${single.status}: ${single.body.message} (request ${single.body.error.requestId})`);
+  if (single.status === 500 && single.body.error.code === 'INTERNAL_ERROR' &&
+      single.body.message === translate('en', 'errors.INTERNAL_ERROR') &&
+      !JSON.stringify(single.body).includes('/var/lib') && loggedFor(single.body.error.requestId) &&
+      batched.status === 200 && batchedItem.error.code === 'INTERNAL_ERROR' &&
+      !JSON.stringify(batched.body).includes('/var/lib') &&
+      batchedItem.error.requestId === batched.headers['x-request-id'] && loggedFor(batchedItem.error.requestId)) {
+    console.log('     ✓ PASSED');
+    testsPassed++;
+  } else {
+    console.log('     ✗ FAILED');
+    testsFailed++;
+  }
+}
+
+// ============================================================
+// FINAL SUMMARY
+// ============================================================
+
+/**
+ * Prints the number of passed and failed tests
+ */
+function printSummary() {
+  console.log('\n\n╔════════════════════════════════════════════════════════════╗');
+  console.log('║                     TEST SUMMARY                           ║');
+  console.log('╚════════════════════════════════════════════════════════════╝\n');
+
+  const totalTests = testsPassed + testsFailed;
+  const successRate = totalTests > 0 ? Math.round((testsPassed / totalTests) * 100) : 0;
+
+  console.log(`📊 Total Tests: ${totalTests}`);
+  console.log(`✓ Passed: ${testsPassed}`);
+  console.log(`✗ Failed: ${testsFailed}`);
+  console.log(`📈 Success Rate: ${successRate}%`);
+
+  if (testsFailed === 0) {
+    console.log('\n🎉 ALL TESTS PASSED! The Echo Chamber is ready for adventure!\n');
+  } else {
+    console.log('\n⚠️  Some tests failed. Please review the output above.\n');
+  }
+
+  console.log('═══════════════════════════════════════════════════════════\n');
+}
+
+runStreamConnectionTests()
+  .then(runInternalErrorTests)
+  .catch(error => {
+    console.log(`     ✗ FAILED ${error.message}`);
+    testsFailed++;
+  })
+  .then(printSummary);